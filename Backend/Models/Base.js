@@ -0,0 +1,18 @@
+// models/Base.js
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+// Home base with charging docks; drones return to the nearest one with a free dock
+const BaseSchema = new Schema({
+  name: { type: String, required: true, unique: true },
+  location: {
+    lat: { type: Number, required: true },
+    lng: { type: Number, required: true },
+    alt: { type: Number, default: 0 }
+  },
+  docks: { type: Number, default: 1, min: 0 },
+  chargeRatePctPerMin: { type: Number, default: 2 }, // battery % a dock adds per minute
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+export default mongoose.model('Base', BaseSchema);
@@ -0,0 +1,20 @@
+// models/Camera.js
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+// Intrinsics and mounting of a perception camera, used to georeference its detections
+const CameraSchema = new Schema({
+  cameraId: { type: String, required: true, unique: true },
+  callsign: String,                          // drone carrying the camera (defaults to cameraId)
+  width: Number,                             // image size in pixels
+  height: Number,
+  fx: Number,                                // focal lengths / principal point in pixels
+  fy: Number,
+  cx: Number,
+  cy: Number,
+  hfovDeg: { type: Number, default: 84 },    // used when fx is not set
+  mountPitchDeg: { type: Number, default: -90 }, // used when telemetry has no gimbal pitch
+  mountYawDeg: { type: Number, default: 0 }  // camera yaw relative to the drone nose
+}, { timestamps: true });
+
+export default mongoose.model('Camera', CameraSchema);
@@ -0,0 +1,25 @@
+// models/Command.js
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+// Append-only audit record of a command sent to a drone. `hash` chains each
+// entry to the previous one; the ack fields are sealed separately by `ackHash`
+// because they are filled in after the command is issued.
+const CommandSchema = new Schema({
+  seq: { type: Number, required: true, unique: true },
+  cmdId: { type: String, index: true },
+  callsign: { type: String, index: true },
+  cmd: String,
+  payload: Schema.Types.Mixed,
+  issuedBy: { type: String, index: true }, // username, or "system" for automatic commands
+  origin: String,                          // rest, socket, failsafe, geofence, ...
+  issuedAt: { type: Date, index: true },
+  prevHash: String,
+  hash: String,
+  ackStatus: { type: String, default: 'pending' }, // pending, ack, timeout or the drone's reported status
+  ackAt: Date,
+  latencyMs: Number,
+  ackHash: String
+}, { minimize: false }); // keep empty objects in payload so the stored record hashes the same
+
+export default mongoose.model('Command', CommandSchema);
@@ -11,7 +11,9 @@ const DisasterSchema = new Schema({
   },
   description: { type: String, required: true },
   recommendedActions: [{ type: String }],
-  status: { type: String, default: 'detected' }, // detected, investigating, responding, resolved
+  status: { type: String, default: 'detected' }, // detected, investigating, responding, resolved; see Services/disasterLifecycle.js
+  statusHistory: [{ status: String, at: Date, note: String, by: String, _id: false }],
+  updates: [{ kind: String, text: String, at: Date, by: String, data: Schema.Types.Mixed, _id: false }], // append-only timeline
   assignedDrones: [{ type: String }], // array of callsigns
   imageUrl: { type: String },
   detectedAt: { type: Date, default: Date.now },
@@ -19,4 +21,12 @@ const DisasterSchema = new Schema({
   metadata: { type: Schema.Types.Mixed }
 }, { timestamps: true });
 
+// Seed the history with the initial status so every state has a timestamp
+DisasterSchema.pre('save', function (next) {
+  if (this.isNew && !this.statusHistory.length) {
+    this.statusHistory.push({ status: this.status, at: this.detectedAt || new Date() });
+  }
+  next();
+});
+
 export default mongoose.model('Disaster', DisasterSchema);
@@ -1,20 +1,79 @@
-// models/Drone.js
-import mongoose from 'mongoose';
-const Schema = mongoose.Schema;
-
-const DroneSchema = new Schema({
-  callsign: { type: String, required: true, unique: true },
-  type: { type: String, default: 'quadcopter' },
-  maxPayloadKg: { type: Number, default: 10 },
-  battery: { type: Number, default: 100 }, // percent
-  mode: { type: String, default: 'IDLE' },
-  lastSeen: { type: Date, default: Date.now },
-  location: {
-    lat: { type: Number, default: 0 },
-    lng: { type: Number, default: 0 },
-    alt: { type: Number, default: 0 }
-  },
-  path: { type: Array, default: [] } // array of [lat,lng] historic points (bounded client-side)
-}, { timestamps: true });
-
-export default mongoose.model('Drone', DroneSchema);
+// models/Drone.js
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+// Tracked part with its service intervals; usage counts from serviced
+const ComponentSchema = new Schema({
+  name: { type: String, required: true },
+  kind: { type: String, required: true },
+  serial: String,
+  intervalHours: Number,
+  intervalCycles: Number,  // flights, or charge cycles for batteries
+  intervalDays: Number,
+  installedAt: Date,
+  serviced: { at: Date, flightSeconds: Number, flightCycles: Number, chargeCycles: Number } // drone totals at last service
+});
+
+const DroneSchema = new Schema({
+  callsign: { type: String, required: true, unique: true },
+  type: { type: String, default: 'quadcopter' },
+  maxPayloadKg: { type: Number, default: 10 },
+  battery: { type: Number, default: 100 }, // percent
+  mode: { type: String, default: 'IDLE' },
+  lastSeen: { type: Date, default: Date.now },
+  location: {
+    lat: { type: Number, default: 0 },
+    lng: { type: Number, default: 0 },
+    alt: { type: Number, default: 0 }
+  },
+  heading: Number,     // degrees clockwise from north, when reported
+  speed: Number,       // ground speed in m/s, when reported
+  gimbalPitch: Number, // degrees, 0 = horizon, -90 = straight down
+  path: { type: Array, default: [] }, // array of [lat,lng] historic points (bounded client-side)
+  home: { lat: Number, lng: Number, alt: Number, setAt: Date }, // last take-off point or reported home, used without bases
+  homeBase: { type: Schema.Types.ObjectId, ref: 'Base', default: null },
+  dock: {             // claim on a charging dock, see Services/bases.js
+    base: { type: Schema.Types.ObjectId, ref: 'Base' },
+    status: { type: String, enum: ['inbound', 'waiting', 'charging', 'ready'] },
+    reservedAt: Date,
+    dockedAt: Date,
+    batteryAtDock: Number,
+    chargePct: Number,
+    readyAt: Date       // estimate while charging
+  },
+  batteryModel: {     // discharge fit, see Services/batteryModel.js
+    basePctPerS: Number,
+    pctPerSPerMs: Number,
+    pctPerSPerClimbMs: Number,
+    pctPerSPerKg: Number,
+    samples: Number,
+    rmse: Number,
+    fittedAt: Date
+  },
+  endurance: {        // prediction from the latest telemetry
+    remainingS: Number,
+    rangeKm: Number,
+    pctPerKm: Number,
+    homeDistanceKm: Number,
+    returnPct: Number,
+    reservePct: Number,
+    mustReturnAtPct: Number,
+    mustReturn: Boolean,
+    batteryAtHomePct: Number,
+    fitted: Boolean,
+    at: Date
+  },
+  maintenance: {       // see Services/maintenance.js
+    flightSeconds: { type: Number, default: 0 },
+    flightCycles: { type: Number, default: 0 },
+    chargeCycles: { type: Number, default: 0 },
+    grounded: { type: Boolean, default: false }, // MAINTENANCE: no missions until cleared
+    groundedReason: String,
+    groundedBy: String,  // user, or "maintenance" when grounded for overdue components
+    groundedAt: Date,
+    components: [ComponentSchema]
+  },
+  taskQueue: [{ type: Schema.Types.ObjectId, ref: 'Mission' }] // scheduled missions, flown in order after the active one
+}, { timestamps: true });
+
+export default mongoose.model('Drone', DroneSchema);
@@ -1,11 +1,12 @@
-// models/Event.js
-import mongoose from 'mongoose';
-const Schema = mongoose.Schema;
-
-const EventSchema = new Schema({
-  type: String,
-  payload: Schema.Types.Mixed,
-  source: String,
-  createdAt: { type: Date, default: Date.now }
-});
-export default mongoose.model('Event', EventSchema);
+// models/Event.js
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+const EventSchema = new Schema({
+  type: String,
+  payload: Schema.Types.Mixed,
+  source: String,
+  user: String, // who issued it, for operator commands
+  createdAt: { type: Date, default: Date.now }
+});
+export default mongoose.model('Event', EventSchema);
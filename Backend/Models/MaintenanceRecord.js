@@ -0,0 +1,20 @@
+// models/MaintenanceRecord.js
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+// Service log: one entry per inspection, service, repair or part replacement
+const MaintenanceRecordSchema = new Schema({
+  callsign: { type: String, required: true },
+  kind: { type: String, enum: ['inspection', 'service', 'repair', 'replacement'], required: true },
+  componentId: { type: Schema.Types.ObjectId, default: null },
+  componentName: String,
+  result: { type: String, enum: ['pass', 'fail', null], default: null }, // inspections only
+  serial: String,       // new part, for replacements
+  note: String,
+  by: String,
+  usage: { flightHours: Number, flightCycles: Number, chargeCycles: Number }, // drone totals when it was logged
+  createdAt: { type: Date, default: Date.now }
+});
+MaintenanceRecordSchema.index({ callsign: 1, createdAt: -1 });
+
+export default mongoose.model('MaintenanceRecord', MaintenanceRecordSchema);
@@ -1,16 +1,41 @@
-// models/Mission.js
-import mongoose from 'mongoose';
-const Schema = mongoose.Schema;
-
-const MissionSchema = new Schema({
-  name: { type: String, default: '' },
-  waypoints: { type: Array, required: true }, // array of [lat,lng]
-  supplies: { type: Array, default: [] },
-  priority: { type: Number, default: 5 }, // 1 highest
-  assignedTo: { type: String, default: null }, // callsign
-  status: { type: String, default: 'queued' }, // queued, active, completed, failed
-  createdAt: { type: Date, default: Date.now },
-  metadata: { type: Schema.Types.Mixed }
-});
-
-export default mongoose.model('Mission', MissionSchema);
+// models/Mission.js
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+const MissionSchema = new Schema({
+  name: { type: String, default: '' },
+  waypoints: { type: Array, required: true }, // array of [lat,lng] or [lat,lng,alt]
+  supplies: { type: Array, default: [] },
+  priority: { type: Number, default: 5 }, // 1 highest
+  assignedTo: { type: String, default: null }, // callsign
+  droneType: { type: String, default: null }, // optional required Drone.type
+  assignment: { type: Schema.Types.Mixed }, // scores of every candidate at assignment time
+  excludedDrones: { type: [String], default: [] }, // callsigns an operator took this mission away from
+  status: {
+    type: String,
+    enum: ['queued', 'blocked', 'scheduled', 'active', 'paused', 'completed', 'failed', 'cancelled', 'aborted'],
+    default: 'queued'
+  }, // transitions are enforced in Services/missionLifecycle.js
+  statusHistory: [{ status: String, at: Date, reason: String, by: String, _id: false }], // by: user for operator actions
+  currentWaypoint: { type: Number, default: 0 }, // index of the next waypoint to reach
+  waypointsReached: [{ index: Number, at: Date, _id: false }],
+  operatingArea: { type: Array, default: [] }, // optional [lat,lng] polygon the drone must stay inside
+  personCount: { type: Number, default: 0 }, // people at the site (AI rescue missions)
+  detection: { type: Schema.Types.Mixed }, // merged detection cluster: centroid, first/last seen, sources
+  disasterId: { type: Schema.Types.ObjectId, ref: 'Disaster', default: null }, // incident this mission responds to
+  createdAt: { type: Date, default: Date.now },
+  metadata: { type: Schema.Types.Mixed }
+});
+
+MissionSchema.index({ 'detection.lastSeenAt': 1 });
+MissionSchema.index({ disasterId: 1 });
+
+// Seed the history with the initial status so every state has a timestamp
+MissionSchema.pre('save', function (next) {
+  if (this.isNew && !this.statusHistory.length) {
+    this.statusHistory.push({ status: this.status, at: this.createdAt || new Date(), reason: 'created' });
+  }
+  next();
+});
+
+export default mongoose.model('Mission', MissionSchema);
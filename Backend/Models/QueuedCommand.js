@@ -0,0 +1,25 @@
+// models/QueuedCommand.js
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+// A command held for a drone that was out of link, delivered on its next telemetry
+const QueuedCommandSchema = new Schema({
+  cmdId: { type: String, required: true, unique: true },
+  callsign: { type: String, required: true },
+  payload: Schema.Types.Mixed,
+  issuedBy: String,
+  origin: String,
+  status: {
+    type: String,
+    enum: ['queued', 'delivering', 'delivered', 'rejected', 'refused', 'expired', 'superseded'],
+    default: 'queued'
+  },
+  expiresAt: Date,
+  supersededBy: String, // cmdId of the newer command that made this one stale
+  attempts: { type: Number, default: 0 },
+  deliveredAt: Date
+}, { timestamps: true });
+
+QueuedCommandSchema.index({ callsign: 1, status: 1, createdAt: 1 });
+
+export default mongoose.model('QueuedCommand', QueuedCommandSchema);
@@ -0,0 +1,29 @@
+// models/Telemetry.js
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+// One telemetry sample. Stored in a Mongo time-series collection; collection and
+// indexes are created at startup (see ensureTelemetryCollection) so the retention
+// can come from config and nothing creates it as a plain collection first.
+const TelemetrySchema = new Schema({
+  ts: { type: Date, required: true },
+  callsign: { type: String, required: true },
+  lat: Number,
+  lng: Number,
+  alt: Number,
+  battery: Number,
+  mode: String,
+  heading: Number,
+  speed: Number,
+  gimbalPitch: Number,
+  extra: Schema.Types.Mixed // any other fields the drone reported
+}, {
+  timeseries: { timeField: 'ts', metaField: 'callsign', granularity: 'seconds' },
+  autoCreate: false,
+  autoIndex: false,
+  versionKey: false
+});
+
+TelemetrySchema.index({ callsign: 1, ts: 1 });
+
+export default mongoose.model('Telemetry', TelemetrySchema);
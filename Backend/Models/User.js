@@ -0,0 +1,25 @@
+// models/User.js
+import mongoose from 'mongoose';
+const Schema = mongoose.Schema;
+
+const UserSchema = new Schema({
+  username: { type: String, required: true, unique: true, trim: true },
+  passwordHash: { type: String, required: true },
+  role: {
+    type: String,
+    enum: ['viewer', 'operator', 'mission-commander', 'admin'],
+    default: 'viewer'
+  },
+  active: { type: Boolean, default: true },
+  lastLoginAt: Date
+}, { timestamps: true });
+
+// Never send the password hash to clients
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+export default mongoose.model('User', UserSchema);
@@ -1,140 +1,267 @@
-import Drone from "../models/Drone.js";
-import Mission from "../models/Mission.js";
-import Disaster from "../models/Disaster.js";
+import { BUSY_STATUSES, TERMINAL_STATUSES } from "./missionLifecycle.js";
 
-export async function runAnalytics() {
-  const drones = await Drone.find().exec();
-  const missions = await Mission.find().exec();
-  const disasters = await Disaster.find().exec();
+// The system-health sections, computed from the analytics engine's in-memory
+// records (Services/analyticsEngine.js) rather than from the database:
+//
+//   drone    { callsign, type, battery, mode, location: { lat, lng, alt }, lastSeen, endurance, batteryModel,
+//              maintenance: { status, grounded, components due or overdue } }
+//   mission  { id, name, status, assignedTo, priority, disasterId, createdAt, assignedAt, arrivedAt, closedAt }
+//   disaster { id, type, severity, status, coordinates, assignedDrones, detectedAt }
+//
+// Times are epoch milliseconds.
+
+const SEVERITY_PRIORITY = { critical: 1, high: 2, moderate: 3, low: 4 };
+
+// state:   { drones, missions, disasters, energy: Map callsign -> { distanceM, drainPct } }
+// options: { now, linkStaleMs, energyPctPerKm }
+export function analyzeFleet({ drones, missions, disasters, energy }, { now = Date.now(), linkStaleMs = 10000, energyPctPerKm = null } = {}) {
+  const busy = new Set(missions.filter(m => BUSY_STATUSES.includes(m.status)).map(m => m.assignedTo));
+  const inLink = drones.filter(d => now - d.lastSeen <= linkStaleMs && d.mode !== "LINK_LOST");
+  const openDisasters = disasters.filter(d => d.status !== "resolved");
+  const context = { now, busy, inLink, missions, openDisasters };
 
   return {
-    swarm: analyzeSwarmCoordination(drones),
+    swarm: analyzeSwarmCoordination(drones, context),
     battery: analyzeBatteryStatus(drones),
-    risk: assessOverallRisk(disasters),
-    missions: optimizeMissionPlans(drones, disasters),
+    risk: assessOverallRisk(openDisasters),
+    missions: optimizeMissionPlans(drones, context),
     maintenance: generateMaintenancePredictions(drones),
-    recovery: generateRecoveryPlans(drones),
-    weather: analyzeWeatherConditions(),
-    terrain: optimizeTerrainNavigation(),
-    energy: analyzeEnergyEfficiency(drones),
-    intelligence: analyzeSwarmIntelligence(drones),
-    prioritization: prioritizeMissions(drones, disasters),
+    recovery: generateRecoveryPlans(drones, context),
+    energy: analyzeEnergyEfficiency(energy, energyPctPerKm),
+    intelligence: analyzeSwarmIntelligence(drones, context),
+    prioritization: prioritizeMissions(context),
     emergency: generateEmergencyProtocols(drones)
   };
 }
 
 // ---------------- Core analytics ----------------
 
+// From each drone's endurance prediction (Services/batteryModel.js)
 function analyzeBatteryStatus(drones) {
-  const low = drones.filter(d => d.battery < 30);
-  const critical = drones.filter(d => d.battery < 20);
+  const predicted = drones.filter(d => d.endurance);
+  const mustReturn = predicted.filter(d => d.endurance.mustReturn);
+  const shortOfHome = predicted.filter(d => Number.isFinite(d.endurance.batteryAtHomePct) && d.endurance.batteryAtHomePct < d.endurance.reservePct);
+  const recommendations = [];
+  if (mustReturn.length) recommendations.push(`${mustReturn.map(d => d.callsign).join(", ")} at return point: RTL`);
+  if (shortOfHome.length) recommendations.push(`${shortOfHome.map(d => d.callsign).join(", ")} cannot finish the current mission and land with reserve`);
   return {
-    low_count: low.length,
-    critical_count: critical.length,
-    recommendations: critical.length > 0 ? 
-      ["Immediate RTL required for critical drones"] : ["Battery levels nominal"]
+    must_return_count: mustReturn.length,
+    short_of_home_count: shortOfHome.length,
+    drones: predicted.map(d => ({
+      drone: d.callsign,
+      battery: d.battery,
+      remaining_s: d.endurance.remainingS,
+      range_km: d.endurance.rangeKm,
+      must_return_at_pct: d.endurance.mustReturnAtPct,
+      battery_at_home_pct: d.endurance.batteryAtHomePct,
+      fitted: d.endurance.fitted
+    })),
+    recommendations: recommendations.length ? recommendations : ["Battery levels nominal"]
   };
 }
 
-function assessOverallRisk(disasters) {
-  const highRisk = disasters.filter(d => d.severity === "high" || d.severity === "critical");
+function assessOverallRisk(openDisasters) {
+  const highRisk = openDisasters.filter(d => d.severity === "high" || d.severity === "critical");
   return {
-    total: disasters.length,
+    total: openDisasters.length,
     high_risk: highRisk.length,
     level: highRisk.length > 0 ? "HIGH" : "MODERATE"
   };
 }
 
-function analyzeSwarmCoordination(drones) {
-  const active = drones.filter(d => d.mode !== "IDLE").length;
+// Busy means flying a mission, not merely being out of IDLE mode
+function analyzeSwarmCoordination(drones, { busy, inLink, missions }) {
+  const active = inLink.filter(d => busy.has(d.callsign)).length;
+  const idle = inLink.length - active;
+  const waiting = missions.filter(m => m.status === "queued").length;
+  const recommendations = [];
+  if (waiting && idle) recommendations.push(`${waiting} queued mission(s) while ${idle} drone(s) idle: check battery and range limits`);
+  else if (waiting) recommendations.push(`All drones busy, ${waiting} mission(s) waiting`);
+  else if (active < inLink.length / 2) recommendations.push("Increase swarm engagement for better coverage");
   return {
     total: drones.length,
+    in_link: inLink.length,
     active,
-    coordination_score: active / (drones.length || 1),
-    recommendations: active < drones.length / 2 ? 
-      ["Increase swarm engagement for better coverage"] : []
+    idle,
+    queued_missions: waiting,
+    coordination_score: active / (inLink.length || 1),
+    recommendations
   };
 }
 
+// Components due or overdue for service, plus drones whose fitted hover drain
+// is well above the fleet's for the same airframe (ageing battery, worn motor or propeller)
 function generateMaintenancePredictions(drones) {
-  return drones.map(d => {
-    const score = d.battery / 100; 
-    if (score < 0.5) {
-      return {
-        drone: d.callsign,
-        issue: "Component degradation",
-        severity: score < 0.3 ? "critical" : "warning",
-        action: "Schedule maintenance soon"
-      };
-    }
-    return null;
+  const service = drones.flatMap(d => (d.maintenance?.components || []).map(c => ({
+    drone: d.callsign,
+    issue: `${c.name} ${c.status === "overdue" ? "overdue" : "due"} for service (${c.limitedBy})`,
+    severity: c.status === "overdue" ? "critical" : "warning",
+    action: d.maintenance.grounded ? "Grounded until serviced" : "Schedule maintenance soon"
+  })));
+
+  const fitted = drones.filter(d => d.batteryModel);
+  const drain = fitted.map(d => {
+    const peers = fitted.filter(p => p.type === d.type).map(p => p.batteryModel.basePctPerS).sort((a, b) => a - b);
+    if (peers.length < 2) return null;
+    const median = peers[Math.floor((peers.length - 1) / 2)];
+    const ratio = d.batteryModel.basePctPerS / median;
+    if (ratio < 1.2) return null;
+    return {
+      drone: d.callsign,
+      issue: `Hover drain ${Math.round((ratio - 1) * 100)}% above other ${d.type}s`,
+      severity: ratio >= 1.4 ? "critical" : "warning",
+      action: "Check battery health and propulsion"
+    };
   }).filter(Boolean);
+
+  return [...service, ...drain];
 }
 
-function generateRecoveryPlans(drones) {
-  return drones.filter(d => d.battery < 20).map(d => ({
-    drone: d.callsign,
-    issue: "Low battery",
-    plan: "Return to base & recharge",
-    recovery_time: "15-30 min"
-  }));
+function generateRecoveryPlans(drones, { missions }) {
+  return drones.filter(d => d.endurance?.mustReturn).map(d => {
+    const mission = missions.find(m => m.assignedTo === d.callsign && BUSY_STATUSES.includes(m.status));
+    return {
+      drone: d.callsign,
+      issue: "Low battery",
+      plan: mission ? "Return to base & recharge; mission goes back to the queue" : "Return to base & recharge",
+      mission: mission?.id || null,
+      recovery_time: "15-30 min"
+    };
+  });
 }
 
-function optimizeMissionPlans(drones, disasters) {
-  return disasters.map(dis => ({
-    disaster: dis.type,
-    assigned: drones.filter(d => dis.assignedDrones.includes(d.callsign)).length,
-    recommendation: dis.priority === 1 ? "Deploy max drones ASAP" : "Monitor & reassign"
-  }));
+// Open disasters by severity, with the drones and missions working on each
+function optimizeMissionPlans(drones, { openDisasters, missions }) {
+  return openDisasters.map(dis => {
+    const linked = missions.filter(m => m.disasterId === dis.id && !TERMINAL_STATUSES.includes(m.status));
+    const flying = linked.filter(m => BUSY_STATUSES.includes(m.status)).length;
+    const urgent = SEVERITY_PRIORITY[dis.severity] <= 2;
+    return {
+      disaster: dis.id,
+      type: dis.type,
+      severity: dis.severity,
+      assigned: drones.filter(d => (dis.assignedDrones || []).includes(d.callsign)).length,
+      open_missions: linked.length,
+      flying_missions: flying,
+      recommendation: urgent && !flying ? "Deploy max drones ASAP" : linked.length ? "Missions under way" : "Monitor & reassign"
+    };
+  });
 }
 
-// Simulated AI parts
-function analyzeWeatherConditions() {
+// Battery used per km flown, from telemetry over the last hour
+function analyzeEnergyEfficiency(energy, plannedPctPerKm) {
+  const perDrone = [...energy.entries()]
+    .filter(([, e]) => e.distanceM >= 100)
+    .map(([callsign, e]) => ({ drone: callsign, distance_km: Math.round(e.distanceM / 100) / 10, pct_per_km: Math.round((e.drainPct / (e.distanceM / 1000)) * 100) / 100 }));
+  const totals = [...energy.values()].reduce((acc, e) => ({ distanceM: acc.distanceM + e.distanceM, drainPct: acc.drainPct + e.drainPct }), { distanceM: 0, drainPct: 0 });
   return {
-    wind_speed: Math.random() * 20,
-    visibility: Math.random() * 10 + 5,
-    status: "ok"
+    fleet_pct_per_km: totals.distanceM >= 100 ? Math.round((totals.drainPct / (totals.distanceM / 1000)) * 100) / 100 : null,
+    planned_pct_per_km: plannedPctPerKm,
+    drones: perDrone
   };
 }
 
-function optimizeTerrainNavigation() {
+function analyzeSwarmIntelligence(drones, { busy, inLink }) {
+  const share = (n) => n / (drones.length || 1);
   return {
-    complexity: "moderate",
-    obstacles: Math.floor(Math.random() * 5),
-    recommendation: "Adjust altitude if >3 obstacles detected"
+    decision_score: share(drones.filter(d => d.mode === "AUTO").length),
+    comm_quality: share(inLink.length),
+    coordination: inLink.length ? inLink.filter(d => busy.has(d.callsign)).length / inLink.length : 0
   };
 }
 
-function analyzeEnergyEfficiency(drones) {
-  const avg = drones.reduce((sum, d) => sum + (d.energy_efficiency || 1), 0) / (drones.length || 1);
+function prioritizeMissions({ openDisasters }) {
+  return openDisasters
+    .map(d => ({
+      id: d.id,
+      type: d.type,
+      severity: d.severity,
+      priority: SEVERITY_PRIORITY[d.severity] || 3
+    }))
+    .sort((a, b) => a.priority - b.priority)
+    .map(d => ({ ...d, recommendation: d.priority <= 2 ? "CRITICAL - deploy all drones" : "Normal response" }));
+}
+
+// Not enough battery left to reach home even without the reserve
+function generateEmergencyProtocols(drones) {
+  const emergencies = drones.filter(d => d.endurance && d.endurance.returnPct > 0 && d.battery < d.endurance.returnPct);
   return {
-    avg_efficiency: avg,
-    waste: (1 - avg) * 100
+    active: emergencies.map(d => d.callsign),
+    emergency_level: emergencies.length > 0 ? "critical" : "normal",
+    recommendations: emergencies.length > 0 ? ["Land low-battery drones at the nearest safe spot"] : []
   };
 }
 
-function analyzeSwarmIntelligence(drones) {
+// ---------------- Flying conditions ----------------
+
+// One assessment per located drone and per open disaster area
+export async function assessConditions(drones, disasters, environment, areaRadiusM) {
+  const located = drones.filter(d => Number.isFinite(d.location?.lat) && Number.isFinite(d.location?.lng) &&
+    !(d.location.lat === 0 && d.location.lng === 0));
+  const open = disasters.filter(d => d.status !== "resolved" && Number.isFinite(d.coordinates?.lat));
+
+  const droneChecks = [];
+  for (const d of located) {
+    droneChecks.push({ drone: d.callsign, ...(await environment.assessLocation(d.location.lat, d.location.lng)) });
+  }
+  const areaChecks = [];
+  for (const dis of open) {
+    areaChecks.push({ disaster: dis.id, type: dis.type, ...(await environment.assessArea(dis.coordinates, areaRadiusM)) });
+  }
+  return { providers: environment.providers, drones: droneChecks, areas: areaChecks };
+}
+
+// The weather, terrain and flight sections of system-health
+export function conditionSections(conditions) {
   return {
-    decision_score: drones.filter(d => d.mode === "AUTO").length / (drones.length || 1),
-    comm_quality: 0.9,
-    coordination: 0.8
+    weather: analyzeWeatherConditions(conditions),
+    terrain: optimizeTerrainNavigation(conditions),
+    flight: summarizeFlightConditions(conditions)
   };
 }
 
-function prioritizeMissions(drones, disasters) {
-  return disasters.map(d => ({
-    id: d._id,
-    type: d.type,
-    priority: d.priority || 5,
-    recommendation: d.priority <= 2 ? "CRITICAL - deploy all drones" : "Normal response"
-  }));
+const weatherFields = (w) => ({
+  wind_ms: w?.windMs ?? null,
+  gust_ms: w?.gustMs ?? null,
+  wind_dir_deg: w?.windDirDeg ?? null,
+  visibility_m: w?.visibilityM ?? null,
+  precipitation: w?.precipitation ?? null,
+  observed_at: w?.observedAt ?? null
+});
+
+function analyzeWeatherConditions({ providers, drones, areas }) {
+  return {
+    source: providers.weather,
+    drones: drones.map(c => ({ drone: c.drone, ...weatherFields(c.weather), status: c.status, reasons: c.reasons })),
+    areas: areas.map(c => ({ disaster: c.disaster, type: c.type, ...weatherFields(c.weather), status: c.weatherStatus }))
+  };
 }
 
-function generateEmergencyProtocols(drones) {
-  const emergencies = drones.filter(d => d.battery < 15);
+function optimizeTerrainNavigation({ providers, drones, areas }) {
   return {
-    active: emergencies.map(d => d.callsign),
-    emergency_level: emergencies.length > 0 ? "critical" : "normal",
-    recommendations: emergencies.length > 0 ? ["Activate RTL for low-battery drones"] : []
+    source: providers.terrain,
+    drones: drones.map(c => ({ drone: c.drone, elevation_m: c.elevationM })),
+    areas: areas.map(c => ({
+      disaster: c.disaster,
+      type: c.type,
+      base_m: c.terrain.baseM,
+      highest_m: c.terrain.highestM,
+      relief_m: c.terrain.reliefM,
+      recommended_altitude_m: c.terrain.recommendedAltitudeM,
+      status: c.terrainStatus
+    }))
+  };
+}
+
+// Go / caution / no-go per drone location and per disaster area
+function summarizeFlightConditions({ drones, areas }) {
+  const all = [...drones, ...areas];
+  const count = (status) => all.filter(c => c.status === status).length;
+  return {
+    go: count("go"),
+    caution: count("caution"),
+    no_go: count("no-go"),
+    drones: drones.map(c => ({ drone: c.drone, status: c.status, reasons: c.reasons })),
+    areas: areas.map(c => ({ disaster: c.disaster, type: c.type, status: c.status, reasons: c.reasons }))
   };
 }
@@ -0,0 +1,152 @@
+import { scoreDroneForMission } from "./assignment.js";
+
+// Cost used for impossible pairings (ineligible drone, padding). Large enough
+// that the solver first maximises the number of real assignments, then
+// minimises their total score.
+const BLOCKED = 1e6;
+
+// ---------------- Hungarian algorithm ----------------
+// Min-cost perfect matching on a square matrix, O(n^3) with row/column
+// potentials. Returns rowToCol where rowToCol[i] is the column for row i.
+export function hungarian(cost) {
+  const n = cost.length;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const p = new Array(n + 1).fill(0);   // p[j]: row matched to column j (1-based)
+  const way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const rowToCol = new Array(n).fill(-1);
+  for (let j = 1; j <= n; j++) {
+    if (p[j]) rowToCol[p[j] - 1] = j - 1;
+  }
+  return rowToCol;
+}
+
+// ---------------- Fleet allocation ----------------
+
+// Solves one priority tier: every mission against every still-free drone
+function allocateTier(missions, drones, options) {
+  const evaluations = missions.map((m) => drones.map((d) => scoreDroneForMission(d, m, options)));
+  const size = Math.max(missions.length, drones.length);
+  const cost = Array.from({ length: size }, (_, i) =>
+    Array.from({ length: size }, (_, j) => {
+      const e = evaluations[i]?.[j];
+      return e?.eligible ? e.score : BLOCKED;
+    })
+  );
+
+  const rowToCol = hungarian(cost);
+  const assignments = [];
+  const unassigned = [];
+
+  missions.forEach((mission, i) => {
+    const j = rowToCol[i];
+    const evaluation = evaluations[i][j];
+    if (evaluation?.eligible) {
+      assignments.push({ mission, drone: drones[j], evaluation, candidates: evaluations[i] });
+    } else {
+      const eligible = evaluations[i].filter((e) => e.eligible).length;
+      unassigned.push({
+        mission,
+        reason: eligible ? "eligible drones taken by better matches" : "no eligible drone",
+        candidates: evaluations[i]
+      });
+    }
+  });
+
+  return { assignments, unassigned };
+}
+
+// Allocates queued missions to available drones. Priority is a hard tier:
+// priority 1 missions are matched first against the whole free fleet, then
+// priority 2 against whatever is left, and so on.
+export function planAllocation(missions, drones, options = {}) {
+  const tiers = new Map();
+  for (const m of missions) {
+    const p = m.priority ?? 5;
+    if (!tiers.has(p)) tiers.set(p, []);
+    tiers.get(p).push(m);
+  }
+
+  let free = [...drones];
+  const assignments = [];
+  const unassigned = [];
+
+  for (const priority of [...tiers.keys()].sort((a, b) => a - b)) {
+    const tierMissions = tiers.get(priority);
+    if (!free.length) {
+      tierMissions.forEach((mission) => unassigned.push({ mission, reason: "no free drones", candidates: [] }));
+      continue;
+    }
+
+    const result = allocateTier(tierMissions, free, options);
+    assignments.push(...result.assignments);
+    unassigned.push(...result.unassigned);
+
+    const taken = new Set(result.assignments.map((a) => a.drone.callsign));
+    free = free.filter((d) => !taken.has(d.callsign));
+  }
+
+  const totalScore = assignments.reduce((sum, a) => sum + a.evaluation.score, 0);
+  return { assignments, unassigned, totalScore: Math.round(totalScore * 100) / 100 };
+}
+
+// Plain JSON view of a plan for the API and logs
+export function summarizePlan(plan) {
+  return {
+    totalScore: plan.totalScore,
+    assignments: plan.assignments.map((a) => ({
+      missionId: a.mission._id,
+      missionName: a.mission.name,
+      priority: a.mission.priority,
+      callsign: a.drone.callsign,
+      ...a.evaluation
+    })),
+    unassigned: plan.unassigned.map((u) => ({
+      missionId: u.mission._id,
+      missionName: u.mission.name,
+      priority: u.mission.priority,
+      reason: u.reason,
+      candidates: u.candidates
+    }))
+  };
+}
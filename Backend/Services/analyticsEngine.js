@@ -0,0 +1,345 @@
+import Drone from "../Models/Drone.js";
+import Mission from "../Models/Missions.js";
+import Disaster from "../Models/Disaster.js";
+import { haversineMeters } from "./geofence.js";
+import { BUSY_STATUSES, TERMINAL_STATUSES } from "./missionLifecycle.js";
+import { analyzeFleet, assessConditions, conditionSections } from "./aiAnalytics.js";
+import { maintenanceStatus } from "./maintenance.js";
+
+// Fleet analytics kept in memory and updated as drones, missions and disasters
+// change, instead of reloading every document on a timer.
+//
+// - records: the latest state of each drone, open or recent mission, and disaster
+// - per-minute buckets per drone: time online, time busy, distance and battery used on missions
+// - coverage: the last time each ~20 m ground cell was under a drone flying a mission
+//
+// Windowed metrics (report) are read from these; system-health goes out as the
+// sections that changed since the last emit. Telemetry aggregates start empty
+// when the server starts; mission and disaster history is reloaded.
+
+const DEFAULTS = {
+  retentionMs: 24 * 3600 * 1000,   // longest window that can be reported
+  emitIntervalMs: 1000,            // changes are batched for this long before emitting
+  conditionsIntervalMs: 30000,     // weather/terrain assessments refresh
+  linkStaleMs: 10000,
+  coverageCellM: 20,
+  footprintRadiusM: 30,            // ground radius a drone's camera is counted as covering
+  maxLegM: 2000,                   // longer jumps between samples are GPS glitches, not flight
+  energyPctPerKm: null,            // planning assumption, reported alongside the measured figure
+  areaRadiusM: 300
+};
+
+const BUCKET_MS = 60000;
+const HOUR_MS = 3600000;
+const M_PER_DEG = 111320;
+
+const ms = (value) => (value ? new Date(value).getTime() : null);
+const hasFix = (loc) => Number.isFinite(loc?.lat) && Number.isFinite(loc?.lng) && !(loc.lat === 0 && loc.lng === 0);
+
+// ---------------- Records ----------------
+
+export function droneRecord(doc) {
+  return {
+    callsign: doc.callsign,
+    type: doc.type,
+    battery: doc.battery,
+    mode: doc.mode,
+    location: { lat: doc.location?.lat, lng: doc.location?.lng, alt: doc.location?.alt },
+    lastSeen: ms(doc.lastSeen),
+    endurance: doc.endurance?.at ? { ...(doc.endurance.toObject?.() ?? doc.endurance) } : null,
+    batteryModel: doc.batteryModel?.samples > 0 ? { ...(doc.batteryModel.toObject?.() ?? doc.batteryModel) } : null,
+    maintenance: maintenanceRecord(doc.maintenance)
+  };
+}
+
+export function missionRecord(doc) {
+  const history = doc.statusHistory || [];
+  const firstActive = history.find((h) => h.status === "active");
+  const closing = TERMINAL_STATUSES.includes(doc.status) ? history[history.length - 1] : null;
+  const reached = (doc.waypointsReached || []).map((w) => ms(w.at)).filter(Boolean);
+  return {
+    id: String(doc._id),
+    name: doc.name,
+    status: doc.status,
+    assignedTo: doc.assignedTo,
+    priority: doc.priority,
+    disasterId: doc.disasterId ? String(doc.disasterId) : null,
+    createdAt: ms(doc.createdAt),
+    assignedAt: ms(firstActive?.at),
+    arrivedAt: reached.length ? Math.min(...reached) : null,
+    closedAt: closing ? ms(closing.at) : null
+  };
+}
+
+export function disasterRecord(doc) {
+  return {
+    id: String(doc._id),
+    type: doc.type,
+    severity: doc.severity,
+    status: doc.status,
+    coordinates: doc.coordinates ? { lat: doc.coordinates.lat, lng: doc.coordinates.lng } : null,
+    assignedDrones: [...(doc.assignedDrones || [])],
+    detectedAt: ms(doc.detectedAt),
+    resolvedAt: ms(doc.resolvedAt)
+  };
+}
+
+function maintenanceRecord(maintenance) {
+  const { status, components } = maintenanceStatus(maintenance);
+  return {
+    status,
+    grounded: !!maintenance?.grounded,
+    components: components.filter((c) => c.status !== "ok").map((c) => ({ name: c.name, kind: c.kind, status: c.status, limitedBy: c.limitedBy }))
+  };
+}
+
+// { count, meanS, p50S, p90S } of durations in milliseconds
+function durationStats(values) {
+  if (!values.length) return { count: 0, meanS: null, p50S: null, p90S: null };
+  const sorted = [...values].sort((a, b) => a - b);
+  const pick = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  const seconds = (v) => Math.round(v / 100) / 10;
+  return {
+    count: values.length,
+    meanS: seconds(values.reduce((a, b) => a + b, 0) / values.length),
+    p50S: seconds(pick(0.5)),
+    p90S: seconds(pick(0.9))
+  };
+}
+
+// ---------------- Engine ----------------
+
+// emit(payload) sends a system-health update: { full, at, ...sections }
+export function createAnalyticsEngine({ environment, emit, ...options }) {
+  const opts = { ...DEFAULTS, ...options };
+  const drones = new Map();
+  const missions = new Map();
+  const disasters = new Map();
+  const buckets = new Map();      // minute -> Map callsign -> { onlineMs, busyMs, distanceM, drainPct }
+  const coverage = new Map();     // "row:col" -> last covered at
+  const samples = new Map();      // callsign -> previous telemetry record
+  let conditions = { providers: environment.providers, drones: [], areas: [] };
+  let sent = new Map();           // section -> JSON last emitted
+  let flushTimer = null;
+
+  const isBusy = (callsign) => [...missions.values()].some((m) => m.assignedTo === callsign && BUSY_STATUSES.includes(m.status));
+
+  function bucketFor(t, callsign) {
+    const minute = Math.floor(t / BUCKET_MS) * BUCKET_MS;
+    if (!buckets.has(minute)) buckets.set(minute, new Map());
+    const perDrone = buckets.get(minute);
+    if (!perDrone.has(callsign)) perDrone.set(callsign, { onlineMs: 0, busyMs: 0, distanceM: 0, drainPct: 0 });
+    return perDrone.get(callsign);
+  }
+
+  // Cells whose centre lies within the footprint; columns are sized at each row's latitude
+  function markCoverage({ lat, lng }, t) {
+    const cellLat = opts.coverageCellM / M_PER_DEG;
+    const reach = Math.ceil(opts.footprintRadiusM / opts.coverageCellM);
+    const row0 = Math.floor(lat / cellLat);
+    for (let dr = -reach; dr <= reach; dr++) {
+      const row = row0 + dr;
+      const rowLat = (row + 0.5) * cellLat;
+      const cellLng = opts.coverageCellM / (M_PER_DEG * Math.cos((rowLat * Math.PI) / 180));
+      const col0 = Math.floor(lng / cellLng);
+      for (let dc = -reach; dc <= reach; dc++) {
+        const col = col0 + dc;
+        if (haversineMeters([lat, lng], [rowLat, (col + 0.5) * cellLng]) <= opts.footprintRadiusM) {
+          coverage.set(`${row}:${col}`, t);
+        }
+      }
+    }
+  }
+
+  function schedule() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flush();
+    }, opts.emitIntervalMs);
+  }
+
+  // ---------------- Events ----------------
+
+  function recordDrone(doc) {
+    const rec = droneRecord(doc);
+    const prev = samples.get(rec.callsign);
+    const busy = isBusy(rec.callsign);
+    if (prev && rec.lastSeen > prev.lastSeen) {
+      const bucket = bucketFor(rec.lastSeen, rec.callsign);
+      const dt = Math.min(rec.lastSeen - prev.lastSeen, opts.linkStaleMs);
+      bucket.onlineMs += dt;
+      if (busy) {
+        bucket.busyMs += dt;
+        const leg = hasFix(prev.location) && hasFix(rec.location)
+          ? haversineMeters([prev.location.lat, prev.location.lng], [rec.location.lat, rec.location.lng])
+          : 0;
+        if (leg <= opts.maxLegM) bucket.distanceM += leg;
+        if (Number.isFinite(prev.battery) && rec.battery < prev.battery) bucket.drainPct += prev.battery - rec.battery;
+      }
+    }
+    if (busy && hasFix(rec.location)) markCoverage(rec.location, rec.lastSeen || Date.now());
+    if (!prev || rec.lastSeen >= prev.lastSeen) samples.set(rec.callsign, rec);
+    drones.set(rec.callsign, rec);
+    schedule();
+  }
+
+  function recordMission(doc) {
+    const rec = missionRecord(doc);
+    missions.set(rec.id, rec);
+    schedule();
+  }
+
+  function recordDisaster(doc) {
+    const rec = disasterRecord(doc);
+    disasters.set(rec.id, rec);
+    schedule();
+  }
+
+  // Current drones, open or recently closed missions, and disasters
+  async function load() {
+    const since = new Date(Date.now() - opts.retentionMs);
+    for (const doc of await Drone.find().lean().exec()) drones.set(doc.callsign, droneRecord(doc));
+    const recentMissions = await Mission.find({
+      $or: [{ status: { $nin: TERMINAL_STATUSES } }, { createdAt: { $gte: since } }, { "statusHistory.at": { $gte: since } }]
+    }).select("name status assignedTo priority disasterId createdAt statusHistory waypointsReached").lean().exec();
+    for (const doc of recentMissions) missions.set(String(doc._id), missionRecord(doc));
+    const recentDisasters = await Disaster.find({
+      $or: [{ status: { $ne: "resolved" } }, { resolvedAt: { $gte: since } }, { detectedAt: { $gte: since } }]
+    }).select("-updates -statusHistory").lean().exec();
+    for (const doc of recentDisasters) disasters.set(String(doc._id), disasterRecord(doc));
+  }
+
+  // ---------------- Metrics ----------------
+
+  function prune(now) {
+    const cutoff = now - opts.retentionMs;
+    for (const [id, m] of missions) if (m.closedAt && m.closedAt < cutoff) missions.delete(id);
+    for (const [id, d] of disasters) if (d.status === "resolved" && d.resolvedAt && d.resolvedAt < cutoff) disasters.delete(id);
+    for (const minute of buckets.keys()) if (minute + BUCKET_MS < cutoff) buckets.delete(minute);
+    for (const [cell, t] of coverage) if (t < cutoff) coverage.delete(cell);
+  }
+
+  // Per-drone totals of the minute buckets that overlap [from, to]
+  function bucketTotals(from, to) {
+    const totals = new Map();
+    for (const [minute, perDrone] of buckets) {
+      if (minute + BUCKET_MS <= from || minute > to) continue;
+      for (const [callsign, b] of perDrone) {
+        const t = totals.get(callsign) || { onlineMs: 0, busyMs: 0, distanceM: 0, drainPct: 0 };
+        totals.set(callsign, {
+          onlineMs: t.onlineMs + b.onlineMs,
+          busyMs: t.busyMs + b.busyMs,
+          distanceM: t.distanceM + b.distanceM,
+          drainPct: t.drainPct + b.drainPct
+        });
+      }
+    }
+    return totals;
+  }
+
+  // Throughput, time-to-assign, time-to-scene, coverage and utilization over the last windowMs
+  function report(windowMs, now = Date.now()) {
+    const span = Math.min(windowMs, opts.retentionMs);
+    const from = now - span;
+    const inWindow = (t) => t !== null && t >= from && t <= now;
+    const all = [...missions.values()];
+
+    const closed = {};
+    for (const status of TERMINAL_STATUSES) closed[status] = all.filter((m) => m.status === status && inWindow(m.closedAt)).length;
+
+    const totals = bucketTotals(from, now);
+    const sum = (key) => [...totals.values()].reduce((acc, t) => acc + t[key], 0);
+    const share = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+    const coveredCells = [...coverage.values()].filter((t) => t >= from).length;
+    const allDisasters = [...disasters.values()];
+
+    return {
+      window: { from: new Date(from), to: new Date(now), ms: span },
+      missions: {
+        created: all.filter((m) => inWindow(m.createdAt)).length,
+        ...closed,
+        open: all.filter((m) => !TERMINAL_STATUSES.includes(m.status)).length,
+        throughputPerHour: Math.round((closed.completed / (span / HOUR_MS)) * 100) / 100
+      },
+      timeToAssign: durationStats(all.filter((m) => inWindow(m.assignedAt)).map((m) => m.assignedAt - m.createdAt)),
+      timeToScene: durationStats(all.filter((m) => m.assignedAt && inWindow(m.arrivedAt)).map((m) => m.arrivedAt - m.assignedAt)),
+      coverage: {
+        cells: coveredCells,
+        areaM2: Math.round(coveredCells * opts.coverageCellM ** 2),
+        cellM: opts.coverageCellM
+      },
+      utilization: {
+        fleet: share(sum("busyMs"), sum("onlineMs")),
+        drones: [...totals.entries()].map(([callsign, t]) => ({
+          callsign,
+          utilization: share(t.busyMs, t.onlineMs),
+          onlineS: Math.round(t.onlineMs / 1000),
+          busyS: Math.round(t.busyMs / 1000),
+          distanceKm: Math.round(t.distanceM / 100) / 10
+        }))
+      },
+      disasters: {
+        detected: allDisasters.filter((d) => inWindow(d.detectedAt)).length,
+        resolved: allDisasters.filter((d) => d.status === "resolved" && inWindow(d.resolvedAt)).length,
+        open: allDisasters.filter((d) => d.status !== "resolved").length
+      }
+    };
+  }
+
+  // ---------------- system-health ----------------
+
+  function sections(now = Date.now()) {
+    const lastHour = report(HOUR_MS, now);
+    const energy = bucketTotals(now - HOUR_MS, now);
+    return {
+      ...analyzeFleet(
+        { drones: [...drones.values()], missions: [...missions.values()], disasters: [...disasters.values()], energy },
+        { now, linkStaleMs: opts.linkStaleMs, energyPctPerKm: opts.energyPctPerKm }
+      ),
+      ...conditionSections(conditions),
+      metrics: {
+        throughput_per_hour: lastHour.missions.throughputPerHour,
+        mean_time_to_assign_s: lastHour.timeToAssign.meanS,
+        mean_time_to_scene_s: lastHour.timeToScene.meanS,
+        coverage_m2: lastHour.coverage.areaM2,
+        fleet_utilization: lastHour.utilization.fleet
+      }
+    };
+  }
+
+  // Emits the sections whose content changed since the last emit
+  function flush(now = Date.now()) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    const changed = {};
+    const next = new Map();
+    for (const [name, value] of Object.entries(sections(now))) {
+      const json = JSON.stringify(value);
+      next.set(name, json);
+      if (sent.get(name) !== json) changed[name] = value;
+    }
+    sent = next;
+    if (Object.keys(changed).length) emit({ full: false, at: now, ...changed });
+  }
+
+  // Everything, for a client that just connected
+  function snapshot() {
+    const now = Date.now();
+    return { full: true, at: now, ...sections(now) };
+  }
+
+  async function refreshConditions() {
+    conditions = await assessConditions([...drones.values()], [...disasters.values()], environment, opts.areaRadiusM);
+    prune(Date.now());
+    flush();
+  }
+
+  function start() {
+    const tick = () => refreshConditions().catch((e) => console.error("Analytics error", e));
+    tick();
+    return setInterval(tick, opts.conditionsIntervalMs);
+  }
+
+  return { load, start, recordDrone, recordMission, recordDisaster, report, snapshot, flush };
+}
@@ -0,0 +1,341 @@
+import { pointInPolygon, segmentIntersectsPolygon } from "./geofence.js";
+import { SEARCH_PATTERNS } from "../../shared/schemas.js";
+
+// Coverage search patterns over a disaster area, split into one sub-area per drone.
+//
+//   lawnmower         back-and-forth sweeps; the area is cut into strips of equal size
+//   expanding_square  squares spiralling out from the centre; drones take consecutive rings
+//   sector            out-and-back petals around the centre; drones take a wedge each
+//
+// Planning happens on a flat north/east metre grid around the centre. Points
+// are [north, east] so the planar helpers in geofence.js, which read [y, x],
+// work on them unchanged.
+
+const DEFAULTS = {
+  altitudeM: 40,      // metres above take-off
+  hfovDeg: 84,        // camera horizontal field of view (same default as Models/Camera.js)
+  overlap: 0.2,       // fraction of each sweep seen again by the next one
+  zoneMarginM: 20,    // distance kept from no-fly zones when routing around them
+  circleSides: 32     // vertices used for a radius area
+};
+
+const DEG = Math.PI / 180;
+const EARTH_RADIUS_M = 6371000;
+const ROUND = 1e7;
+
+function localFrame(origin) {
+  const ky = EARTH_RADIUS_M * DEG;
+  const kx = ky * Math.cos(origin.lat * DEG);
+  return {
+    toLocal: ([lat, lng]) => [(lat - origin.lat) * ky, (lng - origin.lng) * kx],
+    toLatLng: ([n, e]) => [Math.round((origin.lat + n / ky) * ROUND) / ROUND, Math.round((origin.lng + e / kx) * ROUND) / ROUND]
+  };
+}
+
+// Distance between neighbouring sweeps: the ground width the camera sees from
+// altitudeM, less the overlap
+export function sweepSpacingM({ altitudeM = DEFAULTS.altitudeM, hfovDeg = DEFAULTS.hfovDeg, overlap = DEFAULTS.overlap } = {}) {
+  return 2 * altitudeM * Math.tan((hfovDeg * DEG) / 2) * (1 - overlap);
+}
+
+// ---------------- Plane geometry ----------------
+
+const polar = (r, bearing) => [r * Math.cos(bearing), r * Math.sin(bearing)];
+const rotate = ([n, e], angle) => [n * Math.cos(angle) - e * Math.sin(angle), n * Math.sin(angle) + e * Math.cos(angle)];
+const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+function polygonArea(poly) {
+  let sum = 0;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) sum += poly[j][1] * poly[i][0] - poly[i][1] * poly[j][0];
+  return Math.abs(sum) / 2;
+}
+
+function pathLength(path) {
+  let sum = 0;
+  for (let i = 1; i < path.length; i++) sum += dist(path[i - 1], path[i]);
+  return sum;
+}
+
+function eastBounds(poly) {
+  const east = poly.map((p) => p[1]);
+  return { min: Math.min(...east), max: Math.max(...east) };
+}
+
+// Part of the polygon with lo <= east <= hi (Sutherland-Hodgman on two half-planes)
+function clipEast(poly, lo, hi) {
+  const clip = (points, inside, cut) => {
+    const out = [];
+    for (let i = 0; i < points.length; i++) {
+      const cur = points[i];
+      const prev = points[(i + points.length - 1) % points.length];
+      if (inside(cur)) {
+        if (!inside(prev)) out.push(cut(prev, cur));
+        out.push(cur);
+      } else if (inside(prev)) {
+        out.push(cut(prev, cur));
+      }
+    }
+    return out;
+  };
+  const cutAt = (e) => (a, b) => [a[0] + ((e - a[1]) * (b[0] - a[0])) / (b[1] - a[1]), e];
+  const left = clip(poly, (p) => p[1] >= lo, cutAt(lo));
+  return left.length ? clip(left, (p) => p[1] <= hi, cutAt(hi)) : [];
+}
+
+// Sorted north values where the line east = e crosses the polygon's edges
+function crossings(poly, e) {
+  const ns = [];
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [a, b] = [poly[j], poly[i]];
+    if ((a[1] <= e && e < b[1]) || (b[1] <= e && e < a[1])) {
+      ns.push(a[0] + ((e - a[1]) * (b[0] - a[0])) / (b[1] - a[1]));
+    }
+  }
+  return ns.sort((x, y) => x - y);
+}
+
+function convexHull(points) {
+  const pts = [...points].sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+  if (pts.length < 3) return pts;
+  const cross = (o, a, b) => (a[1] - o[1]) * (b[0] - o[0]) - (a[0] - o[0]) * (b[1] - o[1]);
+  const half = (list) => {
+    const out = [];
+    for (const p of list) {
+      while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 0) out.pop();
+      out.push(p);
+    }
+    out.pop();
+    return out;
+  };
+  return [...half(pts), ...half([...pts].reverse())];
+}
+
+// Where segment a-b crosses segment c-d, as a fraction along a-b (or null)
+function crossingAt(a, b, c, d) {
+  const r = [b[0] - a[0], b[1] - a[1]];
+  const s = [d[0] - c[0], d[1] - c[1]];
+  const denom = r[1] * s[0] - r[0] * s[1];
+  if (Math.abs(denom) < 1e-12) return null;
+  const t = ((c[1] - a[1]) * s[0] - (c[0] - a[0]) * s[1]) / denom;
+  const u = ((c[1] - a[1]) * r[0] - (c[0] - a[0]) * r[1]) / denom;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+// ---------------- No-fly zones ----------------
+
+// A zone in local coordinates plus a convex hull around it, pushed out by the
+// margin, whose edges are safe to fly along
+function obstacleFor(zone, frame, marginM) {
+  const polygon = zone.polygon.map(frame.toLocal);
+  const hull = convexHull(polygon);
+  const c = hull.reduce((acc, p) => [acc[0] + p[0] / hull.length, acc[1] + p[1] / hull.length], [0, 0]);
+  const pushed = hull.map((p) => {
+    const d = dist(p, c) || 1;
+    return [p[0] + ((p[0] - c[0]) / d) * marginM, p[1] + ((p[1] - c[1]) / d) * marginM];
+  });
+  return { polygon, hull: convexHull(pushed) };
+}
+
+// Hull corners to fly through instead of the leg a-b: whichever way round is shorter
+function detour(a, b, hull) {
+  const hits = [];
+  for (let i = 0; i < hull.length; i++) {
+    const t = crossingAt(a, b, hull[i], hull[(i + 1) % hull.length]);
+    if (t !== null) hits.push({ t, edge: i });
+  }
+  if (hits.length < 2) return [];
+  hits.sort((x, y) => x.t - y.t);
+  const entry = hits[0].edge;
+  const exit = hits[hits.length - 1].edge;
+  const h = hull.length;
+
+  const forward = [];
+  for (let i = (entry + 1) % h; ; i = (i + 1) % h) {
+    forward.push(hull[i]);
+    if (i === exit) break;
+  }
+  const backward = [];
+  for (let i = entry; ; i = (i + h - 1) % h) {
+    backward.push(hull[i]);
+    if (i === (exit + 1) % h) break;
+  }
+  const cost = (via) => pathLength([a, ...via, b]);
+  return cost(forward) <= cost(backward) ? forward : backward;
+}
+
+// Drops waypoints that fall inside a zone (or its margin) and routes legs that
+// cross one around it. Legs are re-checked after each detour, since going
+// round one zone can clip another.
+function avoidZones(path, obstacles) {
+  if (!obstacles.length) return path;
+  let points = path.filter((p) => !obstacles.some((o) => pointInPolygon(p, o.hull)));
+  for (let pass = 0; pass < 4; pass++) {
+    let changed = false;
+    const out = points.slice(0, 1);
+    for (const next of points.slice(1)) {
+      const from = out[out.length - 1];
+      const blocking = obstacles.find((o) => segmentIntersectsPolygon(from, next, o.polygon));
+      const via = blocking ? detour(from, next, blocking.hull) : [];
+      if (via.length) changed = true;
+      out.push(...via, next);
+    }
+    points = out;
+    if (!changed) break;
+  }
+  return points;
+}
+
+// ---------------- Patterns ----------------
+// Each returns [{ path, area }] in local coordinates, one per drone
+
+// Cuts along east so each strip has the same area
+function splitStrips(poly, count) {
+  const { min, max } = eastBounds(poly);
+  const total = polygonArea(poly);
+  const cuts = [min];
+  for (let k = 1; k < count; k++) {
+    let lo = cuts[cuts.length - 1];
+    let hi = max;
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      if (polygonArea(clipEast(poly, min, mid)) < (total * k) / count) lo = mid;
+      else hi = mid;
+    }
+    cuts.push((lo + hi) / 2);
+  }
+  cuts.push(max);
+  return cuts.slice(1).map((hi, k) => clipEast(poly, cuts[k], hi)).filter((strip) => strip.length >= 3);
+}
+
+// North-south sweeps `spacing` apart, centred in the strip, alternating direction
+function sweepStrip(strip, spacing) {
+  const { min, max } = eastBounds(strip);
+  const lines = Math.max(1, Math.ceil((max - min) / spacing));
+  const first = min + (max - min - (lines - 1) * spacing) / 2;
+  const path = [];
+  let reverse = false;
+  for (let k = 0; k < lines; k++) {
+    const e = first + k * spacing;
+    const ns = crossings(strip, e);
+    const runs = [];
+    for (let i = 0; i + 1 < ns.length; i += 2) runs.push([ns[i], ns[i + 1]]);
+    if (!runs.length) continue;
+    if (reverse) runs.reverse().forEach((run) => run.reverse());
+    for (const [a, b] of runs) path.push([a, e], [b, e]);
+    reverse = !reverse;
+  }
+  return path;
+}
+
+// Sweeps run along the area's long axis: of a dozen headings, the one that
+// needs the fewest sweeps (smallest east-west width) is used
+function lawnmower(area, { count, spacing }) {
+  let best = { angle: 0, width: Infinity };
+  for (let i = 0; i < 12; i++) {
+    const angle = (i * Math.PI) / 12;
+    const { min, max } = eastBounds(area.map((p) => rotate(p, angle)));
+    if (max - min < best.width) best = { angle, width: max - min };
+  }
+  const turned = area.map((p) => rotate(p, best.angle));
+  return splitStrips(turned, count).map((strip) => ({
+    path: sweepStrip(strip, spacing).map((p) => rotate(p, -best.angle)),
+    area: strip.map((p) => rotate(p, -best.angle))
+  }));
+}
+
+// Splits a path into `count` consecutive pieces of similar length, sharing end points
+function splitPath(points, count) {
+  const total = pathLength(points);
+  const pieces = [];
+  let start = 0;
+  let run = 0;
+  for (let i = 1; i < points.length && pieces.length < count - 1; i++) {
+    run += dist(points[i - 1], points[i]);
+    if (run >= (total * (pieces.length + 1)) / count && i < points.length - 1) {
+      pieces.push(points.slice(start, i + 1));
+      start = i;
+    }
+  }
+  pieces.push(points.slice(start));
+  return pieces;
+}
+
+// Legs N, E, S, W growing by one spacing every second leg until the square spans the radius
+function expandingSquare(area, { count, spacing, reach }) {
+  const dirs = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+  const points = [[0, 0]];
+  for (let leg = 0; ; leg++) {
+    const len = spacing * (Math.floor(leg / 2) + 1);
+    if (len > 2 * reach + spacing) break;
+    const [n, e] = points[points.length - 1];
+    points.push([n + dirs[leg % 4][0] * len, e + dirs[leg % 4][1] * len]);
+  }
+  return splitPath(points, count).map((path) => ({ path, area: null }));
+}
+
+// Radial lines close enough that their ends are `spacing` apart at the edge; each
+// petal flies out along one line, across, and back in along the next
+function sector(area, { count, spacing, reach }) {
+  let lines = Math.ceil((2 * Math.PI * reach) / spacing);
+  lines = Math.min(Math.max(lines + (lines % 2), 6), 360);
+  const step = (2 * Math.PI) / lines;
+  const petals = lines / 2;
+  const wedges = Math.min(count, petals);
+  return Array.from({ length: wedges }, (_, i) => {
+    const from = Math.floor((i * petals) / wedges);
+    const to = Math.floor(((i + 1) * petals) / wedges);
+    const path = [[0, 0]];
+    for (let k = from; k < to; k++) path.push(polar(reach, 2 * k * step), polar(reach, (2 * k + 1) * step), [0, 0]);
+    const arc = [];
+    for (let k = 2 * from; k <= 2 * to; k++) arc.push(polar(reach, k * step));
+    return { path, area: [[0, 0], ...arc] };
+  });
+}
+
+const PATTERNS = { lawnmower, expanding_square: expandingSquare, sector };
+
+// ---------------- Planner ----------------
+
+// center:  { lat, lng } the pattern is built around (radial patterns start here)
+// polygon: [[lat, lng], ...] area to cover; otherwise a circle of radiusM
+// count:   drones to split the area between
+// zones:   active no-fly zones to route around
+// Returns { pattern, spacingM, altitudeM, areaM2, sectors: [{ index, waypoints: [[lat, lng, alt]], lengthM, area }] }
+export function planAreaSearch({ pattern, center, polygon = null, radiusM = null, count = 1, zones = [], options = {} }) {
+  if (!SEARCH_PATTERNS.includes(pattern)) {
+    const err = new Error(`Unknown search pattern '${pattern}'`);
+    err.status = 400;
+    throw err;
+  }
+  const opts = { ...DEFAULTS, ...options };
+  const frame = localFrame(center);
+  const spacing = sweepSpacingM(opts);
+
+  const area = polygon?.length >= 3
+    ? polygon.map(frame.toLocal)
+    : Array.from({ length: opts.circleSides }, (_, i) => polar(radiusM, (2 * Math.PI * i) / opts.circleSides));
+  // Radial patterns cover the circle that holds the whole area
+  const reach = Math.max(...area.map((p) => Math.hypot(p[0], p[1])));
+
+  const obstacles = zones
+    .filter((z) => z.polygon?.length >= 3)
+    .map((z) => obstacleFor(z, frame, opts.zoneMarginM));
+
+  const sectors = PATTERNS[pattern](area, { count: Math.max(1, count), spacing, reach })
+    .map(({ path, area: sub }) => ({ path: avoidZones(path, obstacles), area: sub }))
+    .filter(({ path }) => path.length > 0)
+    .map(({ path, area: sub }, index) => ({
+      index,
+      waypoints: path.map((p) => [...frame.toLatLng(p), opts.altitudeM]),
+      lengthM: Math.round(pathLength(path)),
+      area: sub ? sub.map(frame.toLatLng) : null
+    }));
+
+  return {
+    pattern,
+    spacingM: Math.round(spacing * 10) / 10,
+    altitudeM: opts.altitudeM,
+    areaM2: Math.round(polygonArea(area)),
+    sectors
+  };
+}
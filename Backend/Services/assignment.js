@@ -0,0 +1,124 @@
+import { haversineMeters, toLatLng } from "./geofence.js";
+import { predictEndurance, priorModel } from "./batteryModel.js";
+
+// ---------------- Energy model ----------------
+// The battery a drone lands with after the mission comes from the same
+// prediction the in-flight failsafe runs (Services/batteryModel.js): its fitted
+// discharge model when it has one, else the prior built from the flat per-km
+// figure scaled up with payload. A drone accepted here won't have to turn back
+// halfway through.
+const DEFAULTS = {
+  energyPctPerKm: 3,
+  payloadEnergyFactor: 0.5,   // full payload costs 50% more per km
+  cruiseSpeedMs: 10,
+  reservePct: 20,             // battery that must remain on landing
+  distanceWeight: 1,          // cost per km to the first waypoint
+  energyWeight: 0.1           // cost per % battery the mission uses
+};
+
+// Approximate kit weights; unknown items count as 1 kg
+export const SUPPLY_WEIGHTS_KG = {
+  first_aid: 1.5,
+  water: 2,
+  blanket: 1,
+  emergency_kit: 2.5,
+  food: 2,
+  medicine: 0.5
+};
+
+// Supplies are names ("water") or objects ({ name, weightKg, qty })
+export function missionPayloadKg(mission) {
+  return (mission.supplies || []).reduce((sum, item) => {
+    if (item && typeof item === "object") {
+      const each = Number.isFinite(item.weightKg) ? item.weightKg : SUPPLY_WEIGHTS_KG[item.name] ?? 1;
+      return sum + each * (item.qty ?? 1);
+    }
+    return sum + (SUPPLY_WEIGHTS_KG[item] ?? 1);
+  }, 0);
+}
+
+// Drone position -> every waypoint in order -> home (its base or take-off
+// point), or back to where it started when it has no home
+export function routeDistancesKm(drone, waypoints, home = null) {
+  const start = [drone.location?.lat, drone.location?.lng];
+  const points = (waypoints || []).map(toLatLng).filter(Boolean);
+  if (!points.length || !toLatLng(start)) return null;
+  const end = toLatLng(home) || start;
+
+  let legs = 0;
+  for (let i = 0; i < points.length - 1; i++) legs += haversineMeters(points[i], points[i + 1]);
+  const toFirst = haversineMeters(start, points[0]);
+  const back = haversineMeters(points[points.length - 1], end);
+
+  return { toFirstKm: toFirst / 1000, totalKm: (toFirst + legs + back) / 1000 };
+}
+
+// ---------------- Scoring ----------------
+
+// Evaluates one drone for one mission. Lower score is better; ineligible
+// candidates keep their reasons so the decision can be explained later.
+// options.returnPoint(drone) gives where the drone lands afterwards (default drone.home).
+export function scoreDroneForMission(drone, mission, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const reasons = [];
+  const payloadKg = missionPayloadKg(mission);
+  const maxPayloadKg = drone.maxPayloadKg ?? 0;
+
+  if (payloadKg > maxPayloadKg) reasons.push(`payload ${payloadKg.toFixed(1)}kg exceeds ${maxPayloadKg}kg`);
+  if (mission.droneType && drone.type !== mission.droneType) reasons.push(`needs ${mission.droneType}, drone is ${drone.type}`);
+  if (mission.excludedDrones?.includes(drone.callsign)) reasons.push("removed from this drone by an operator");
+
+  const home = (opts.returnPoint ? opts.returnPoint(drone) : drone.home) || drone.location;
+  const route = routeDistancesKm(drone, mission.waypoints, home);
+  const fitted = drone.batteryModel?.samples > 0;
+  const prior = priorModel({ ...opts, maxPayloadKg });
+  const { batteryAtHomePct } = predictEndurance({
+    battery: drone.battery ?? 0,
+    location: drone.location,
+    home,
+    model: fitted ? drone.batteryModel : prior,
+    prior,
+    route: mission.waypoints || [],
+    payloadKg,
+    reservePct: opts.reservePct,
+    cruiseSpeedMs: opts.cruiseSpeedMs
+  });
+  if (!route || batteryAtHomePct === null) {
+    reasons.push("no drone position or waypoints");
+    return { callsign: drone.callsign, eligible: false, reasons, payloadKg };
+  }
+
+  const batteryAfter = batteryAtHomePct;
+  const energyPct = (drone.battery ?? 0) - batteryAfter;
+  if (batteryAfter < opts.reservePct) {
+    reasons.push(`needs ${energyPct.toFixed(1)}% battery, would land with ${batteryAfter.toFixed(1)}% (< ${opts.reservePct}% reserve)`);
+  }
+
+  const score = route.toFirstKm * opts.distanceWeight + energyPct * opts.energyWeight;
+
+  return {
+    callsign: drone.callsign,
+    eligible: reasons.length === 0,
+    reasons,
+    score: round(score),
+    distanceToFirstKm: round(route.toFirstKm),
+    routeKm: round(route.totalKm),
+    payloadKg: round(payloadKg),
+    energyPct: round(energyPct),
+    energyModel: fitted ? "fitted" : "flat",
+    batteryAfter: round(batteryAfter)
+  };
+}
+
+// Scores every candidate and picks the cheapest eligible one
+export function rankDronesForMission(drones, mission, options = {}) {
+  const candidates = drones
+    .map((d) => scoreDroneForMission(d, mission, options))
+    .sort((a, b) => (b.eligible - a.eligible) || ((a.score ?? Infinity) - (b.score ?? Infinity)));
+  const best = candidates.find((c) => c.eligible) || null;
+  return { best, candidates };
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
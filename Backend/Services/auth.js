@@ -0,0 +1,90 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
+import User from "../Models/User.js";
+import { ROLES } from "../../shared/schemas.js";
+
+let settings = { secret: null, tokenTtl: "12h" };
+
+// Called once at startup, after the environment is loaded
+export function configureAuth({ secret, tokenTtl } = {}) {
+  if (!secret) {
+    console.warn("JWT_SECRET not set, using a random secret: sessions end when the server restarts");
+  }
+  settings = {
+    secret: secret || crypto.randomBytes(32).toString("hex"),
+    tokenTtl: tokenTtl || settings.tokenTtl
+  };
+}
+
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// ---------------- Passwords & tokens ----------------
+
+export const hashPassword = (password) => bcrypt.hash(password, 10);
+
+export const checkPassword = (password, hash) => bcrypt.compare(password, hash);
+
+export function signToken(user) {
+  return jwt.sign({ sub: String(user._id), username: user.username, role: user.role }, settings.secret, {
+    expiresIn: settings.tokenTtl
+  });
+}
+
+// The token only proves identity; role and active flag are re-read so changes apply immediately
+async function userFromToken(token) {
+  if (!token) return null;
+  try {
+    const claims = jwt.verify(token, settings.secret);
+    const user = await User.findById(claims.sub).lean().exec();
+    if (!user || !user.active) return null;
+    return { id: String(user._id), username: user.username, role: user.role };
+  } catch {
+    return null;
+  }
+}
+
+function bearerToken(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || "");
+  return match ? match[1].trim() : null;
+}
+
+// ---------------- Express ----------------
+
+export async function authenticate(req, res, next) {
+  const user = await userFromToken(bearerToken(req.headers.authorization));
+  if (!user) return res.status(401).json({ error: "Authentication required" });
+  req.user = user;
+  next();
+}
+
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `Requires ${role} role` });
+    next();
+  };
+}
+
+// ---------------- Socket.io ----------------
+
+// Handshake middleware: clients pass the token as `auth: { token }`
+export async function authenticateSocket(socket, next) {
+  const token = socket.handshake.auth?.token || bearerToken(socket.handshake.headers?.authorization);
+  const user = await userFromToken(token);
+  if (!user) return next(new Error("unauthorized"));
+  socket.data.user = user;
+  next();
+}
+
+// Wraps a socket handler so it only runs for users with the role
+export function guardSocket(socket, role, handler) {
+  return (...args) => {
+    if (!hasRole(socket.data.user, role)) {
+      socket.emit("error", { message: `Requires ${role} role` });
+      return;
+    }
+    return handler(...args);
+  };
+}
@@ -0,0 +1,85 @@
+import Base from "../Models/Base.js";
+import { haversineMeters, toLatLng } from "./geofence.js";
+
+// Home bases and their charging docks. A drone's `dock` is its claim on one:
+//
+//   inbound   returning with a dock reserved
+//   waiting   at (or heading for) a base whose docks were all taken
+//   charging  landed on a dock
+//   ready     charged to the ready level; holds the dock until it takes off
+//
+// Every state but waiting takes up a dock.
+
+export const DOCK_HOLDING = ["inbound", "charging", "ready"];
+
+const BASE_CACHE_MS = 5000;
+let baseCache = { bases: null, loadedAt: 0 };
+
+export async function getActiveBases() {
+  if (baseCache.bases && Date.now() - baseCache.loadedAt < BASE_CACHE_MS) return baseCache.bases;
+  const bases = await Base.find({ active: true }).lean().exec();
+  baseCache = { bases, loadedAt: Date.now() };
+  return bases;
+}
+
+// Call after any base create/update/delete
+export function invalidateBaseCache() {
+  baseCache = { bases: null, loadedAt: 0 };
+}
+
+// baseId -> number of docks held
+export function dockUsage(drones) {
+  const usage = new Map();
+  for (const d of drones) {
+    if (!d.dock?.base || !DOCK_HOLDING.includes(d.dock.status)) continue;
+    const key = String(d.dock.base);
+    usage.set(key, (usage.get(key) || 0) + 1);
+  }
+  return usage;
+}
+
+export function freeDocks(base, usage) {
+  return Math.max(0, (base.docks || 0) - (usage.get(String(base._id)) || 0));
+}
+
+const distanceTo = (drone, base) => haversineMeters([drone.location?.lat, drone.location?.lng], base.location);
+
+// Nearest base with a free dock; the dock the drone already holds counts as free
+// for it. Without a position the home base is the only candidate.
+export function chooseDock(drone, bases, usage) {
+  const held = DOCK_HOLDING.includes(drone.dock?.status) ? String(drone.dock.base) : null;
+  const located = !!toLatLng(drone.location) && !(drone.location.lat === 0 && drone.location.lng === 0);
+  const candidates = bases
+    .filter((b) => String(b._id) === held || freeDocks(b, usage) > 0)
+    .filter((b) => located || String(b._id) === String(drone.homeBase))
+    .map((base) => ({ base, distanceM: located ? distanceTo(drone, base) : null }))
+    .sort((a, b) => (a.distanceM ?? 0) - (b.distanceM ?? 0));
+  return candidates[0] || null;
+}
+
+// Where a drone with no free dock anywhere should go: its home base, else the nearest base
+export function fallbackBase(drone, bases) {
+  const home = bases.find((b) => String(b._id) === String(drone.homeBase));
+  if (home) return home;
+  return [...bases].sort((a, b) => distanceTo(drone, a) - distanceTo(drone, b))[0] || null;
+}
+
+// Within radiusM of the base and on the ground
+export function isAtBase(drone, base, { radiusM = 30, groundAltM = 1 } = {}) {
+  return distanceTo(drone, base) <= radiusM && (drone.location?.alt ?? 0) < groundAltM;
+}
+
+// Battery while docked: the drone's own reading, or with simulate an estimate
+// from the dock's charge rate (for simulators that don't charge)
+export function chargeLevel(dock, base, battery, { simulate = false, now = Date.now() } = {}) {
+  if (!simulate || !dock.dockedAt) return battery;
+  const minutes = (now - new Date(dock.dockedAt).getTime()) / 60000;
+  return Math.min(100, Math.max(battery, (dock.batteryAtDock ?? battery) + minutes * (base.chargeRatePctPerMin || 0)));
+}
+
+// When the drone should reach readyPct at the base's charge rate
+export function readyAt(level, base, readyPct, now = Date.now()) {
+  if (level >= readyPct) return new Date(now);
+  if (!(base.chargeRatePctPerMin > 0)) return null;
+  return new Date(now + ((readyPct - level) / base.chargeRatePctPerMin) * 60000);
+}
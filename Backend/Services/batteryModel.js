@@ -0,0 +1,177 @@
+import { haversineMeters, toLatLng } from "./geofence.js";
+
+// Per-drone battery discharge model: drain in %/s as a linear function of
+// ground speed, climb rate and payload, fitted from telemetry history and
+// pulled towards a prior built from the fleet-wide ENERGY_PCT_PER_KM figure
+// where the history says little (a drone that never carried a payload keeps
+// the prior payload cost).
+//
+//   model { basePctPerS, pctPerSPerMs, pctPerSPerClimbMs, pctPerSPerKg, samples, rmse, fittedAt }
+
+const FEATURES = ["basePctPerS", "pctPerSPerMs", "pctPerSPerClimbMs", "pctPerSPerKg"];
+
+const DEFAULTS = {
+  cruiseSpeedMs: 10,
+  minSegmentS: 20,
+  maxSegmentS: 180,
+  maxSpeedMs: 40,            // faster between two samples is a position glitch
+  groundAltM: 1,             // both samples below this are treated as sitting on the ground
+  priorWeight: 20,           // the prior counts as this many segments
+  minRateFraction: 0.25,     // predictions never drop below this share of the prior cruise drain
+  returnSafety: 1.25         // margin on the energy needed to get home (wind, approach, landing)
+};
+
+// Prior from the flat per-km figure the allocator used before: most of a
+// multirotor's drain is hovering, the rest grows with speed, climbing and payload.
+export function priorModel({ energyPctPerKm = 3, payloadEnergyFactor = 0.5, maxPayloadKg = 10, cruiseSpeedMs = DEFAULTS.cruiseSpeedMs } = {}) {
+  const cruisePctPerS = (energyPctPerKm * cruiseSpeedMs) / 1000;
+  return {
+    basePctPerS: cruisePctPerS * 0.8,
+    pctPerSPerMs: (cruisePctPerS * 0.2) / cruiseSpeedMs,
+    pctPerSPerClimbMs: cruisePctPerS * 0.1,
+    pctPerSPerKg: maxPayloadKg > 0 ? (cruisePctPerS * payloadEnergyFactor) / maxPayloadKg : 0,
+    samples: 0,
+    rmse: null,
+    fittedAt: null
+  };
+}
+
+export function dischargeRate(model, { speedMs = 0, climbMs = 0, payloadKg = 0 } = {}) {
+  return model.basePctPerS + model.pctPerSPerMs * speedMs + model.pctPerSPerClimbMs * Math.max(climbMs, 0) + model.pctPerSPerKg * payloadKg;
+}
+
+// Battery % per km at cruise speed, for route energy estimates
+export function pctPerKm(model, { payloadKg = 0, cruiseSpeedMs = DEFAULTS.cruiseSpeedMs, prior = null } = {}) {
+  let rate = dischargeRate(model, { speedMs: cruiseSpeedMs, payloadKg });
+  if (prior) rate = Math.max(rate, DEFAULTS.minRateFraction * dischargeRate(prior, { speedMs: cruiseSpeedMs, payloadKg }));
+  return (rate / cruiseSpeedMs) * 1000;
+}
+
+// ---------------- Fitting ----------------
+
+// Consecutive telemetry points (oldest first, as returned by queryTelemetry)
+// -> flight segments { dtS, drainPct, speedMs, climbMs, payloadKg }. Charging,
+// battery swaps, time on the ground, link gaps and position jumps are dropped.
+// payloadAt(ms) gives the payload on board at that time.
+export function dischargeSegments(points, payloadAt = () => 0, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const segments = [];
+  for (let i = 1; i < points.length; i++) {
+    const [a, b] = [points[i - 1], points[i]];
+    const dtS = (new Date(b.ts) - new Date(a.ts)) / 1000;
+    if (dtS < opts.minSegmentS || dtS > opts.maxSegmentS) continue;
+    if (![a.battery, b.battery, a.alt, b.alt].every(Number.isFinite) || b.battery > a.battery) continue;
+    if (a.alt < opts.groundAltM && b.alt < opts.groundAltM) continue;
+    if (a.mode === "LINK_LOST" || b.mode === "LINK_LOST") continue;
+
+    const distanceM = haversineMeters([a.lat, a.lng], [b.lat, b.lng]);
+    const speedMs = Number.isFinite(b.speed) ? b.speed : distanceM / dtS;
+    if (!Number.isFinite(speedMs) || speedMs > opts.maxSpeedMs || distanceM / dtS > opts.maxSpeedMs) continue;
+
+    const mid = (new Date(a.ts).getTime() + new Date(b.ts).getTime()) / 2;
+    segments.push({ dtS, drainPct: a.battery - b.battery, speedMs, climbMs: (b.alt - a.alt) / dtS, payloadKg: payloadAt(mid) });
+  }
+  return segments;
+}
+
+// Solves A x = b by Gaussian elimination with partial pivoting
+function solve(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    if (Math.abs(M[pivot][col]) < 1e-12) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+  return M.map((row, i) => row[n] / row[i]);
+}
+
+// Ridge regression towards the prior, each segment weighted by its duration so
+// battery percent steps average out. The prior's pull on each coefficient is
+// scaled by that feature's own size in the data, so priorWeight reads as
+// "worth this many segments" whatever the units.
+export function fitDischargeModel(segments, prior, { priorWeight = DEFAULTS.priorWeight, now = new Date() } = {}) {
+  if (!segments.length) return { ...prior };
+  const rows = segments.map((s) => [1, s.speedMs, Math.max(s.climbMs, 0), s.payloadKg]);
+  const ys = segments.map((s) => s.drainPct / s.dtS);
+  const ws = segments.map((s) => s.dtS);
+  const meanW = ws.reduce((a, b) => a + b, 0) / ws.length;
+  const b0 = FEATURES.map((f) => prior[f]);
+  const k = b0.length;
+
+  const A = Array.from({ length: k }, () => new Array(k).fill(0));
+  const rhs = new Array(k).fill(0);
+  rows.forEach((x, n) => {
+    const w = ws[n] / meanW;
+    for (let i = 0; i < k; i++) {
+      rhs[i] += w * x[i] * ys[n];
+      for (let j = 0; j < k; j++) A[i][j] += w * x[i] * x[j];
+    }
+  });
+  for (let i = 0; i < k; i++) {
+    const scale = rows.reduce((acc, x) => acc + x[i] * x[i], 0) / rows.length || 1;
+    A[i][i] += priorWeight * scale;
+    rhs[i] += priorWeight * scale * b0[i];
+  }
+
+  const coefficients = solve(A, rhs);
+  if (!coefficients) return { ...prior };
+  const model = Object.fromEntries(FEATURES.map((f, i) => [f, coefficients[i]]));
+  const residuals = rows.map((x, n) => ys[n] - x.reduce((acc, v, i) => acc + v * coefficients[i], 0));
+  return {
+    ...model,
+    samples: segments.length,
+    rmse: Math.sqrt(residuals.reduce((acc, r) => acc + r * r, 0) / residuals.length),
+    fittedAt: now
+  };
+}
+
+// ---------------- Prediction ----------------
+
+// From where the drone is now: how long and how far it can still fly, what it
+// needs to get home, and the battery it lands with if it finishes `route`
+// (remaining waypoints of its mission) first. mustReturn is the dynamic
+// failsafe: the battery is down to what the trip home costs plus the reserve.
+export function predictEndurance({ battery, location, home, model, prior, route = [], payloadKg = 0, reservePct = 20, ...options }) {
+  const opts = { ...DEFAULTS, ...options };
+  const fix = (p) => (p && !(p.lat === 0 && p.lng === 0) ? toLatLng(p) : null);
+  const [here, base] = [fix(location), fix(home)];
+  const perKm = pctPerKm(model, { payloadKg, cruiseSpeedMs: opts.cruiseSpeedMs, prior });
+  const perS = (perKm * opts.cruiseSpeedMs) / 1000;
+
+  const homeKm = here && base ? haversineMeters(here, base) / 1000 : null;
+  const returnPct = homeKm === null ? 0 : homeKm * perKm * opts.returnSafety;
+  const usable = Math.max(0, battery - reservePct);
+
+  let batteryAtHomePct = null;
+  const points = route.map(toLatLng).filter(Boolean);
+  if (here && base && points.length) {
+    let metres = haversineMeters(here, points[0]) + haversineMeters(points[points.length - 1], base);
+    for (let i = 1; i < points.length; i++) metres += haversineMeters(points[i - 1], points[i]);
+    batteryAtHomePct = battery - (metres / 1000) * perKm * opts.returnSafety;
+  }
+
+  return {
+    remainingS: Math.round(usable / perS),
+    rangeKm: round(usable / perKm),
+    pctPerKm: round(perKm),
+    homeDistanceKm: homeKm === null ? null : round(homeKm),
+    returnPct: round(returnPct),
+    reservePct,
+    mustReturnAtPct: round(reservePct + returnPct),
+    mustReturn: battery <= reservePct + returnPct,
+    batteryAtHomePct: batteryAtHomePct === null ? null : round(batteryAtHomePct),
+    fitted: model.samples > 0,
+    at: new Date()
+  };
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
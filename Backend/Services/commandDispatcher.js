@@ -0,0 +1,211 @@
+// Single path for every drone command: assigns a cmdId, publishes with QoS 1,
+// waits for the drone's ack and retries with exponential backoff. Retries reuse
+// the cmdId so the drone can drop duplicates; callers can also pass an
+// idempotency key so a repeated request doesn't send the command twice.
+// Commands that fail their preflight checks are recorded and refused without
+// being sent.
+// Commands flagged deliverWhenConnected are parked in a queue while the drone
+// is out of link and flushed when it reports again.
+
+const DEFAULTS = {
+  ackTimeoutMs: 3000,
+  retries: 2,                   // extra attempts after the first
+  backoffMs: 1000,              // doubled on each retry
+  idempotencyTtlMs: 10 * 60 * 1000,
+  queueTtlMs: 5 * 60 * 1000     // default lifetime of a parked command
+};
+
+// Drone ack statuses that mean "received but refused": no point retrying
+const REJECTED_STATUSES = ["nack", "rejected", "failed", "error"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// mqttClient: connected client used to publish
+// record(entry):     persists a new command ({ cmdId, callsign, payload, user, origin })
+// recordAck(cmdId, status): persists the drone's answer or another final status
+// onStatus(status):  final outcome of a command (acked, rejected, timeout, queued,
+//                    expired, superseded, refused or error)
+// queue:             { isInLink, enqueue, claim, settle } store-and-forward backend
+// preflight(callsign, command): resolves with the reasons to refuse it (empty = go)
+// prepare(callsign, command): resolves with the command to send, e.g. with a
+//                    destination filled in; runs before anything is recorded
+export function createCommandDispatcher({ mqttClient, record, recordAck, onStatus, queue, preflight, prepare, ...options }) {
+  const opts = { ...DEFAULTS, ...options };
+  const waiting = new Map();      // cmdId -> resolve(ack status) for the attempt in flight
+  const idempotent = new Map();   // `${callsign}:${key}` -> { cmdId, outcome, expiresAt }
+  const flushing = new Set();     // callsigns whose queue is being delivered
+
+  const newCmdId = (callsign) => `${callsign}_${Date.now()}_${Math.floor(Math.random() * 1e6)}`;
+
+  const saveAck = (cmdId, status) =>
+    recordAck(cmdId, status).catch((e) => console.error(`Failed to record ${status} for ${cmdId}`, e));
+
+  function publish(callsign, message) {
+    return new Promise((resolve) => {
+      mqttClient.publish(`drone/${callsign}/command`, JSON.stringify(message), { qos: 1 }, (err) => {
+        if (err) console.error(`Publish failed for ${message.cmdId}:`, err.message);
+        resolve(!err);
+      });
+    });
+  }
+
+  function awaitAck(cmdId) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        waiting.delete(cmdId);
+        resolve(null);
+      }, opts.ackTimeoutMs);
+      waiting.set(cmdId, (status) => {
+        clearTimeout(timer);
+        waiting.delete(cmdId);
+        resolve(status);
+      });
+    });
+  }
+
+  // Publish + retries. Resolves with { status: acked|rejected|timeout, ackStatus, attempts, latencyMs }.
+  async function attemptDelivery(callsign, payload) {
+    const started = Date.now();
+    const attempts = opts.retries + 1;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      // Register before publishing so a fast ack can't slip past
+      const ack = awaitAck(payload.cmdId);
+      await publish(callsign, attempt === 1 ? payload : { ...payload, attempt });
+      const status = await ack;
+
+      if (status) {
+        const rejected = REJECTED_STATUSES.includes(status);
+        return { status: rejected ? "rejected" : "acked", ackStatus: status, attempts: attempt, latencyMs: Date.now() - started };
+      }
+      if (attempt < attempts) await sleep(opts.backoffMs * 2 ** (attempt - 1));
+    }
+    return { status: "timeout", attempts, latencyMs: Date.now() - started };
+  }
+
+  function finish(payload, { callsign, issuedBy, origin }, result) {
+    const outcome = { cmdId: payload.cmdId, callsign, cmd: payload.cmd, issuedBy, origin, ...result, timestamp: Date.now() };
+    onStatus?.(outcome);
+    return outcome;
+  }
+
+  async function park(callsign, payload, meta, ttlMs) {
+    const { superseded } = await queue.enqueue({
+      cmdId: payload.cmdId,
+      callsign,
+      payload,
+      issuedBy: meta.issuedBy,
+      origin: meta.origin,
+      ttlMs: Number.isFinite(ttlMs) && ttlMs > 0 ? ttlMs : opts.queueTtlMs
+    });
+    for (const cmdId of superseded) {
+      await saveAck(cmdId, "superseded");
+      onStatus?.({ cmdId, callsign, status: "superseded", supersededBy: payload.cmdId, timestamp: Date.now() });
+    }
+    return finish(payload, meta, { status: "queued" });
+  }
+
+  // Never rejects: most callers don't wait for the outcome, so a failing queue
+  // lookup or write becomes an "error" outcome instead
+  async function deliver(callsign, payload, meta, { deliverWhenConnected, ttlMs }) {
+    try {
+      const canPark = deliverWhenConnected && queue;
+      if (canPark && !(await queue.isInLink(callsign))) return await park(callsign, payload, meta, ttlMs);
+
+      const result = await attemptDelivery(callsign, payload);
+      if (result.status === "timeout" && canPark) return await park(callsign, payload, meta, ttlMs);
+      if (result.status === "timeout") await saveAck(payload.cmdId, "timeout");
+      return finish(payload, meta, result);
+    } catch (e) {
+      console.error(`Delivery of ${payload.cmdId} failed`, e);
+      await saveAck(payload.cmdId, "error");
+      return finish(payload, meta, { status: "error", error: e.message });
+    }
+  }
+
+  // Returns { cmdId, duplicate, outcome } right away; outcome resolves with the
+  // final status once the drone answered, all retries timed out or the command
+  // was parked for later delivery.
+  async function dispatch(callsign, command, { user = null, origin, idempotencyKey, deliverWhenConnected = false, ttlMs } = {}) {
+    const now = Date.now();
+    for (const [key, entry] of idempotent) {
+      if (entry.expiresAt <= now) idempotent.delete(key);
+    }
+
+    const key = idempotencyKey ? `${callsign}:${idempotencyKey}` : null;
+    if (key && idempotent.has(key)) {
+      const { cmdId, outcome } = idempotent.get(key);
+      return { cmdId, duplicate: true, outcome };
+    }
+
+    const prepared = prepare ? await prepare(callsign, command) : command;
+    const payload = { ...prepared, cmdId: prepared.cmdId || newCmdId(callsign) };
+    try {
+      await record({ cmdId: payload.cmdId, callsign, payload, user, origin });
+    } catch (e) {
+      // Never hold back a command because the audit write failed
+      console.error("Failed to record command", payload.cmdId, e);
+    }
+
+    const meta = { callsign, issuedBy: user?.username || "system", origin };
+    const reasons = preflight ? await preflight(callsign, payload) : [];
+    if (reasons.length) {
+      await saveAck(payload.cmdId, "refused");
+      return { cmdId: payload.cmdId, duplicate: false, outcome: Promise.resolve(finish(payload, meta, { status: "refused", reasons })) };
+    }
+
+    const outcome = deliver(callsign, payload, meta, { deliverWhenConnected, ttlMs });
+    if (key) idempotent.set(key, { cmdId: payload.cmdId, outcome, expiresAt: now + opts.idempotencyTtlMs });
+    return { cmdId: payload.cmdId, duplicate: false, outcome };
+  }
+
+  // Delivers parked commands in issue order once the drone is back. Each one is
+  // checked again first, since the drone or the airspace may have changed while
+  // it waited. Stops at the first timeout; that command and the ones after it
+  // wait for the next reconnect, as does anything left over if this fails part way.
+  async function flushQueue(callsign) {
+    if (!queue || flushing.has(callsign)) return;
+    flushing.add(callsign);
+    let unsettled = [];
+    try {
+      const { deliver: pending, expired } = await queue.claim(callsign);
+      unsettled = [...pending];
+      for (const entry of expired) {
+        await saveAck(entry.cmdId, "expired");
+        finish(entry.payload, entry, { status: "expired" });
+      }
+
+      while (unsettled.length) {
+        const entry = unsettled[0];
+        const reasons = preflight ? await preflight(callsign, entry.payload) : [];
+        if (reasons.length) {
+          await queue.settle(entry.cmdId, { status: "refused", attempts: 0 });
+          unsettled.shift();
+          await saveAck(entry.cmdId, "refused");
+          finish(entry.payload, entry, { status: "refused", reasons });
+          continue;
+        }
+
+        const result = await attemptDelivery(callsign, entry.payload);
+        await queue.settle(entry.cmdId, result);
+        unsettled.shift();
+        if (result.status === "timeout") break;
+        finish(entry.payload, entry, { ...result, deliveredFromQueue: true });
+      }
+    } finally {
+      for (const entry of unsettled) {
+        await queue.settle(entry.cmdId, { status: "timeout", attempts: 0 })
+          .catch((e) => console.error(`Failed to requeue ${entry.cmdId}`, e));
+      }
+      flushing.delete(callsign);
+    }
+  }
+
+  // Feed every drone/+/ack message through here
+  async function handleAck(cmdId, status = "ack") {
+    const normalized = String(status).toLowerCase();
+    waiting.get(cmdId)?.(normalized);
+    await recordAck(cmdId, normalized);
+  }
+
+  return { dispatch, handleAck, flushQueue };
+}
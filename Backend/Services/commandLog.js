@@ -0,0 +1,145 @@
+import crypto from "crypto";
+import Command from "../Models/Command.js";
+
+// Tamper-evident command history: every entry hashes its own fields together
+// with the previous entry's hash, so editing or deleting any record breaks the
+// chain from that point on.
+
+export const GENESIS_HASH = "0".repeat(64);
+
+// JSON with sorted keys so the same record always hashes the same way
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+export function entryHash(entry) {
+  return sha256(canonical({
+    seq: entry.seq,
+    cmdId: entry.cmdId,
+    callsign: entry.callsign,
+    cmd: entry.cmd,
+    payload: entry.payload,
+    issuedBy: entry.issuedBy,
+    origin: entry.origin,
+    issuedAt: new Date(entry.issuedAt).toISOString(),
+    prevHash: entry.prevHash
+  }));
+}
+
+export function ackHash(entry) {
+  return sha256(canonical({
+    hash: entry.hash,
+    ackStatus: entry.ackStatus,
+    ackAt: new Date(entry.ackAt).toISOString(),
+    latencyMs: entry.latencyMs
+  }));
+}
+
+// ---------------- Writing ----------------
+
+// Appends are serialised so two commands can't claim the same predecessor
+let appendQueue = Promise.resolve();
+
+export function recordCommand({ cmdId, callsign, payload, issuedBy = "system", origin }) {
+  const run = appendQueue.then(async () => {
+    const last = await Command.findOne().sort({ seq: -1 }).select("seq hash").lean().exec();
+    const entry = {
+      seq: (last?.seq ?? 0) + 1,
+      cmdId,
+      callsign,
+      cmd: payload?.cmd,
+      // Round-trip through JSON so what is hashed is exactly what Mongo stores
+      payload: JSON.parse(JSON.stringify(payload ?? {})),
+      issuedBy,
+      origin,
+      issuedAt: new Date(),
+      prevHash: last?.hash ?? GENESIS_HASH
+    };
+    entry.hash = entryHash(entry);
+    return new Command(entry).save();
+  });
+  appendQueue = run.catch(() => {});
+  return run;
+}
+
+// Records the drone's answer once. A late answer still replaces a timeout,
+// anything after that is ignored.
+export async function recordAck(cmdId, status, at = new Date()) {
+  const open = status === "timeout" ? ["pending"] : ["pending", "timeout"];
+  const entry = await Command.findOne({ cmdId, ackStatus: { $in: open } }).exec();
+  if (!entry) return null;
+  entry.ackStatus = String(status || "ack").toLowerCase();
+  entry.ackAt = at;
+  entry.latencyMs = at.getTime() - entry.issuedAt.getTime();
+  entry.ackHash = ackHash(entry);
+  return entry.save();
+}
+
+// ---------------- Reading ----------------
+
+// Mongo filter from query-string style options: callsign, user, from, to
+export function commandFilter({ callsign, user, from, to } = {}) {
+  const filter = {};
+  if (callsign) filter.callsign = callsign;
+  if (user) filter.issuedBy = user;
+  if (from || to) {
+    filter.issuedAt = {};
+    if (from) filter.issuedAt.$gte = parseDate(from, "from");
+    if (to) filter.issuedAt.$lte = parseDate(to, "to");
+  }
+  return filter;
+}
+
+function parseDate(value, name) {
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    const err = new Error(`${name} is not a valid date`);
+    err.status = 400;
+    throw err;
+  }
+  return date;
+}
+
+// What is wrong with one entry given its predecessor's hash, or null
+export function chainProblem(entry, prevHash, expectedSeq) {
+  if (entry.seq !== expectedSeq) return `missing entries before seq ${entry.seq}`;
+  if (entry.prevHash !== prevHash) return "prevHash does not match the previous entry";
+  if (entry.hash !== entryHash(entry)) return "entry was modified";
+  if (entry.ackStatus !== "pending" && entry.ackHash !== ackHash(entry)) return "ack fields were modified";
+  return null;
+}
+
+// Walks the whole chain in order. Returns the first broken entry, if any.
+export async function verifyCommandChain() {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let checked = 0;
+
+  for await (const entry of Command.find().sort({ seq: 1 }).lean().cursor()) {
+    const problem = chainProblem(entry, prevHash, expectedSeq);
+    if (problem) return { ok: false, checked, brokenAt: entry.seq, cmdId: entry.cmdId, problem };
+    prevHash = entry.hash;
+    expectedSeq = entry.seq + 1;
+    checked += 1;
+  }
+  return { ok: true, checked };
+}
+
+const CSV_COLUMNS = ["seq", "issuedAt", "cmdId", "callsign", "cmd", "issuedBy", "origin", "ackStatus", "ackAt", "latencyMs", "payload", "hash"];
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function commandsToCsv(entries) {
+  const rows = entries.map((e) => CSV_COLUMNS.map((c) => csvCell(e[c])).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
@@ -0,0 +1,86 @@
+import QueuedCommand from "../Models/QueuedCommand.js";
+
+// Store-and-forward for drones that are out of link. Commands wait in Mongo
+// until the drone's next telemetry, unless they expire or a newer command
+// makes them pointless first.
+
+// Commands that decide where the drone goes. A newer one replaces any older
+// one still waiting: an old goto must not run after the rtl that followed it.
+const NAVIGATION_COMMANDS = [
+  "goto",
+  "takeoff",
+  "land",
+  "rtl",
+  "hold",
+  "resume",
+  "assign_zone",
+  "autonomous_on",
+  "autonomous_off"
+];
+
+export function supersedes(newer, older) {
+  if (newer === older) return true;
+  return NAVIGATION_COMMANDS.includes(newer) && NAVIGATION_COMMANDS.includes(older);
+}
+
+// Queues a command and retires the waiting ones it supersedes.
+// Returns { entry, superseded: [cmdId, ...] }.
+export async function enqueueCommand({ cmdId, callsign, payload, issuedBy, origin, ttlMs }) {
+  const waiting = await QueuedCommand.find({ callsign, status: "queued" }).lean().exec();
+  const superseded = waiting.filter((c) => supersedes(payload.cmd, c.payload?.cmd)).map((c) => c.cmdId);
+  if (superseded.length) {
+    await QueuedCommand.updateMany(
+      { cmdId: { $in: superseded } },
+      { $set: { status: "superseded", supersededBy: cmdId } }
+    ).exec();
+  }
+
+  const entry = await QueuedCommand.findOneAndUpdate(
+    { cmdId },
+    {
+      $set: {
+        callsign,
+        payload,
+        issuedBy,
+        origin,
+        status: "queued",
+        expiresAt: Number.isFinite(ttlMs) && ttlMs > 0 ? new Date(Date.now() + ttlMs) : null
+      }
+    },
+    { upsert: true, new: true }
+  ).exec();
+  return { entry, superseded };
+}
+
+// Expires what ran out of time, then claims the rest for delivery in the
+// order they were issued. Returns { deliver: [entry], expired: [entry] }.
+export async function claimQueuedCommands(callsign, now = new Date()) {
+  const expired = await QueuedCommand.find({ callsign, status: "queued", expiresAt: { $ne: null, $lte: now } }).lean().exec();
+  if (expired.length) {
+    await QueuedCommand.updateMany({ _id: { $in: expired.map((c) => c._id) } }, { $set: { status: "expired" } }).exec();
+  }
+
+  const deliver = await QueuedCommand.find({ callsign, status: "queued" }).sort({ createdAt: 1 }).lean().exec();
+  if (deliver.length) {
+    await QueuedCommand.updateMany({ _id: { $in: deliver.map((c) => c._id) } }, { $set: { status: "delivering" } }).exec();
+  }
+  return { deliver, expired };
+}
+
+// Outcome of one delivery attempt (attempts 0 for commands never sent). A
+// timeout puts the command back in the queue for the next reconnect (it still
+// expires on schedule); a command that no longer passes preflight is refused.
+export async function settleQueuedCommand(cmdId, outcome) {
+  const update = { $inc: { attempts: outcome.attempts ?? 0 } };
+  if (outcome.status === "acked") update.$set = { status: "delivered", deliveredAt: new Date() };
+  else if (outcome.status === "rejected" || outcome.status === "refused") update.$set = { status: outcome.status };
+  else update.$set = { status: "queued" };
+  return QueuedCommand.findOneAndUpdate({ cmdId }, update, { new: true }).exec();
+}
+
+export const hasQueuedCommands = (callsign) => QueuedCommand.exists({ callsign, status: "queued" });
+
+// After a restart nothing is in flight any more
+export function requeueInFlight() {
+  return QueuedCommand.updateMany({ status: "delivering" }, { $set: { status: "queued" } }).exec();
+}
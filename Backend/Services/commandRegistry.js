@@ -0,0 +1,79 @@
+import { haversineMeters, toLatLng, pointInPolygon, segmentIntersectsPolygon } from "./geofence.js";
+import { DRONE_COMMANDS } from "../../shared/schemas.js";
+
+// Preflight safety checks. Parameters are validated by the shared schemas
+// (COMMAND_PARAMS); these checks look at the drone's current state and refuse
+// commands that would be unsafe to send right now.
+
+const DEFAULTS = {
+  minBatteryPct: 35,    // battery needed to take off
+  dropRadiusM: 30       // how close to the mission target a payload drop must be
+};
+
+const positionOf = (drone) => toLatLng([drone.location?.lat, drone.location?.lng]);
+
+// Where a mission's payload is meant to go: the detected site, else its last waypoint
+function missionTarget(mission) {
+  const site = mission.detection && toLatLng(mission.detection);
+  return site || toLatLng(mission.waypoints?.[mission.waypoints.length - 1]);
+}
+
+// ---------------- Checks ----------------
+// Each takes (command, context) and returns a reason string when the command must be refused.
+// context: { drone, mission (the drone's active mission, if any), zones (active no-fly zones), options }
+
+function enoughBatteryForTakeoff(command, { drone, options }) {
+  if ((drone.battery ?? 0) < options.minBatteryPct) {
+    return `battery ${drone.battery ?? 0}% is below the ${options.minBatteryPct}% needed for takeoff`;
+  }
+  return null;
+}
+
+function notGrounded(command, { drone }) {
+  if (drone.maintenance?.grounded) {
+    return `drone is grounded for maintenance${drone.maintenance.groundedReason ? `: ${drone.maintenance.groundedReason}` : ""}`;
+  }
+  return null;
+}
+
+// A drone already inside a zone may still be sent out of it, so only the
+// destination counts for zones it is in; for the rest the whole leg does.
+function clearOfNoFlyZones(command, { drone, zones }) {
+  const target = [command.lat, command.lng];
+  const from = positionOf(drone);
+  for (const zone of zones) {
+    const hit = pointInPolygon(target, zone.polygon) ||
+      (from && !pointInPolygon(from, zone.polygon) && segmentIntersectsPolygon(from, target, zone.polygon));
+    if (hit) return `route to ${command.lat.toFixed(5)}, ${command.lng.toFixed(5)} enters no-fly zone ${zone.name || zone._id}`;
+  }
+  return null;
+}
+
+function overMissionTarget(command, { drone, mission, options }) {
+  if (!mission) return "drone has no active mission to drop for";
+  const target = missionTarget(mission);
+  const from = positionOf(drone);
+  if (!target) return "mission has no target location";
+  if (!from) return "drone position unknown";
+  const distance = haversineMeters(from, target);
+  if (distance > options.dropRadiusM) {
+    return `drone is ${Math.round(distance)} m from the mission target (must be within ${options.dropRadiusM} m)`;
+  }
+  return null;
+}
+
+const PRECONDITIONS = {
+  takeoff: [notGrounded, enoughBatteryForTakeoff],
+  goto: [clearOfNoFlyZones],
+  drop_payload: [overMissionTarget]
+};
+
+// Returns the reasons the command must not be sent; empty when it may go
+export function preflightCommand(command, { drone, mission = null, zones = [], options = {} }) {
+  if (!DRONE_COMMANDS.includes(command.cmd)) return [`unknown command '${command.cmd}'`];
+  if (!drone) return ["drone is not registered"];
+  const context = { drone, mission, zones, options: { ...DEFAULTS, ...options } };
+  return (PRECONDITIONS[command.cmd] || [])
+    .map((check) => check(command, context))
+    .filter(Boolean);
+}
@@ -0,0 +1,99 @@
+import { haversineMeters, toLatLng } from "./geofence.js";
+
+// Spatio-temporal clustering of person detections so one survivor seen over
+// many frames (or by several cameras) becomes one rescue mission.
+
+// Detectors disagree on field names: class/cls, conf/confidence
+export function isPersonDetection(d, minConf) {
+  const cls = d.class ?? d.cls ?? d.label;
+  const conf = d.conf ?? d.confidence ?? 0;
+  return cls === "person" && conf > minConf;
+}
+
+// Ground position of a detection if the producer supplied one
+export function detectionLocation(d) {
+  const ll = toLatLng(d.location) || toLatLng(d.geo) || toLatLng({ lat: d.lat, lng: d.lng ?? d.lon });
+  if (!ll || (ll[0] === 0 && ll[1] === 0)) return null;
+  if (Math.abs(ll[0]) > 90 || Math.abs(ll[1]) > 180) return null;
+  return ll;
+}
+
+// Groups one frame's geolocated detections that lie within radiusM of a
+// group's centroid. Each group is one site with a person count and the best
+// uncertainty radius of its projected detections (undefined if none were projected).
+export function groupDetections(points, radiusM) {
+  const groups = [];
+  for (const p of points) {
+    const group = groups.find((g) => haversineMeters([g.lat, g.lng], [p.lat, p.lng]) <= radiusM);
+    if (group) {
+      group.lat = (group.lat * group.count + p.lat) / (group.count + 1);
+      group.lng = (group.lng * group.count + p.lng) / (group.count + 1);
+      group.count += 1;
+      group.maxConfidence = Math.max(group.maxConfidence, p.conf ?? 0);
+      group.uncertaintyM = minDefined(group.uncertaintyM, p.uncertaintyM);
+      group.detections.push(p);
+    } else {
+      groups.push({
+        lat: p.lat,
+        lng: p.lng,
+        count: 1,
+        maxConfidence: p.conf ?? 0,
+        uncertaintyM: p.uncertaintyM,
+        detections: [p]
+      });
+    }
+  }
+  return groups;
+}
+
+// Nearest open mission whose detection cluster is within radiusM
+export function findMergeTarget(missions, site, radiusM) {
+  let best = null;
+  let bestDist = Infinity;
+  for (const m of missions) {
+    const c = m.detection;
+    if (!c) continue;
+    const dist = haversineMeters([c.lat, c.lng], [site.lat, site.lng]);
+    if (dist <= radiusM && dist < bestDist) {
+      best = m;
+      bestDist = dist;
+    }
+  }
+  return best;
+}
+
+// Folds a new sighting into a mission's cluster. The person count is the
+// largest group seen in a single frame, since every frame re-counts the same people.
+export function mergeSighting(cluster, site, { source, at = new Date() }) {
+  const n = cluster.observations || 1;
+  return {
+    lat: (cluster.lat * n + site.lat) / (n + 1),
+    lng: (cluster.lng * n + site.lng) / (n + 1),
+    firstSeenAt: cluster.firstSeenAt || at,
+    lastSeenAt: at,
+    observations: n + 1,
+    sources: [...new Set([...(cluster.sources || []), source])],
+    maxConfidence: Math.max(cluster.maxConfidence || 0, site.maxConfidence || 0),
+    maxCount: Math.max(cluster.maxCount || 0, site.count),
+    uncertaintyM: minDefined(cluster.uncertaintyM, site.uncertaintyM)
+  };
+}
+
+export function newCluster(site, { source, at = new Date() }) {
+  return {
+    lat: site.lat,
+    lng: site.lng,
+    firstSeenAt: at,
+    lastSeenAt: at,
+    observations: 1,
+    sources: [source],
+    maxConfidence: site.maxConfidence || 0,
+    maxCount: site.count,
+    uncertaintyM: site.uncertaintyM
+  };
+}
+
+function minDefined(a, b) {
+  if (!Number.isFinite(a)) return Number.isFinite(b) ? b : undefined;
+  return Number.isFinite(b) ? Math.min(a, b) : a;
+}
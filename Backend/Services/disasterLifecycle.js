@@ -0,0 +1,78 @@
+import { offsetLatLng } from "./georeference.js";
+import { BUSY_STATUSES, TERMINAL_STATUSES } from "./missionLifecycle.js";
+
+// ---------------- States ----------------
+// detected      reported (by AI analytics, a feed or an operator), nobody on it yet
+// investigating drones are surveying the area
+// responding    rescue/relief missions under way
+// resolved      closed; may be reopened if the situation flares up again
+const TRANSITIONS = {
+  detected: ["investigating", "responding", "resolved"],
+  investigating: ["responding", "resolved"],
+  responding: ["investigating", "resolved"],
+  resolved: ["investigating"]
+};
+
+export function canTransitionDisaster(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// ---------------- Timeline ----------------
+// disaster.updates is append-only: notes, status changes, drone assignments and
+// mission links all land here so the incident can be read back in order.
+
+export function appendUpdate(disaster, { kind = "note", text, by = null, data = null }) {
+  disaster.updates = [
+    ...(disaster.updates || []),
+    { kind, text, at: new Date(), ...(by && { by }), ...(data && { data }) }
+  ];
+  return disaster;
+}
+
+// Moves a disaster to a new status, stamps resolvedAt and records the change on
+// both statusHistory and the timeline. Throws (with status 409) on an invalid
+// transition; the caller is responsible for saving.
+export function transitionDisaster(disaster, to, { note = null, by = null } = {}) {
+  const from = disaster.status;
+  if (!canTransitionDisaster(from, to)) {
+    const err = new Error(`Invalid disaster transition ${from} -> ${to}`);
+    err.status = 409;
+    err.from = from;
+    err.to = to;
+    throw err;
+  }
+
+  const at = new Date();
+  const history = disaster.statusHistory?.length
+    ? [...disaster.statusHistory]
+    : [{ status: from, at: disaster.detectedAt || disaster.createdAt || at }];
+  disaster.status = to;
+  disaster.statusHistory = [...history, { status: to, at, ...(note && { note }), ...(by && { by }) }];
+  disaster.resolvedAt = to === "resolved" ? at : null;
+  return appendUpdate(disaster, { kind: "status", text: note ? `${from} -> ${to}: ${note}` : `${from} -> ${to}`, by });
+}
+
+// How a linked mission is closed when its disaster is resolved: flying ones are
+// aborted (and the drone sent home), the rest cancelled. Null if already closed.
+export function closingStatus(mission) {
+  if (TERMINAL_STATUSES.includes(mission.status)) return null;
+  return BUSY_STATUSES.includes(mission.status) ? "aborted" : "cancelled";
+}
+
+// ---------------- Survey pattern ----------------
+
+// Waypoints for drone `index` of `count` surveying around a site: the circle of
+// radiusM is split into equal sectors and each drone flies the arc of its own,
+// starting and ending over the site.
+export function surveyWaypoints(center, { radiusM, index = 0, count = 1, pointsPerCircle = 12 }) {
+  const span = (2 * Math.PI) / count;
+  const steps = Math.max(2, Math.ceil(pointsPerCircle / count));
+  const arc = [];
+  for (let i = 0; i <= steps; i++) {
+    const bearing = span * index + (span * i) / steps;
+    const p = offsetLatLng(center.lat, center.lng, radiusM * Math.cos(bearing), radiusM * Math.sin(bearing));
+    arc.push([p.lat, p.lng]);
+  }
+  const site = [center.lat, center.lng];
+  return [site, ...arc, site];
+}
@@ -0,0 +1,202 @@
+import { offsetLatLng } from "./georeference.js";
+import { WEATHER_PROVIDERS } from "./weatherProviders.js";
+import { TERRAIN_PROVIDERS } from "./terrainProviders.js";
+
+// Flying conditions from the configured weather and terrain providers. Lookups
+// are cached per grid cell (weather expires, terrain doesn't) and turned into
+// go / caution / no-go assessments for a location or a disaster area.
+
+const DEFAULT_LIMITS = {
+  maxWindMs: 12,
+  maxGustMs: 15,
+  minVisibilityM: 1500,
+  maxReportAgeMs: 2 * 3600 * 1000,
+  flightAltitudeM: 40,        // planned altitude above the take-off point
+  minTerrainClearanceM: 15
+};
+// Conditions within this fraction of a limit are flagged as caution
+const CAUTION_AT = 0.8;
+
+const round1 = (x) => (Number.isFinite(x) ? Math.round(x * 10) / 10 : null);
+
+const RANK = { go: 0, caution: 1, "no-go": 2 };
+const worstOf = (statuses) => statuses.reduce((a, b) => (RANK[b] > RANK[a] ? b : a), "go");
+
+// ---------------- Grid cell cache ----------------
+
+// Every point in a cell gets the answer for the cell centre. Pending lookups are
+// shared, failed ones are forgotten, and the oldest cells go first when full.
+function createCellCache({ cellDeg, ttlMs = Infinity, maxCells = 5000 }) {
+  const cells = new Map();
+  return {
+    get(lat, lng, load) {
+      const [row, col] = [Math.floor(lat / cellDeg), Math.floor(lng / cellDeg)];
+      const key = `${row}:${col}`;
+      const hit = cells.get(key);
+      if (hit && Date.now() - hit.at < ttlMs) return hit.value;
+
+      const value = Promise.resolve().then(() => load((row + 0.5) * cellDeg, (col + 0.5) * cellDeg));
+      cells.delete(key);
+      cells.set(key, { at: Date.now(), value });
+      if (cells.size > maxCells) cells.delete(cells.keys().next().value);
+      value.catch(() => cells.get(key)?.value === value && cells.delete(key));
+      return value;
+    }
+  };
+}
+
+// ---------------- Assessments ----------------
+// Each returns { status, reasons } where reasons explain anything short of "go"
+
+export function assessWeather(weather, limits = DEFAULT_LIMITS, now = Date.now()) {
+  if (!weather) return { status: "caution", reasons: ["no weather data for this location"] };
+  const findings = [];
+  const flag = (status, reason) => findings.push({ status, reason });
+
+  const ceiling = (value, limit, label) => {
+    if (!Number.isFinite(value)) return;
+    if (value >= limit) flag("no-go", `${label} ${value.toFixed(1)} m/s is at or above the ${limit} m/s limit`);
+    else if (value >= limit * CAUTION_AT) flag("caution", `${label} ${value.toFixed(1)} m/s is close to the ${limit} m/s limit`);
+  };
+  ceiling(weather.windMs, limits.maxWindMs, "wind");
+  ceiling(weather.gustMs, limits.maxGustMs, "gusts");
+
+  if (Number.isFinite(weather.visibilityM)) {
+    if (weather.visibilityM < limits.minVisibilityM) flag("no-go", `visibility ${weather.visibilityM} m is below ${limits.minVisibilityM} m`);
+    else if (weather.visibilityM * CAUTION_AT < limits.minVisibilityM) flag("caution", `visibility ${weather.visibilityM} m is close to the ${limits.minVisibilityM} m minimum`);
+  }
+
+  const precip = weather.precipitation;
+  if (precip) {
+    const severe = precip.thunderstorm || precip.intensity === "heavy" || ["hail", "ice"].includes(precip.type);
+    const label = `${precip.intensity} ${precip.type}${precip.thunderstorm && precip.type !== "thunderstorm" ? " with thunderstorm" : ""}`;
+    flag(severe ? "no-go" : "caution", label);
+  }
+
+  const age = weather.observedAt ? now - new Date(weather.observedAt).getTime() : null;
+  if (age !== null && age > limits.maxReportAgeMs) flag("caution", `weather report is ${Math.round(age / 60000)} min old`);
+
+  return { status: worstOf(findings.map((f) => f.status)), reasons: findings.map((f) => f.reason) };
+}
+
+// Drones hold their altitude above the take-off point, so ground rising inside
+// the area eats into their clearance
+export function assessTerrain(terrain, limits = DEFAULT_LIMITS) {
+  if (!terrain || terrain.baseM === null || terrain.highestM === null) {
+    return { status: "caution", reasons: ["no terrain data for this area"] };
+  }
+  const rise = terrain.highestM - terrain.baseM;
+  const clearance = limits.flightAltitudeM - rise;
+  if (clearance < limits.minTerrainClearanceM) {
+    return {
+      status: "no-go",
+      reasons: [`terrain rises ${Math.round(rise)} m in the area, leaving ${Math.round(clearance)} m clearance at ${limits.flightAltitudeM} m`]
+    };
+  }
+  if (clearance < 2 * limits.minTerrainClearanceM) {
+    return { status: "caution", reasons: [`terrain rises ${Math.round(rise)} m in the area, ${Math.round(clearance)} m clearance left`] };
+  }
+  return { status: "go", reasons: [] };
+}
+
+// ---------------- Environment ----------------
+
+// weather / terrain: { provider, ...options } with provider a key of WEATHER_PROVIDERS / TERRAIN_PROVIDERS
+export function createEnvironment({
+  weather = { provider: "mock" },
+  terrain = { provider: "flat" },
+  weatherCellDeg = 0.05,
+  terrainCellDeg = 0.001,
+  weatherTtlMs = 10 * 60 * 1000,
+  limits = {}
+} = {}) {
+  const build = (registry, { provider, ...options }, kind) => {
+    if (!registry[provider]) throw new Error(`Unknown ${kind} provider '${provider}' (have ${Object.keys(registry).join(", ")})`);
+    return registry[provider](options);
+  };
+  const weatherProvider = build(WEATHER_PROVIDERS, weather, "weather");
+  const terrainProvider = build(TERRAIN_PROVIDERS, terrain, "terrain");
+  const weatherCache = createCellCache({ cellDeg: weatherCellDeg, ttlMs: weatherTtlMs });
+  const terrainCache = createCellCache({ cellDeg: terrainCellDeg });
+  const rules = { ...DEFAULT_LIMITS, ...limits };
+
+  const weatherAt = (lat, lng) => weatherCache.get(lat, lng, (cLat, cLng) => weatherProvider.weatherAt(cLat, cLng));
+  const elevationAt = (lat, lng) => terrainCache.get(lat, lng, (cLat, cLng) => terrainProvider.elevationAt(cLat, cLng));
+
+  // A failing provider makes the assessment "caution" instead of failing it
+  const tryLookup = async (lookup, label, reasons) => {
+    try {
+      return await lookup();
+    } catch (e) {
+      reasons.push(`${label} provider error: ${e.message}`);
+      return null;
+    }
+  };
+
+  async function assessLocation(lat, lng) {
+    const errors = [];
+    const conditions = await tryLookup(() => weatherAt(lat, lng), "weather", errors);
+    const elevationM = await tryLookup(() => elevationAt(lat, lng), "terrain", errors);
+    const verdict = assessWeather(conditions, rules);
+    return {
+      lat,
+      lng,
+      weather: conditions,
+      elevationM: round1(elevationM),
+      status: errors.length ? worstOf([verdict.status, "caution"]) : verdict.status,
+      reasons: [...errors, ...verdict.reasons]
+    };
+  }
+
+  // Weather at the centre and terrain sampled on a grid across the circle
+  async function assessArea(center, radiusM, { samples = 7 } = {}) {
+    const errors = [];
+    const conditions = await tryLookup(() => weatherAt(center.lat, center.lng), "weather", errors);
+
+    const step = (2 * radiusM) / (samples - 1);
+    const heights = [];
+    for (let i = 0; i < samples; i++) {
+      for (let j = 0; j < samples; j++) {
+        const [north, east] = [-radiusM + i * step, -radiusM + j * step];
+        if (Math.hypot(north, east) > radiusM) continue;
+        const p = offsetLatLng(center.lat, center.lng, north, east);
+        const h = await tryLookup(() => elevationAt(p.lat, p.lng), "terrain", errors);
+        if (Number.isFinite(h)) heights.push(h);
+      }
+    }
+    const baseM = heights.length ? await tryLookup(() => elevationAt(center.lat, center.lng), "terrain", errors) : null;
+    const highestM = heights.length ? Math.max(...heights) : null;
+    const lowestM = heights.length ? Math.min(...heights) : null;
+    const terrainInfo = {
+      baseM: round1(baseM),
+      highestM: round1(highestM),
+      lowestM: round1(lowestM),
+      reliefM: heights.length ? round1(highestM - lowestM) : null,
+      // Lowest altitude above the centre that keeps the minimum clearance everywhere
+      recommendedAltitudeM: Number.isFinite(baseM) ? Math.max(rules.flightAltitudeM, Math.ceil(highestM - baseM + rules.minTerrainClearanceM)) : null
+    };
+
+    const weatherVerdict = assessWeather(conditions, rules);
+    const terrainVerdict = assessTerrain(Number.isFinite(baseM) ? terrainInfo : null, rules);
+    const reasons = [...new Set([...errors, ...weatherVerdict.reasons, ...terrainVerdict.reasons])];
+    return {
+      center,
+      radiusM,
+      weather: conditions,
+      terrain: terrainInfo,
+      weatherStatus: weatherVerdict.status,
+      terrainStatus: terrainVerdict.status,
+      status: worstOf([weatherVerdict.status, terrainVerdict.status, ...(errors.length ? ["caution"] : [])]),
+      reasons
+    };
+  }
+
+  return {
+    providers: { weather: weatherProvider.name, terrain: terrainProvider.name },
+    limits: rules,
+    weatherAt,
+    elevationAt,
+    assessLocation,
+    assessArea
+  };
+}
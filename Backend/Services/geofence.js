@@ -0,0 +1,182 @@
+import NoFlyZone from "../Models/NoflyZone.js";
+
+// Geometry works on a flat lat/lng plane (x = lng, y = lat), which is
+// accurate enough for zones a few kilometres across.
+
+// ---------------- Point helpers ----------------
+
+// Accepts [lat, lng], { lat, lng } or { lat, lon } and returns [lat, lng] (or null)
+export function toLatLng(point) {
+  if (!point) return null;
+  if (Array.isArray(point)) {
+    const [lat, lng] = point;
+    return Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null;
+  }
+  const lat = point.lat;
+  const lng = point.lng ?? point.lon;
+  return Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null;
+}
+
+// Any accepted point as missions store it: [lat, lng], or [lat, lng, alt] when it has an altitude
+export function toWaypoint(point) {
+  const latLng = toLatLng(point);
+  if (!latLng) return null;
+  const alt = Array.isArray(point) ? point[2] : point.alt;
+  return Number.isFinite(alt) ? [...latLng, alt] : latLng;
+}
+
+const EARTH_RADIUS_M = 6371000;
+
+// Great-circle distance in metres between two points in any toLatLng format
+export function haversineMeters(a, b) {
+  const p1 = toLatLng(a);
+  const p2 = toLatLng(b);
+  if (!p1 || !p2) return Infinity;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(p2[0] - p1[0]);
+  const dLng = toRad(p2[1] - p1[1]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(p1[0])) * Math.cos(toRad(p2[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+// ---------------- Geometry ----------------
+
+// Ray casting; points exactly on an edge may go either way
+export function pointInPolygon(point, polygon) {
+  const p = toLatLng(point);
+  if (!p || !Array.isArray(polygon) || polygon.length < 3) return false;
+  const [y, x] = p;
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [yi, xi] = polygon[i];
+    const [yj, xj] = polygon[j];
+    const crosses = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+function orientation(a, b, c) {
+  const v = (b[1] - a[1]) * (c[0] - b[0]) - (b[0] - a[0]) * (c[1] - b[1]);
+  if (Math.abs(v) < 1e-12) return 0;
+  return v > 0 ? 1 : 2;
+}
+
+function onSegment(a, b, c) {
+  return Math.min(a[0], c[0]) <= b[0] && b[0] <= Math.max(a[0], c[0]) &&
+         Math.min(a[1], c[1]) <= b[1] && b[1] <= Math.max(a[1], c[1]);
+}
+
+// True when segment p1-p2 touches or crosses segment q1-q2
+export function segmentsIntersect(p1, p2, q1, q2) {
+  const o1 = orientation(p1, p2, q1);
+  const o2 = orientation(p1, p2, q2);
+  const o3 = orientation(q1, q2, p1);
+  const o4 = orientation(q1, q2, p2);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  if (o1 === 0 && onSegment(p1, q1, p2)) return true;
+  if (o2 === 0 && onSegment(p1, q2, p2)) return true;
+  if (o3 === 0 && onSegment(q1, p1, q2)) return true;
+  if (o4 === 0 && onSegment(q1, p2, q2)) return true;
+  return false;
+}
+
+// A leg violates a zone if either end is inside it or it crosses any edge
+export function segmentIntersectsPolygon(a, b, polygon) {
+  const p1 = toLatLng(a);
+  const p2 = toLatLng(b);
+  if (!p1 || !p2 || !Array.isArray(polygon) || polygon.length < 3) return false;
+  if (pointInPolygon(p1, polygon) || pointInPolygon(p2, polygon)) return true;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    if (segmentsIntersect(p1, p2, polygon[j], polygon[i])) return true;
+  }
+  return false;
+}
+
+// ---------------- Zone checks ----------------
+
+// Telemetry checks every sample against the zones, so keep them briefly in memory
+const ZONE_CACHE_MS = 5000;
+let zoneCache = { zones: null, loadedAt: 0 };
+
+export async function getActiveZones() {
+  if (zoneCache.zones && Date.now() - zoneCache.loadedAt < ZONE_CACHE_MS) return zoneCache.zones;
+  const zones = await NoFlyZone.find({ active: true }).lean().exec();
+  zoneCache = { zones, loadedAt: Date.now() };
+  return zones;
+}
+
+// Call after any zone create/update/delete
+export function invalidateZoneCache() {
+  zoneCache = { zones: null, loadedAt: 0 };
+}
+
+// Checks a route against the given zones. Each violation names the zone and
+// the waypoint (or leg starting at that waypoint) that breaks it.
+export function checkPathAgainstZones(path, zones) {
+  const points = (path || []).map(toLatLng).filter(Boolean);
+  const violations = [];
+
+  for (const zone of zones) {
+    const polygon = zone.polygon;
+    let hit = null;
+
+    // Walk the route in order so the first offending waypoint/leg is reported
+    for (let i = 0; !hit && i < points.length; i++) {
+      if (pointInPolygon(points[i], polygon)) hit = { kind: "waypoint", index: i };
+      else if (i < points.length - 1 && segmentIntersectsPolygon(points[i], points[i + 1], polygon)) hit = { kind: "leg", index: i };
+    }
+
+    if (hit) {
+      violations.push({ zoneId: zone._id, zoneName: zone.name || "", ...hit });
+    }
+  }
+
+  return violations;
+}
+
+// Loads active zones and checks the route against them
+export async function findZoneViolations(path) {
+  const zones = await getActiveZones();
+  return checkPathAgainstZones(path, zones);
+}
+
+// ---------------- Breach tracking ----------------
+// Per drone/fence state so GPS jitter around an edge doesn't flap alerts.
+// A change (breach or clear) is only reported once it has held for debounceMs.
+const breachStates = new Map(); // `${callsign}|${key}` -> { inBreach, pendingSince, breach }
+
+// `breaches` is the list of fences the drone is currently violating, each with a unique `key`.
+// Returns the fences that just became breached and the ones that just cleared.
+export function trackBreaches(callsign, breaches, { debounceMs = 0, now = Date.now() } = {}) {
+  const entered = [];
+  const cleared = [];
+  const current = new Map(breaches.map(b => [`${callsign}|${b.key}`, b]));
+  const keys = new Set([...current.keys()]);
+  for (const key of breachStates.keys()) {
+    if (key.startsWith(`${callsign}|`)) keys.add(key);
+  }
+
+  for (const key of keys) {
+    const raw = current.has(key);
+    const state = breachStates.get(key) || { inBreach: false, pendingSince: null, breach: current.get(key) };
+    if (raw) state.breach = current.get(key);
+
+    if (raw === state.inBreach) {
+      state.pendingSince = null;
+    } else {
+      if (state.pendingSince === null) state.pendingSince = now;
+      if (now - state.pendingSince >= debounceMs) {
+        state.inBreach = raw;
+        state.pendingSince = null;
+        (raw ? entered : cleared).push(state.breach);
+      }
+    }
+
+    if (!state.inBreach && state.pendingSince === null) breachStates.delete(key);
+    else breachStates.set(key, state);
+  }
+
+  return { entered, cleared };
+}
@@ -0,0 +1,122 @@
+// Projects a pixel in a drone camera frame onto the ground using the drone's
+// pose (position, altitude, heading, gimbal pitch) and the camera intrinsics.
+// Flat-earth model: the ground is a plane `alt` metres below the camera.
+
+const EARTH_RADIUS_M = 6371000;
+const DEG = Math.PI / 180;
+
+// Error budget for the uncertainty radius
+const DEFAULT_ERRORS = {
+  gpsM: 5,              // horizontal position error of the drone
+  angleDeg: 2,          // combined heading / gimbal / lens error
+  altitudeFrac: 0.1,    // barometric altitude error as a fraction of altitude
+  depthFrac: 0.15       // error of a depth-estimated range as a fraction of range
+};
+
+// ---------------- Camera model ----------------
+
+// Focal lengths and principal point in pixels. Uses the registered fx/fy/cx/cy
+// when present, otherwise derives them from the horizontal field of view.
+export function resolveIntrinsics(camera = {}, imageSize = []) {
+  const width = camera.width || imageSize[0] || 1280;
+  const height = camera.height || imageSize[1] || 720;
+  const hfov = (camera.hfovDeg || 84) * DEG;
+  const fx = camera.fx || width / (2 * Math.tan(hfov / 2));
+  const fy = camera.fy || fx;
+  return {
+    width,
+    height,
+    fx,
+    fy,
+    cx: camera.cx ?? width / 2,
+    cy: camera.cy ?? height / 2
+  };
+}
+
+// Centre pixel of a detection box. Supports xmin/ymin/xmax/ymax, bbox: [x1,y1,x2,y2]
+// and YOLO-style xywh (centre x, centre y, width, height).
+export function bboxCenter(d) {
+  if ([d.xmin, d.ymin, d.xmax, d.ymax].every(Number.isFinite)) {
+    return { u: (d.xmin + d.xmax) / 2, v: (d.ymin + d.ymax) / 2 };
+  }
+  if (Array.isArray(d.bbox) && d.bbox.length === 4 && d.bbox.every(Number.isFinite)) {
+    return { u: (d.bbox[0] + d.bbox[2]) / 2, v: (d.bbox[1] + d.bbox[3]) / 2 };
+  }
+  if (Array.isArray(d.xywh) && d.xywh.length === 4 && d.xywh.every(Number.isFinite)) {
+    return { u: d.xywh[0], v: d.xywh[1] };
+  }
+  return null;
+}
+
+// ---------------- Projection ----------------
+
+// Ray through pixel (u, v) in the drone's level frame: [forward, right, down].
+// pitchDeg: 0 = horizon, -90 = straight down (top of the image facing forward).
+function pixelRay({ u, v }, intrinsics, pitchDeg) {
+  const x = (u - intrinsics.cx) / intrinsics.fx;
+  const y = (v - intrinsics.cy) / intrinsics.fy;
+  const p = pitchDeg * DEG;
+  return [Math.cos(p) + y * Math.sin(p), x, -Math.sin(p) + y * Math.cos(p)];
+}
+
+// Offsets a lat/lng by metres north/east
+export function offsetLatLng(lat, lng, northM, eastM) {
+  return {
+    lat: lat + (northM / EARTH_RADIUS_M) / DEG,
+    lng: lng + (eastM / (EARTH_RADIUS_M * Math.cos(lat * DEG))) / DEG
+  };
+}
+
+// pose:     { lat, lng, alt, heading, gimbalPitch }  (alt above ground, heading clockwise from north)
+// options:  { rangeM } slant range to the target (e.g. from a depth estimate), mountYawDeg
+// Returns { lat, lng, uncertaintyM, groundDistanceM } or null when the ray misses the ground.
+export function projectPixelToGround(pixel, pose, intrinsics, options = {}) {
+  const errors = { ...DEFAULT_ERRORS, ...(options.errors || {}) };
+  const pitch = Number.isFinite(pose.gimbalPitch) ? pose.gimbalPitch : -90;
+  const heading = ((pose.heading ?? 0) + (options.mountYawDeg ?? 0)) * DEG;
+
+  const [f, r, d] = pixelRay(pixel, intrinsics, pitch);
+  const norm = Math.hypot(f, r, d);
+
+  let scale;
+  let rangeM;
+  if (Number.isFinite(options.rangeM) && options.rangeM > 0) {
+    scale = options.rangeM / norm;
+    rangeM = options.rangeM;
+  } else {
+    if (d <= 1e-6 || !(pose.alt > 0)) return null;
+    scale = pose.alt / d;
+    rangeM = scale * norm;
+  }
+
+  const forwardM = f * scale;
+  const rightM = r * scale;
+  const northM = forwardM * Math.cos(heading) - rightM * Math.sin(heading);
+  const eastM = forwardM * Math.sin(heading) + rightM * Math.cos(heading);
+  const groundDistanceM = Math.hypot(northM, eastM);
+
+  // Angular error moves the point by roughly range * angle; a wrong altitude
+  // scales the ground offset, a wrong depth moves the point along the ray.
+  const lateralM = rangeM * errors.angleDeg * DEG;
+  const rangeErrM = Number.isFinite(options.rangeM)
+    ? rangeM * errors.depthFrac
+    : groundDistanceM * errors.altitudeFrac;
+  const uncertaintyM = Math.hypot(errors.gpsM, lateralM, rangeErrM);
+
+  return {
+    ...offsetLatLng(pose.lat, pose.lng, northM, eastM),
+    uncertaintyM: Math.round(uncertaintyM * 10) / 10,
+    groundDistanceM: Math.round(groundDistanceM * 10) / 10
+  };
+}
+
+// Inverse-variance blend of two position estimates with uncertainty radii
+export function fuseEstimates(a, b) {
+  const wa = 1 / Math.max(a.uncertaintyM, 0.1) ** 2;
+  const wb = 1 / Math.max(b.uncertaintyM, 0.1) ** 2;
+  return {
+    lat: (a.lat * wa + b.lat * wb) / (wa + wb),
+    lng: (a.lng * wa + b.lng * wb) / (wa + wb),
+    uncertaintyM: Math.round((1 / Math.sqrt(wa + wb)) * 10) / 10
+  };
+}
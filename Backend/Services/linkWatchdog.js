@@ -0,0 +1,38 @@
+// Drones silent for staleMs are marked LINK_LOST; once silent for requeueMs
+// their work is given away. The next telemetry restores them.
+//
+// The caller supplies the storage and the side effects:
+//   findSilent(before)        drones whose lastSeen is older than `before`
+//   markLost(drone)           set LINK_LOST unless telemetry arrived meanwhile; true if it did
+//   onLost(drone, previousMode), onExpired(drone), onRestored(drone)
+// `lost` seeds the callsigns already marked LINK_LOST (e.g. from before a restart).
+export function createLinkWatchdog({ staleMs, requeueMs, findSilent, markLost, onLost, onExpired, onRestored, lost = [] }) {
+  const lostLinks = new Set(lost);
+
+  async function check(now = Date.now()) {
+    const silent = await findSilent(new Date(now - staleMs));
+
+    for (const drone of silent) {
+      const silentMs = now - new Date(drone.lastSeen).getTime();
+
+      if (drone.mode !== "LINK_LOST") {
+        const previousMode = drone.mode;
+        if (!(await markLost(drone))) continue;
+        drone.mode = "LINK_LOST";
+        lostLinks.add(drone.callsign);
+        await onLost(drone, previousMode);
+      }
+
+      if (silentMs >= requeueMs) await onExpired(drone);
+    }
+  }
+
+  // Telemetry arrived; reports a reconnect if the drone was marked lost
+  async function seen(drone) {
+    if (!lostLinks.delete(drone.callsign)) return false;
+    await onRestored(drone);
+    return true;
+  }
+
+  return { check, seen, isLost: (callsign) => lostLinks.has(callsign) };
+}
@@ -0,0 +1,131 @@
+// Fleet maintenance: usage counters accumulated from telemetry, components with
+// service intervals, and the service log that resets them.
+//
+// A component is serviced every intervalHours of flight, intervalCycles
+// (flights, or charge cycles for batteries) or intervalDays, whichever comes
+// first. Usage is counted from its last service (or installation).
+
+// Where a component hits "due" ahead of its interval
+const DUE_AT = 0.9;
+
+const DEFAULTS = {
+  groundAltM: 1,       // below this the drone is taken to be on the ground
+  maxGapMs: 10000      // longer gaps between samples aren't counted as flight time
+};
+
+// Components every new drone starts with
+export const DEFAULT_COMPONENTS = [
+  { name: "Airframe", kind: "airframe", intervalHours: 25, intervalDays: 30 },
+  ...[1, 2, 3, 4].map((n) => ({ name: `Motor ${n}`, kind: "motor", intervalHours: 100 })),
+  { name: "Propellers", kind: "propeller", intervalHours: 50 },
+  { name: "Battery", kind: "battery", intervalCycles: 300 }
+];
+
+export function newComponent(spec, usage = {}, at = new Date()) {
+  return {
+    name: spec.name,
+    kind: spec.kind,
+    serial: spec.serial ?? null,
+    intervalHours: spec.intervalHours ?? null,
+    intervalCycles: spec.intervalCycles ?? null,
+    intervalDays: spec.intervalDays ?? null,
+    installedAt: at,
+    serviced: { at, flightSeconds: usage.flightSeconds || 0, flightCycles: usage.flightCycles || 0, chargeCycles: usage.chargeCycles || 0 }
+  };
+}
+
+// ---------------- Usage ----------------
+
+// Counter increments between two telemetry samples { at (ms), alt, battery }:
+// flight time while airborne, a flight cycle per take-off, and battery charged
+// in fractions of a full 0-100% cycle
+export function usageDelta(prev, next, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const delta = { flightSeconds: 0, flightCycles: 0, chargeCycles: 0 };
+  if (!prev) return delta;
+
+  const airborne = (s) => Number.isFinite(s.alt) && s.alt >= opts.groundAltM;
+  const gap = next.at - prev.at;
+  if (gap > 0 && gap <= opts.maxGapMs && airborne(prev) && airborne(next)) delta.flightSeconds = gap / 1000;
+  if (!airborne(prev) && airborne(next)) delta.flightCycles = 1;
+  if (Number.isFinite(prev.battery) && next.battery > prev.battery) delta.chargeCycles = (next.battery - prev.battery) / 100;
+  return delta;
+}
+
+// ---------------- Service status ----------------
+
+// How far each interval of a component has run, and its status:
+// ok, due (within 10% of an interval) or overdue
+export function componentStatus(component, usage, now = new Date()) {
+  const since = component.serviced || {};
+  const cycles = component.kind === "battery"
+    ? (usage.chargeCycles || 0) - (since.chargeCycles || 0)
+    : (usage.flightCycles || 0) - (since.flightCycles || 0);
+  const used = {
+    hours: ((usage.flightSeconds || 0) - (since.flightSeconds || 0)) / 3600,
+    cycles,
+    days: since.at ? (now - new Date(since.at)) / 86400000 : 0
+  };
+  const limits = { hours: component.intervalHours, cycles: component.intervalCycles, days: component.intervalDays };
+
+  const intervals = Object.entries(limits)
+    .filter(([, limit]) => limit > 0)
+    .map(([unit, limit]) => ({ unit, used: round(used[unit]), limit, fraction: used[unit] / limit }));
+  const worst = intervals.reduce((a, b) => (!a || b.fraction > a.fraction ? b : a), null);
+  const status = !worst || worst.fraction < DUE_AT ? "ok" : worst.fraction < 1 ? "due" : "overdue";
+
+  return {
+    status,
+    used: { hours: round(used.hours), cycles: round(used.cycles), days: round(used.days) },
+    intervals: intervals.map(({ fraction, ...rest }) => ({ ...rest, fraction: round(fraction) })),
+    limitedBy: worst && status !== "ok" ? `${worst.used}/${worst.limit} ${worst.unit}` : null
+  };
+}
+
+// The whole drone: every component's status plus the worst of them
+export function maintenanceStatus(maintenance, now = new Date()) {
+  const usage = {
+    flightSeconds: maintenance?.flightSeconds || 0,
+    flightCycles: maintenance?.flightCycles || 0,
+    chargeCycles: maintenance?.chargeCycles || 0
+  };
+  const components = (maintenance?.components || []).map((c) => ({
+    id: c._id ? String(c._id) : null,
+    name: c.name,
+    kind: c.kind,
+    serial: c.serial,
+    ...componentStatus(c, usage, now)
+  }));
+  const worst = components.some((c) => c.status === "overdue") ? "overdue" : components.some((c) => c.status === "due") ? "due" : "ok";
+  return {
+    status: worst,
+    flightHours: round(usage.flightSeconds / 3600),
+    flightCycles: usage.flightCycles,
+    chargeCycles: round(usage.chargeCycles),
+    overdue: components.filter((c) => c.status === "overdue").map((c) => `${c.name} (${c.limitedBy})`),
+    components
+  };
+}
+
+// Service, replacement and a passed inspection restart the component's
+// intervals; a replacement also records the new part's serial
+export function applyRecord(maintenance, component, record, at = new Date()) {
+  if (!component) return;
+  const resets = record.kind === "service" || record.kind === "replacement" || (record.kind === "inspection" && record.result === "pass");
+  if (resets) {
+    component.serviced = {
+      at,
+      flightSeconds: maintenance.flightSeconds || 0,
+      flightCycles: maintenance.flightCycles || 0,
+      chargeCycles: maintenance.chargeCycles || 0
+    };
+  }
+  if (record.kind === "replacement") {
+    component.installedAt = at;
+    if (record.serial) component.serial = record.serial;
+  }
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,91 @@
+import { haversineMeters } from "./geofence.js";
+
+// ---------------- States ----------------
+// queued    waiting for a drone
+// blocked   held back (e.g. crosses a no-fly zone) until an operator re-queues it
+// scheduled reserved in a drone's task queue, starts when the drone is free
+// active    assigned and flying
+// paused    drone holding position, still owns the mission
+// completed / failed / cancelled / aborted are terminal
+export const MISSION_STATUSES = ["queued", "blocked", "scheduled", "active", "paused", "completed", "failed", "cancelled", "aborted"];
+export const TERMINAL_STATUSES = ["completed", "failed", "cancelled", "aborted"];
+// Missions in these states keep their drone busy
+export const BUSY_STATUSES = ["active", "paused"];
+
+const TRANSITIONS = {
+  queued: ["active", "scheduled", "blocked", "cancelled"],
+  blocked: ["queued", "cancelled"],
+  scheduled: ["active", "queued", "cancelled"],
+  active: ["paused", "completed", "failed", "aborted", "queued"],
+  paused: ["active", "aborted", "cancelled", "queued"],
+  completed: [],
+  failed: [],
+  cancelled: [],
+  aborted: []
+};
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Moves a mission to a new status and records when and why. Throws (with
+// status 409) on an invalid transition; the caller is responsible for saving.
+export function transitionMission(mission, to, { reason = null, by = null } = {}) {
+  const from = mission.status;
+  if (!canTransition(from, to)) {
+    const err = new Error(`Invalid mission transition ${from} -> ${to}`);
+    err.status = 409;
+    err.from = from;
+    err.to = to;
+    throw err;
+  }
+
+  const history = mission.statusHistory?.length
+    ? [...mission.statusHistory]
+    : [{ status: from, at: mission.createdAt || new Date(), reason: "created" }];
+  mission.status = to;
+  mission.statusHistory = [...history, { status: to, at: new Date(), reason, ...(by && { by }) }];
+  if (to === "queued") mission.assignedTo = null;
+  return mission;
+}
+
+// ---------------- Waypoint progress ----------------
+
+// Marks a waypoint reached (once). Returns true if it was newly recorded.
+export function markWaypointReached(mission, index) {
+  const count = mission.waypoints?.length || 0;
+  if (!Number.isInteger(index) || index < 0 || index >= count) return false;
+  if ((mission.waypointsReached || []).some((w) => w.index === index)) return false;
+
+  mission.waypointsReached = [...(mission.waypointsReached || []), { index, at: new Date() }];
+  mission.currentWaypoint = Math.min(Math.max(mission.currentWaypoint || 0, index + 1), count);
+  return true;
+}
+
+export function allWaypointsReached(mission) {
+  const count = mission.waypoints?.length || 0;
+  return count > 0 && (mission.waypointsReached || []).length >= count;
+}
+
+// Advances progress when the drone is within radiusM of its current waypoint.
+// Returns the indices newly reached by this position.
+export function updateProgressFromPosition(mission, position, radiusM) {
+  const reached = [];
+  const index = mission.currentWaypoint || 0;
+  const target = mission.waypoints?.[index];
+  if (target && haversineMeters(position, target) <= radiusM && markWaypointReached(mission, index)) {
+    reached.push(index);
+  }
+  return reached;
+}
+
+// ---------------- History ----------------
+
+// Mongo filter for missions open at some point in [from, to]: created before
+// the window ends and either still open or changed state after it began
+export function openDuringFilter(from, to) {
+  return {
+    createdAt: { $lte: to },
+    $or: [{ status: { $nin: TERMINAL_STATUSES } }, { "statusHistory.at": { $gte: from } }]
+  };
+}
@@ -0,0 +1,144 @@
+import { haversineMeters, toLatLng } from "./geofence.js";
+import { scoreDroneForMission } from "./assignment.js";
+
+// Per-drone task queues: missions reserved for a drone ("scheduled") that it
+// flies one after another once its active mission ends.
+
+const DEFAULTS = {
+  maxQueue: 3,          // scheduled missions per drone, not counting the active one
+  chainRadiusKm: 2      // only chain missions that start close to where the drone will be
+};
+
+// ---------------- Route helpers ----------------
+
+const entryOf = (mission) => toLatLng(mission.waypoints?.[0]);
+const exitOf = (mission) => toLatLng(mission.waypoints?.[mission.waypoints.length - 1]);
+
+// Waypoints the drone still has to fly for a mission
+export function remainingWaypoints(mission) {
+  return (mission.waypoints || []).slice(mission.currentWaypoint || 0);
+}
+
+// Length of start -> m1 -> m2 ... where each mission is flown entry to exit
+function sequenceCostM(start, missions) {
+  let cost = 0;
+  let pos = start;
+  for (const m of missions) {
+    cost += haversineMeters(pos, entryOf(m));
+    pos = exitOf(m);
+  }
+  return cost;
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map((rest) => [item, ...rest])
+  );
+}
+
+// Orders missions to minimise travel from `start`. Exact for small queues,
+// nearest neighbour + 2-opt beyond that.
+export function orderMissionsTsp(start, missions) {
+  const stops = missions.filter((m) => entryOf(m));
+  const unrouted = missions.filter((m) => !entryOf(m));
+  if (stops.length <= 1) return [...stops, ...unrouted];
+
+  if (stops.length <= 6) {
+    let best = stops;
+    let bestCost = Infinity;
+    for (const order of permutations(stops)) {
+      const cost = sequenceCostM(start, order);
+      if (cost < bestCost) {
+        best = order;
+        bestCost = cost;
+      }
+    }
+    return [...best, ...unrouted];
+  }
+
+  const left = [...stops];
+  let order = [];
+  let pos = start;
+  while (left.length) {
+    left.sort((a, b) => haversineMeters(pos, entryOf(a)) - haversineMeters(pos, entryOf(b)));
+    const next = left.shift();
+    order.push(next);
+    pos = exitOf(next);
+  }
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let k = i + 1; k < order.length; k++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, k + 1).reverse(), ...order.slice(k + 1)];
+        if (sequenceCostM(start, candidate) < sequenceCostM(start, order)) {
+          order = candidate;
+          improved = true;
+        }
+      }
+    }
+  }
+  return [...order, ...unrouted];
+}
+
+// ---------------- Chaining ----------------
+
+// Where the drone will be once its active mission ends
+function chainStart(drone, active) {
+  if (active) {
+    const rest = remainingWaypoints(active);
+    if (rest.length) return toLatLng(rest[rest.length - 1]);
+  }
+  return toLatLng([drone.location?.lat, drone.location?.lng]);
+}
+
+// Adds missions that found no free drone to the queues of drones that will
+// be nearby. Each chain is checked as one long flight (active remainder plus
+// every queued mission, all supplies aboard) so the drone can still get home.
+//
+// queues:  Map callsign -> scheduled missions in order
+// actives: Map callsign -> active mission
+// Returns [{ callsign, mission, queue, evaluation }] with the new full queue order.
+export function planChains(missions, drones, { queues, actives, ...options } = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const working = new Map([...queues.entries()].map(([k, v]) => [k, [...v]]));
+  const chains = [];
+
+  for (const mission of missions) {
+    const entry = entryOf(mission);
+    if (!entry) continue;
+
+    let best = null;
+    for (const drone of drones) {
+      const queue = working.get(drone.callsign) || [];
+      if (queue.length >= opts.maxQueue) continue;
+
+      const active = actives.get(drone.callsign);
+      const start = chainStart(drone, active);
+      const tail = queue.length ? exitOf(queue[queue.length - 1]) : start;
+      const hopKm = haversineMeters(tail, entry) / 1000;
+      if (hopKm > opts.chainRadiusKm) continue;
+
+      const ordered = orderMissionsTsp(start, [...queue, mission]);
+      const combined = {
+        waypoints: [...(active ? remainingWaypoints(active) : []), ...ordered.flatMap((m) => m.waypoints)],
+        supplies: [...(active?.supplies || []), ...ordered.flatMap((m) => m.supplies || [])],
+        droneType: mission.droneType,
+        excludedDrones: mission.excludedDrones
+      };
+      const evaluation = scoreDroneForMission(drone, combined, opts);
+      if (!evaluation.eligible) continue;
+
+      if (!best || hopKm < best.hopKm) best = { drone, ordered, evaluation, hopKm };
+    }
+
+    if (best) {
+      working.set(best.drone.callsign, best.ordered);
+      chains.push({ callsign: best.drone.callsign, mission, queue: best.ordered, evaluation: best.evaluation });
+    }
+  }
+
+  return chains;
+}
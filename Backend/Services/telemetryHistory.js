@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import Telemetry from "../Models/Telemetry.js";
+
+// Telemetry time series: buffered writes and downsampled reads
+
+const KNOWN_FIELDS = ["lat", "lng", "alt", "battery", "mode", "heading", "speed", "gimbal_pitch", "gimbalPitch", "yaw", "groundspeed"];
+const MAX_POINTS = 5000;
+const FLUSH_SIZE = 500;
+const MAX_BUFFERED = 20 * FLUSH_SIZE; // kept while writes fail; the oldest go first
+
+// Creates the time-series collection if needed and applies the retention
+export async function ensureTelemetryCollection(retentionDays) {
+  const expireAfterSeconds = Math.round(retentionDays * 86400);
+  await Telemetry.createCollection({ expireAfterSeconds });
+  await mongoose.connection.db.command({ collMod: Telemetry.collection.collectionName, expireAfterSeconds });
+  await Telemetry.createIndexes();
+}
+
+// ---------------- Writing ----------------
+
+let buffer = [];
+
+export function telemetrySample(callsign, payload, ts = new Date()) {
+  const extra = {};
+  for (const [key, value] of Object.entries(payload || {})) {
+    if (!KNOWN_FIELDS.includes(key)) extra[key] = value;
+  }
+  const num = (v) => (Number.isFinite(v) ? v : undefined);
+  return {
+    ts,
+    callsign,
+    lat: num(payload.lat),
+    lng: num(payload.lng),
+    alt: num(payload.alt),
+    battery: num(payload.battery),
+    mode: payload.mode,
+    heading: num(payload.heading ?? payload.yaw),
+    speed: num(payload.speed ?? payload.groundspeed),
+    gimbalPitch: num(payload.gimbal_pitch ?? payload.gimbalPitch),
+    ...(Object.keys(extra).length && { extra })
+  };
+}
+
+// Samples are written in batches; call flushTelemetry on a timer
+export function recordTelemetry(sample) {
+  buffer.push(sample);
+  if (buffer.length >= FLUSH_SIZE) return flushTelemetry();
+  return Promise.resolve();
+}
+
+// A batch that could not be written (e.g. the database is unreachable) goes
+// back in the buffer for the next flush; documents the server rejected are dropped
+export async function flushTelemetry() {
+  if (!buffer.length) return;
+  const batch = buffer;
+  buffer = [];
+  try {
+    await Telemetry.insertMany(batch, { ordered: false });
+  } catch (e) {
+    if (!e.writeErrors?.length) {
+      buffer = [...batch, ...buffer];
+      if (buffer.length > MAX_BUFFERED) {
+        console.warn(`Telemetry buffer full, dropping ${buffer.length - MAX_BUFFERED} oldest samples`);
+        buffer = buffer.slice(-MAX_BUFFERED);
+      }
+    }
+    throw e;
+  }
+}
+
+// ---------------- Reading ----------------
+
+// "500", "500ms", "10s", "5m", "1h" -> milliseconds (bare numbers are seconds)
+export function parseResolution(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(String(value).trim());
+  if (!match) return NaN;
+  const factor = { ms: 1, s: 1000, m: 60000, h: 3600000 }[match[2] || "s"];
+  return Math.round(parseFloat(match[1]) * factor);
+}
+
+// Drones that reported at least once in the window
+export async function telemetryCallsigns(from, to) {
+  const callsigns = await Telemetry.distinct("callsign", { ts: { $gte: from, $lte: to } }).exec();
+  return callsigns.sort();
+}
+
+// Averages numeric fields per time bucket and keeps the last position, heading
+// and mode so tracks stay on real points. The bucket is widened when the
+// range would give more than MAX_POINTS.
+export function telemetryPipeline(callsign, { from, to, resolutionMs }) {
+  const rangeMs = to.getTime() - from.getTime();
+  const bucketMs = Math.max(resolutionMs || 0, Math.ceil(rangeMs / MAX_POINTS), 1);
+
+  const pipeline = [
+    { $match: { callsign, ts: { $gte: from, $lte: to } } },
+    { $sort: { ts: 1 } },
+    {
+      $group: {
+        _id: { $subtract: [{ $toLong: "$ts" }, { $mod: [{ $toLong: "$ts" }, bucketMs] }] },
+        battery: { $avg: "$battery" },
+        alt: { $avg: "$alt" },
+        speed: { $avg: "$speed" },
+        lat: { $last: "$lat" },
+        lng: { $last: "$lng" },
+        heading: { $last: "$heading" },
+        mode: { $last: "$mode" },
+        samples: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        ts: { $toDate: "$_id" },
+        lat: 1,
+        lng: 1,
+        alt: { $round: ["$alt", 2] },
+        battery: { $round: ["$battery", 2] },
+        speed: { $round: ["$speed", 2] },
+        heading: 1,
+        mode: 1,
+        samples: 1
+      }
+    }
+  ];
+  return { bucketMs, pipeline };
+}
+
+export async function queryTelemetry(callsign, { from, to, resolutionMs }) {
+  const { bucketMs, pipeline } = telemetryPipeline(callsign, { from, to, resolutionMs });
+  const points = await Telemetry.aggregate(pipeline).exec();
+  return { callsign, from, to, resolutionMs: bucketMs, count: points.length, points };
+}
@@ -0,0 +1,116 @@
+import { readdir, readFile } from "fs/promises";
+import path from "path";
+
+// Terrain providers. Each has a name and elevationAt(lat, lng), resolving to
+// metres above sea level, or null where it has no data. Pick one with TERRAIN_PROVIDER.
+
+// ---------------- Mock ----------------
+
+// Flat ground at a fixed height
+export function createFlatTerrain({ elevationM = 0 } = {}) {
+  return {
+    name: "flat",
+    async elevationAt() {
+      return elevationM;
+    }
+  };
+}
+
+// ---------------- DEM tiles ----------------
+// ESRI ASCII grid (.asc) tiles in WGS84 degrees. GeoTIFF DEMs (SRTM, Copernicus)
+// convert with: gdal_translate -of AAIGrid tile.tif tile.asc
+
+export function parseAsciiGrid(text) {
+  const lines = text.split(/\r?\n/);
+  const header = {};
+  let row = 0;
+  while (row < lines.length) {
+    const [key, value] = lines[row].trim().split(/\s+/);
+    if (!key || !/^[a-z_]+$/i.test(key)) break;
+    header[key.toLowerCase()] = Number(value);
+    row++;
+  }
+  const { ncols, nrows, cellsize } = header;
+  if (!ncols || !nrows || !cellsize) throw new Error("not an ASCII grid: missing ncols/nrows/cellsize");
+
+  // Corner registration gives the outer edge; centre registration the middle of the first cell
+  const west = header.xllcorner ?? header.xllcenter - cellsize / 2;
+  const south = header.yllcorner ?? header.yllcenter - cellsize / 2;
+  const values = new Float32Array(ncols * nrows);
+  let i = 0;
+  for (; row < lines.length && i < values.length; row++) {
+    for (const token of lines[row].trim().split(/\s+/)) {
+      if (token !== "") values[i++] = Number(token);
+    }
+  }
+  if (i < values.length) throw new Error(`ASCII grid has ${i} of ${values.length} values`);
+
+  return {
+    ncols,
+    nrows,
+    cellsize,
+    west,
+    south,
+    north: south + nrows * cellsize,
+    east: west + ncols * cellsize,
+    nodata: header.nodata_value ?? -9999,
+    values
+  };
+}
+
+// Bilinear interpolation between the four surrounding cell centres
+export function sampleGrid(grid, lat, lng) {
+  if (lat < grid.south || lat > grid.north || lng < grid.west || lng > grid.east) return null;
+  const x = Math.min(Math.max((lng - grid.west) / grid.cellsize - 0.5, 0), grid.ncols - 1);
+  const y = Math.min(Math.max((grid.north - lat) / grid.cellsize - 0.5, 0), grid.nrows - 1); // rows run north to south
+  const [c0, r0] = [Math.floor(x), Math.floor(y)];
+  const [c1, r1] = [Math.min(c0 + 1, grid.ncols - 1), Math.min(r0 + 1, grid.nrows - 1)];
+  const at = (r, c) => grid.values[r * grid.ncols + c];
+  const corners = [at(r0, c0), at(r0, c1), at(r1, c0), at(r1, c1)];
+  if (corners.some((v) => v === grid.nodata || !Number.isFinite(v))) {
+    const nearest = at(Math.round(y), Math.round(x));
+    return nearest === grid.nodata ? null : nearest;
+  }
+  const [fx, fy] = [x - c0, y - r0];
+  const top = corners[0] + (corners[1] - corners[0]) * fx;
+  const bottom = corners[2] + (corners[3] - corners[2]) * fx;
+  return top + (bottom - top) * fy;
+}
+
+// Every .asc file in dir, loaded on first use; later tiles win where they overlap
+export function createDemTerrain({ dir }) {
+  if (!dir) throw new Error("dem terrain needs a tile directory");
+  let tiles = null;
+
+  async function load() {
+    if (tiles) return tiles;
+    const files = (await readdir(dir)).filter((f) => f.toLowerCase().endsWith(".asc")).sort();
+    const loaded = [];
+    for (const file of files) {
+      try {
+        loaded.push(parseAsciiGrid(await readFile(path.join(dir, file), "utf8")));
+      } catch (e) {
+        console.warn(`Skipping DEM tile ${file}:`, e.message);
+      }
+    }
+    console.log(`Loaded ${loaded.length} DEM tile(s) from ${dir}`);
+    tiles = loaded.reverse();
+    return tiles;
+  }
+
+  return {
+    name: "dem",
+    async elevationAt(lat, lng) {
+      for (const tile of await load()) {
+        const elevation = sampleGrid(tile, lat, lng);
+        if (elevation !== null) return elevation;
+      }
+      return null;
+    }
+  };
+}
+
+export const TERRAIN_PROVIDERS = {
+  flat: createFlatTerrain,
+  dem: createDemTerrain
+};
@@ -0,0 +1,41 @@
+import { formatIssues } from "../../shared/validation.js";
+
+// Glue between the shared schemas (../../shared/schemas.js) and the transports.
+// Rejections carry the individual issues so clients can point at the bad field.
+
+export function validationError(issues, context) {
+  return { error: `${context}: ${formatIssues(issues)}`, issues };
+}
+
+// Express middleware: replaces req.body with the parsed value or answers 400
+export function validateBody(schema) {
+  return (req, res, next) => {
+    const result = schema.safeParse(req.body ?? {});
+    if (!result.success) return res.status(400).json(validationError(result.issues, "Invalid request body"));
+    req.body = result.data;
+    next();
+  };
+}
+
+// Wraps a socket handler; invalid payloads are answered with an "error" event and dropped
+export function validateSocket(socket, event, schema, handler) {
+  return (payload, ...rest) => {
+    const result = schema.safeParse(payload);
+    if (!result.success) {
+      socket.emit("error", { message: `Invalid ${event} payload`, ...validationError(result.issues, event) });
+      return;
+    }
+    return handler(result.data, ...rest);
+  };
+}
+
+// routes: [[topicRegex, schema], ...]. Returns the parsed payload, or null when
+// the message is invalid (logged) and should be ignored. Unrouted topics pass as-is.
+export function parseMqttMessage(routes, topic, payload) {
+  const route = routes.find(([pattern]) => pattern.test(topic));
+  if (!route) return payload;
+  const result = route[1].safeParse(payload);
+  if (result.success) return result.data;
+  console.warn(`Dropped invalid MQTT message on ${topic}: ${formatIssues(result.issues)}`);
+  return null;
+}
@@ -0,0 +1,132 @@
+import { readFile, stat } from "fs/promises";
+import { haversineMeters } from "./geofence.js";
+
+// Weather providers. Each has a name and weatherAt(lat, lng), resolving to
+//
+//   { windMs, gustMs, windDirDeg, visibilityM,
+//     precipitation: { type, intensity, thunderstorm } | null,
+//     observedAt, source, station }
+//
+// or null when it has nothing for that location. Any field may be null when
+// the source doesn't report it. Pick one with WEATHER_PROVIDER.
+
+const KT_TO_MS = 0.514444;
+const KMH_TO_MS = 1 / 3.6;
+const MILE_M = 1609.34;
+
+// ---------------- Mock ----------------
+
+// Fixed conditions, labelled as mock so nobody mistakes them for observations
+export function createMockWeather({ windMs = 4, gustMs = 6, windDirDeg = 270, visibilityM = 10000, precipitation = null } = {}) {
+  return {
+    name: "mock",
+    async weatherAt() {
+      return { windMs, gustMs, windDirDeg, visibilityM, precipitation, observedAt: new Date(), source: "mock", station: null };
+    }
+  };
+}
+
+// ---------------- METAR ----------------
+
+const INTENSITIES = ["light", "moderate", "heavy"];
+const PRECIP_TYPES = { DZ: "drizzle", RA: "rain", SN: "snow", SG: "snow", IC: "ice", PL: "ice", GR: "hail", GS: "hail", UP: "unknown" };
+
+// "DDHHMMZ" -> Date in the current (or, if that is in the future, previous) month
+function metarTime(token, now = new Date()) {
+  const [day, hour, minute] = [token.slice(0, 2), token.slice(2, 4), token.slice(4, 6)].map(Number);
+  const t = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), day, hour, minute));
+  if (t > now) t.setUTCMonth(t.getUTCMonth() - 1);
+  return t;
+}
+
+// Decodes the parts of a METAR report that matter for flying; remarks are ignored
+export function parseMetar(line, now = new Date()) {
+  const tokens = line.trim().split(/\s+/).filter((t) => t !== "METAR" && t !== "SPECI");
+  const station = tokens.shift();
+  if (!/^[A-Z][A-Z0-9]{3}$/.test(station || "")) return null;
+
+  const report = { station, observedAt: null, windMs: null, gustMs: null, windDirDeg: null, visibilityM: null, precipitation: null };
+  const phenomena = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === "RMK") break;
+
+    let m;
+    if (/^\d{6}Z$/.test(token)) {
+      report.observedAt = metarTime(token, now);
+    } else if ((m = token.match(/^(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS|KMH)$/))) {
+      const factor = m[4] === "KT" ? KT_TO_MS : m[4] === "KMH" ? KMH_TO_MS : 1;
+      report.windDirDeg = m[1] === "VRB" ? null : Number(m[1]);
+      report.windMs = Number(m[2]) * factor;
+      report.gustMs = m[3] ? Number(m[3]) * factor : report.windMs;
+    } else if (token === "CAVOK") {
+      report.visibilityM = 10000;
+    } else if (/^\d{4}$/.test(token) && report.visibilityM === null) {
+      report.visibilityM = token === "9999" ? 10000 : Number(token);
+    } else if ((m = token.match(/^P?(\d+)?(?:(\d)\/(\d))?SM$/)) && report.visibilityM === null) {
+      // "1 1/2SM" arrives as two tokens
+      const whole = Number(m[1] || (/^\d$/.test(tokens[i - 1]) ? tokens[i - 1] : 0));
+      const fraction = m[2] ? Number(m[2]) / Number(m[3]) : 0;
+      report.visibilityM = Math.round((whole + fraction) * MILE_M);
+    } else if ((m = token.match(/^(\+|-|VC)?(MI|BC|PR|DR|BL|SH|TS|FZ)?((?:DZ|RA|SN|SG|IC|PL|GR|GS|UP)*)$/)) && (m[2] === "TS" || m[3])) {
+      if (m[1] === "VC") continue; // in the vicinity, not at the station
+      phenomena.push({
+        type: PRECIP_TYPES[m[3].slice(0, 2)] || "thunderstorm",
+        intensity: m[1] === "+" ? "heavy" : m[1] === "-" ? "light" : "moderate",
+        thunderstorm: m[2] === "TS"
+      });
+    }
+  }
+
+  // Several groups (e.g. "-RA SN") collapse to the heaviest, keeping any thunderstorm
+  if (phenomena.length) {
+    const heaviest = phenomena.reduce((a, b) => (INTENSITIES.indexOf(b.intensity) > INTENSITIES.indexOf(a.intensity) ? b : a));
+    report.precipitation = { ...heaviest, thunderstorm: phenomena.some((p) => p.thunderstorm) };
+  }
+  return report;
+}
+
+// Latest METAR per station from a text file (one report per line, as served by
+// aviation weather feeds), answered from the nearest station within maxDistanceKm.
+// stationsFile is JSON: { "VIDP": [lat, lng], ... }. Both files are re-read when they change.
+export function createMetarWeather({ file, stationsFile, maxDistanceKm = 50 }) {
+  if (!file || !stationsFile) throw new Error("metar weather needs a report file and a stations file");
+  let loaded = { mtimes: null, reports: [] };
+
+  async function load() {
+    const mtimes = `${(await stat(file)).mtimeMs}:${(await stat(stationsFile)).mtimeMs}`;
+    if (loaded.mtimes === mtimes) return loaded.reports;
+
+    const stations = JSON.parse(await readFile(stationsFile, "utf8"));
+    const latest = new Map();
+    for (const line of (await readFile(file, "utf8")).split(/\r?\n/)) {
+      const report = parseMetar(line);
+      if (!report || !stations[report.station]) continue;
+      const prev = latest.get(report.station);
+      if (!prev || !prev.observedAt || (report.observedAt && report.observedAt >= prev.observedAt)) {
+        latest.set(report.station, { ...report, location: stations[report.station] });
+      }
+    }
+    loaded = { mtimes, reports: [...latest.values()] };
+    return loaded.reports;
+  }
+
+  return {
+    name: "metar",
+    async weatherAt(lat, lng) {
+      let best = null;
+      for (const report of await load()) {
+        const distance = haversineMeters([lat, lng], report.location);
+        if (distance <= maxDistanceKm * 1000 && (!best || distance < best.distance)) best = { report, distance };
+      }
+      if (!best) return null;
+      const { location, ...weather } = best.report;
+      return { ...weather, source: "metar", distanceKm: Math.round(best.distance / 100) / 10 };
+    }
+  };
+}
+
+export const WEATHER_PROVIDERS = {
+  mock: createMockWeather,
+  metar: createMetarWeather
+};
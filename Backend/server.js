@@ -1,743 +1,2689 @@
-import express from "express";
-import http from "http";
-import { Server } from "socket.io";
-import cors from "cors";
-import bodyParser from "body-parser";
-import mqtt from "mqtt";
-import mongoose from "mongoose";
-import dotenv from "dotenv";
-import fetch from "node-fetch";
-import Mission from "./models/Mission.js";
-import Drone from "./models/Drone.js";
-import EventModel from "./models/Event.js";
-import NoFlyZone from "./models/NolyZone.js";
-import Disaster from "./models/Disaster.js";
-
-import { runAnalytics } from "./Services/aiAnalytics.js";
-
-dotenv.config();
-
-// Config
-const PORT = process.env.PORT || 5000;
-const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/sih";
-const MQTT_URL = process.env.MQTT_URL || "mqtt://localhost:1883";
-const BATTERY_FAILSAFE = parseFloat(process.env.BATTERY_FAILSAFE || "20");
-const MIN_BATTERY_ASSIGN = parseFloat(process.env.MIN_BATTERY_ASSIGN || "35");
-const AI_SERVICE_URL = process.env.AI_SERVICE_URL || null;
-const PLANNER_URL = process.env.PLANNER_URL || "http://localhost:8000";
-
-// MongoDB
-await mongoose.connect(MONGO_URI).catch((err) => {
-  console.error("Mongo connection error", err);
-  process.exit(1);
-});
-console.log("MongoDB connected");
-
-// Express + Socket.io
-const app = express();
-app.use(cors());
-app.use(bodyParser.json());
-const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: "*" } });
-
-// MQTT client
-const mqttClient = mqtt.connect(MQTT_URL);
-const pendingAcks = new Map();
-const lastCommandAt = new Map();
-const MIN_COMMAND_INTERVAL_MS = 200;
-
-mqttClient.on("connect", () => {
-  console.log("MQTT connected to", MQTT_URL);
-  mqttClient.subscribe("drone/+/telemetry");
-  mqttClient.subscribe("drone/+/event");
-  mqttClient.subscribe("drone/+/ack");
-  
-  // Subscribe to AI perception systems
-  mqttClient.subscribe("perception/+/detections");
-  mqttClient.subscribe("depth/+/estimates");
-  mqttClient.subscribe("obstacles/+/update");
-  
-  console.log("Subscribed to AI perception topics");
-});
-
-mqttClient.on("message", async (topic, message) => {
-  try {
-    const payload = JSON.parse(message.toString());
-
-    // ---------------- Telemetry ----------------
-    if (topic.match(/^drone\/[^\/]+\/telemetry$/)) {
-      const callsign = topic.split("/")[1];
-      const update = {
-        callsign,
-        battery: payload.battery ?? 100,
-        mode: payload.mode ?? "IDLE",
-        lastSeen: new Date(),
-        location: { lat: payload.lat ?? 0, lng: payload.lng ?? 0, alt: payload.alt ?? 0 },
-      };
-
-      const drone = await Drone.findOneAndUpdate(
-        { callsign },
-        {
-          $set: update,
-          $push: { path: { $each: [[update.location.lat, update.location.lng]], $slice: -200 } },
-        },
-        { upsert: true, new: true }
-      );
-
-      // Failsafe RTL if battery low
-      if (drone.battery <= BATTERY_FAILSAFE && drone.mode !== "RTL") {
-        console.log(`Battery low for ${callsign} (${drone.battery}%) → RTL`);
-        mqttClient.publish(`drone/${callsign}/command`, JSON.stringify({ cmd: "rtl" }));
-        await Drone.updateOne({ callsign }, { $set: { mode: "RTL" } });
-
-        const active = await Mission.findOne({ assignedTo: callsign, status: "active" });
-        if (active) {
-          active.assignedTo = null;
-          active.status = "queued";
-          await active.save();
-          await tryAssignQueuedMissions();
-          io.emit("mission-updated", active);
-        }
-      }
-
-      io.emit("drone-update", drone);
-    }
-
-    // ---------------- Events ----------------
-    if (topic.match(/^drone\/[^\/]+\/event$/)) {
-      const callsign = topic.split("/")[1];
-      const ev = new EventModel({ type: payload.event || "unknown", payload, source: callsign });
-      await ev.save();
-      io.emit("drone-event", { callsign, event: payload });
-
-      // Human detected → auto create rescue mission
-      if (payload.event === "human_detected" && payload.location) {
-        const m = new Mission({
-          name: "Rescue - human detected",
-          waypoints: [[payload.location.lat, payload.location.lng]],
-          supplies: ["first_aid", "water", "blanket"],
-          priority: 1,
-          metadata: { source: "ai", confidence: payload.confidence, image: payload.image },
-        });
-        await m.save();
-        io.emit("mission-created", m);
-        await tryAssignQueuedMissions();
-      }
-    }
-
-    // ---------------- ACK ----------------
-    if (topic.match(/^drone\/[^\/]+\/ack$/)) {
-      const cmdId = payload?.cmdId;
-      if (cmdId && pendingAcks.has(cmdId)) {
-        const entry = pendingAcks.get(cmdId);
-        clearTimeout(entry.timeout);
-        pendingAcks.delete(cmdId);
-        entry.resolve({ ok: true, status: payload.status || "ACK" });
-      }
-    }
-
-    // ---------------- AI Perception Systems ----------------
-    if (topic.match(/^perception\/[^\/]+\/detections$/)) {
-      const cameraId = topic.split("/")[1];
-      await handlePerceptionDetections(cameraId, payload);
-    }
-
-    if (topic.match(/^depth\/[^\/]+\/estimates$/)) {
-      const cameraId = topic.split("/")[1];
-      await handleDepthEstimates(cameraId, payload);
-    }
-
-    if (topic.match(/^obstacles\/[^\/]+\/update$/)) {
-      const sourceId = topic.split("/")[1];
-      await handleObstacleUpdate(sourceId, payload);
-    }
-  } catch (e) {
-    console.error("MQTT msg parse error", e);
-  }
-});
-
-// ---------------- AI Perception Handlers ----------------
-async function handlePerceptionDetections(cameraId, payload) {
-  try {
-    console.log(`Received detections from camera ${cameraId}:`, payload.detections?.length || 0, "objects");
-    
-    // Store detection data for dashboard
-    const detectionData = {
-      cameraId,
-      timestamp: payload.timestamp || Date.now(),
-      detections: payload.detections || [],
-      processingMs: payload.processing_ms || 0,
-      model: payload.model || "unknown"
-    };
-
-    // Emit to dashboard
-    io.emit("perception-detections", detectionData);
-
-    // Check for critical detections that need immediate response
-    const criticalDetections = payload.detections?.filter(d => 
-      d.class === "person" && d.conf > 0.7
-    ) || [];
-
-    if (criticalDetections.length > 0) {
-      console.log(`Critical detection: ${criticalDetections.length} person(s) detected by camera ${cameraId}`);
-      
-      // Create emergency rescue missions
-      for (const detection of criticalDetections) {
-        const mission = new Mission({
-          name: `Emergency Rescue - Person detected by ${cameraId}`,
-          waypoints: [[detection.lat || 34.0, detection.lng || -118.0]], // Simplified coordinates
-          supplies: ["first_aid", "water", "blanket", "emergency_kit"],
-          priority: 1,
-          metadata: { 
-            source: "ai_perception", 
-            cameraId,
-            confidence: detection.conf,
-            detectionId: detection.id || "unknown",
-            bbox: [detection.xmin, detection.ymin, detection.xmax, detection.ymax]
-          },
-        });
-        await mission.save();
-        io.emit("mission-created", mission);
-        await tryAssignQueuedMissions();
-      }
-    }
-
-    // Forward to planner for obstacle updates
-    if (PLANNER_URL) {
-      try {
-        const plannerPayload = {
-          camera_id: cameraId,
-          detections: payload.detections,
-          timestamp: payload.timestamp
-        };
-        
-        // Publish to planner for obstacle mapping
-        mqttClient.publish(`perception/${cameraId}/detections`, JSON.stringify(plannerPayload));
-      } catch (e) {
-        console.error("Failed to forward detections to planner:", e);
-      }
-    }
-
-  } catch (e) {
-    console.error("Error handling perception detections:", e);
-  }
-}
-
-async function handleDepthEstimates(cameraId, payload) {
-  try {
-    console.log(`Received depth estimates from camera ${cameraId}:`, payload.depth_estimates?.length || 0, "objects");
-    
-    // Store depth data for dashboard
-    const depthData = {
-      cameraId,
-      timestamp: payload.timestamp || Date.now(),
-      depthEstimates: payload.depth_estimates || [],
-      depthMapPath: payload.depth_map_path,
-      processingMs: payload.processing_ms || 0,
-      detectionCount: payload.detection_count || 0
-    };
-
-    // Emit to dashboard
-    io.emit("depth-estimates", depthData);
-
-    // Analyze depth data for obstacle proximity warnings
-    const closeObstacles = payload.depth_estimates?.filter(d => 
-      d.average_depth < 30 && d.depth_confidence === "high"
-    ) || [];
-
-    if (closeObstacles.length > 0) {
-      console.log(`Close obstacles detected by camera ${cameraId}:`, closeObstacles.length);
-      
-      // Emit proximity warning
-      io.emit("proximity-warning", {
-        cameraId,
-        closeObstacles: closeObstacles.length,
-        timestamp: Date.now()
-      });
-    }
-
-  } catch (e) {
-    console.error("Error handling depth estimates:", e);
-  }
-}
-
-async function handleObstacleUpdate(sourceId, payload) {
-  try {
-    console.log(`Received obstacle update from ${sourceId}:`, payload.obstacles?.length || 0, "obstacles");
-    
-    // Store obstacle data
-    const obstacleData = {
-      sourceId,
-      timestamp: payload.timestamp || Date.now(),
-      obstacles: payload.obstacles || [],
-      obstacleCount: payload.obstacle_count || 0
-    };
-
-    // Emit to dashboard
-    io.emit("obstacle-update", obstacleData);
-
-    // Check if any active missions need replanning due to new obstacles
-    const activeMissions = await Mission.find({ status: "active" });
-    for (const mission of activeMissions) {
-      // Simple check - in a real system, you'd do more sophisticated collision detection
-      const needsReplanning = payload.obstacles?.some(obstacle => {
-        // Check if obstacle is near mission path (simplified)
-        return Math.abs(obstacle.lat - mission.waypoints[0][0]) < 0.001 && 
-               Math.abs(obstacle.lon - mission.waypoints[0][1]) < 0.001;
-      });
-
-      if (needsReplanning) {
-        console.log(`Mission ${mission._id} needs replanning due to new obstacles`);
-        io.emit("mission-replan-needed", { missionId: mission._id, reason: "new_obstacles" });
-      }
-    }
-
-  } catch (e) {
-    console.error("Error handling obstacle update:", e);
-  }
-}
-
-// ---------------- Mission Assignment Logic ----------------
-async function tryAssignQueuedMissions() {
-  const m = await Mission.findOne({ status: "queued" }).sort({ priority: 1, createdAt: 1 }).exec();
-  if (!m) return;
-  const drone = await chooseBestAvailableDrone();
-  if (!drone) return;
-
-  m.assignedTo = drone.callsign;
-  m.status = "active";
-  await m.save();
-
-  mqttClient.publish(`mission/${m._id}/assign`, JSON.stringify(m));
-  io.emit("mission-updated", m);
-  console.log("Assigned mission", m._id, "to", drone.callsign);
-
-  setImmediate(tryAssignQueuedMissions);
-}
-
-async function chooseBestAvailableDrone() {
-  const drones = await Drone.find({ battery: { $gte: MIN_BATTERY_ASSIGN }, mode: { $ne: "RTL" } }).exec();
-  const busy = await Mission.find({ status: "active" }).distinct("assignedTo").exec();
-  const candidates = drones.filter((d) => !busy.includes(d.callsign));
-  if (!candidates.length) return null;
-  candidates.sort((a, b) => b.battery - a.battery);
-  return candidates[0];
-}
-
-// ---------------- REST APIs ----------------
-app.get("/api/drones", async (req, res) => res.json(await Drone.find().exec()));
-app.get("/api/missions", async (req, res) => res.json(await Mission.find().sort({ createdAt: -1 }).limit(200).exec()));
-
-// POST endpoint for creating missions (used by demo feeds)
-app.post("/missions", async (req, res) => {
-  try {
-    const missionData = req.body;
-    
-    // Create new mission
-    const mission = new Mission({
-      name: missionData.name || 'Unnamed Mission',
-      waypoints: missionData.waypoints || [],
-      supplies: missionData.supplies || [],
-      priority: missionData.priority || 5,
-      assignedTo: missionData.assignedTo || null,
-      status: missionData.status || 'queued',
-      metadata: missionData.metadata || {}
-    });
-    
-    const savedMission = await mission.save();
-    
-    // Emit to dashboard via Socket.io
-    io.emit('mission_created', savedMission);
-    
-    // Publish to MQTT
-    mqttClient.publish('missions/new', JSON.stringify(savedMission));
-    
-    console.log(`New mission created: ${savedMission._id} - ${savedMission.name}`);
-    
-    res.status(201).json(savedMission);
-  } catch (error) {
-    console.error('Error creating mission:', error);
-    res.status(500).json({ error: 'Failed to create mission' });
-  }
-});
-
-app.get("/api/disasters", async (req, res) => res.json(await Disaster.find().sort({ detectedAt: -1 }).limit(100).exec()));
-
-// POST endpoint for creating disasters (used by demo feeds)
-app.post("/disasters", async (req, res) => {
-  try {
-    const disasterData = req.body;
-    
-    // Create new disaster
-    const disaster = new Disaster({
-      type: disasterData.type || 'unknown',
-      severity: disasterData.severity || 'moderate',
-      confidence: disasterData.confidence || 0.5,
-      coordinates: disasterData.coordinates || { lat: 0, lng: 0 },
-      description: disasterData.description || '',
-      recommendedActions: disasterData.recommendedActions || [],
-      status: disasterData.status || 'detected',
-      assignedDrones: disasterData.assignedDrones || [],
-      imageUrl: disasterData.imageUrl || '',
-      detectedAt: disasterData.detectedAt ? new Date(disasterData.detectedAt) : new Date(),
-      metadata: disasterData.metadata || {}
-    });
-    
-    const savedDisaster = await disaster.save();
-    
-    // Emit to dashboard via Socket.io
-    io.emit('disaster_detected', savedDisaster);
-    
-    // Publish to MQTT
-    mqttClient.publish('disasters/new', JSON.stringify(savedDisaster));
-    
-    console.log(`New disaster created: ${savedDisaster._id} - ${savedDisaster.type}`);
-    
-    res.status(201).json(savedDisaster);
-  } catch (error) {
-    console.error('Error creating disaster:', error);
-    res.status(500).json({ error: 'Failed to create disaster' });
-  }
-});
-
-app.get("/api/events", async (req, res) => res.json(await EventModel.find().sort({ createdAt: -1 }).limit(200).exec()));
-
-// ---------------- AI Integration APIs ----------------
-app.get("/api/perception/status", async (req, res) => {
-  try {
-    // Get recent detection data
-    const recentDetections = await EventModel.find({ 
-      type: "perception_detection" 
-    }).sort({ createdAt: -1 }).limit(50).exec();
-    
-    res.json({
-      status: "operational",
-      recentDetections: recentDetections.length,
-      lastUpdate: recentDetections[0]?.createdAt || null,
-      mqttConnected: mqttClient.connected
-    });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
-
-app.post("/api/perception/request", async (req, res) => {
-  try {
-    const { cameraId, imageData, requestType = "detection" } = req.body;
-    
-    if (!cameraId || !imageData) {
-      return res.status(400).json({ error: "cameraId and imageData are required" });
-    }
-
-    // Forward request to AI services via MQTT
-    const requestPayload = {
-      camera_id: cameraId,
-      image_data: imageData,
-      request_type: requestType,
-      timestamp: Date.now()
-    };
-
-    mqttClient.publish(`ai/${cameraId}/request`, JSON.stringify(requestPayload));
-    
-    res.json({ 
-      message: "Request sent to AI services",
-      cameraId,
-      requestType 
-    });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
-
-app.get("/api/obstacles", async (req, res) => {
-  try {
-    // Get obstacle data from planner service
-    if (PLANNER_URL) {
-      const response = await fetch(`${PLANNER_URL}/obstacles`);
-      const obstacleData = await response.json();
-      res.json(obstacleData);
-    } else {
-      res.json({ 
-        obstacle_count: 0, 
-        obstacles: [],
-        message: "Planner service not configured" 
-      });
-    }
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
-
-app.get("/api/geofences", async (req, res) => {
-  try {
-    // Get geofence data from planner service
-    if (PLANNER_URL) {
-      const response = await fetch(`${PLANNER_URL}/geofences`);
-      const geofenceData = await response.json();
-      res.json(geofenceData);
-    } else {
-      res.json({ 
-        geofence_count: 0, 
-        geofences: [],
-        message: "Planner service not configured" 
-      });
-    }
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
-
-app.post("/api/plan/mission", async (req, res) => {
-  try {
-    const { droneId, start, goal, useDynamicObstacles = true } = req.body;
-    
-    if (!droneId || !start || !goal) {
-      return res.status(400).json({ error: "droneId, start, and goal are required" });
-    }
-
-    // Forward to planner service
-    if (PLANNER_URL) {
-      const plannerResponse = await fetch(`${PLANNER_URL}/plan_direct`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          start,
-          goal,
-          use_dynamic_obstacles: useDynamicObstacles
-        })
-      });
-      
-      const pathData = await plannerResponse.json();
-      res.json(pathData);
-    } else {
-      res.status(503).json({ error: "Planner service not available" });
-    }
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
-
-app.get("/api/system/health", async (req, res) => {
-  try {
-    const healthData = {
-      backend: {
-        status: "healthy",
-        mqttConnected: mqttClient.connected,
-        websocketClients: io.engine.clientsCount,
-        uptime: process.uptime()
-      },
-      ai: {
-        perceptionService: AI_SERVICE_URL ? "configured" : "not_configured",
-        plannerService: PLANNER_URL ? "configured" : "not_configured"
-      },
-      database: {
-        status: "connected",
-        droneCount: await Drone.countDocuments(),
-        missionCount: await Mission.countDocuments(),
-        eventCount: await EventModel.countDocuments()
-      },
-      timestamp: Date.now()
-    };
-
-    res.json(healthData);
-  } catch (e) {
-    res.status(500).json({ error: e.message });
-  }
-});
-
-// Drone commands (Takeoff, Land, RTL, etc.)
-app.post("/api/drone/:callsign/command", async (req, res) => {
-  try {
-    const { callsign } = req.params;
-    const { cmd, meta } = req.body;
-    const now = Date.now();
-    const last = lastCommandAt.get(callsign) || 0;
-    if (now - last < MIN_COMMAND_INTERVAL_MS) return res.status(429).json({ ok: false, msg: "rate_limited" });
-
-    lastCommandAt.set(callsign, now);
-    const cmdId = `${callsign}_${now}_${Math.floor(Math.random() * 1e6)}`;
-    const payload = { cmdId, cmd, meta };
-
-    const awaitAck = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        pendingAcks.delete(cmdId);
-        reject(new Error("ack_timeout"));
-      }, 3000);
-      pendingAcks.set(cmdId, { resolve, reject, timeout });
-    });
-
-    mqttClient.publish(`drone/${callsign}/command`, JSON.stringify(payload));
-    await awaitAck;
-    res.json({ ok: true, cmdId });
-  } catch (e) {
-    res.status(500).json({ ok: false, err: e.toString() });
-  }
-});
-
-// ---------------- WebSocket ----------------
-io.on("connection", async (socket) => {
-  console.log("Frontend connected", socket.id);
-
-  // Send initial system state
-  try {
-    socket.emit("system-status", {
-      drones: await Drone.find().exec(),
-      missions: await Mission.find().sort({ createdAt: -1 }).limit(50).exec(),
-      timestamp: Date.now()
-    });
-  } catch (error) {
-    console.error("Error sending initial system state:", error);
-    socket.emit("system-status", {
-      drones: [],
-      missions: [],
-      timestamp: Date.now()
-    });
-  }
-
-  socket.on("command", ({ droneId, cmd }) => {
-    if (!droneId || !cmd) return;
-    mqttClient.publish(`drone/${droneId}/command`, JSON.stringify({ cmd }));
-    console.log("MQTT command", droneId, cmd);
-  });
-
-  socket.on("return-home", (droneId) => {
-    mqttClient.publish(`drone/${droneId}/command`, JSON.stringify({ cmd: "rtl" }));
-  });
-
-  socket.on("enable-autonomous", (droneId) => {
-    mqttClient.publish(`drone/${droneId}/command`, JSON.stringify({ cmd: "autonomous_on" }));
-  });
-
-  socket.on("disable-autonomous", (droneId) => {
-    mqttClient.publish(`drone/${droneId}/command`, JSON.stringify({ cmd: "autonomous_off" }));
-  });
-
-  socket.on("assign-zone", ({ droneId, zoneId, priority }) => {
-    mqttClient.publish(`drone/${droneId}/command`, JSON.stringify({ cmd: "assign_zone", zone: zoneId, priority }));
-  });
-
-  // AI-related WebSocket events
-  socket.on("request-perception", async ({ cameraId, imageData }) => {
-    try {
-      const requestPayload = {
-        camera_id: cameraId,
-        image_data: imageData,
-        request_type: "detection",
-        timestamp: Date.now()
-      };
-      
-      mqttClient.publish(`ai/${cameraId}/request`, JSON.stringify(requestPayload));
-      socket.emit("perception-request-sent", { cameraId, timestamp: Date.now() });
-    } catch (e) {
-      socket.emit("error", { message: "Failed to send perception request", error: e.message });
-    }
-  });
-
-  socket.on("request-depth", async ({ cameraId, imageData, detections }) => {
-    try {
-      const requestPayload = {
-        camera_id: cameraId,
-        image_data: imageData,
-        detections: detections || [],
-        request_type: "depth",
-        timestamp: Date.now()
-      };
-      
-      mqttClient.publish(`depth/${cameraId}/request`, JSON.stringify(requestPayload));
-      socket.emit("depth-request-sent", { cameraId, timestamp: Date.now() });
-    } catch (e) {
-      socket.emit("error", { message: "Failed to send depth request", error: e.message });
-    }
-  });
-
-  socket.on("plan-mission", async ({ droneId, start, goal, useDynamicObstacles = true }) => {
-    try {
-      if (!droneId || !start || !goal) {
-        socket.emit("error", { message: "droneId, start, and goal are required" });
-        return;
-      }
-
-      if (PLANNER_URL) {
-        const response = await fetch(`${PLANNER_URL}/plan_direct`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            start,
-            goal,
-            use_dynamic_obstacles: useDynamicObstacles
-          })
-        });
-        
-        const pathData = await response.json();
-        socket.emit("mission-planned", { droneId, path: pathData });
-      } else {
-        socket.emit("error", { message: "Planner service not available" });
-      }
-    } catch (e) {
-      socket.emit("error", { message: "Failed to plan mission", error: e.message });
-    }
-  });
-
-  socket.on("update-obstacles", async ({ obstacles }) => {
-    try {
-      if (PLANNER_URL) {
-        const response = await fetch(`${PLANNER_URL}/update_obstacles`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(obstacles)
-        });
-        
-        const result = await response.json();
-        socket.emit("obstacles-updated", result);
-      } else {
-        socket.emit("error", { message: "Planner service not available" });
-      }
-    } catch (e) {
-      socket.emit("error", { message: "Failed to update obstacles", error: e.message });
-    }
-  });
-
-  socket.on("get-system-status", async () => {
-    try {
-      const healthData = {
-        backend: {
-          status: "healthy",
-          mqttConnected: mqttClient.connected,
-          websocketClients: io.engine.clientsCount,
-          uptime: process.uptime()
-        },
-        ai: {
-          perceptionService: AI_SERVICE_URL ? "configured" : "not_configured",
-          plannerService: PLANNER_URL ? "configured" : "not_configured"
-        },
-        database: {
-          status: "connected",
-          droneCount: await Drone.countDocuments(),
-          missionCount: await Mission.countDocuments(),
-          eventCount: await EventModel.countDocuments()
-        },
-        timestamp: Date.now()
-      };
-      
-      socket.emit("system-status", healthData);
-    } catch (e) {
-      socket.emit("error", { message: "Failed to get system status", error: e.message });
-    }
-  });
-
-  socket.on("disconnect", () => console.log("Frontend disconnected", socket.id));
-});
-
-// ---------------- Analytics Loop ----------------
-setInterval(async () => {
-  try {
-    const analytics = await runAnalytics();
-    io.emit("system-health", analytics);
-  } catch (e) {
-    console.error("Analytics error", e);
-  }
-}, 10000); // every 10s
-
-// ---------------- Start ----------------
-server.listen(PORT, () => console.log(`Backend listening on ${PORT}`));
-setInterval(tryAssignQueuedMissions, 5000);
+import express from "express";
+import http from "http";
+import { Server } from "socket.io";
+import cors from "cors";
+import bodyParser from "body-parser";
+import mqtt from "mqtt";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import fetch from "node-fetch";
+import Mission from "./Models/Missions.js";
+import Drone from "./Models/Drone.js";
+import EventModel from "./Models/Event.js";
+import NoFlyZone from "./Models/NoflyZone.js";
+import Disaster from "./Models/Disaster.js";
+import Camera from "./Models/Camera.js";
+import User from "./Models/User.js";
+
+import { createAnalyticsEngine } from "./Services/analyticsEngine.js";
+import { createEnvironment } from "./Services/environment.js";
+import {
+  findZoneViolations,
+  getActiveZones,
+  invalidateZoneCache,
+  pointInPolygon,
+  toWaypoint,
+  trackBreaches
+} from "./Services/geofence.js";
+import {
+  BUSY_STATUSES,
+  TERMINAL_STATUSES,
+  transitionMission,
+  markWaypointReached,
+  allWaypointsReached,
+  updateProgressFromPosition,
+  openDuringFilter
+} from "./Services/missionLifecycle.js";
+import {
+  appendUpdate,
+  transitionDisaster,
+  closingStatus,
+  surveyWaypoints
+} from "./Services/disasterLifecycle.js";
+import { planAreaSearch } from "./Services/areaSearch.js";
+import { planAllocation, summarizePlan } from "./Services/allocator.js";
+import { missionPayloadKg } from "./Services/assignment.js";
+import { priorModel, dischargeSegments, fitDischargeModel, predictEndurance } from "./Services/batteryModel.js";
+import { DEFAULT_COMPONENTS, newComponent, usageDelta, maintenanceStatus, applyRecord } from "./Services/maintenance.js";
+import {
+  DOCK_HOLDING,
+  getActiveBases,
+  invalidateBaseCache,
+  dockUsage,
+  freeDocks,
+  chooseDock,
+  fallbackBase,
+  isAtBase,
+  chargeLevel,
+  readyAt
+} from "./Services/bases.js";
+import { planChains, orderMissionsTsp, remainingWaypoints } from "./Services/taskQueue.js";
+import {
+  isPersonDetection,
+  detectionLocation,
+  groupDetections,
+  findMergeTarget,
+  mergeSighting,
+  newCluster
+} from "./Services/detectionClusters.js";
+import {
+  resolveIntrinsics,
+  bboxCenter,
+  projectPixelToGround,
+  fuseEstimates
+} from "./Services/georeference.js";
+import {
+  configureAuth,
+  hasRole,
+  hashPassword,
+  checkPassword,
+  signToken,
+  authenticate,
+  requireRole,
+  authenticateSocket,
+  guardSocket
+} from "./Services/auth.js";
+import { recordCommand, recordAck, commandFilter, verifyCommandChain, commandsToCsv } from "./Services/commandLog.js";
+import { createCommandDispatcher } from "./Services/commandDispatcher.js";
+import { createLinkWatchdog } from "./Services/linkWatchdog.js";
+import {
+  enqueueCommand,
+  claimQueuedCommands,
+  settleQueuedCommand,
+  hasQueuedCommands,
+  requeueInFlight
+} from "./Services/commandQueue.js";
+import QueuedCommand from "./Models/QueuedCommand.js";
+import MaintenanceRecord from "./Models/MaintenanceRecord.js";
+import Base from "./Models/Base.js";
+import {
+  ensureTelemetryCollection,
+  telemetrySample,
+  recordTelemetry,
+  flushTelemetry,
+  parseResolution,
+  queryTelemetry,
+  telemetryCallsigns
+} from "./Services/telemetryHistory.js";
+import Command from "./Models/Command.js";
+import { validateBody, validateSocket, parseMqttMessage } from "./Services/validation.js";
+import { preflightCommand } from "./Services/commandRegistry.js";
+import * as schemas from "../shared/schemas.js";
+
+dotenv.config();
+
+// Config
+const PORT = process.env.PORT || 5000;
+const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/sih";
+const MQTT_URL = process.env.MQTT_URL || "mqtt://localhost:1883";
+const BATTERY_FAILSAFE = parseFloat(process.env.BATTERY_FAILSAFE || "20"); // % left on landing at home; drones turn back before the trip home would eat into it
+const MIN_BATTERY_ASSIGN = parseFloat(process.env.MIN_BATTERY_ASSIGN || "35");
+const DROP_RADIUS_M = parseFloat(process.env.DROP_RADIUS_M || "30"); // drop_payload only this close to the mission target
+const AI_SERVICE_URL = process.env.AI_SERVICE_URL || null;
+const PLANNER_URL = process.env.PLANNER_URL || "http://localhost:8000";
+const GEOFENCE_DEBOUNCE_MS = parseInt(process.env.GEOFENCE_DEBOUNCE_MS || "3000", 10);
+const GEOFENCE_ACTION = (process.env.GEOFENCE_ACTION || "none").toLowerCase(); // none, hold, rtl
+const WAYPOINT_RADIUS_M = parseFloat(process.env.WAYPOINT_RADIUS_M || "15");
+const ENERGY_PCT_PER_KM = parseFloat(process.env.ENERGY_PCT_PER_KM || "3"); // prior for drones without a fitted discharge model
+const CRUISE_SPEED_MS = parseFloat(process.env.CRUISE_SPEED_MS || "10");
+const BATTERY_FIT_WINDOW_H = parseFloat(process.env.BATTERY_FIT_WINDOW_H || "72"); // telemetry history the discharge models are fitted on
+const BATTERY_FIT_INTERVAL_MS = parseInt(process.env.BATTERY_FIT_INTERVAL_MS || "600000", 10);
+const ASSIGN_RESERVE_PCT = parseFloat(process.env.ASSIGN_RESERVE_PCT || String(BATTERY_FAILSAFE));
+const MAX_TASK_QUEUE = parseInt(process.env.MAX_TASK_QUEUE || "3", 10);
+const CHAIN_RADIUS_KM = parseFloat(process.env.CHAIN_RADIUS_KM || "2");
+const PERSON_CONF_THRESHOLD = parseFloat(process.env.PERSON_CONF_THRESHOLD || "0.7");
+const DETECTION_MERGE_RADIUS_M = parseFloat(process.env.DETECTION_MERGE_RADIUS_M || "25");
+const DETECTION_MERGE_WINDOW_MS = parseInt(process.env.DETECTION_MERGE_WINDOW_MS || "600000", 10);
+const POSE_MAX_AGE_MS = parseInt(process.env.POSE_MAX_AGE_MS || "5000", 10);
+const DEPTH_SCALE_M = parseFloat(process.env.DEPTH_SCALE_M || "1"); // metres per depth-estimate unit
+const PROJECTION_CACHE_MS = parseInt(process.env.PROJECTION_CACHE_MS || "60000", 10);
+const COMMAND_ACK_TIMEOUT_MS = parseInt(process.env.COMMAND_ACK_TIMEOUT_MS || "3000", 10);
+const COMMAND_RETRIES = parseInt(process.env.COMMAND_RETRIES || "2", 10);
+const COMMAND_BACKOFF_MS = parseInt(process.env.COMMAND_BACKOFF_MS || "1000", 10);
+const COMMAND_IDEMPOTENCY_TTL_MS = parseInt(process.env.COMMAND_IDEMPOTENCY_TTL_MS || "600000", 10);
+const COMMAND_QUEUE_TTL_MS = parseInt(process.env.COMMAND_QUEUE_TTL_MS || "300000", 10);
+const LINK_STALE_MS = parseInt(process.env.LINK_STALE_MS || "10000", 10); // no telemetry for this long = out of link
+const LINK_LOST_REQUEUE_MS = parseInt(process.env.LINK_LOST_REQUEUE_MS || "60000", 10); // silence before its mission is given away
+const LINK_CHECK_INTERVAL_MS = parseInt(process.env.LINK_CHECK_INTERVAL_MS || "5000", 10);
+const TELEMETRY_RETENTION_DAYS = parseFloat(process.env.TELEMETRY_RETENTION_DAYS || "30");
+const TELEMETRY_FLUSH_MS = parseInt(process.env.TELEMETRY_FLUSH_MS || "1000", 10);
+const SEARCH_RADIUS_M = parseFloat(process.env.SEARCH_RADIUS_M || "300"); // area searched around a disaster when no polygon is given
+const SEARCH_MAX_WAYPOINTS = parseInt(process.env.SEARCH_MAX_WAYPOINTS || "500", 10); // per generated search mission
+const SEARCH_ZONE_MARGIN_M = parseFloat(process.env.SEARCH_ZONE_MARGIN_M || "20");
+const WEATHER_PROVIDER = process.env.WEATHER_PROVIDER || "mock"; // mock, metar
+const WEATHER_CACHE_MS = parseInt(process.env.WEATHER_CACHE_MS || "600000", 10);
+const TERRAIN_PROVIDER = process.env.TERRAIN_PROVIDER || "flat"; // flat, dem
+const FLIGHT_MAX_WIND_MS = parseFloat(process.env.FLIGHT_MAX_WIND_MS || "12");
+const FLIGHT_MAX_GUST_MS = parseFloat(process.env.FLIGHT_MAX_GUST_MS || "15");
+const FLIGHT_MIN_VISIBILITY_M = parseFloat(process.env.FLIGHT_MIN_VISIBILITY_M || "1500");
+const FLIGHT_ALTITUDE_M = parseFloat(process.env.FLIGHT_ALTITUDE_M || "40"); // planned altitude above take-off, for terrain clearance
+const TERRAIN_CLEARANCE_M = parseFloat(process.env.TERRAIN_CLEARANCE_M || "15");
+const ANALYTICS_RETENTION_MS = parseFloat(process.env.ANALYTICS_RETENTION_H || "24") * 3600000; // longest /api/analytics window
+const ANALYTICS_EMIT_MS = parseInt(process.env.ANALYTICS_EMIT_MS || "1000", 10); // system-health changes are batched this long
+const ANALYTICS_CONDITIONS_MS = parseInt(process.env.ANALYTICS_CONDITIONS_MS || "30000", 10);
+const MAINTENANCE_CHECK_MS = parseInt(process.env.MAINTENANCE_CHECK_MS || "60000", 10);
+const CHARGE_READY_PCT = parseFloat(process.env.CHARGE_READY_PCT || "90"); // docked drones take missions again from here
+const CHARGE_SIMULATION = process.env.CHARGE_SIMULATION === "true"; // raise docked batteries at the base's charge rate
+const DOCK_RADIUS_M = parseFloat(process.env.DOCK_RADIUS_M || "30");
+const REPLAY_MAX_EVENTS = parseInt(process.env.REPLAY_MAX_EVENTS || "5000", 10); // events returned by one /api/replay request
+const JWT_TTL = process.env.JWT_TTL || "12h";
+// Comma-separated list of dashboard origins allowed to call the API
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "http://localhost:5173").split(",").map((o) => o.trim()).filter(Boolean);
+
+configureAuth({ secret: process.env.JWT_SECRET, tokenTtl: JWT_TTL });
+
+// Weather and terrain behind the flight go/no-go checks (see Services/environment.js)
+const environment = createEnvironment({
+  weather: {
+    provider: WEATHER_PROVIDER,
+    file: process.env.WEATHER_METAR_FILE,
+    stationsFile: process.env.WEATHER_STATIONS_FILE,
+    maxDistanceKm: parseFloat(process.env.WEATHER_STATION_MAX_KM || "50")
+  },
+  terrain: { provider: TERRAIN_PROVIDER, dir: process.env.TERRAIN_DEM_DIR },
+  weatherTtlMs: WEATHER_CACHE_MS,
+  limits: {
+    maxWindMs: FLIGHT_MAX_WIND_MS,
+    maxGustMs: FLIGHT_MAX_GUST_MS,
+    minVisibilityM: FLIGHT_MIN_VISIBILITY_M,
+    flightAltitudeM: FLIGHT_ALTITUDE_M,
+    minTerrainClearanceM: TERRAIN_CLEARANCE_M
+  }
+});
+console.log(`Flight conditions from ${environment.providers.weather} weather and ${environment.providers.terrain} terrain`);
+
+// MongoDB
+await mongoose.connect(MONGO_URI).catch((err) => {
+  console.error("Mongo connection error", err);
+  process.exit(1);
+});
+console.log("MongoDB connected");
+
+// First start: create the admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+if ((await User.countDocuments()) === 0) {
+  if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+    await new User({
+      username: process.env.ADMIN_USERNAME,
+      passwordHash: await hashPassword(process.env.ADMIN_PASSWORD),
+      role: "admin"
+    }).save();
+    console.log(`Created admin user ${process.env.ADMIN_USERNAME}`);
+  } else {
+    console.warn("No users exist; set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin");
+  }
+}
+
+// Parked commands that were mid-delivery when the server stopped go back in the queue
+await requeueInFlight();
+
+// Drones already marked LINK_LOST keep that state, so their next telemetry is reported as a reconnect
+const linkWatchdog = createLinkWatchdog({
+  staleMs: LINK_STALE_MS,
+  requeueMs: LINK_LOST_REQUEUE_MS,
+  lost: await Drone.find({ mode: "LINK_LOST" }).distinct("callsign").exec(),
+  findSilent: (before) => Drone.find({ lastSeen: { $lt: before } }).exec(),
+  // Only if no telemetry arrived since the query
+  markLost: async (drone) => {
+    const marked = await Drone.updateOne({ _id: drone._id, lastSeen: drone.lastSeen }, { $set: { mode: "LINK_LOST" } }).exec();
+    return marked.modifiedCount > 0;
+  },
+  onLost: async (drone, previousMode) => {
+    await raiseLinkAlert(drone.callsign, "lost", { lastSeen: drone.lastSeen, previousMode });
+    emitDrone(drone);
+  },
+  onExpired: requeueLostDrone,
+  onRestored: (drone) => raiseLinkAlert(drone.callsign, "restored", { lastSeen: drone.lastSeen })
+});
+
+// Drones grounded for maintenance: they report MAINTENANCE instead of IDLE and get no missions
+const groundedDrones = new Set(await Drone.find({ "maintenance.grounded": true }).distinct("callsign").exec());
+// Last telemetry sample per drone, for the flight time and cycle counters
+const usageSamples = new Map();
+
+await ensureTelemetryCollection(TELEMETRY_RETENTION_DAYS);
+
+// Failed telemetry writes stay buffered for the next flush, so they are only
+// logged: they must not hold up telemetry handling or history reads
+function logTelemetryError(e) {
+  console.error("Telemetry write error", e);
+}
+
+// Express + Socket.io
+const app = express();
+app.use(cors({ origin: CORS_ORIGINS }));
+app.use(bodyParser.json());
+const server = http.createServer(app);
+const io = new Server(server, { cors: { origin: CORS_ORIGINS } });
+io.use(authenticateSocket);
+
+// Fleet metrics kept up to date from the emits below; system-health carries only what changed
+const analytics = createAnalyticsEngine({
+  environment,
+  emit: (update) => io.emit("system-health", update),
+  retentionMs: ANALYTICS_RETENTION_MS,
+  emitIntervalMs: ANALYTICS_EMIT_MS,
+  conditionsIntervalMs: ANALYTICS_CONDITIONS_MS,
+  linkStaleMs: LINK_STALE_MS,
+  energyPctPerKm: ENERGY_PCT_PER_KM,
+  areaRadiusM: SEARCH_RADIUS_M
+});
+await analytics.load();
+
+function emitDrone(drone) {
+  analytics.recordDrone(drone);
+  io.emit("drone-update", drone);
+}
+
+function emitMission(mission, event = "mission-updated") {
+  analytics.recordMission(mission);
+  io.emit(event, mission);
+}
+
+// MQTT client
+const mqttClient = mqtt.connect(MQTT_URL);
+const lastCommandAt = new Map();
+const MIN_COMMAND_INTERVAL_MS = 200;
+
+// Every drone command goes through the dispatcher: cmdId, audit chain entry,
+// QoS 1 publish with retries, and a command-status event with the outcome.
+// Operator commands also get an attributed entry in the event log.
+const commands = createCommandDispatcher({
+  mqttClient,
+  ackTimeoutMs: COMMAND_ACK_TIMEOUT_MS,
+  retries: COMMAND_RETRIES,
+  backoffMs: COMMAND_BACKOFF_MS,
+  idempotencyTtlMs: COMMAND_IDEMPOTENCY_TTL_MS,
+  queueTtlMs: COMMAND_QUEUE_TTL_MS,
+  queue: {
+    isInLink: async (callsign) => {
+      const drone = await Drone.findOne({ callsign }).select("lastSeen").lean().exec();
+      return !!drone && Date.now() - new Date(drone.lastSeen).getTime() <= LINK_STALE_MS;
+    },
+    enqueue: enqueueCommand,
+    claim: claimQueuedCommands,
+    settle: settleQueuedCommand
+  },
+  record: async ({ cmdId, callsign, payload, user, origin }) => {
+    await recordCommand({ cmdId, callsign, payload, issuedBy: user?.username || "system", origin });
+    if (user) {
+      await new EventModel({ type: "command", payload: { callsign, ...payload, origin }, source: callsign, user: user.username }).save();
+    }
+  },
+  recordAck,
+  prepare: (callsign, command) => routeToDock(callsign, command),
+  preflight: async (callsign, command) => {
+    const drone = await Drone.findOne({ callsign }).lean().exec();
+    const mission = drone && (await Mission.findOne({ assignedTo: callsign, status: { $in: BUSY_STATUSES } }).lean().exec());
+    return preflightCommand(command, {
+      drone,
+      mission,
+      zones: await getActiveZones(),
+      options: { minBatteryPct: MIN_BATTERY_ASSIGN, dropRadiusM: DROP_RADIUS_M }
+    });
+  },
+  onStatus: (status) => {
+    if (status.status !== "acked") console.warn(`Command ${status.cmdId} (${status.cmd} -> ${status.callsign}) ${status.status}`);
+    io.emit("command-status", status);
+  }
+});
+
+mqttClient.on("connect", () => {
+  console.log("MQTT connected to", MQTT_URL);
+  mqttClient.subscribe("drone/+/telemetry");
+  mqttClient.subscribe("drone/+/event");
+  mqttClient.subscribe("drone/+/ack", { qos: 1 });
+  
+  // Subscribe to AI perception systems
+  mqttClient.subscribe("perception/+/detections");
+  mqttClient.subscribe("depth/+/estimates");
+  mqttClient.subscribe("obstacles/+/update");
+  
+  console.log("Subscribed to AI perception topics");
+});
+
+// Inbound message schemas by topic; invalid messages are logged and dropped
+const MQTT_SCHEMAS = [
+  [/^drone\/[^\/]+\/telemetry$/, schemas.telemetryMessage],
+  [/^drone\/[^\/]+\/event$/, schemas.droneEventMessage],
+  [/^drone\/[^\/]+\/ack$/, schemas.ackMessage],
+  [/^perception\/[^\/]+\/detections$/, schemas.detectionsMessage],
+  [/^depth\/[^\/]+\/estimates$/, schemas.depthMessage],
+  [/^obstacles\/[^\/]+\/update$/, schemas.obstaclesMessage]
+];
+
+mqttClient.on("message", async (topic, message) => {
+  try {
+    const payload = parseMqttMessage(MQTT_SCHEMAS, topic, JSON.parse(message.toString()));
+    if (!payload) return;
+
+    // ---------------- Telemetry ----------------
+    if (topic.match(/^drone\/[^\/]+\/telemetry$/)) {
+      const callsign = topic.split("/")[1];
+      const reportedMode = payload.mode ?? "IDLE";
+      const update = {
+        callsign,
+        battery: payload.battery ?? 100,
+        mode: reportedMode === "IDLE" && groundedDrones.has(callsign) ? "MAINTENANCE" : reportedMode,
+        lastSeen: new Date(),
+        location: { lat: payload.lat ?? 0, lng: payload.lng ?? 0, alt: payload.alt ?? 0 },
+      };
+      const heading = payload.heading ?? payload.yaw;
+      const speed = payload.speed ?? payload.groundspeed;
+      const gimbalPitch = payload.gimbal_pitch ?? payload.gimbalPitch;
+      if (Number.isFinite(heading)) update.heading = heading;
+      if (Number.isFinite(speed)) update.speed = speed;
+      if (Number.isFinite(gimbalPitch)) update.gimbalPitch = gimbalPitch;
+      const hasFix = Number.isFinite(payload.lat) && Number.isFinite(payload.lng);
+      if (CHARGE_SIMULATION) update.battery = await simulatedBattery(callsign, update.battery);
+      // Home is the reported home position, else wherever the drone last sat idle on the ground
+      if (Number.isFinite(payload.home_lat) && Number.isFinite(payload.home_lng)) {
+        update.home = { lat: payload.home_lat, lng: payload.home_lng, alt: payload.home_alt ?? 0, setAt: update.lastSeen };
+      } else if (hasFix && update.mode === "IDLE" && update.location.alt < 1) {
+        update.home = { ...update.location, setAt: update.lastSeen };
+      }
+
+      recordTelemetry(telemetrySample(callsign, payload, update.lastSeen)).catch(logTelemetryError);
+
+      const usage = { at: update.lastSeen.getTime(), alt: payload.alt, battery: update.battery };
+      const used = usageDelta(usageSamples.get(callsign), usage, { maxGapMs: LINK_STALE_MS });
+      usageSamples.set(callsign, usage);
+
+      const drone = await Drone.findOneAndUpdate(
+        { callsign },
+        {
+          $set: update,
+          $push: { path: { $each: [[update.location.lat, update.location.lng]], $slice: -200 } },
+          $inc: {
+            "maintenance.flightSeconds": used.flightSeconds,
+            "maintenance.flightCycles": used.flightCycles,
+            "maintenance.chargeCycles": used.chargeCycles
+          },
+          $setOnInsert: { "maintenance.components": DEFAULT_COMPONENTS.map((c) => newComponent(c)) }
+        },
+        { upsert: true, new: true }
+      );
+
+      if (hasFix && !Number.isFinite(drone.home?.lat)) {
+        drone.home = { ...update.location, setAt: update.lastSeen };
+        await Drone.updateOne({ callsign }, { $set: { home: drone.home } });
+      }
+      if (hasFix) await updateDock(drone);
+
+      // Failsafe RTL once the battery is down to what getting home costs (docked drones are home)
+      const endurance = await updateEndurance(drone);
+      const docked = ["charging", "ready"].includes(drone.dock?.status);
+      if (endurance.mustReturn && drone.mode !== "RTL" && !docked) {
+        console.log(`Return point reached for ${callsign} (${drone.battery}%, home costs ${endurance.returnPct}% + ${BATTERY_FAILSAFE}% reserve) → RTL`);
+        await commands.dispatch(callsign, { cmd: "rtl", reason: "battery_failsafe" }, { origin: "failsafe", deliverWhenConnected: true });
+        await Drone.updateOne({ callsign }, { $set: { mode: "RTL" } });
+        await requeueDroneMissions(callsign, "battery_failsafe");
+        await tryAssignQueuedMissions();
+      }
+
+      await linkWatchdog.seen(drone);
+
+      // Back in link: deliver anything parked while it was away
+      if (await hasQueuedCommands(callsign)) {
+        commands.flushQueue(callsign).catch((e) => console.error(`Failed to flush command queue for ${callsign}`, e));
+      }
+
+      if (hasFix) {
+        await checkGeofences(drone);
+        await updateMissionProgress(drone);
+      }
+
+      emitDrone(drone);
+    }
+
+    // ---------------- Events ----------------
+    if (topic.match(/^drone\/[^\/]+\/event$/)) {
+      const callsign = topic.split("/")[1];
+      const ev = new EventModel({ type: payload.event || "unknown", payload, source: callsign });
+      await ev.save();
+      io.emit("drone-event", { callsign, event: payload });
+
+      if (["waypoint_reached", "mission_complete", "mission_failed"].includes(payload.event)) {
+        await handleMissionEvent(callsign, payload);
+      }
+
+      // Human detected → auto create rescue mission
+      if (payload.event === "human_detected") {
+        const ll = detectionLocation({ location: payload.location });
+        if (ll) {
+          await upsertRescueMission(
+            { lat: ll[0], lng: ll[1], count: payload.count ?? 1, maxConfidence: payload.confidence ?? 0 },
+            {
+              source: `drone:${callsign}`,
+              name: "Rescue - human detected",
+              supplies: ["first_aid", "water", "blanket"],
+              metadata: { source: "ai", confidence: payload.confidence, image: payload.image }
+            }
+          );
+        } else {
+          console.warn(`human_detected from ${callsign} without a usable location, ignored`);
+        }
+      }
+    }
+
+    // ---------------- ACK ----------------
+    if (topic.match(/^drone\/[^\/]+\/ack$/)) {
+      await commands.handleAck(payload.cmdId, payload.status || "ack");
+    }
+
+    // ---------------- AI Perception Systems ----------------
+    if (topic.match(/^perception\/[^\/]+\/detections$/)) {
+      const cameraId = topic.split("/")[1];
+      await handlePerceptionDetections(cameraId, payload);
+    }
+
+    if (topic.match(/^depth\/[^\/]+\/estimates$/)) {
+      const cameraId = topic.split("/")[1];
+      await handleDepthEstimates(cameraId, payload);
+    }
+
+    if (topic.match(/^obstacles\/[^\/]+\/update$/)) {
+      const sourceId = topic.split("/")[1];
+      await handleObstacleUpdate(sourceId, payload);
+    }
+  } catch (e) {
+    console.error("MQTT msg parse error", e);
+  }
+});
+
+// ---------------- AI Perception Handlers ----------------
+async function handlePerceptionDetections(cameraId, payload) {
+  try {
+    console.log(`Received detections from camera ${cameraId}:`, payload.detections?.length || 0, "objects");
+    
+    // Store detection data for dashboard
+    const detectionData = {
+      cameraId,
+      timestamp: payload.timestamp || Date.now(),
+      detections: payload.detections || [],
+      processingMs: payload.processing_ms || 0,
+      model: payload.model || "unknown"
+    };
+
+    // Emit to dashboard
+    io.emit("perception-detections", detectionData);
+
+    // Person detections become rescue sites. Detections without a ground position
+    // are projected from the carrying drone's pose; the rest are dropped.
+    const persons = (payload.detections || []).filter((d) => isPersonDetection(d, PERSON_CONF_THRESHOLD));
+    const located = [];
+    let projector;
+    for (const d of persons) {
+      const conf = d.conf ?? d.confidence ?? 0;
+      const ll = detectionLocation(d);
+      if (ll) {
+        located.push({ lat: ll[0], lng: ll[1], conf, detection: d });
+        continue;
+      }
+      if (projector === undefined) projector = await loadProjector(cameraId, payload);
+      const pixel = bboxCenter(d);
+      const projection = projector && pixel && projectPixel(projector, pixel);
+      if (projection) located.push({ lat: projection.lat, lng: projection.lng, uncertaintyM: projection.uncertaintyM, conf, detection: d, projection });
+    }
+
+    if (persons.length > located.length) {
+      const rejected = persons.length - located.length;
+      console.warn(`Rejected ${rejected} person detection(s) from camera ${cameraId}: no geolocation`);
+      io.emit("perception-rejected", { cameraId, count: rejected, reason: "no_geolocation", timestamp: Date.now() });
+    }
+
+    if (located.length > 0) {
+      console.log(`Critical detection: ${located.length} person(s) detected by camera ${cameraId}`);
+
+      for (const site of groupDetections(located, DETECTION_MERGE_RADIUS_M)) {
+        const first = site.detections[0].detection;
+        const mission = await upsertRescueMission(site, {
+          source: `camera:${cameraId}`,
+          name: `Emergency Rescue - Person detected by ${cameraId}`,
+          supplies: ["first_aid", "water", "blanket", "emergency_kit"],
+          metadata: {
+            source: "ai_perception",
+            cameraId,
+            confidence: site.maxConfidence,
+            detectionId: first.id || "unknown",
+            bbox: [first.xmin, first.ymin, first.xmax, first.ymax]
+          }
+        });
+        for (const p of site.detections) {
+          if (p.projection) rememberProjection(cameraId, p.detection, { ...p.projection, missionId: mission._id });
+        }
+      }
+    }
+
+    // Forward to planner for obstacle updates
+    if (PLANNER_URL) {
+      try {
+        const plannerPayload = {
+          camera_id: cameraId,
+          detections: payload.detections,
+          timestamp: payload.timestamp
+        };
+        
+        // Publish to planner for obstacle mapping (own topic, re-publishing on the
+        // perception topic would feed these detections straight back into this handler)
+        mqttClient.publish(`planner/${cameraId}/detections`, JSON.stringify(plannerPayload));
+      } catch (e) {
+        console.error("Failed to forward detections to planner:", e);
+      }
+    }
+
+  } catch (e) {
+    console.error("Error handling perception detections:", e);
+  }
+}
+
+// ---------------- Georeferencing ----------------
+// Recent projections per camera so depth estimates for the same boxes can refine them
+const recentProjections = new Map();
+
+// Camera intrinsics plus the latest pose of the drone carrying it, or null when
+// there is no fresh telemetry to project from
+async function loadProjector(cameraId, payload) {
+  const camera = (await Camera.findOne({ cameraId }).lean().exec()) || {};
+  const callsign = camera.callsign || payload.callsign || cameraId;
+  const drone = await Drone.findOne({ callsign }).lean().exec();
+  if (!drone || Date.now() - new Date(drone.lastSeen).getTime() > POSE_MAX_AGE_MS) return null;
+
+  const imageSize = payload.image_size || [payload.width, payload.height];
+  return {
+    pose: {
+      lat: drone.location.lat,
+      lng: drone.location.lng,
+      alt: drone.location.alt,
+      heading: drone.heading,
+      gimbalPitch: drone.gimbalPitch ?? camera.mountPitchDeg ?? -90
+    },
+    intrinsics: resolveIntrinsics(camera, imageSize),
+    mountYawDeg: camera.mountYawDeg ?? 0
+  };
+}
+
+function projectPixel({ pose, intrinsics, mountYawDeg }, pixel, rangeM) {
+  const ground = projectPixelToGround(pixel, pose, intrinsics, { mountYawDeg, rangeM });
+  return ground && { ...ground, pixel, pose, intrinsics, mountYawDeg };
+}
+
+function rememberProjection(cameraId, d, projection) {
+  const now = Date.now();
+  const list = (recentProjections.get(cameraId) || []).filter((p) => now - p.at <= PROJECTION_CACHE_MS);
+  list.push({ ...projection, detectionId: d.id, at: now });
+  recentProjections.set(cameraId, list);
+}
+
+// Depth estimates echo the detection id when the detector set one, otherwise
+// they are matched on the box centre (the depth service truncates to integers)
+function findProjection(cameraId, estimate) {
+  const now = Date.now();
+  const list = (recentProjections.get(cameraId) || []).filter((p) => now - p.at <= PROJECTION_CACHE_MS);
+  if (estimate.detection_id && estimate.detection_id !== "unknown") {
+    const byId = list.findLast((p) => p.detectionId === estimate.detection_id);
+    if (byId) return byId;
+  }
+  const pixel = bboxCenter(estimate);
+  if (!pixel) return null;
+  return list.findLast((p) => Math.abs(p.pixel.u - pixel.u) <= 2 && Math.abs(p.pixel.v - pixel.v) <= 2) || null;
+}
+
+// Re-projects a remembered detection with the measured range and blends it
+// into the mission's detection cluster
+async function refineFromDepth(cameraId, estimate) {
+  const cached = findProjection(cameraId, estimate);
+  if (!cached) return;
+  const refined = projectPixel(cached, cached.pixel, estimate.average_depth * DEPTH_SCALE_M);
+  if (!refined) return;
+
+  const mission = await Mission.findById(cached.missionId).exec();
+  if (!mission?.detection || TERMINAL_STATUSES.includes(mission.status)) return;
+
+  const current = Number.isFinite(mission.detection.uncertaintyM)
+    ? mission.detection
+    : { lat: mission.detection.lat, lng: mission.detection.lng, uncertaintyM: cached.uncertaintyM };
+  const fused = fuseEstimates(current, refined);
+  mission.detection = { ...mission.detection, ...fused, depthRefinedAt: new Date() };
+  if (mission.status === "queued") {
+    mission.waypoints = [[fused.lat, fused.lng]];
+    await applyNoFlyCheck(mission);
+  }
+  await mission.save();
+  emitMission(mission);
+}
+
+// Merges a sighting into an open rescue mission within DETECTION_MERGE_RADIUS_M
+// seen in the last DETECTION_MERGE_WINDOW_MS, or opens a new one.
+async function upsertRescueMission(site, { source, name, supplies, metadata }) {
+  const since = new Date(Date.now() - DETECTION_MERGE_WINDOW_MS);
+  const open = await Mission.find({
+    "detection.lastSeenAt": { $gte: since },
+    status: { $nin: TERMINAL_STATUSES }
+  }).exec();
+
+  const target = findMergeTarget(open, site, DETECTION_MERGE_RADIUS_M);
+  if (target) {
+    target.detection = mergeSighting(target.detection, site, { source });
+    target.personCount = target.detection.maxCount;
+    // Not flying yet: aim at the refined position
+    if (target.status === "queued") {
+      target.waypoints = [[target.detection.lat, target.detection.lng]];
+      await applyNoFlyCheck(target);
+    }
+    await target.save();
+    emitMission(target);
+    return target;
+  }
+
+  const mission = new Mission({
+    name,
+    waypoints: [[site.lat, site.lng]],
+    supplies,
+    priority: 1,
+    personCount: site.count,
+    detection: newCluster(site, { source }),
+    metadata
+  });
+  await applyNoFlyCheck(mission);
+  await mission.save();
+  emitMission(mission, "mission-created");
+  await tryAssignQueuedMissions();
+  return mission;
+}
+
+async function handleDepthEstimates(cameraId, payload) {
+  try {
+    console.log(`Received depth estimates from camera ${cameraId}:`, payload.depth_estimates?.length || 0, "objects");
+    
+    // Store depth data for dashboard
+    const depthData = {
+      cameraId,
+      timestamp: payload.timestamp || Date.now(),
+      depthEstimates: payload.depth_estimates || [],
+      depthMapPath: payload.depth_map_path,
+      processingMs: payload.processing_ms || 0,
+      detectionCount: payload.detection_count || 0
+    };
+
+    // Emit to dashboard
+    io.emit("depth-estimates", depthData);
+
+    // Measured range to a person sharpens its projected ground position
+    for (const estimate of payload.depth_estimates || []) {
+      if (estimate.depth_confidence === "high" && estimate.average_depth > 0) {
+        await refineFromDepth(cameraId, estimate);
+      }
+    }
+
+    // Analyze depth data for obstacle proximity warnings
+    const closeObstacles = payload.depth_estimates?.filter(d => 
+      d.average_depth < 30 && d.depth_confidence === "high"
+    ) || [];
+
+    if (closeObstacles.length > 0) {
+      console.log(`Close obstacles detected by camera ${cameraId}:`, closeObstacles.length);
+      
+      // Emit proximity warning
+      io.emit("proximity-warning", {
+        cameraId,
+        closeObstacles: closeObstacles.length,
+        timestamp: Date.now()
+      });
+    }
+
+  } catch (e) {
+    console.error("Error handling depth estimates:", e);
+  }
+}
+
+async function handleObstacleUpdate(sourceId, payload) {
+  try {
+    console.log(`Received obstacle update from ${sourceId}:`, payload.obstacles?.length || 0, "obstacles");
+    
+    // Store obstacle data
+    const obstacleData = {
+      sourceId,
+      timestamp: payload.timestamp || Date.now(),
+      obstacles: payload.obstacles || [],
+      obstacleCount: payload.obstacle_count || 0
+    };
+
+    // Emit to dashboard
+    io.emit("obstacle-update", obstacleData);
+
+    // Check if any active missions need replanning due to new obstacles
+    const activeMissions = await Mission.find({ status: "active" });
+    for (const mission of activeMissions) {
+      // Simple check - in a real system, you'd do more sophisticated collision detection
+      const needsReplanning = payload.obstacles?.some(obstacle => {
+        // Check if obstacle is near mission path (simplified)
+        return Math.abs(obstacle.lat - mission.waypoints[0][0]) < 0.001 && 
+               Math.abs(obstacle.lon - mission.waypoints[0][1]) < 0.001;
+      });
+
+      if (needsReplanning) {
+        console.log(`Mission ${mission._id} needs replanning due to new obstacles`);
+        io.emit("mission-replan-needed", { missionId: mission._id, reason: "new_obstacles" });
+      }
+    }
+
+  } catch (e) {
+    console.error("Error handling obstacle update:", e);
+  }
+}
+
+// ---------------- No-Fly Zones ----------------
+// Auto-created missions are kept but held back from assignment when they touch a zone
+async function applyNoFlyCheck(mission) {
+  const violations = await findZoneViolations(mission.waypoints);
+  if (violations.length) {
+    transitionMission(mission, "blocked", { reason: "nofly_zone" });
+    mission.metadata = { ...(mission.metadata || {}), noFlyViolations: violations };
+    io.emit("nofly-violation", { missionId: mission._id, name: mission.name, violations });
+    console.log(`Mission ${mission._id} blocked by no-fly zone(s):`, violations.map(v => v.zoneName || v.zoneId).join(", "));
+  }
+  return violations;
+}
+
+// Planner paths come back as [[lat,lng], ...] or [{lat,lng|lon}, ...]
+function extractPlannedPath(pathData) {
+  if (Array.isArray(pathData)) return pathData;
+  return pathData?.path || pathData?.waypoints || [];
+}
+
+async function broadcastNoFlyZones() {
+  invalidateZoneCache();
+  io.emit("nofly-zones", await NoFlyZone.find().exec());
+}
+
+// Checks a drone's position against active zones and its mission's operating area
+async function checkGeofences(drone) {
+  const position = [drone.location.lat, drone.location.lng];
+  const breaches = (await getActiveZones())
+    .filter((z) => pointInPolygon(position, z.polygon))
+    .map((z) => ({ key: `nofly:${z._id}`, kind: "nofly_zone", zoneId: z._id, zoneName: z.name || "" }));
+
+  const active = await Mission.findOne({ assignedTo: drone.callsign, status: { $in: BUSY_STATUSES } }).exec();
+  if (active?.operatingArea?.length >= 3 && !pointInPolygon(position, active.operatingArea)) {
+    breaches.push({ key: `area:${active._id}`, kind: "operating_area", missionId: active._id });
+  }
+
+  const { entered, cleared } = trackBreaches(drone.callsign, breaches, { debounceMs: GEOFENCE_DEBOUNCE_MS });
+
+  for (const breach of entered) {
+    const { key, ...details } = breach;
+    const alert = { callsign: drone.callsign, state: "breach", ...details, location: drone.location, timestamp: Date.now() };
+    console.log(`Geofence breach: ${drone.callsign} (${details.kind} ${details.zoneName || details.missionId})`);
+    await new EventModel({ type: "geofence_breach", payload: alert, source: drone.callsign }).save();
+    io.emit("geofence-alert", alert);
+
+    if (GEOFENCE_ACTION === "hold" || GEOFENCE_ACTION === "rtl") {
+      await commands.dispatch(drone.callsign, { cmd: GEOFENCE_ACTION, reason: "geofence_breach" }, { origin: "geofence", deliverWhenConnected: true });
+      if (GEOFENCE_ACTION === "rtl") await Drone.updateOne({ callsign: drone.callsign }, { $set: { mode: "RTL" } });
+    }
+  }
+
+  for (const breach of cleared) {
+    const { key, ...details } = breach;
+    const alert = { callsign: drone.callsign, state: "cleared", ...details, location: drone.location, timestamp: Date.now() };
+    await new EventModel({ type: "geofence_clear", payload: alert, source: drone.callsign }).save();
+    io.emit("geofence-alert", alert);
+  }
+}
+
+// ---------------- Mission Lifecycle ----------------
+// Proximity-based progress for drones that don't report waypoint events
+async function updateMissionProgress(drone) {
+  const mission = await Mission.findOne({ assignedTo: drone.callsign, status: "active" }).exec();
+  if (!mission) return;
+
+  const reached = updateProgressFromPosition(mission, [drone.location.lat, drone.location.lng], WAYPOINT_RADIUS_M);
+  if (!reached.length) return;
+
+  await finishMissionStep(mission, "telemetry");
+}
+
+// waypoint_reached / mission_complete / mission_failed reported by the drone
+async function handleMissionEvent(callsign, payload) {
+  const query = payload.missionId
+    ? { _id: payload.missionId, assignedTo: callsign }
+    : { assignedTo: callsign, status: { $in: BUSY_STATUSES } };
+  const mission = await Mission.findOne(query).exec();
+  if (!mission || TERMINAL_STATUSES.includes(mission.status)) return;
+
+  if (payload.event === "waypoint_reached") {
+    const index = Number.isInteger(payload.index) ? payload.index : mission.currentWaypoint;
+    if (!markWaypointReached(mission, index)) return;
+    await finishMissionStep(mission, "drone_event");
+    return;
+  }
+
+  if (payload.event === "mission_complete") {
+    mission.waypoints.forEach((_, i) => markWaypointReached(mission, i));
+  }
+  transitionMission(mission, payload.event === "mission_complete" ? "completed" : "failed", {
+    reason: payload.reason || "drone_event"
+  });
+  await mission.save();
+  emitMission(mission);
+  console.log(`Mission ${mission._id} ${mission.status} (${callsign})`);
+  await tryAssignQueuedMissions();
+}
+
+// Saves progress and completes the mission once every waypoint is reached
+async function finishMissionStep(mission, source) {
+  const done = allWaypointsReached(mission) && mission.status === "active";
+  if (done) transitionMission(mission, "completed", { reason: `all_waypoints_reached:${source}` });
+  await mission.save();
+  emitMission(mission);
+
+  if (done) {
+    console.log(`Mission ${mission._id} completed by ${mission.assignedTo}`);
+    await tryAssignQueuedMissions();
+  }
+}
+
+// ---------------- Mission Assignment Logic ----------------
+// Allocation runs are serialised; calls made while one is running trigger a single re-run
+let allocating = false;
+let allocateAgain = false;
+
+async function tryAssignQueuedMissions() {
+  if (allocating) {
+    allocateAgain = true;
+    return;
+  }
+  allocating = true;
+  try {
+    do {
+      allocateAgain = false;
+      await commitAllocation();
+    } while (allocateAgain);
+  } catch (e) {
+    console.error("Mission allocation error", e);
+  } finally {
+    allocating = false;
+  }
+}
+
+// Matches all queued missions against all free drones at once (see Services/allocator.js)
+async function buildAllocationPlan() {
+  const missions = await Mission.find({ status: "queued" }).sort({ priority: 1, createdAt: 1 }).limit(200).exec();
+  if (!missions.length) return planAllocation([], []);
+  const drones = await getAvailableDrones();
+  const bases = await getActiveBases();
+  return planAllocation(missions, drones, {
+    energyPctPerKm: ENERGY_PCT_PER_KM,
+    reservePct: ASSIGN_RESERVE_PCT,
+    cruiseSpeedMs: CRUISE_SPEED_MS,
+    returnPoint: (drone) => returnPointFrom(drone, bases)
+  });
+}
+
+async function commitAllocation() {
+  await updateCharging();
+  await advanceTaskQueues();
+
+  const plan = await buildAllocationPlan();
+  for (const { mission: m, drone, evaluation, candidates } of plan.assignments) {
+    m.assignedTo = drone.callsign;
+    m.assignment = { callsign: drone.callsign, at: new Date(), best: evaluation, candidates, planScore: plan.totalScore };
+    transitionMission(m, "active", { reason: "assigned" });
+    await m.save();
+    dispatchMission(m);
+    console.log("Assigned mission", m._id, "to", drone.callsign, `(score ${evaluation.score})`);
+  }
+
+  const leftovers = plan.unassigned.map((u) => u.mission);
+  if (leftovers.length) await chainLeftoverMissions(leftovers);
+}
+
+function dispatchMission(m) {
+  mqttClient.publish(`mission/${m._id}/assign`, JSON.stringify(m));
+  emitMission(m);
+}
+
+// Drones that could take work: enough battery, not returning, charging or
+// grounded, and heard from recently
+function assignableDroneFilter() {
+  return {
+    battery: { $gte: MIN_BATTERY_ASSIGN },
+    mode: { $nin: ["RTL", "LINK_LOST", "MAINTENANCE"] },
+    "maintenance.grounded": { $ne: true },
+    "dock.status": { $nin: ["inbound", "waiting", "charging"] },
+    lastSeen: { $gte: new Date(Date.now() - LINK_STALE_MS) }
+  };
+}
+
+async function getAvailableDrones() {
+  const drones = await Drone.find(assignableDroneFilter()).exec();
+  const busy = await Mission.find({ status: { $in: BUSY_STATUSES } }).distinct("assignedTo").exec();
+  return drones.filter((d) => !busy.includes(d.callsign));
+}
+
+// ---------------- Battery Model ----------------
+// Discharge models are refitted from telemetry on a timer; every telemetry
+// message turns the drone's model into remaining time, range and the battery
+// level at which it has to head home (see Services/batteryModel.js)
+
+function dronePriorModel(drone) {
+  return priorModel({ energyPctPerKm: ENERGY_PCT_PER_KM, maxPayloadKg: drone.maxPayloadKg, cruiseSpeedMs: CRUISE_SPEED_MS });
+}
+
+async function updateEndurance(drone) {
+  const mission = await Mission.findOne({ assignedTo: drone.callsign, status: { $in: BUSY_STATUSES } }).exec();
+  const prior = dronePriorModel(drone);
+  drone.endurance = predictEndurance({
+    battery: drone.battery,
+    location: drone.location,
+    home: await returnPoint(drone),
+    model: drone.batteryModel?.samples > 0 ? drone.batteryModel : prior,
+    prior,
+    route: mission ? remainingWaypoints(mission) : [],
+    payloadKg: mission ? missionPayloadKg(mission) : 0,
+    reservePct: BATTERY_FAILSAFE,
+    cruiseSpeedMs: CRUISE_SPEED_MS
+  });
+  await Drone.updateOne({ callsign: drone.callsign }, { $set: { endurance: drone.endurance } });
+  return drone.endurance;
+}
+
+// Payload on board over time, from when each mission was flying
+async function payloadTimeline(callsign, from) {
+  const missions = await Mission.find({ assignedTo: callsign, "statusHistory.at": { $gte: from } })
+    .select("supplies statusHistory").lean().exec();
+  const spans = [];
+  for (const m of missions) {
+    const kg = missionPayloadKg(m);
+    const history = m.statusHistory || [];
+    history.forEach((h, i) => {
+      if (h.status !== "active") return;
+      const end = history[i + 1]?.at ? new Date(history[i + 1].at).getTime() : Date.now();
+      spans.push([new Date(h.at).getTime(), end, kg]);
+    });
+  }
+  return (t) => spans.find(([start, end]) => t >= start && t < end)?.[2] ?? 0;
+}
+
+async function refitBatteryModels() {
+  await flushTelemetry().catch(logTelemetryError);
+  const to = new Date();
+  const from = new Date(to.getTime() - BATTERY_FIT_WINDOW_H * 3600000);
+  for (const drone of await Drone.find().exec()) {
+    const { points } = await queryTelemetry(drone.callsign, { from, to, resolutionMs: 30000 });
+    const segments = dischargeSegments(points, await payloadTimeline(drone.callsign, from));
+    if (!segments.length) continue;
+    const model = fitDischargeModel(segments, dronePriorModel(drone));
+    await Drone.updateOne({ callsign: drone.callsign }, { $set: { batteryModel: model } });
+    console.log(`Battery model for ${drone.callsign}: ${segments.length} segments, rmse ${model.rmse?.toFixed(4)} %/s`);
+  }
+}
+
+// ---------------- Drone Task Queues ----------------
+// Starts the next scheduled mission on every drone that has gone idle
+async function advanceTaskQueues() {
+  const drones = await getAvailableDrones();
+  for (const drone of drones.filter((d) => d.taskQueue?.length)) {
+    while (drone.taskQueue.length) {
+      const next = await Mission.findById(drone.taskQueue.shift()).exec();
+      if (!next || next.status !== "scheduled" || next.assignedTo !== drone.callsign) continue;
+
+      transitionMission(next, "active", { reason: "task_queue" });
+      await next.save();
+      dispatchMission(next);
+      console.log("Started queued mission", next._id, "on", drone.callsign);
+      break;
+    }
+    await drone.save();
+    await emitDroneQueue(drone.callsign);
+  }
+}
+
+// Missions with no free drone get chained onto drones that will finish nearby
+async function chainLeftoverMissions(missions) {
+  const drones = await Drone.find(assignableDroneFilter()).exec();
+  const actives = new Map();
+  const queues = new Map();
+  for (const drone of drones) {
+    const active = await Mission.findOne({ assignedTo: drone.callsign, status: { $in: BUSY_STATUSES } }).exec();
+    if (active) actives.set(drone.callsign, active);
+    queues.set(drone.callsign, await loadDroneQueue(drone));
+  }
+
+  const bases = await getActiveBases();
+  const chains = planChains(missions, drones, {
+    queues,
+    actives,
+    maxQueue: MAX_TASK_QUEUE,
+    chainRadiusKm: CHAIN_RADIUS_KM,
+    energyPctPerKm: ENERGY_PCT_PER_KM,
+    reservePct: ASSIGN_RESERVE_PCT,
+    cruiseSpeedMs: CRUISE_SPEED_MS,
+    returnPoint: (drone) => returnPointFrom(drone, bases)
+  });
+
+  const touched = new Map();
+  for (const { callsign, mission, queue, evaluation } of chains) {
+    mission.assignedTo = callsign;
+    mission.assignment = { callsign, at: new Date(), best: evaluation, chained: true };
+    transitionMission(mission, "scheduled", { reason: "chained" });
+    await mission.save();
+    emitMission(mission);
+    touched.set(callsign, queue);
+    console.log("Chained mission", mission._id, "onto", callsign);
+  }
+
+  for (const [callsign, queue] of touched) {
+    await Drone.updateOne({ callsign }, { $set: { taskQueue: queue.map((m) => m._id) } });
+    await emitDroneQueue(callsign);
+  }
+}
+
+// Scheduled missions in queue order (ids whose mission moved on are skipped)
+async function loadDroneQueue(drone) {
+  const ids = drone.taskQueue || [];
+  const missions = await Mission.find({ _id: { $in: ids }, status: "scheduled", assignedTo: drone.callsign }).exec();
+  const byId = new Map(missions.map((m) => [String(m._id), m]));
+  return ids.map((id) => byId.get(String(id))).filter(Boolean);
+}
+
+async function emitDroneQueue(callsign) {
+  const drone = await Drone.findOne({ callsign }).exec();
+  if (!drone) return null;
+  const queue = await loadDroneQueue(drone);
+  const view = { callsign, queue };
+  io.emit("drone-queue-updated", view);
+  return view;
+}
+
+// Drops a mission from a drone's queue without touching its status
+async function removeFromDroneQueue(callsign, missionId) {
+  await Drone.updateOne({ callsign }, { $pull: { taskQueue: missionId } });
+  await emitDroneQueue(callsign);
+}
+
+// Hands every scheduled mission of a drone back to the pool
+async function releaseDroneQueue(callsign, reason) {
+  const drone = await Drone.findOne({ callsign }).exec();
+  if (!drone?.taskQueue?.length) return;
+  for (const mission of await loadDroneQueue(drone)) {
+    transitionMission(mission, "queued", { reason });
+    await mission.save();
+    emitMission(mission);
+  }
+  drone.taskQueue = [];
+  await drone.save();
+  await emitDroneQueue(callsign);
+}
+
+// Gives a drone's active mission and its task queue back to the pool
+async function requeueDroneMissions(callsign, reason) {
+  const active = await Mission.findOne({ assignedTo: callsign, status: { $in: BUSY_STATUSES } }).exec();
+  if (active) {
+    transitionMission(active, "queued", { reason });
+    await active.save();
+    emitMission(active);
+  }
+  await releaseDroneQueue(callsign, reason);
+  return active;
+}
+
+// ---------------- Link Watchdog ----------------
+// Drones silent for LINK_LOST_REQUEUE_MS give their missions back to the pool
+async function requeueLostDrone(drone) {
+  const { callsign } = drone;
+  const requeued = await requeueDroneMissions(callsign, "link_lost");
+  if (!requeued) return;
+  await raiseLinkAlert(callsign, "mission_requeued", { lastSeen: drone.lastSeen, missionId: requeued._id });
+  // Someone else may fly it now; send this drone home once it is reachable again
+  await commands.dispatch(callsign, { cmd: "rtl", reason: "link_lost", missionId: String(requeued._id) }, {
+    origin: "watchdog",
+    deliverWhenConnected: true
+  });
+  await tryAssignQueuedMissions();
+}
+
+async function raiseLinkAlert(callsign, state, details) {
+  const alert = { callsign, state, ...details, timestamp: Date.now() };
+  console.log(`Link ${state}: ${callsign}`);
+  await new EventModel({ type: `link_${state}`, payload: alert, source: callsign }).save();
+  io.emit("link-alert", alert);
+}
+
+// ---------------- Auth & Users ----------------
+app.post("/api/auth/login", validateBody(schemas.loginBody), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = await User.findOne({ username }).exec();
+    if (!user || !user.active || !(await checkPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+    res.json({ token: signToken(user), user });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/auth/me", authenticate, (req, res) => res.json(req.user));
+
+app.get("/api/users", authenticate, requireRole("admin"), async (req, res) => res.json(await User.find().sort({ username: 1 }).exec()));
+
+app.post("/api/users", authenticate, requireRole("admin"), validateBody(schemas.createUserBody), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    if (await User.exists({ username })) return res.status(409).json({ error: "Username already taken" });
+
+    const user = await new User({ username, passwordHash: await hashPassword(password), role }).save();
+    res.status(201).json(user);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.put("/api/users/:id", authenticate, requireRole("admin"), validateBody(schemas.updateUserBody), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "User not found" });
+    const update = {};
+    if (req.body.role !== undefined) update.role = req.body.role;
+    if (req.body.active !== undefined) update.active = req.body.active;
+    if (req.body.password) update.passwordHash = await hashPassword(req.body.password);
+
+    // Keep at least one way back in
+    if (req.params.id === req.user.id && (update.active === false || (update.role && update.role !== "admin"))) {
+      return res.status(400).json({ error: "You cannot demote or deactivate your own account" });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { $set: update }, { new: true }).exec();
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json(user);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete("/api/users/:id", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "User not found" });
+    if (req.params.id === req.user.id) return res.status(400).json({ error: "You cannot delete your own account" });
+    const user = await User.findByIdAndDelete(req.params.id).exec();
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------------- Command Audit ----------------
+// Audit log query: ?callsign=&user=&from=&to=&limit=
+app.get("/api/commands", authenticate, requireRole("mission-commander"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "200", 10) || 200, 1000);
+    res.json(await Command.find(commandFilter(req.query)).sort({ seq: -1 }).limit(limit).exec());
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// Full history in issue order for post-incident review: ?format=csv|json plus the query filters
+app.get("/api/commands/export", authenticate, requireRole("mission-commander"), async (req, res) => {
+  try {
+    const entries = await Command.find(commandFilter(req.query)).sort({ seq: 1 }).lean().exec();
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    if (req.query.format === "csv") {
+      res.set("Content-Type", "text/csv");
+      res.set("Content-Disposition", `attachment; filename="commands-${stamp}.csv"`);
+      return res.send(commandsToCsv(entries));
+    }
+    res.set("Content-Disposition", `attachment; filename="commands-${stamp}.json"`);
+    res.json(entries);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+app.get("/api/commands/verify", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await verifyCommandChain());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------------- REST APIs ----------------
+app.get("/api/drones", authenticate, async (req, res) => res.json(await Drone.find().exec()));
+app.get("/api/missions", authenticate, async (req, res) => res.json(await Mission.find().sort({ createdAt: -1 }).limit(200).exec()));
+
+// POST endpoint for creating missions (used by demo feeds)
+app.post("/missions", authenticate, requireRole("mission-commander"), validateBody(schemas.createMissionBody), async (req, res) => {
+  try {
+    const missionData = req.body;
+    // Objects are accepted too, but the dashboard, drones and replanning read [lat, lng] pairs
+    const waypoints = missionData.waypoints.map(toWaypoint);
+
+    const violations = await findZoneViolations(waypoints);
+    if (violations.length) {
+      return res.status(409).json({ error: "Mission path enters an active no-fly zone", violations });
+    }
+    
+    // Create new mission
+    const mission = new Mission({
+      name: missionData.name,
+      waypoints,
+      supplies: missionData.supplies,
+      priority: missionData.priority,
+      droneType: missionData.droneType,
+      assignedTo: missionData.assignedTo,
+      status: 'queued',
+      operatingArea: missionData.operatingArea || [],
+      metadata: missionData.metadata || {}
+    });
+    
+    const savedMission = await mission.save();
+    
+    // Emit to dashboard via Socket.io
+    emitMission(savedMission, 'mission_created');
+    
+    // Publish to MQTT
+    mqttClient.publish('missions/new', JSON.stringify(savedMission));
+    
+    console.log(`New mission created: ${savedMission._id} - ${savedMission.name}`);
+    
+    res.status(201).json(savedMission);
+  } catch (error) {
+    console.error('Error creating mission:', error);
+    res.status(500).json({ error: 'Failed to create mission' });
+  }
+});
+
+// Dry run of the fleet allocator: what would be assigned right now, nothing is committed
+app.get("/api/allocation/plan", authenticate, async (req, res) => {
+  try {
+    res.json(summarizePlan(await buildAllocationPlan()));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Operator mission control; each action maps to a status and the drone command that goes with it
+const MISSION_ACTIONS = {
+  cancel: { to: "cancelled", role: "mission-commander" },
+  pause: { to: "paused", cmd: "hold", role: "operator" },
+  resume: { to: "active", cmd: "resume", role: "operator" },
+  abort: { to: "aborted", cmd: "rtl", role: "operator" },
+  requeue: { to: "queued", cmd: "hold", role: "mission-commander" }
+};
+
+// A blocked mission goes back in the queue only once its route misses every
+// active no-fly zone; otherwise it stays blocked and the requeue gets a 409
+async function checkRouteCleared(mission) {
+  const violations = await findZoneViolations(mission.waypoints);
+  const { noFlyViolations, ...metadata } = mission.metadata || {};
+  if (!violations.length) {
+    mission.metadata = metadata;
+    return;
+  }
+  mission.metadata = { ...metadata, noFlyViolations: violations };
+  await mission.save();
+  io.emit("nofly-violation", { missionId: mission._id, name: mission.name, violations });
+  const zones = violations.map((v) => v.zoneName || v.zoneId).join(", ");
+  throw Object.assign(new Error(`Route still crosses no-fly zone(s): ${zones}`), { status: 409, from: "blocked", to: "queued" });
+}
+
+// Moves a mission to action.to, takes it off its drone's task queue and sends
+// the drone action.cmd if it was flying. Throws 409 on an invalid transition.
+async function applyMissionAction(mission, action, { reason, user }) {
+  if (mission.status === "blocked" && action.to === "queued") await checkRouteCleared(mission);
+  const callsign = mission.assignedTo;
+  const wasFlying = BUSY_STATUSES.includes(mission.status);
+  const wasScheduled = mission.status === "scheduled";
+  transitionMission(mission, action.to, { reason, by: user.username });
+  await mission.save();
+  if (wasScheduled && callsign) await removeFromDroneQueue(callsign, mission._id);
+
+  if (callsign && wasFlying && action.cmd) {
+    await commands.dispatch(callsign, { cmd: action.cmd, missionId: String(mission._id) }, {
+      user,
+      origin: "rest",
+      deliverWhenConnected: true
+    });
+    if (action.cmd === "rtl") await Drone.updateOne({ callsign }, { $set: { mode: "RTL" } });
+  }
+
+  emitMission(mission);
+  return mission;
+}
+
+app.post("/api/missions/:id/:action", authenticate, validateBody(schemas.missionActionBody), async (req, res) => {
+  try {
+    const action = MISSION_ACTIONS[req.params.action];
+    if (!action) return res.status(404).json({ error: `Unknown mission action '${req.params.action}'` });
+    if (!hasRole(req.user, action.role)) return res.status(403).json({ error: `Requires ${action.role} role` });
+
+    const mission = mongoose.isValidObjectId(req.params.id) ? await Mission.findById(req.params.id).exec() : null;
+    if (!mission) return res.status(404).json({ error: "Mission not found" });
+
+    await applyMissionAction(mission, action, {
+      reason: req.body.reason || `operator_${req.params.action}`,
+      user: req.user
+    });
+    await tryAssignQueuedMissions();
+    res.json(mission);
+  } catch (e) {
+    if (e.status === 409) return res.status(409).json({ error: e.message, from: e.from, to: e.to });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/disasters", authenticate, async (req, res) => res.json(await Disaster.find().sort({ detectedAt: -1 }).limit(100).exec()));
+
+// POST endpoint for creating disasters (used by demo feeds)
+app.post("/disasters", authenticate, requireRole("mission-commander"), validateBody(schemas.createDisasterBody), async (req, res) => {
+  try {
+    const { search, ...disasterData } = req.body;
+    
+    // Create new disaster
+    const disaster = new Disaster({
+      ...disasterData,
+      detectedAt: disasterData.detectedAt || new Date(),
+      metadata: disasterData.metadata || {}
+    });
+    
+    const savedDisaster = await disaster.save();
+    
+    // Emit to dashboard via Socket.io
+    analytics.recordDisaster(savedDisaster);
+    io.emit('disaster_detected', savedDisaster);
+    
+    // Publish to MQTT
+    mqttClient.publish('disasters/new', JSON.stringify(savedDisaster));
+    
+    console.log(`New disaster created: ${savedDisaster._id} - ${savedDisaster.type}`);
+
+    // The disaster stands even if its search can't be planned; the operator can retry via /search
+    if (search) {
+      await createSearchMissions(savedDisaster, search, req.user)
+        .catch((e) => console.warn(`Area search for disaster ${savedDisaster._id} failed:`, e.message));
+    }
+    
+    res.status(201).json(savedDisaster);
+  } catch (error) {
+    console.error('Error creating disaster:', error);
+    res.status(500).json({ error: 'Failed to create disaster' });
+  }
+});
+
+// ---------------- Disaster Incidents ----------------
+// Status changes follow Services/disasterLifecycle.js; every change lands on the
+// incident's timeline and goes out as "disaster-updated"
+
+function emitDisaster(disaster) {
+  analytics.recordDisaster(disaster);
+  io.emit("disaster-updated", disaster);
+  return disaster;
+}
+
+async function loadDisaster(id) {
+  const disaster = mongoose.isValidObjectId(id) ? await Disaster.findById(id).exec() : null;
+  if (!disaster) {
+    const err = new Error("Disaster not found");
+    err.status = 404;
+    throw err;
+  }
+  return disaster;
+}
+
+function sendDisasterError(res, e) {
+  if (e.status === 409) return res.status(409).json({ error: e.message, from: e.from, to: e.to });
+  res.status(e.status || 500).json({ error: e.message });
+}
+
+// Closes every open mission of a resolved incident; flying drones are sent home
+async function closeDisasterMissions(disaster, user) {
+  const missions = await Mission.find({ disasterId: disaster._id, status: { $nin: TERMINAL_STATUSES } }).exec();
+  const closed = [];
+  for (const mission of missions) {
+    const to = closingStatus(mission);
+    await applyMissionAction(mission, { to, cmd: to === "aborted" ? "rtl" : null }, { reason: "disaster_resolved", user });
+    closed.push({ missionId: mission._id, status: to });
+  }
+  if (closed.length) await tryAssignQueuedMissions();
+  return closed;
+}
+
+app.get("/api/disasters/:id", authenticate, async (req, res) => {
+  try {
+    const disaster = await loadDisaster(req.params.id);
+    const missions = await Mission.find({ disasterId: disaster._id }).sort({ createdAt: 1 }).exec();
+    res.json({ ...disaster.toObject(), missions });
+  } catch (e) {
+    sendDisasterError(res, e);
+  }
+});
+
+app.patch("/api/disasters/:id", authenticate, requireRole("mission-commander"), validateBody(schemas.updateDisasterBody), async (req, res) => {
+  try {
+    const disaster = await loadDisaster(req.params.id);
+    const { status, severity, note } = req.body;
+    const by = req.user.username;
+    const resolving = status === "resolved" && disaster.status !== "resolved";
+
+    if (severity && severity !== disaster.severity) {
+      appendUpdate(disaster, { kind: "severity", text: `severity ${disaster.severity} -> ${severity}`, by });
+      disaster.severity = severity;
+    }
+    if (status && status !== disaster.status) transitionDisaster(disaster, status, { note, by });
+    else if (note) appendUpdate(disaster, { text: note, by });
+    await disaster.save();
+
+    const closedMissions = resolving ? await closeDisasterMissions(disaster, req.user) : [];
+    if (closedMissions.length) {
+      appendUpdate(disaster, { kind: "missions", text: `closed ${closedMissions.length} linked mission(s)`, by, data: closedMissions });
+      await disaster.save();
+    }
+
+    console.log(`Disaster ${disaster._id} updated by ${by}: ${disaster.status}/${disaster.severity}`);
+    res.json(emitDisaster(disaster));
+  } catch (e) {
+    sendDisasterError(res, e);
+  }
+});
+
+app.post("/api/disasters/:id/updates", authenticate, requireRole("operator"), validateBody(schemas.disasterNoteBody), async (req, res) => {
+  try {
+    const disaster = await loadDisaster(req.params.id);
+    appendUpdate(disaster, { text: req.body.text, by: req.user.username });
+    await disaster.save();
+    res.status(201).json(emitDisaster(disaster));
+  } catch (e) {
+    sendDisasterError(res, e);
+  }
+});
+
+app.post("/api/disasters/:id/missions", authenticate, requireRole("mission-commander"), validateBody(schemas.linkMissionBody), async (req, res) => {
+  try {
+    const disaster = await loadDisaster(req.params.id);
+    const mission = await Mission.findById(req.body.missionId).exec();
+    if (!mission) return res.status(404).json({ error: "Mission not found" });
+    if (String(mission.disasterId) === String(disaster._id)) return res.json(disaster);
+
+    mission.disasterId = disaster._id;
+    await mission.save();
+    emitMission(mission);
+
+    appendUpdate(disaster, { kind: "mission", text: `linked mission ${mission.name || mission._id}`, by: req.user.username, data: { missionId: mission._id } });
+    await disaster.save();
+    res.json(emitDisaster(disaster));
+  } catch (e) {
+    sendDisasterError(res, e);
+  }
+});
+
+app.delete("/api/disasters/:id/missions/:missionId", authenticate, requireRole("mission-commander"), async (req, res) => {
+  try {
+    const disaster = await loadDisaster(req.params.id);
+    const mission = mongoose.isValidObjectId(req.params.missionId)
+      ? await Mission.findOne({ _id: req.params.missionId, disasterId: disaster._id }).exec()
+      : null;
+    if (!mission) return res.status(404).json({ error: "Mission is not linked to this disaster" });
+
+    mission.disasterId = null;
+    await mission.save();
+    emitMission(mission);
+
+    appendUpdate(disaster, { kind: "mission", text: `unlinked mission ${mission.name || mission._id}`, by: req.user.username, data: { missionId: mission._id } });
+    await disaster.save();
+    res.json(emitDisaster(disaster));
+  } catch (e) {
+    sendDisasterError(res, e);
+  }
+});
+
+// Plans an area search over the disaster and, unless dryRun, creates one queued
+// mission per sub-area for the allocator to hand out
+async function createSearchMissions(disaster, search, user, { dryRun = false } = {}) {
+  const count = search.droneCount || Math.max(1, (await getAvailableDrones()).length);
+  const plan = planAreaSearch({
+    pattern: search.pattern,
+    center: disaster.coordinates,
+    polygon: search.polygon,
+    radiusM: search.radiusM || SEARCH_RADIUS_M,
+    count,
+    zones: await getActiveZones(),
+    options: {
+      altitudeM: search.altitudeM,
+      hfovDeg: search.hfovDeg,
+      overlap: search.overlap,
+      zoneMarginM: SEARCH_ZONE_MARGIN_M
+    }
+  });
+
+  const tooLong = plan.sectors.find((sec) => sec.waypoints.length > SEARCH_MAX_WAYPOINTS);
+  if (tooLong) {
+    const err = new Error(`Search sector ${tooLong.index + 1} needs ${tooLong.waypoints.length} waypoints (max ${SEARCH_MAX_WAYPOINTS}); fly higher, use more drones or a smaller area`);
+    err.status = 400;
+    throw err;
+  }
+  if (dryRun) return { plan, missions: [] };
+
+  const missions = [];
+  for (const sec of plan.sectors) {
+    const mission = new Mission({
+      name: `Search ${disaster.type} (${search.pattern}) ${sec.index + 1}/${plan.sectors.length}`,
+      waypoints: sec.waypoints,
+      priority: search.priority,
+      disasterId: disaster._id,
+      metadata: {
+        search: { pattern: plan.pattern, sector: sec.index, of: plan.sectors.length, spacingM: plan.spacingM, lengthM: sec.lengthM, area: sec.area }
+      }
+    });
+    await applyNoFlyCheck(mission);
+    await mission.save();
+    emitMission(mission, "mission-created");
+    missions.push(mission);
+  }
+
+  const by = user?.username || null;
+  appendUpdate(disaster, {
+    kind: "search",
+    text: `${plan.pattern} search over ${Math.round(plan.areaM2 / 10000 * 10) / 10} ha in ${missions.length} sector(s), sweeps ${plan.spacingM} m apart`,
+    by,
+    data: { missionIds: missions.map((m) => m._id) }
+  });
+  if (disaster.status === "detected") transitionDisaster(disaster, "investigating", { note: "area search planned", by });
+  await disaster.save();
+  emitDisaster(disaster);
+
+  await tryAssignQueuedMissions();
+  return { plan, missions };
+}
+
+app.post("/api/disasters/:id/search", authenticate, requireRole("mission-commander"), validateBody(schemas.areaSearchBody), async (req, res) => {
+  try {
+    const disaster = await loadDisaster(req.params.id);
+    if (disaster.status === "resolved") return res.status(409).json({ error: "Disaster is resolved; reopen it first" });
+    const { dryRun, ...search } = req.body;
+    const { plan, missions } = await createSearchMissions(disaster, search, req.user, { dryRun });
+    res.status(dryRun ? 200 : 201).json({ plan, missions, disaster });
+  } catch (e) {
+    sendDisasterError(res, e);
+  }
+});
+
+// Weather and terrain go/no-go for the area around the disaster
+app.get("/api/disasters/:id/conditions", authenticate, async (req, res) => {
+  try {
+    const disaster = await loadDisaster(req.params.id);
+    res.json(await environment.assessArea(disaster.coordinates, SEARCH_RADIUS_M));
+  } catch (e) {
+    sendDisasterError(res, e);
+  }
+});
+
+// Adds drones to the incident and queues a survey mission for each; a detected
+// incident moves to investigating
+app.post("/api/disasters/:id/drones", authenticate, requireRole("mission-commander"), validateBody(schemas.assignDisasterDronesBody), async (req, res) => {
+  try {
+    const disaster = await loadDisaster(req.params.id);
+    if (disaster.status === "resolved") return res.status(409).json({ error: "Disaster is resolved; reopen it first" });
+
+    const { callsigns, radiusM, priority } = req.body;
+    const drones = await Drone.find({ callsign: { $in: callsigns } }).exec();
+    const unknown = callsigns.filter((c) => !drones.some((d) => d.callsign === c));
+    if (unknown.length) return res.status(404).json({ error: `Unknown drone(s): ${unknown.join(", ")}` });
+    const grounded = drones.filter((d) => d.maintenance?.grounded).map((d) => d.callsign);
+    if (grounded.length) return res.status(409).json({ error: `Grounded for maintenance: ${grounded.join(", ")}` });
+
+    const by = req.user.username;
+    const missions = [];
+    for (const [index, drone] of drones.entries()) {
+      const mission = new Mission({
+        name: `Survey ${disaster.type} ${index + 1}/${drones.length}`,
+        waypoints: surveyWaypoints(disaster.coordinates, { radiusM, index, count: drones.length }),
+        priority,
+        disasterId: disaster._id,
+        metadata: { survey: true, radiusM }
+      });
+      await applyNoFlyCheck(mission);
+      if (mission.status === "queued") {
+        mission.assignedTo = drone.callsign;
+        transitionMission(mission, "scheduled", { reason: "disaster_survey", by });
+      }
+      await mission.save();
+      if (mission.status === "scheduled") {
+        await Drone.updateOne({ callsign: drone.callsign }, { $push: { taskQueue: mission._id } });
+        await emitDroneQueue(drone.callsign);
+      }
+      emitMission(mission, "mission-created");
+      missions.push(mission);
+    }
+
+    disaster.assignedDrones = [...new Set([...(disaster.assignedDrones || []), ...callsigns])];
+    appendUpdate(disaster, {
+      kind: "drones",
+      text: `assigned ${callsigns.join(", ")}`,
+      by,
+      data: { callsigns, missionIds: missions.map((m) => m._id) }
+    });
+    if (disaster.status === "detected") transitionDisaster(disaster, "investigating", { note: "survey drones assigned", by });
+    await disaster.save();
+    emitDisaster(disaster);
+
+    await tryAssignQueuedMissions();
+    res.status(201).json({ disaster, missions });
+  } catch (e) {
+    sendDisasterError(res, e);
+  }
+});
+
+app.get("/api/events", authenticate, async (req, res) => res.json(await EventModel.find().sort({ createdAt: -1 }).limit(200).exec()));
+
+// Flying conditions at a point (or, with radiusM, across the area around it)
+app.get("/api/conditions", authenticate, async (req, res) => {
+  try {
+    const { lat, lng, radiusM } = schemas.conditionsQuery.parse(req.query, "Invalid query");
+    const assessment = radiusM ? await environment.assessArea({ lat, lng }, radiusM) : await environment.assessLocation(lat, lng);
+    res.json({ providers: environment.providers, ...assessment });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message, issues: e.issues });
+  }
+});
+
+// ---------------- AI Integration APIs ----------------
+app.get("/api/perception/status", authenticate, async (req, res) => {
+  try {
+    // Get recent detection data
+    const recentDetections = await EventModel.find({ 
+      type: "perception_detection" 
+    }).sort({ createdAt: -1 }).limit(50).exec();
+    
+    res.json({
+      status: "operational",
+      recentDetections: recentDetections.length,
+      lastUpdate: recentDetections[0]?.createdAt || null,
+      mqttConnected: mqttClient.connected
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/api/perception/request", authenticate, requireRole("operator"), validateBody(schemas.perceptionRequestBody), async (req, res) => {
+  try {
+    const { cameraId, imageData, requestType } = req.body;
+
+    // Forward request to AI services via MQTT
+    const requestPayload = {
+      camera_id: cameraId,
+      image_data: imageData,
+      request_type: requestType,
+      timestamp: Date.now()
+    };
+
+    mqttClient.publish(`ai/${cameraId}/request`, JSON.stringify(requestPayload));
+    
+    res.json({ 
+      message: "Request sent to AI services",
+      cameraId,
+      requestType 
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Camera intrinsics used to georeference detections
+app.get("/api/cameras", authenticate, async (req, res) => res.json(await Camera.find().exec()));
+
+app.get("/api/cameras/:cameraId", authenticate, async (req, res) => {
+  try {
+    const camera = await Camera.findOne({ cameraId: req.params.cameraId }).exec();
+    if (!camera) return res.status(404).json({ error: "camera not found" });
+    res.json(camera);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.put("/api/cameras/:cameraId", authenticate, requireRole("mission-commander"), validateBody(schemas.cameraBody), async (req, res) => {
+  try {
+    const camera = await Camera.findOneAndUpdate(
+      { cameraId: req.params.cameraId },
+      { $set: req.body },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).exec();
+    res.json(camera);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/obstacles", authenticate, async (req, res) => {
+  try {
+    // Get obstacle data from planner service
+    if (PLANNER_URL) {
+      const response = await fetch(`${PLANNER_URL}/obstacles`);
+      const obstacleData = await response.json();
+      res.json(obstacleData);
+    } else {
+      res.json({ 
+        obstacle_count: 0, 
+        obstacles: [],
+        message: "Planner service not configured" 
+      });
+    }
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/geofences", authenticate, async (req, res) => {
+  try {
+    // Get geofence data from planner service
+    if (PLANNER_URL) {
+      const response = await fetch(`${PLANNER_URL}/geofences`);
+      const geofenceData = await response.json();
+      res.json(geofenceData);
+    } else {
+      res.json({ 
+        geofence_count: 0, 
+        geofences: [],
+        message: "Planner service not configured" 
+      });
+    }
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/api/plan/mission", authenticate, requireRole("operator"), validateBody(schemas.planMissionBody), async (req, res) => {
+  try {
+    const { start, goal, useDynamicObstacles } = req.body;
+
+    // Forward to planner service
+    if (PLANNER_URL) {
+      const plannerResponse = await fetch(`${PLANNER_URL}/plan_direct`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          start,
+          goal,
+          use_dynamic_obstacles: useDynamicObstacles
+        })
+      });
+      
+      const pathData = await plannerResponse.json();
+      const noFlyViolations = await findZoneViolations(extractPlannedPath(pathData));
+      res.json({ ...pathData, noFlyViolations, flagged: noFlyViolations.length > 0 });
+    } else {
+      res.status(503).json({ error: "Planner service not available" });
+    }
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// No-fly zone CRUD
+app.get("/api/nofly-zones", authenticate, async (req, res) => res.json(await NoFlyZone.find().exec()));
+
+app.post("/api/nofly-zones", authenticate, requireRole("mission-commander"), validateBody(schemas.createNoFlyZoneBody), async (req, res) => {
+  try {
+    const zone = await new NoFlyZone(req.body).save();
+    await broadcastNoFlyZones();
+    res.status(201).json(zone);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.put("/api/nofly-zones/:id", authenticate, requireRole("mission-commander"), validateBody(schemas.updateNoFlyZoneBody), async (req, res) => {
+  try {
+    const zone = mongoose.isValidObjectId(req.params.id)
+      ? await NoFlyZone.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true }).exec()
+      : null;
+    if (!zone) return res.status(404).json({ error: "No-fly zone not found" });
+    await broadcastNoFlyZones();
+    res.json(zone);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete("/api/nofly-zones/:id", authenticate, requireRole("mission-commander"), async (req, res) => {
+  try {
+    const zone = mongoose.isValidObjectId(req.params.id) ? await NoFlyZone.findByIdAndDelete(req.params.id).exec() : null;
+    if (!zone) return res.status(404).json({ error: "No-fly zone not found" });
+    await broadcastNoFlyZones();
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/system/health", async (req, res) => {
+  try {
+    const healthData = {
+      backend: {
+        status: "healthy",
+        mqttConnected: mqttClient.connected,
+        websocketClients: io.engine.clientsCount,
+        uptime: process.uptime()
+      },
+      ai: {
+        perceptionService: AI_SERVICE_URL ? "configured" : "not_configured",
+        plannerService: PLANNER_URL ? "configured" : "not_configured"
+      },
+      database: {
+        status: "connected",
+        droneCount: await Drone.countDocuments(),
+        missionCount: await Mission.countDocuments(),
+        eventCount: await EventModel.countDocuments()
+      },
+      timestamp: Date.now()
+    };
+
+    res.json(healthData);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Throughput, time-to-assign, time-to-scene, coverage and utilization over ?window= (default 1h)
+app.get("/api/analytics", authenticate, (req, res) => {
+  try {
+    const { window } = schemas.analyticsQuery.parse(req.query, "Invalid query");
+    const windowMs = parseResolution(window);
+    if (!(windowMs > 0) || windowMs > ANALYTICS_RETENTION_MS) {
+      return res.status(400).json({ error: `window must be between 0 and ${ANALYTICS_RETENTION_MS / 3600000}h` });
+    }
+    res.json(analytics.report(windowMs));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message, issues: e.issues });
+  }
+});
+
+// Drone task queue: the active mission plus scheduled ones in flying order
+app.get("/api/drone/:callsign/queue", authenticate, async (req, res) => {
+  try {
+    const { callsign } = req.params;
+    const drone = await Drone.findOne({ callsign }).exec();
+    if (!drone) return res.status(404).json({ error: "Drone not found" });
+    const active = await Mission.findOne({ assignedTo: callsign, status: { $in: BUSY_STATUSES } }).exec();
+    res.json({ callsign, active, queue: await loadDroneQueue(drone) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Reorder: body { order: [missionId, ...] } must list exactly the queued missions
+app.put("/api/drone/:callsign/queue", authenticate, requireRole("operator"), validateBody(schemas.queueOrderBody), async (req, res) => {
+  try {
+    const { callsign } = req.params;
+    const drone = await Drone.findOne({ callsign }).exec();
+    if (!drone) return res.status(404).json({ error: "Drone not found" });
+
+    const current = (await loadDroneQueue(drone)).map((m) => String(m._id));
+    const { order } = req.body;
+    const samePermutation = order.length === current.length && [...order].sort().join() === [...current].sort().join();
+    if (!samePermutation) {
+      return res.status(400).json({ error: "order must contain exactly the queued mission ids", queue: current });
+    }
+
+    drone.taskQueue = order;
+    await drone.save();
+    res.json(await emitDroneQueue(callsign));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Re-run the route optimiser over the drone's current queue
+app.post("/api/drone/:callsign/queue/optimize", authenticate, requireRole("operator"), async (req, res) => {
+  try {
+    const { callsign } = req.params;
+    const drone = await Drone.findOne({ callsign }).exec();
+    if (!drone) return res.status(404).json({ error: "Drone not found" });
+
+    const active = await Mission.findOne({ assignedTo: callsign, status: { $in: BUSY_STATUSES } }).exec();
+    const rest = active ? remainingWaypoints(active) : [];
+    const start = rest.length ? rest[rest.length - 1] : [drone.location.lat, drone.location.lng];
+    drone.taskQueue = orderMissionsTsp(start, await loadDroneQueue(drone)).map((m) => m._id);
+    await drone.save();
+    res.json(await emitDroneQueue(callsign));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Remove a mission from the queue; it goes back to the shared pool
+app.delete("/api/drone/:callsign/queue/:missionId", authenticate, requireRole("operator"), async (req, res) => {
+  try {
+    const { callsign, missionId } = req.params;
+    const mission = mongoose.isValidObjectId(missionId)
+      ? await Mission.findOne({ _id: missionId, assignedTo: callsign, status: "scheduled" }).exec()
+      : null;
+    if (!mission) return res.status(404).json({ error: "Mission is not in this drone's queue" });
+
+    transitionMission(mission, "queued", { reason: "removed_from_queue", by: req.user.username });
+    mission.excludedDrones = [...new Set([...(mission.excludedDrones || []), callsign])];
+    await mission.save();
+    await removeFromDroneQueue(callsign, mission._id);
+    emitMission(mission);
+    await tryAssignQueuedMissions();
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Drone commands: { cmd, params } as listed in COMMAND_PARAMS (shared/schemas.js).
+// Commands failing their preflight checks get a 409 with the reasons. Waits for
+// the final outcome; send an Idempotency-Key header to make retries of this request safe.
+// With deliverWhenConnected the command is parked (202) while the drone is out
+// of link and sent on its next telemetry, unless ttlMs runs out first.
+app.post("/api/drone/:callsign/command", authenticate, requireRole("operator"), validateBody(schemas.droneCommandBody), async (req, res) => {
+  try {
+    const { callsign } = req.params;
+    const { cmd, params, meta, deliverWhenConnected, ttlMs } = req.body;
+    const idempotencyKey = req.get("Idempotency-Key") || req.body.idempotencyKey;
+
+    const now = Date.now();
+    const last = lastCommandAt.get(callsign) || 0;
+    if (now - last < MIN_COMMAND_INTERVAL_MS) return res.status(429).json({ ok: false, msg: "rate_limited" });
+    lastCommandAt.set(callsign, now);
+
+    const { cmdId, duplicate, outcome } = await commands.dispatch(callsign, { cmd, ...params, meta }, {
+      user: req.user,
+      origin: "rest",
+      idempotencyKey,
+      deliverWhenConnected,
+      ttlMs
+    });
+    const result = await outcome;
+    if (result.status === "refused") return res.status(409).json({ ok: false, cmdId, err: "preflight_failed", reasons: result.reasons });
+    if (result.status === "queued") return res.status(202).json({ ok: true, queued: true, cmdId, duplicate });
+    if (result.status === "acked") return res.json({ ok: true, cmdId, duplicate, attempts: result.attempts, latencyMs: result.latencyMs });
+    if (result.status === "rejected") return res.status(502).json({ ok: false, cmdId, duplicate, err: `rejected: ${result.ackStatus}` });
+    if (result.status === "error") return res.status(500).json({ ok: false, cmdId, duplicate, err: result.error });
+    res.status(504).json({ ok: false, cmdId, duplicate, err: "ack_timeout", attempts: result.attempts });
+  } catch (e) {
+    res.status(500).json({ ok: false, err: e.toString() });
+  }
+});
+
+// ?from=&to=&resolution= of the history endpoints; the window defaults to the last hour
+function historyWindow(query) {
+  const parsed = schemas.historyQuery.parse(query, "Invalid query");
+  const to = parsed.to || new Date();
+  const from = parsed.from || new Date(to.getTime() - 3600000);
+  if (from >= to) throw Object.assign(new Error("from must be before to"), { status: 400 });
+  return { from, to, resolutionMs: parseResolution(parsed.resolution) };
+}
+
+// Fitted discharge model and the latest endurance prediction
+app.get("/api/drone/:callsign/battery", authenticate, async (req, res) => {
+  try {
+    const drone = await Drone.findOne({ callsign: req.params.callsign }).exec();
+    if (!drone) return res.status(404).json({ error: "Drone not found" });
+    const prior = dronePriorModel(drone);
+    res.json({
+      callsign: drone.callsign,
+      battery: drone.battery,
+      home: drone.home,
+      model: drone.batteryModel?.samples > 0 ? drone.batteryModel : prior,
+      prior,
+      endurance: drone.endurance,
+      reservePct: BATTERY_FAILSAFE,
+      cruiseSpeedMs: CRUISE_SPEED_MS
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------------- Maintenance ----------------
+// Usage counters come in with telemetry; a component past its service interval
+// grounds the drone until the work is logged (see Services/maintenance.js).
+// Grounded drones keep flying their current mission but get nothing new.
+
+const maintenanceSeen = new Map(); // callsign -> status summary last emitted
+
+function maintenanceView(drone) {
+  const m = drone.maintenance || {};
+  return {
+    callsign: drone.callsign,
+    mode: drone.mode,
+    grounded: !!m.grounded,
+    groundedReason: m.groundedReason || null,
+    groundedBy: m.groundedBy || null,
+    groundedAt: m.groundedAt || null,
+    ...maintenanceStatus(m)
+  };
+}
+
+function emitMaintenance(drone) {
+  const view = maintenanceView(drone);
+  maintenanceSeen.set(drone.callsign, maintenanceSummary(view));
+  io.emit("maintenance-updated", view);
+  return view;
+}
+
+// What a change has to touch to be worth emitting (not the running hour counters)
+const maintenanceSummary = (view) =>
+  JSON.stringify([view.grounded, view.groundedReason, view.components.map((c) => [c.id, c.status])]);
+
+async function loadMaintenanceDrone(callsign) {
+  const drone = await Drone.findOne({ callsign }).exec();
+  if (!drone) throw Object.assign(new Error("Drone not found"), { status: 404 });
+  return drone;
+}
+
+async function setGrounded(drone, grounded, { reason = null, by }) {
+  const m = drone.maintenance;
+  m.grounded = grounded;
+  m.groundedReason = grounded ? reason : null;
+  m.groundedBy = grounded ? by : null;
+  m.groundedAt = grounded ? new Date() : null;
+  if (grounded) {
+    groundedDrones.add(drone.callsign);
+    if (drone.mode === "IDLE") drone.mode = "MAINTENANCE";
+  } else {
+    groundedDrones.delete(drone.callsign);
+    if (drone.mode === "MAINTENANCE") drone.mode = "IDLE";
+  }
+  await drone.save();
+  console.log(`${drone.callsign} ${grounded ? `grounded for maintenance (${reason})` : "cleared for flight"} by ${by}`);
+  if (grounded) await releaseDroneQueue(drone.callsign, "maintenance");
+  emitDrone(drone);
+}
+
+// Grounds drones with overdue components, clears the ones grounded for that
+// reason once nothing is overdue any more, and gives older drones the default components
+async function checkMaintenance() {
+  for (const drone of await Drone.find().exec()) {
+    const m = drone.maintenance;
+    if (!m.components.length) {
+      m.components = DEFAULT_COMPONENTS.map((c) => newComponent(c, m));
+      await drone.save();
+    }
+    const view = maintenanceView(drone);
+    if (view.overdue.length && !m.grounded) {
+      await setGrounded(drone, true, { reason: `overdue: ${view.overdue.join(", ")}`, by: "maintenance" });
+    } else if (!view.overdue.length && m.grounded && m.groundedBy === "maintenance") {
+      await setGrounded(drone, false, { by: "maintenance" });
+    } else if (maintenanceSeen.get(drone.callsign) === maintenanceSummary(view)) {
+      continue;
+    }
+    emitMaintenance(drone);
+  }
+}
+
+app.get("/api/maintenance", authenticate, async (req, res) => {
+  try {
+    const drones = await Drone.find().sort({ callsign: 1 }).exec();
+    res.json(drones.map(maintenanceView));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// One drone's status with its service log, newest first
+app.get("/api/maintenance/:callsign", authenticate, async (req, res) => {
+  try {
+    const drone = await loadMaintenanceDrone(req.params.callsign);
+    const records = await MaintenanceRecord.find({ callsign: drone.callsign }).sort({ createdAt: -1 }).limit(200).exec();
+    res.json({ ...maintenanceView(drone), records });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// Logs an inspection, service, repair or replacement. Servicing restarts the
+// component's intervals; a failed inspection grounds the drone.
+app.post("/api/maintenance/:callsign/records", authenticate, requireRole("operator"), validateBody(schemas.maintenanceRecordBody), async (req, res) => {
+  try {
+    const drone = await loadMaintenanceDrone(req.params.callsign);
+    const { kind, componentId, result, serial, note } = req.body;
+    const component = componentId ? drone.maintenance.components.id(componentId) : null;
+    if (componentId && !component) return res.status(404).json({ error: "Component not found" });
+
+    const status = maintenanceStatus(drone.maintenance);
+    const record = await new MaintenanceRecord({
+      callsign: drone.callsign,
+      kind,
+      componentId: component?._id ?? null,
+      componentName: component?.name,
+      result: result ?? null,
+      serial,
+      note,
+      by: req.user.username,
+      usage: { flightHours: status.flightHours, flightCycles: status.flightCycles, chargeCycles: status.chargeCycles }
+    }).save();
+
+    applyRecord(drone.maintenance, component, record, record.createdAt);
+    await drone.save();
+    if (kind === "inspection" && result === "fail" && !drone.maintenance.grounded) {
+      const what = component ? component.name : "drone";
+      await setGrounded(drone, true, { reason: `failed inspection of ${what}${note ? `: ${note}` : ""}`, by: req.user.username });
+    } else if (drone.maintenance.grounded && drone.maintenance.groundedBy === "maintenance" && !maintenanceStatus(drone.maintenance).overdue.length) {
+      await setGrounded(drone, false, { by: "maintenance" });
+    }
+    res.status(201).json({ record, maintenance: emitMaintenance(drone) });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+app.post("/api/maintenance/:callsign/components", authenticate, requireRole("operator"), validateBody(schemas.maintenanceComponentBody), async (req, res) => {
+  try {
+    const drone = await loadMaintenanceDrone(req.params.callsign);
+    drone.maintenance.components.push(newComponent(req.body, drone.maintenance));
+    await drone.save();
+    res.status(201).json(emitMaintenance(drone));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+app.patch("/api/maintenance/:callsign/components/:componentId", authenticate, requireRole("operator"), validateBody(schemas.updateMaintenanceComponentBody), async (req, res) => {
+  try {
+    const drone = await loadMaintenanceDrone(req.params.callsign);
+    const component = mongoose.isValidObjectId(req.params.componentId) ? drone.maintenance.components.id(req.params.componentId) : null;
+    if (!component) return res.status(404).json({ error: "Component not found" });
+    Object.assign(component, req.body);
+    await drone.save();
+    res.json(emitMaintenance(drone));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// Grounds or clears a drone by hand. A drone with overdue components stays
+// grounded until they are serviced.
+app.put("/api/maintenance/:callsign/grounded", authenticate, requireRole("operator"), validateBody(schemas.groundDroneBody), async (req, res) => {
+  try {
+    const drone = await loadMaintenanceDrone(req.params.callsign);
+    const { grounded, reason } = req.body;
+    if (grounded === drone.maintenance.grounded) return res.json(maintenanceView(drone));
+    const { overdue } = maintenanceStatus(drone.maintenance);
+    if (!grounded && overdue.length) return res.status(409).json({ error: `Overdue: ${overdue.join(", ")}` });
+    await setGrounded(drone, grounded, { reason: reason || "grounded by operator", by: req.user.username });
+    res.json(emitMaintenance(drone));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// ---------------- Bases & Charging ----------------
+// An RTL without a destination flies to the nearest base with a free dock, or
+// to the home base to wait when every dock is taken. Docked drones charge to
+// CHARGE_READY_PCT before the allocator gives them work again, and keep the
+// dock until they take off (see Services/bases.js).
+
+// Dock claims read the usage and then write; one at a time so two drones can't take the last dock
+let dockLock = Promise.resolve();
+function withDockLock(fn) {
+  const run = dockLock.then(fn);
+  dockLock = run.catch(() => {});
+  return run;
+}
+
+async function currentDockUsage() {
+  return dockUsage(await Drone.find({ "dock.status": { $in: DOCK_HOLDING } }).select("dock").lean().exec());
+}
+
+const baseById = (bases, id) => (id ? bases.find((b) => String(b._id) === String(id)) : null);
+
+async function setDock(drone, dock) {
+  drone.dock = dock ?? undefined;
+  await Drone.updateOne({ callsign: drone.callsign }, dock ? { $set: { dock } } : { $unset: { dock: 1 } });
+}
+
+async function releaseDock(drone, reason) {
+  console.log(`${drone.callsign} released its dock (${reason})`);
+  await setDock(drone, null);
+}
+
+async function dockAt(drone, base) {
+  const battery = drone.battery;
+  await setDock(drone, {
+    base: base._id,
+    status: battery >= CHARGE_READY_PCT ? "ready" : "charging",
+    reservedAt: drone.dock?.reservedAt ?? new Date(),
+    dockedAt: new Date(),
+    batteryAtDock: battery,
+    chargePct: battery,
+    readyAt: readyAt(battery, base, CHARGE_READY_PCT)
+  });
+  if (!drone.homeBase) {
+    drone.homeBase = base._id;
+    await Drone.updateOne({ callsign: drone.callsign }, { $set: { homeBase: base._id } });
+  }
+  console.log(`${drone.callsign} docked at ${base.name} (${battery}%)`);
+}
+
+// Where the drone lands when it heads home: its reserved dock, else its home
+// base or the nearest one, else (no bases) the spot it took off from
+function returnPointFrom(drone, bases) {
+  const base = baseById(bases, drone.dock?.base) || fallbackBase(drone, bases);
+  return base ? base.location : drone.home;
+}
+
+async function returnPoint(drone) {
+  return returnPointFrom(drone, await getActiveBases());
+}
+
+// Dispatcher hook: gives an RTL sent without a landing point its base
+function routeToDock(callsign, command) {
+  if (command.cmd !== "rtl" || Number.isFinite(command.lat)) return command;
+  return withDockLock(async () => {
+    const bases = await getActiveBases();
+    const drone = bases.length ? await Drone.findOne({ callsign }).exec() : null;
+    if (!drone) return command;
+
+    let base = baseById(bases, drone.dock?.base);
+    if (!base || !["charging", "ready"].includes(drone.dock.status)) {
+      const choice = chooseDock(drone, bases, await currentDockUsage());
+      base = choice?.base || fallbackBase(drone, bases);
+      const status = choice ? "inbound" : "waiting";
+      await setDock(drone, { base: base._id, status, reservedAt: new Date() });
+      console.log(`${callsign} returning to ${base.name}${choice ? "" : ", no free dock: waiting"}`);
+      emitDrone(drone);
+    }
+    return { ...command, lat: base.location.lat, lng: base.location.lng, base: base.name };
+  });
+}
+
+// On telemetry: landing at a base takes a dock (the reserved one, or any free
+// one for a drone that simply lands there) and taking off gives it back
+async function updateDock(drone) {
+  const status = drone.dock?.status;
+  const bases = await getActiveBases();
+  const base = baseById(bases, drone.dock?.base);
+  const onGround = (drone.location?.alt ?? 0) < 1;
+
+  if (status && !base) return releaseDock(drone, "base no longer active");
+  if (status === "charging" || status === "ready") {
+    if (!onGround) await releaseDock(drone, "took off");
+    return;
+  }
+  if (!onGround) return;
+
+  const near = (b) => isAtBase(drone, b, { radiusM: DOCK_RADIUS_M });
+  const landedAt = status ? (near(base) ? base : null) : bases.find(near);
+  if (!landedAt) {
+    if (status === "inbound" && drone.mode !== "RTL") await releaseDock(drone, "landed away from its base");
+    return;
+  }
+  await withDockLock(async () => {
+    if (status !== "inbound" && freeDocks(landedAt, await currentDockUsage()) === 0) return;
+    await dockAt(drone, landedAt);
+  });
+}
+
+// CHARGE_SIMULATION: simulators don't charge, so a docked drone's battery
+// follows from its time on the dock
+async function simulatedBattery(callsign, battery) {
+  const drone = await Drone.findOne({ callsign, "dock.status": { $in: ["charging", "ready"] } }).select("dock").lean().exec();
+  const base = drone && baseById(await getActiveBases(), drone.dock.base);
+  return base ? Math.round(chargeLevel(drone.dock, base, battery, { simulate: true }) * 10) / 10 : battery;
+}
+
+// Runs before each allocation: charge level and ready estimate of docked
+// drones, charging -> ready at CHARGE_READY_PCT, and waiting drones onto docks
+// as they free up, longest waiting first
+async function updateCharging() {
+  const drones = await Drone.find({ "dock.status": { $in: ["waiting", "charging"] } }).sort({ "dock.reservedAt": 1 }).exec();
+  if (!drones.length) return;
+  const bases = await getActiveBases();
+  await withDockLock(async () => {
+    const usage = await currentDockUsage();
+    for (const drone of drones) {
+      const dock = drone.toObject().dock;
+      const base = baseById(bases, dock.base);
+      if (!base) {
+        await releaseDock(drone, "base no longer active");
+      } else if (dock.status === "waiting") {
+        if (!isAtBase(drone, base, { radiusM: DOCK_RADIUS_M }) || freeDocks(base, usage) === 0) continue;
+        await dockAt(drone, base);
+        usage.set(String(base._id), (usage.get(String(base._id)) || 0) + 1);
+      } else {
+        const level = Math.round(chargeLevel(dock, base, drone.battery, { simulate: CHARGE_SIMULATION }) * 10) / 10;
+        const status = level >= CHARGE_READY_PCT ? "ready" : "charging";
+        if (level === dock.chargePct && status === dock.status) continue;
+        await setDock(drone, { ...dock, status, chargePct: level, readyAt: readyAt(level, base, CHARGE_READY_PCT) });
+        if (level !== drone.battery) {
+          drone.battery = level;
+          await Drone.updateOne({ callsign: drone.callsign }, { $set: { battery: level } });
+        }
+        if (status === "ready") console.log(`${drone.callsign} charged to ${level}% at ${base.name}, ready for missions`);
+      }
+      emitDrone(drone);
+    }
+  });
+}
+
+async function basesView() {
+  const bases = await Base.find().sort({ name: 1 }).lean().exec();
+  const drones = await Drone.find({ $or: [{ "dock.status": { $exists: true } }, { homeBase: { $ne: null } }] })
+    .select("callsign dock homeBase").lean().exec();
+  const usage = dockUsage(drones);
+  return bases.map((base) => {
+    const id = String(base._id);
+    return {
+      ...base,
+      docksUsed: usage.get(id) || 0,
+      docksFree: freeDocks(base, usage),
+      drones: drones
+        .filter((d) => d.dock?.status && String(d.dock.base) === id)
+        .map((d) => ({ callsign: d.callsign, status: d.dock.status, chargePct: d.dock.chargePct ?? null, readyAt: d.dock.readyAt ?? null })),
+      homeOf: drones.filter((d) => String(d.homeBase) === id).map((d) => d.callsign)
+    };
+  });
+}
+
+async function broadcastBases() {
+  invalidateBaseCache();
+  io.emit("bases-updated", await basesView());
+}
+
+// Bases with their dock usage and the drones docked at, inbound to or waiting for each
+app.get("/api/bases", authenticate, async (req, res) => {
+  try {
+    res.json(await basesView());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/api/bases", authenticate, requireRole("mission-commander"), validateBody(schemas.createBaseBody), async (req, res) => {
+  try {
+    if (await Base.exists({ name: req.body.name })) return res.status(409).json({ error: "Base name already taken" });
+    const base = await new Base(req.body).save();
+    await broadcastBases();
+    res.status(201).json(base);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.patch("/api/bases/:id", authenticate, requireRole("mission-commander"), validateBody(schemas.updateBaseBody), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Base not found" });
+    if (req.body.name && (await Base.exists({ name: req.body.name, _id: { $ne: req.params.id } }))) {
+      return res.status(409).json({ error: "Base name already taken" });
+    }
+    const base = await Base.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true }).exec();
+    if (!base) return res.status(404).json({ error: "Base not found" });
+    await broadcastBases();
+    res.json(base);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Refused while drones are docked at or heading for it; drones whose home it
+// was fall back to the nearest base
+app.delete("/api/bases/:id", authenticate, requireRole("mission-commander"), async (req, res) => {
+  try {
+    const base = mongoose.isValidObjectId(req.params.id) ? await Base.findById(req.params.id).exec() : null;
+    if (!base) return res.status(404).json({ error: "Base not found" });
+    const using = await Drone.find({ "dock.base": base._id, "dock.status": { $exists: true } }).distinct("callsign").exec();
+    if (using.length) return res.status(409).json({ error: `In use by ${using.join(", ")}` });
+    await Drone.updateMany({ homeBase: base._id }, { $set: { homeBase: null } });
+    await base.deleteOne();
+    await broadcastBases();
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.put("/api/drone/:callsign/home-base", authenticate, requireRole("operator"), validateBody(schemas.homeBaseBody), async (req, res) => {
+  try {
+    const { baseId } = req.body;
+    if (baseId && !(await Base.exists({ _id: baseId }))) return res.status(404).json({ error: "Base not found" });
+    const drone = await Drone.findOneAndUpdate({ callsign: req.params.callsign }, { $set: { homeBase: baseId } }, { new: true }).exec();
+    if (!drone) return res.status(404).json({ error: "Drone not found" });
+    await broadcastBases();
+    emitDrone(drone);
+    res.json(drone);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Telemetry history of one drone, e.g. ?resolution=10s
+app.get("/api/drone/:callsign/telemetry", authenticate, async (req, res) => {
+  try {
+    const { from, to, resolutionMs } = historyWindow(req.query);
+    await flushTelemetry().catch(logTelemetryError);
+    res.json(await queryTelemetry(req.params.callsign, { from, to, resolutionMs }));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message, issues: e.issues });
+  }
+});
+
+// Everything the dashboard needs to play an operation back: the track of every
+// drone that flew in the window, the events logged in it, and the missions
+// that were open at some point during it (with their full status history).
+app.get("/api/replay", authenticate, async (req, res) => {
+  try {
+    const { from, to, resolutionMs } = historyWindow(req.query);
+    await flushTelemetry().catch(logTelemetryError);
+    const callsigns = await telemetryCallsigns(from, to);
+    const tracks = [];
+    for (const callsign of callsigns) {
+      const { points } = await queryTelemetry(callsign, { from, to, resolutionMs });
+      tracks.push({ callsign, points });
+    }
+
+    const events = await EventModel.find({ createdAt: { $gte: from, $lte: to } })
+      .sort({ createdAt: 1 })
+      .limit(REPLAY_MAX_EVENTS)
+      .lean()
+      .exec();
+
+    const missions = await Mission.find(openDuringFilter(from, to))
+      .select("name waypoints assignedTo status statusHistory waypointsReached priority personCount detection createdAt")
+      .lean()
+      .exec();
+
+    res.json({ from, to, tracks, events, missions });
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message, issues: e.issues });
+  }
+});
+
+// Commands parked for a drone until it is back in link
+app.get("/api/drone/:callsign/commands/queued", authenticate, async (req, res) => {
+  try {
+    res.json(await QueuedCommand.find({ callsign: req.params.callsign, status: { $in: ["queued", "delivering"] } }).sort({ createdAt: 1 }).exec());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------------- WebSocket ----------------
+io.on("connection", async (socket) => {
+  const user = socket.data.user;
+  console.log("Frontend connected", socket.id, user.username);
+
+  // Send initial system state
+  try {
+    socket.emit("system-status", {
+      drones: await Drone.find().exec(),
+      missions: await Mission.find().sort({ createdAt: -1 }).limit(50).exec(),
+      timestamp: Date.now()
+    });
+    socket.emit("nofly-zones", await NoFlyZone.find().exec());
+    socket.emit("system-health", analytics.snapshot());
+  } catch (error) {
+    console.error("Error sending initial system state:", error);
+    socket.emit("system-status", {
+      drones: [],
+      missions: [],
+      timestamp: Date.now()
+    });
+  }
+
+  // Waits for the outcome. Socket handlers have nobody to reject to: failures go
+  // back as an "error" event, preflight refusals as "command-refused" with the reasons
+  const sendCommand = async (droneId, command, options = {}) => {
+    try {
+      const { cmdId, outcome } = await commands.dispatch(droneId, command, { ...options, user, origin: "socket" });
+      const result = await outcome;
+      if (result.status === "refused") socket.emit("command-refused", { cmdId, callsign: droneId, cmd: command.cmd, reasons: result.reasons });
+      return result;
+    } catch (e) {
+      socket.emit("error", { message: `Failed to send ${command.cmd} to ${droneId}`, error: e.message });
+      return { status: "error", error: e.message };
+    }
+  };
+
+  // Role check first, then the payload schema
+  const handle = (event, role, schema, handler) =>
+    socket.on(event, guardSocket(socket, role, validateSocket(socket, event, schema, handler)));
+
+  // Answers through the ack callback when the client passes one
+  handle("command", "operator", schemas.socketCommand, async ({ droneId, cmd, params, idempotencyKey, deliverWhenConnected, ttlMs }, ack) => {
+    const result = await sendCommand(droneId, { cmd, ...params }, { idempotencyKey, deliverWhenConnected, ttlMs });
+    console.log("MQTT command", droneId, cmd, "by", user.username, `(${result.status})`);
+    if (typeof ack === "function") ack({ ok: result.status === "acked" || result.status === "queued", ...result });
+  });
+
+  handle("return-home", "operator", schemas.socketDroneId, async (droneId) => {
+    await sendCommand(droneId, { cmd: "rtl" }, { deliverWhenConnected: true });
+  });
+
+  handle("enable-autonomous", "operator", schemas.socketDroneId, async (droneId) => {
+    await sendCommand(droneId, { cmd: "autonomous_on" });
+  });
+
+  handle("disable-autonomous", "operator", schemas.socketDroneId, async (droneId) => {
+    await sendCommand(droneId, { cmd: "autonomous_off" });
+  });
+
+  handle("assign-zone", "mission-commander", schemas.socketAssignZone, async ({ droneId, zoneId, priority }) => {
+    await sendCommand(droneId, { cmd: "assign_zone", zone: zoneId, priority });
+  });
+
+  // AI-related WebSocket events
+  handle("request-perception", "operator", schemas.socketPerceptionRequest, async ({ cameraId, imageData }) => {
+    try {
+      const requestPayload = {
+        camera_id: cameraId,
+        image_data: imageData,
+        request_type: "detection",
+        timestamp: Date.now()
+      };
+      
+      mqttClient.publish(`ai/${cameraId}/request`, JSON.stringify(requestPayload));
+      socket.emit("perception-request-sent", { cameraId, timestamp: Date.now() });
+    } catch (e) {
+      socket.emit("error", { message: "Failed to send perception request", error: e.message });
+    }
+  });
+
+  handle("request-depth", "operator", schemas.socketDepthRequest, async ({ cameraId, imageData, detections }) => {
+    try {
+      const requestPayload = {
+        camera_id: cameraId,
+        image_data: imageData,
+        detections,
+        request_type: "depth",
+        timestamp: Date.now()
+      };
+      
+      mqttClient.publish(`depth/${cameraId}/request`, JSON.stringify(requestPayload));
+      socket.emit("depth-request-sent", { cameraId, timestamp: Date.now() });
+    } catch (e) {
+      socket.emit("error", { message: "Failed to send depth request", error: e.message });
+    }
+  });
+
+  handle("plan-mission", "operator", schemas.socketPlanMission, async ({ droneId, start, goal, useDynamicObstacles }) => {
+    try {
+      if (PLANNER_URL) {
+        const response = await fetch(`${PLANNER_URL}/plan_direct`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            start,
+            goal,
+            use_dynamic_obstacles: useDynamicObstacles
+          })
+        });
+        
+        const pathData = await response.json();
+        const noFlyViolations = await findZoneViolations(extractPlannedPath(pathData));
+        socket.emit("mission-planned", { droneId, path: pathData, noFlyViolations, flagged: noFlyViolations.length > 0 });
+      } else {
+        socket.emit("error", { message: "Planner service not available" });
+      }
+    } catch (e) {
+      socket.emit("error", { message: "Failed to plan mission", error: e.message });
+    }
+  });
+
+  handle("update-obstacles", "operator", schemas.socketUpdateObstacles, async ({ obstacles }) => {
+    try {
+      if (PLANNER_URL) {
+        const response = await fetch(`${PLANNER_URL}/update_obstacles`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(obstacles)
+        });
+        
+        const result = await response.json();
+        socket.emit("obstacles-updated", result);
+      } else {
+        socket.emit("error", { message: "Planner service not available" });
+      }
+    } catch (e) {
+      socket.emit("error", { message: "Failed to update obstacles", error: e.message });
+    }
+  });
+
+  socket.on("get-system-status", async () => {
+    try {
+      const healthData = {
+        backend: {
+          status: "healthy",
+          mqttConnected: mqttClient.connected,
+          websocketClients: io.engine.clientsCount,
+          uptime: process.uptime()
+        },
+        ai: {
+          perceptionService: AI_SERVICE_URL ? "configured" : "not_configured",
+          plannerService: PLANNER_URL ? "configured" : "not_configured"
+        },
+        database: {
+          status: "connected",
+          droneCount: await Drone.countDocuments(),
+          missionCount: await Mission.countDocuments(),
+          eventCount: await EventModel.countDocuments()
+        },
+        timestamp: Date.now()
+      };
+      
+      socket.emit("system-status", healthData);
+    } catch (e) {
+      socket.emit("error", { message: "Failed to get system status", error: e.message });
+    }
+  });
+
+  socket.on("disconnect", () => console.log("Frontend disconnected", socket.id));
+});
+
+// ---------------- Start ----------------
+server.listen(PORT, () => console.log(`Backend listening on ${PORT}`));
+analytics.start();
+setInterval(tryAssignQueuedMissions, 5000);
+setInterval(() => flushTelemetry().catch(logTelemetryError), TELEMETRY_FLUSH_MS);
+setInterval(() => linkWatchdog.check().catch((e) => console.error("Link watchdog error", e)), LINK_CHECK_INTERVAL_MS);
+setInterval(() => checkMaintenance().catch((e) => console.error("Maintenance check error", e)), MAINTENANCE_CHECK_MS);
+setInterval(() => refitBatteryModels().catch((e) => console.error("Battery model fit error", e)), BATTERY_FIT_INTERVAL_MS);
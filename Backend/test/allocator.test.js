@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { hungarian, planAllocation, summarizePlan } from "../Services/allocator.js";
+
+const drone = (callsign, lat, fields = {}) => ({
+  callsign,
+  type: "delivery",
+  battery: 100,
+  maxPayloadKg: 5,
+  location: { lat, lng: 77.2 },
+  ...fields
+});
+const mission = (name, lat, fields = {}) => ({ _id: name, name, priority: 5, waypoints: [[lat, 77.2]], ...fields });
+
+test("hungarian finds the minimum-cost matching", () => {
+  const cost = [
+    [4, 1, 3],
+    [2, 0, 5],
+    [3, 2, 2]
+  ];
+  const rowToCol = hungarian(cost);
+  assert.deepEqual(rowToCol, [1, 0, 2]);
+  assert.equal(rowToCol.reduce((sum, j, i) => sum + cost[i][j], 0), 5);
+});
+
+test("planAllocation beats greedy nearest-drone matching", () => {
+  // Greedy would give A its nearest drone (D2) and send D1 far out to B
+  const drones = [drone("D1", 28.60), drone("D2", 28.62)];
+  const missions = [mission("A", 28.615), mission("B", 28.63)];
+  const plan = planAllocation(missions, drones);
+  const pairs = Object.fromEntries(plan.assignments.map((a) => [a.mission.name, a.drone.callsign]));
+  assert.deepEqual(pairs, { A: "D1", B: "D2" });
+  assert.equal(plan.unassigned.length, 0);
+});
+
+test("planAllocation serves higher priority tiers first", () => {
+  const drones = [drone("ONLY", 28.60)];
+  const missions = [mission("LOW", 28.601, { priority: 5 }), mission("URGENT", 28.65, { priority: 1 })];
+  const plan = planAllocation(missions, drones);
+  assert.deepEqual(plan.assignments.map((a) => a.mission.name), ["URGENT"]);
+  assert.deepEqual(plan.unassigned.map((u) => [u.mission.name, u.reason]), [["LOW", "no free drones"]]);
+});
+
+test("planAllocation explains missions nobody can fly", () => {
+  const drones = [drone("D1", 28.60), drone("D2", 28.61)];
+  const missions = [
+    mission("HEAVY", 28.605, { supplies: [{ name: "water", weightKg: 20 }] }),
+    mission("A", 28.605),
+    mission("B", 28.605)
+  ];
+  const plan = planAllocation(missions, drones);
+  assert.equal(plan.assignments.length, 2);
+  const heavy = plan.unassigned.find((u) => u.mission.name === "HEAVY");
+  assert.equal(heavy.reason, "no eligible drone");
+  assert.equal(heavy.candidates.length, 2);
+});
+
+test("planAllocation reports missions that lost their drones to better matches", () => {
+  const drones = [drone("D1", 28.60)];
+  const missions = [mission("NEAR", 28.601), mission("FAR", 28.63)];
+  const plan = planAllocation(missions, drones);
+  assert.deepEqual(plan.assignments.map((a) => a.mission.name), ["NEAR"]);
+  assert.equal(plan.unassigned[0].reason, "eligible drones taken by better matches");
+});
+
+test("summarizePlan flattens the plan for the API", () => {
+  const plan = planAllocation([mission("A", 28.601)], [drone("D1", 28.60)]);
+  const summary = summarizePlan(plan);
+  assert.equal(summary.totalScore, plan.totalScore);
+  assert.equal(summary.assignments[0].missionId, "A");
+  assert.equal(summary.assignments[0].callsign, "D1");
+  assert.equal(summary.assignments[0].eligible, true);
+});
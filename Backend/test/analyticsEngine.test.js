@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { offsetLatLng } from "../Services/georeference.js";
+import { createAnalyticsEngine } from "../Services/analyticsEngine.js";
+
+const T = Date.UTC(2026, 0, 1, 12);
+const MIN = 60000;
+const at = (minutesAgo) => new Date(T - minutesAgo * MIN);
+const origin = { lat: 28.6, lng: 77.2 };
+const north = (m) => ({ ...offsetLatLng(origin.lat, origin.lng, m, 0), alt: 40 });
+
+function setup(options = {}) {
+  const emitted = [];
+  const engine = createAnalyticsEngine({
+    environment: { providers: { weather: "mock", terrain: "mock" } },
+    emit: (payload) => emitted.push(payload),
+    ...options
+  });
+  return { engine, emitted };
+}
+
+// Mission documents as stored, with the status history the lifecycle writes
+function mission(id, { created, assigned = null, arrived = null, closed = null, status, assignedTo = "A" }) {
+  const statusHistory = [{ status: "queued", at: at(created) }];
+  if (assigned !== null) statusHistory.push({ status: "active", at: at(assigned) });
+  if (closed !== null) statusHistory.push({ status, at: at(closed) });
+  return {
+    _id: id,
+    name: id,
+    status: status || (assigned !== null ? "active" : "queued"),
+    assignedTo: assigned !== null ? assignedTo : null,
+    createdAt: at(created),
+    statusHistory,
+    waypointsReached: arrived !== null ? [{ index: 0, at: at(arrived) }] : []
+  };
+}
+
+const drone = (callsign, lastSeen, location = origin, fields = {}) => ({
+  callsign,
+  type: "survey",
+  battery: 80,
+  mode: "AUTO",
+  location,
+  lastSeen,
+  ...fields
+});
+
+test("report counts missions and their timings inside the window", () => {
+  const { engine } = setup();
+  engine.recordMission(mission("m1", { created: 50, assigned: 49, arrived: 45, closed: 40, status: "completed" }));
+  engine.recordMission(mission("m2", { created: 20, assigned: 18, arrived: 15, closed: 10, status: "completed" }));
+  engine.recordMission(mission("m3", { created: 90, assigned: 80, closed: 70, status: "failed" }));
+  engine.recordMission(mission("m4", { created: 5 }));
+
+  const hour = engine.report(60 * MIN, T);
+  assert.deepEqual(hour.window, { from: at(60), to: new Date(T), ms: 60 * MIN });
+  assert.equal(hour.missions.created, 3);
+  assert.equal(hour.missions.completed, 2);
+  assert.equal(hour.missions.failed, 0);
+  assert.equal(hour.missions.open, 1);
+  assert.equal(hour.missions.throughputPerHour, 2);
+  assert.deepEqual(hour.timeToAssign, { count: 2, meanS: 90, p50S: 120, p90S: 120 });
+  assert.deepEqual(hour.timeToScene, { count: 2, meanS: 210, p50S: 240, p90S: 240 });
+
+  const half = engine.report(30 * MIN, T);
+  assert.equal(half.missions.completed, 1);
+  assert.equal(half.missions.throughputPerHour, 2);
+  assert.equal(half.timeToAssign.count, 1);
+
+  const two = engine.report(120 * MIN, T);
+  assert.equal(two.missions.failed, 1);
+  assert.equal(two.timeToScene.count, 2);
+});
+
+test("coverage marks the cells under drones flying a mission", () => {
+  const { engine } = setup();
+  engine.recordMission(mission("m1", { created: 10, assigned: 9 }));
+
+  engine.recordDrone(drone("IDLE", at(5), north(500)));
+  assert.equal(engine.report(60 * MIN, T).coverage.cells, 0);
+
+  engine.recordDrone(drone("A", at(5), origin));
+  const one = engine.report(60 * MIN, T).coverage;
+  // Cells whose centre is within the 30 m footprint
+  assert.ok(one.cells >= 6 && one.cells <= 10, `${one.cells} cells`);
+  assert.equal(one.areaM2, one.cells * 400);
+
+  engine.recordDrone(drone("A", at(4), origin));
+  assert.equal(engine.report(60 * MIN, T).coverage.cells, one.cells);
+
+  engine.recordDrone(drone("A", at(3), north(200)));
+  assert.ok(engine.report(60 * MIN, T).coverage.cells >= 2 * one.cells - 1);
+
+  // Only cells seen in the window count
+  assert.equal(engine.report(3.5 * MIN, T).coverage.cells, engine.report(60 * MIN, T).coverage.cells - one.cells);
+});
+
+test("utilization compares busy time with time in link and skips GPS glitches", () => {
+  const { engine } = setup();
+  engine.recordMission(mission("m1", { created: 20, assigned: 19 }));
+
+  for (let i = 0; i <= 9; i++) {
+    const t = new Date(T - 10 * MIN + i * 5000);
+    engine.recordDrone(drone("A", t, north(i * 100)));
+    engine.recordDrone(drone("B", t, origin));
+  }
+  // 60 s silence counts as one link-stale period; the 5 km jump is a glitch
+  engine.recordDrone(drone("A", new Date(T - 10 * MIN + 105000), north(5900)));
+
+  const { utilization } = engine.report(60 * MIN, T);
+  const a = utilization.drones.find((d) => d.callsign === "A");
+  const b = utilization.drones.find((d) => d.callsign === "B");
+  assert.deepEqual(a, { callsign: "A", utilization: 1, onlineS: 55, busyS: 55, distanceKm: 0.9 });
+  assert.deepEqual(b, { callsign: "B", utilization: 0, onlineS: 45, busyS: 0, distanceKm: 0 });
+  assert.equal(utilization.fleet, 0.55);
+
+  // A shorter glitch threshold drops ordinary legs too
+  const strict = setup({ maxLegM: 50 }).engine;
+  strict.recordMission(mission("m1", { created: 20, assigned: 19 }));
+  strict.recordDrone(drone("A", at(10), origin));
+  strict.recordDrone(drone("A", new Date(T - 10 * MIN + 5000), north(100)));
+  assert.equal(strict.report(60 * MIN, T).utilization.drones[0].distanceKm, 0);
+});
+
+test("flush emits only the sections that changed", () => {
+  const { engine, emitted } = setup();
+  engine.recordDrone(drone("A", at(0)));
+
+  engine.flush(T);
+  assert.equal(emitted.length, 1);
+  assert.equal(emitted[0].full, false);
+  assert.equal(emitted[0].at, T);
+  assert.ok("swarm" in emitted[0] && "weather" in emitted[0] && "metrics" in emitted[0]);
+
+  engine.flush(T);
+  assert.equal(emitted.length, 1);
+
+  engine.recordMission(mission("m1", { created: 1 }));
+  engine.flush(T);
+  assert.equal(emitted.length, 2);
+  assert.equal(emitted[1].swarm.queued_missions, 1);
+  assert.ok(!("weather" in emitted[1]));
+  assert.ok(!("battery" in emitted[1]));
+
+  const snapshot = engine.snapshot();
+  assert.equal(snapshot.full, true);
+  assert.ok("weather" in snapshot);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkPathAgainstZones, haversineMeters, pointInPolygon } from "../Services/geofence.js";
+import { sweepSpacingM, planAreaSearch } from "../Services/areaSearch.js";
+
+const center = { lat: 28.6, lng: 77.2 };
+// About 600 m x 600 m around the centre
+const square = [[28.5973, 77.1969], [28.5973, 77.2031], [28.6027, 77.2031], [28.6027, 77.1969]];
+// Slightly larger copy so waypoints on the boundary count as inside
+const bounds = [[28.5972, 77.1968], [28.5972, 77.2032], [28.6028, 77.2032], [28.6028, 77.1968]];
+const hospital = { _id: "z1", name: "Hospital", polygon: [[28.5995, 77.1995], [28.5995, 77.2005], [28.6005, 77.2005], [28.6005, 77.1995]] };
+
+test("sweepSpacingM is the camera footprint less the overlap", () => {
+  assert.ok(Math.abs(sweepSpacingM({ altitudeM: 40, hfovDeg: 90, overlap: 0 }) - 80) < 1e-9);
+  assert.ok(Math.abs(sweepSpacingM({ altitudeM: 40, hfovDeg: 90, overlap: 0.25 }) - 60) < 1e-9);
+});
+
+test("planAreaSearch rejects unknown patterns", () => {
+  assert.throws(() => planAreaSearch({ pattern: "zigzag", center, radiusM: 100 }), (e) => e.status === 400);
+});
+
+test("lawnmower splits the area into equal strips swept inside it", () => {
+  const plan = planAreaSearch({ pattern: "lawnmower", center, polygon: square, count: 2, options: { altitudeM: 50 } });
+  assert.equal(plan.sectors.length, 2);
+  assert.ok(Math.abs(plan.areaM2 - 360000) < 5000, `area ${plan.areaM2}`);
+
+  for (const sector of plan.sectors) {
+    assert.ok(sector.waypoints.length >= 4);
+    assert.ok(sector.waypoints.every((w) => w[2] === 50));
+    assert.ok(sector.waypoints.every((w) => pointInPolygon(w, bounds)));
+    assert.ok(sector.area.length >= 3);
+  }
+  // Sweeps of similar length on both halves
+  const [a, b] = plan.sectors.map((s) => s.lengthM);
+  assert.ok(Math.abs(a - b) / Math.max(a, b) < 0.25, `${a} vs ${b}`);
+});
+
+test("expanding_square starts at the centre and hands consecutive rings to each drone", () => {
+  const plan = planAreaSearch({ pattern: "expanding_square", center, radiusM: 200, count: 3 });
+  assert.equal(plan.sectors.length, 3);
+  assert.deepEqual(plan.sectors[0].waypoints[0].slice(0, 2), [28.6, 77.2]);
+  for (let i = 1; i < plan.sectors.length; i++) {
+    const prev = plan.sectors[i - 1].waypoints;
+    assert.deepEqual(plan.sectors[i].waypoints[0], prev[prev.length - 1]);
+  }
+  assert.ok(plan.sectors.every((s) => s.area === null));
+});
+
+test("sector petals go out and back from the centre within the radius", () => {
+  const plan = planAreaSearch({ pattern: "sector", center, radiusM: 300, count: 2 });
+  assert.equal(plan.sectors.length, 2);
+  for (const sector of plan.sectors) {
+    const points = sector.waypoints;
+    assert.deepEqual(points[0].slice(0, 2), [28.6, 77.2]);
+    assert.deepEqual(points[points.length - 1].slice(0, 2), [28.6, 77.2]);
+    assert.ok(points.every((w) => haversineMeters(center, w) <= 301));
+  }
+});
+
+test("routes stay out of no-fly zones", () => {
+  const open = planAreaSearch({ pattern: "lawnmower", center, polygon: square, count: 1 });
+  assert.ok(checkPathAgainstZones(open.sectors[0].waypoints, [hospital]).length > 0);
+
+  for (const pattern of ["lawnmower", "expanding_square", "sector"]) {
+    const plan = planAreaSearch({ pattern, center, polygon: square, count: 2, zones: [hospital] });
+    for (const sector of plan.sectors) {
+      assert.deepEqual(checkPathAgainstZones(sector.waypoints, [hospital]), [], `${pattern} sector ${sector.index}`);
+    }
+  }
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { priorModel, predictEndurance } from "../Services/batteryModel.js";
+import { missionPayloadKg, routeDistancesKm, scoreDroneForMission, rankDronesForMission } from "../Services/assignment.js";
+
+const origin = { lat: 28.6, lng: 77.2 };
+// A degree of latitude is ~111.195 km
+const kmNorth = (km) => [origin.lat + km / 111.195, origin.lng];
+const drone = (callsign, fields = {}) => ({
+  callsign,
+  type: "delivery",
+  battery: 100,
+  maxPayloadKg: 5,
+  location: { ...origin },
+  ...fields
+});
+const mission = (fields = {}) => ({ waypoints: [kmNorth(1), kmNorth(2)], ...fields });
+
+test("missionPayloadKg weighs named and described supplies", () => {
+  assert.equal(missionPayloadKg({ supplies: ["water", "medicine", "rope"] }), 3.5);
+  assert.equal(missionPayloadKg({ supplies: [{ name: "water", qty: 2 }, { name: "crate", weightKg: 4 }] }), 8);
+  assert.equal(missionPayloadKg({}), 0);
+});
+
+test("routeDistancesKm flies the route and back to the return point", () => {
+  const there = routeDistancesKm(drone("A"), [kmNorth(1), kmNorth(2)]);
+  assert.ok(Math.abs(there.toFirstKm - 1) < 0.01);
+  assert.ok(Math.abs(there.totalKm - 4) < 0.01);
+
+  const elsewhere = routeDistancesKm(drone("A"), [kmNorth(1), kmNorth(2)], kmNorth(3));
+  assert.ok(Math.abs(elsewhere.totalKm - 3) < 0.01);
+  assert.equal(routeDistancesKm(drone("A"), []), null);
+});
+
+test("scoreDroneForMission explains why a drone can't fly it", () => {
+  const result = scoreDroneForMission(drone("A", { type: "survey", maxPayloadKg: 1 }), mission({
+    supplies: ["water"],
+    droneType: "delivery",
+    excludedDrones: ["A"]
+  }));
+  assert.equal(result.eligible, false);
+  assert.deepEqual(result.reasons, [
+    "payload 2.0kg exceeds 1kg",
+    "needs delivery, drone is survey",
+    "removed from this drone by an operator"
+  ]);
+  assert.equal(scoreDroneForMission(drone("B", { location: null }), mission()).eligible, false);
+});
+
+test("scoreDroneForMission plans the energy with the failsafe's margin", () => {
+  // 4 km round trip at the prior's 3 %/km, times the 1.25 return margin
+  const result = scoreDroneForMission(drone("A"), mission());
+  assert.equal(result.eligible, true);
+  assert.equal(result.energyModel, "flat");
+  assert.ok(Math.abs(result.energyPct - 15) < 0.1, `energy ${result.energyPct}`);
+  assert.ok(Math.abs(result.batteryAfter - 85) < 0.1);
+
+  const low = scoreDroneForMission(drone("A", { battery: 34 }), mission());
+  assert.equal(low.eligible, false);
+  assert.match(low.reasons[0], /< 20% reserve/);
+});
+
+test("scoreDroneForMission ends the route at the drone's return point", () => {
+  const options = { returnPoint: () => kmNorth(10) };
+  const result = scoreDroneForMission(drone("A", { battery: 60 }), mission(), options);
+  // 2 km out, then 8 km on to the return point
+  assert.ok(Math.abs(result.routeKm - 10) < 0.05);
+  assert.equal(result.eligible, true);
+  assert.ok(Math.abs(result.batteryAfter - 22.5) < 0.1);
+});
+
+test("scoreDroneForMission lands with the battery the failsafe predicts", () => {
+  // A drone whose history shows twice the prior's drain
+  const batteryModel = { ...priorModel({ energyPctPerKm: 6, maxPayloadKg: 5 }), samples: 40 };
+  const result = scoreDroneForMission(drone("A", { batteryModel }), mission());
+  const { batteryAtHomePct } = predictEndurance({
+    battery: 100,
+    location: origin,
+    home: origin,
+    model: batteryModel,
+    prior: priorModel({ maxPayloadKg: 5 }),
+    route: mission().waypoints
+  });
+
+  assert.equal(result.energyModel, "fitted");
+  assert.equal(result.batteryAfter, batteryAtHomePct);
+  // 4 km at 6 %/km with the 1.25 return margin
+  assert.ok(Math.abs(result.batteryAfter - 70) < 0.1, `after ${result.batteryAfter}`);
+});
+
+test("rankDronesForMission puts the cheapest eligible drone first", () => {
+  const { best, candidates } = rankDronesForMission([
+    drone("FAR", { location: { lat: 28.58, lng: 77.2 } }),
+    drone("HEAVY", { maxPayloadKg: 0 }),
+    drone("NEAR")
+  ], mission({ supplies: ["medicine"] }));
+  assert.equal(best.callsign, "NEAR");
+  assert.deepEqual(candidates.map((c) => c.callsign), ["NEAR", "FAR", "HEAVY"]);
+});
@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import User from "../Models/User.js";
+import {
+  configureAuth,
+  hasRole,
+  hashPassword,
+  checkPassword,
+  signToken,
+  authenticate,
+  requireRole,
+  authenticateSocket,
+  guardSocket
+} from "../Services/auth.js";
+
+configureAuth({ secret: "test-secret", tokenTtl: "1h" });
+
+const alice = { _id: "64b000000000000000000001", username: "alice", role: "operator", active: true };
+
+// User.findById(id).lean().exec() resolving to whatever `users` holds for the id
+function mockUsers(t, users) {
+  t.mock.method(User, "findById", (id) => ({ lean: () => ({ exec: async () => users[id] || null }) }));
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+test("hasRole compares against the role order", () => {
+  assert.equal(hasRole({ role: "admin" }, "operator"), true);
+  assert.equal(hasRole({ role: "operator" }, "operator"), true);
+  assert.equal(hasRole({ role: "viewer" }, "operator"), false);
+  assert.equal(hasRole(null, "viewer"), false);
+});
+
+test("passwords are hashed and checked", async () => {
+  const hash = await hashPassword("hunter22");
+  assert.notEqual(hash, "hunter22");
+  assert.equal(await checkPassword("hunter22", hash), true);
+  assert.equal(await checkPassword("hunter2", hash), false);
+});
+
+test("authenticate accepts a signed token and re-reads the user", async (t) => {
+  mockUsers(t, { [alice._id]: { ...alice, role: "admin" } });
+  const req = { headers: { authorization: `Bearer ${signToken(alice)}` } };
+  const res = response();
+  let called = false;
+  await authenticate(req, res, () => (called = true));
+
+  assert.equal(called, true);
+  // The role comes from the database, not the token
+  assert.deepEqual(req.user, { id: alice._id, username: "alice", role: "admin" });
+});
+
+test("authenticate rejects missing, forged and deactivated tokens", async (t) => {
+  mockUsers(t, { [alice._id]: { ...alice, active: false } });
+  const headers = [{}, { authorization: "Bearer not-a-token" }, { authorization: `Bearer ${signToken(alice)}` }];
+  for (const h of headers) {
+    const res = response();
+    let called = false;
+    await authenticate({ headers: h }, res, () => (called = true));
+    assert.equal(called, false);
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.body, { error: "Authentication required" });
+  }
+});
+
+test("requireRole answers 403 below the role", () => {
+  const res = response();
+  let called = false;
+  requireRole("admin")({ user: { role: "operator" } }, res, () => (called = true));
+  assert.equal(called, false);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body, { error: "Requires admin role" });
+
+  requireRole("operator")({ user: { role: "operator" } }, response(), () => (called = true));
+  assert.equal(called, true);
+});
+
+test("authenticateSocket reads the handshake token", async (t) => {
+  mockUsers(t, { [alice._id]: alice });
+  const socket = { handshake: { auth: { token: signToken(alice) } }, data: {} };
+  let error = "not called";
+  await authenticateSocket(socket, (e) => (error = e));
+  assert.equal(error, undefined);
+  assert.equal(socket.data.user.username, "alice");
+
+  const anonymous = { handshake: { auth: {}, headers: {} }, data: {} };
+  await authenticateSocket(anonymous, (e) => (error = e));
+  assert.equal(error.message, "unauthorized");
+});
+
+test("guardSocket emits an error instead of running the handler", () => {
+  const emitted = [];
+  const socket = { data: { user: { role: "viewer" } }, emit: (event, payload) => emitted.push([event, payload]) };
+  let ran = 0;
+  const handler = guardSocket(socket, "operator", () => ++ran);
+
+  assert.equal(handler({}), undefined);
+  assert.deepEqual(emitted, [["error", { message: "Requires operator role" }]]);
+
+  socket.data.user.role = "mission-commander";
+  assert.equal(handler({}), 1);
+});
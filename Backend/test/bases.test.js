@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dockUsage, freeDocks, chooseDock, fallbackBase, isAtBase, chargeLevel, readyAt } from "../Services/bases.js";
+
+const north = { _id: "north", name: "North", location: { lat: 28.7, lng: 77.2 }, docks: 2, chargeRatePctPerMin: 2 };
+const south = { _id: "south", name: "South", location: { lat: 28.6, lng: 77.2 }, docks: 1, chargeRatePctPerMin: 2 };
+const bases = [north, south];
+// Just north of the south base, heading home
+const drone = { callsign: "ALPHA", homeBase: "north", location: { lat: 28.61, lng: 77.2, alt: 50 } };
+const holding = (base, status) => ({ dock: { base, status } });
+
+test("dockUsage counts every dock-holding state except waiting", () => {
+  const usage = dockUsage([holding("south", "charging"), holding("north", "inbound"), holding("north", "ready"), holding("north", "waiting"), {}]);
+  assert.deepEqual([...usage], [["south", 1], ["north", 2]]);
+  assert.equal(freeDocks(south, usage), 0);
+  assert.equal(freeDocks(north, usage), 0);
+  assert.equal(freeDocks(north, new Map()), 2);
+});
+
+test("chooseDock picks the nearest base with a free dock", () => {
+  assert.equal(chooseDock(drone, bases, dockUsage([])).base.name, "South");
+
+  const southFull = dockUsage([holding("south", "charging")]);
+  const choice = chooseDock(drone, bases, southFull);
+  assert.equal(choice.base.name, "North");
+  assert.ok(Math.abs(choice.distanceM - 10008) < 10);
+});
+
+test("chooseDock keeps the dock the drone already holds", () => {
+  const mine = { ...drone, dock: { base: "south", status: "inbound" } };
+  assert.equal(chooseDock(mine, bases, dockUsage([mine])).base.name, "South");
+
+  // Waiting isn't a claim, so the full base stays full for it
+  const waiting = { ...drone, dock: { base: "south", status: "waiting" } };
+  assert.equal(chooseDock(waiting, bases, dockUsage([holding("south", "charging")])).base.name, "North");
+});
+
+test("chooseDock without a position only considers the home base", () => {
+  const lost = { ...drone, location: { lat: 0, lng: 0 } };
+  const choice = chooseDock(lost, bases, dockUsage([]));
+  assert.equal(choice.base.name, "North");
+  assert.equal(choice.distanceM, null);
+  assert.equal(chooseDock({ ...lost, homeBase: null }, bases, dockUsage([])), null);
+});
+
+test("chooseDock finds nothing when every dock is taken", () => {
+  const full = dockUsage([holding("south", "charging"), holding("north", "charging"), holding("north", "ready")]);
+  assert.equal(chooseDock(drone, bases, full), null);
+});
+
+test("fallbackBase prefers the home base, else the nearest", () => {
+  assert.equal(fallbackBase(drone, bases).name, "North");
+  assert.equal(fallbackBase({ ...drone, homeBase: null }, bases).name, "South");
+  assert.equal(fallbackBase(drone, []), null);
+});
+
+test("isAtBase needs the drone on the ground near the base", () => {
+  assert.equal(isAtBase({ location: { lat: 28.6001, lng: 77.2, alt: 0.2 } }, south), true);
+  assert.equal(isAtBase({ location: { lat: 28.6001, lng: 77.2, alt: 20 } }, south), false);
+  assert.equal(isAtBase({ location: { lat: 28.61, lng: 77.2, alt: 0 } }, south), false);
+});
+
+test("chargeLevel simulates charging only when asked", () => {
+  const now = Date.UTC(2026, 0, 1, 12);
+  const dock = { dockedAt: new Date(now - 10 * 60000), batteryAtDock: 30 };
+  assert.equal(chargeLevel(dock, south, 31, { simulate: true, now }), 50);
+  assert.equal(chargeLevel(dock, south, 31), 31);
+  assert.equal(chargeLevel({ dockedAt: new Date(now - 100 * 60000), batteryAtDock: 30 }, south, 31, { simulate: true, now }), 100);
+  // A real reading ahead of the estimate wins
+  assert.equal(chargeLevel(dock, south, 70, { simulate: true, now }), 70);
+});
+
+test("readyAt works out when the ready level is reached", () => {
+  const now = Date.UTC(2026, 0, 1, 12);
+  assert.equal(readyAt(50, south, 90, now).getTime() - now, 20 * 60000);
+  assert.equal(readyAt(95, south, 90, now).getTime(), now);
+  assert.equal(readyAt(50, { chargeRatePctPerMin: 0 }, 90, now), null);
+});
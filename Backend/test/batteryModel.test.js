@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { offsetLatLng } from "../Services/georeference.js";
+import {
+  priorModel,
+  dischargeRate,
+  pctPerKm,
+  dischargeSegments,
+  fitDischargeModel,
+  predictEndurance
+} from "../Services/batteryModel.js";
+
+const near = (actual, expected, tolerance, label) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+
+const prior = priorModel({ energyPctPerKm: 3, payloadEnergyFactor: 0.5, maxPayloadKg: 4 });
+
+test("the prior reproduces the flat per-km figure and its payload scaling", () => {
+  near(pctPerKm(prior), 3, 1e-9, "empty");
+  near(pctPerKm(prior, { payloadKg: 4 }), 4.5, 1e-9, "full payload");
+  assert.equal(prior.samples, 0);
+  // Climbing costs extra, descending doesn't refund anything
+  assert.ok(dischargeRate(prior, { speedMs: 10, climbMs: 2 }) > dischargeRate(prior, { speedMs: 10 }));
+  assert.equal(dischargeRate(prior, { speedMs: 10, climbMs: -2 }), dischargeRate(prior, { speedMs: 10 }));
+});
+
+test("pctPerKm never drops far below the prior", () => {
+  const free = { basePctPerS: 0, pctPerSPerMs: 0, pctPerSPerClimbMs: 0, pctPerSPerKg: 0, samples: 5 };
+  near(pctPerKm(free, { prior }), 0.75, 1e-9, "floored");
+  assert.equal(pctPerKm(free), 0);
+});
+
+test("dischargeSegments keeps only real flight", () => {
+  const at = (s, fields) => ({ ts: new Date(s * 1000), lat: 28.6, lng: 77.2, alt: 30, battery: 90, ...fields });
+  const points = [
+    at(0, { battery: 90 }),
+    at(60, { battery: 89, alt: 60, lat: 28.601 }),        // kept: climbing flight
+    at(70, { battery: 88.9 }),                             // too short
+    at(400, { battery: 85 }),                              // link gap
+    at(460, { battery: 86, alt: 0.5 }),                    // charging
+    at(520, { battery: 85, alt: 0.5 }),
+    at(580, { battery: 84.5, alt: 0.2 }),                  // on the ground
+    at(640, { battery: 84, lat: 28.7 }),                   // position jump
+    at(700, { battery: 83, lat: 28.7, mode: "LINK_LOST" }) // link lost
+  ];
+  const segments = dischargeSegments(points, (ms) => (ms < 60000 ? 2 : 0));
+  assert.equal(segments.length, 1);
+  const [s] = segments;
+  assert.equal(s.dtS, 60);
+  assert.equal(s.drainPct, 1);
+  assert.equal(s.climbMs, 0.5);
+  assert.equal(s.payloadKg, 2);
+  near(s.speedMs, 111.2 / 60, 0.01, "speed from distance");
+});
+
+test("fitDischargeModel recovers a drone's real drain from plenty of data", () => {
+  const truth = { basePctPerS: 0.03, pctPerSPerMs: 0.002, pctPerSPerClimbMs: 0.01, pctPerSPerKg: 0.006 };
+  const segments = [];
+  for (const speedMs of [0, 4, 8, 12, 16]) {
+    for (const climbMs of [0, 1, 2]) {
+      for (const payloadKg of [0, 1, 3]) {
+        for (let rep = 0; rep < 4; rep++) {
+          const dtS = 60;
+          segments.push({ dtS, speedMs, climbMs, payloadKg, drainPct: dischargeRate(truth, { speedMs, climbMs, payloadKg }) * dtS });
+        }
+      }
+    }
+  }
+  const now = new Date(0);
+  const fitted = fitDischargeModel(segments, prior, { priorWeight: 1, now });
+  assert.equal(fitted.samples, segments.length);
+  assert.equal(fitted.fittedAt, now);
+  for (const key of Object.keys(truth)) near(fitted[key], truth[key], truth[key] * 0.05, key);
+  assert.ok(fitted.rmse < 1e-3);
+});
+
+test("fitDischargeModel stays near the prior when data is scarce", () => {
+  assert.deepEqual(fitDischargeModel([], prior), prior);
+
+  // One hover segment draining much faster than the prior expects
+  const fitted = fitDischargeModel([{ dtS: 60, speedMs: 0, climbMs: 0, payloadKg: 0, drainPct: 6 }], prior);
+  assert.ok(fitted.basePctPerS > prior.basePctPerS);
+  assert.ok(fitted.basePctPerS < 0.1, "one segment shouldn't override the prior outright");
+  // Never carried anything: the payload cost is the prior's
+  near(fitted.pctPerSPerKg, prior.pctPerSPerKg, 1e-12, "payload");
+});
+
+const home = { lat: 28.6, lng: 77.2 };
+const kmNorth = (km) => offsetLatLng(home.lat, home.lng, km * 1000, 0);
+
+test("predictEndurance works out range and the trip home with its safety margin", () => {
+  const p = predictEndurance({ battery: 80, location: kmNorth(2), home, model: prior, prior });
+  near(p.pctPerKm, 3, 0.01, "per km");
+  near(p.rangeKm, 20, 0.01, "range");
+  assert.equal(p.remainingS, 2000);
+  near(p.homeDistanceKm, 2, 0.01, "home distance");
+  near(p.returnPct, 7.5, 0.01, "return");
+  near(p.mustReturnAtPct, 27.5, 0.01, "threshold");
+  assert.equal(p.mustReturn, false);
+  assert.equal(p.fitted, false);
+  assert.equal(p.batteryAtHomePct, null);
+
+  assert.equal(predictEndurance({ battery: 27, location: kmNorth(2), home, model: prior, prior }).mustReturn, true);
+});
+
+test("predictEndurance lands the drone after the rest of its route", () => {
+  const p = predictEndurance({ battery: 80, location: home, home, model: prior, prior, route: [kmNorth(1), kmNorth(2)] });
+  // 4 km out and back at 3 %/km with the 1.25 margin
+  near(p.batteryAtHomePct, 65, 0.05, "battery at home");
+});
+
+test("predictEndurance ignores unset positions", () => {
+  const p = predictEndurance({ battery: 80, location: { lat: 0, lng: 0 }, home, model: prior, prior, route: [kmNorth(1)] });
+  assert.equal(p.homeDistanceKm, null);
+  assert.equal(p.returnPct, 0);
+  assert.equal(p.batteryAtHomePct, null);
+});
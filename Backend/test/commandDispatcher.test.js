@@ -0,0 +1,243 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCommandDispatcher } from "../Services/commandDispatcher.js";
+
+// Fake broker plus recording callbacks. `answer(message)` decides what the
+// drone acks for each published message (null = stay silent).
+function setup({ answer = () => "ack", ...options } = {}) {
+  const published = [];
+  const recorded = [];
+  const acks = [];
+  const statuses = [];
+  let dispatcher;
+
+  const mqttClient = {
+    publish(topic, text, opts, cb) {
+      const message = JSON.parse(text);
+      published.push({ topic, message, qos: opts.qos });
+      cb();
+      const status = answer(message);
+      if (status) setImmediate(() => dispatcher.handleAck(message.cmdId, status));
+    }
+  };
+
+  dispatcher = createCommandDispatcher({
+    mqttClient,
+    record: async (entry) => { recorded.push(entry); },
+    recordAck: async (cmdId, status) => { acks.push([cmdId, status]); },
+    onStatus: (outcome) => statuses.push(outcome),
+    ackTimeoutMs: 20,
+    backoffMs: 1,
+    retries: 1,
+    ...options
+  });
+  return { dispatcher, published, recorded, acks, statuses };
+}
+
+test("publishes with QoS 1 and resolves once the drone acks", async () => {
+  const { dispatcher, published, recorded, acks, statuses } = setup();
+  const { cmdId, duplicate, outcome } = await dispatcher.dispatch("ALPHA", { cmd: "rtl" }, { user: { username: "alice" }, origin: "rest" });
+  const result = await outcome;
+
+  assert.equal(duplicate, false);
+  assert.match(cmdId, /^ALPHA_/);
+  assert.deepEqual(published.map((p) => [p.topic, p.message.cmd, p.qos]), [["drone/ALPHA/command", "rtl", 1]]);
+  assert.equal(recorded[0].cmdId, cmdId);
+  assert.equal(result.status, "acked");
+  assert.equal(result.attempts, 1);
+  assert.equal(result.issuedBy, "alice");
+  assert.deepEqual(acks, [[cmdId, "ack"]]);
+  assert.equal(statuses.length, 1);
+});
+
+test("retries with the same cmdId until the drone answers", async () => {
+  const { dispatcher, published } = setup({ answer: (m) => (m.attempt === 2 ? "ack" : null) });
+  const { cmdId, outcome } = await dispatcher.dispatch("ALPHA", { cmd: "rtl" });
+  const result = await outcome;
+
+  assert.equal(result.status, "acked");
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(published.map((p) => p.message.cmdId), [cmdId, cmdId]);
+});
+
+test("gives up after the last retry and records a timeout", async () => {
+  const { dispatcher, published, acks } = setup({ answer: () => null });
+  const { cmdId, outcome } = await dispatcher.dispatch("ALPHA", { cmd: "rtl" });
+  const result = await outcome;
+
+  assert.equal(result.status, "timeout");
+  assert.equal(published.length, 2);
+  assert.deepEqual(acks, [[cmdId, "timeout"]]);
+});
+
+test("doesn't retry a command the drone refused", async () => {
+  const { dispatcher, published } = setup({ answer: () => "NACK" });
+  const result = await (await dispatcher.dispatch("ALPHA", { cmd: "takeoff" })).outcome;
+
+  assert.equal(result.status, "rejected");
+  assert.equal(result.ackStatus, "nack");
+  assert.equal(published.length, 1);
+});
+
+test("an idempotency key sends the command only once", async () => {
+  const { dispatcher, published } = setup();
+  const first = await dispatcher.dispatch("ALPHA", { cmd: "rtl" }, { idempotencyKey: "k1" });
+  const second = await dispatcher.dispatch("ALPHA", { cmd: "rtl" }, { idempotencyKey: "k1" });
+  const other = await dispatcher.dispatch("BRAVO", { cmd: "rtl" }, { idempotencyKey: "k1" });
+
+  assert.equal(second.duplicate, true);
+  assert.equal(second.cmdId, first.cmdId);
+  assert.equal(await second.outcome, await first.outcome);
+  assert.equal(other.duplicate, false);
+  await other.outcome;
+  assert.equal(published.length, 2);
+});
+
+test("refuses without publishing when preflight finds problems", async () => {
+  const { dispatcher, published, recorded, acks } = setup({ preflight: async () => ["battery too low"] });
+  const { cmdId, outcome } = await dispatcher.dispatch("ALPHA", { cmd: "takeoff" });
+  const result = await outcome;
+
+  assert.equal(result.status, "refused");
+  assert.deepEqual(result.reasons, ["battery too low"]);
+  assert.equal(published.length, 0);
+  assert.equal(recorded.length, 1);
+  assert.deepEqual(acks, [[cmdId, "refused"]]);
+});
+
+test("sends and records what prepare returns", async () => {
+  const prepare = async (callsign, command) => ({ ...command, lat: 28.6, lng: 77.2 });
+  const { dispatcher, published, recorded } = setup({ prepare });
+  await (await dispatcher.dispatch("ALPHA", { cmd: "rtl" })).outcome;
+
+  assert.equal(published[0].message.lat, 28.6);
+  assert.equal(recorded[0].payload.lng, 77.2);
+});
+
+test("a failing audit write doesn't hold the command back", async () => {
+  const { dispatcher, published } = setup({ record: async () => { throw new Error("db down"); } });
+  const original = console.error;
+  console.error = () => {};
+  try {
+    const result = await (await dispatcher.dispatch("ALPHA", { cmd: "rtl" })).outcome;
+    assert.equal(result.status, "acked");
+    assert.equal(published.length, 1);
+  } finally {
+    console.error = original;
+  }
+});
+
+// ---------------- Store and forward ----------------
+
+function fakeQueue({ inLink = false, superseded = [] } = {}) {
+  const queue = {
+    enqueued: [],
+    settled: [],
+    pending: [],
+    expired: [],
+    isInLink: async () => inLink,
+    enqueue: async (entry) => {
+      queue.enqueued.push(entry);
+      return { superseded };
+    },
+    claim: async () => ({ deliver: queue.pending, expired: queue.expired }),
+    settle: async (cmdId, result) => { queue.settled.push([cmdId, result.status, result.attempts]); }
+  };
+  return queue;
+}
+
+test("parks commands for drones out of link and supersedes older ones", async () => {
+  const queue = fakeQueue({ superseded: ["OLD_1"] });
+  const { dispatcher, published, acks, statuses } = setup({ queue });
+  const { cmdId, outcome } = await dispatcher.dispatch("ALPHA", { cmd: "goto" }, { deliverWhenConnected: true, ttlMs: 1000 });
+  const result = await outcome;
+
+  assert.equal(result.status, "queued");
+  assert.equal(published.length, 0);
+  assert.equal(queue.enqueued[0].cmdId, cmdId);
+  assert.equal(queue.enqueued[0].ttlMs, 1000);
+  assert.deepEqual(acks, [["OLD_1", "superseded"]]);
+  assert.deepEqual(statuses.map((s) => s.status), ["superseded", "queued"]);
+});
+
+test("parks a command that timed out while the drone looked connected", async () => {
+  const queue = fakeQueue({ inLink: true });
+  const { dispatcher, published } = setup({ queue, answer: () => null });
+  const result = await (await dispatcher.dispatch("ALPHA", { cmd: "goto" }, { deliverWhenConnected: true })).outcome;
+
+  assert.equal(result.status, "queued");
+  assert.equal(published.length, 2);
+  assert.equal(queue.enqueued.length, 1);
+});
+
+test("a failing queue turns into an error outcome instead of a rejection", async () => {
+  const queue = fakeQueue();
+  queue.isInLink = async () => { throw new Error("queue unavailable"); };
+  const { dispatcher, acks, statuses } = setup({ queue });
+  const original = console.error;
+  console.error = () => {};
+  try {
+    const { cmdId, outcome } = await dispatcher.dispatch("ALPHA", { cmd: "goto" }, { deliverWhenConnected: true });
+    const result = await outcome;
+    assert.equal(result.status, "error");
+    assert.equal(result.error, "queue unavailable");
+    assert.deepEqual(acks, [[cmdId, "error"]]);
+    assert.equal(statuses[0].status, "error");
+  } finally {
+    console.error = original;
+  }
+});
+
+test("flushQueue delivers in order and stops at the first timeout", async () => {
+  const queue = fakeQueue();
+  const entry = (cmdId) => ({ cmdId, callsign: "ALPHA", payload: { cmd: "goto", cmdId }, issuedBy: "alice" });
+  queue.pending = [entry("C1"), entry("C2"), entry("C3")];
+  queue.expired = [entry("C0")];
+  const { dispatcher, published, acks, statuses } = setup({ queue, answer: (m) => (m.cmdId === "C2" ? null : "ack") });
+
+  await dispatcher.flushQueue("ALPHA");
+
+  assert.deepEqual([...new Set(published.map((p) => p.message.cmdId))], ["C1", "C2"]);
+  assert.deepEqual(queue.settled, [["C1", "acked", 1], ["C2", "timeout", 2], ["C3", "timeout", 0]]);
+  assert.deepEqual(acks.filter(([, s]) => s === "expired"), [["C0", "expired"]]);
+  assert.deepEqual(statuses.map((s) => [s.cmdId, s.status, s.deliveredFromQueue]), [
+    ["C0", "expired", undefined],
+    ["C1", "acked", true]
+  ]);
+});
+
+test("flushQueue refuses parked commands that no longer pass preflight", async () => {
+  const queue = fakeQueue();
+  const entry = (cmdId, cmd) => ({ cmdId, callsign: "ALPHA", payload: { cmd, cmdId }, issuedBy: "alice" });
+  queue.pending = [entry("C1", "takeoff"), entry("C2", "rtl")];
+  const preflight = async (callsign, command) => (command.cmd === "takeoff" ? ["battery 12% is below 30%"] : []);
+  const { dispatcher, published, acks, statuses } = setup({ queue, preflight });
+
+  await dispatcher.flushQueue("ALPHA");
+
+  assert.deepEqual(published.map((p) => p.message.cmdId), ["C2"]);
+  assert.deepEqual(queue.settled, [["C1", "refused", 0], ["C2", "acked", 1]]);
+  assert.deepEqual(acks.filter(([, s]) => s === "refused"), [["C1", "refused"]]);
+  assert.deepEqual(statuses.map((s) => [s.cmdId, s.status]), [["C1", "refused"], ["C2", "acked"]]);
+  assert.deepEqual(statuses[0].reasons, ["battery 12% is below 30%"]);
+});
+
+test("flushQueue puts claimed commands back when settling fails part way", async () => {
+  const queue = fakeQueue();
+  const entry = (cmdId) => ({ cmdId, callsign: "ALPHA", payload: { cmd: "goto", cmdId }, issuedBy: "alice" });
+  queue.pending = [entry("C1"), entry("C2"), entry("C3")];
+  const settle = queue.settle;
+  queue.settle = async (cmdId, result) => {
+    if (cmdId === "C2" && result.status === "acked") throw new Error("write failed");
+    return settle(cmdId, result);
+  };
+  const { dispatcher } = setup({ queue });
+
+  await assert.rejects(dispatcher.flushQueue("ALPHA"), /write failed/);
+  assert.deepEqual(queue.settled, [["C1", "acked", 1], ["C2", "timeout", 0], ["C3", "timeout", 0]]);
+
+  // The drone isn't left marked as flushing
+  queue.pending = [entry("C4")];
+  await dispatcher.flushQueue("ALPHA");
+  assert.deepEqual(queue.settled.at(-1), ["C4", "acked", 1]);
+});
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  GENESIS_HASH,
+  entryHash,
+  ackHash,
+  chainProblem,
+  commandFilter,
+  commandsToCsv
+} from "../Services/commandLog.js";
+
+// Builds a chain the way recordCommand/recordAck do
+function buildChain(count) {
+  const chain = [];
+  let prevHash = GENESIS_HASH;
+  for (let seq = 1; seq <= count; seq++) {
+    const entry = {
+      seq,
+      cmdId: `ALPHA_${seq}`,
+      callsign: "ALPHA",
+      cmd: "goto",
+      payload: { cmd: "goto", lat: 28.6, lng: 77.2 },
+      issuedBy: "alice",
+      origin: "rest",
+      issuedAt: new Date(seq * 1000),
+      prevHash,
+      ackStatus: "pending"
+    };
+    entry.hash = entryHash(entry);
+    chain.push(entry);
+    prevHash = entry.hash;
+  }
+  return chain;
+}
+
+function acknowledge(entry) {
+  entry.ackStatus = "ack";
+  entry.ackAt = new Date(entry.issuedAt.getTime() + 250);
+  entry.latencyMs = 250;
+  entry.ackHash = ackHash(entry);
+}
+
+// Same walk as verifyCommandChain, over an in-memory list
+function firstProblem(chain) {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  for (const entry of chain) {
+    const problem = chainProblem(entry, prevHash, expectedSeq);
+    if (problem) return { seq: entry.seq, problem };
+    prevHash = entry.hash;
+    expectedSeq = entry.seq + 1;
+  }
+  return null;
+}
+
+test("an untouched chain verifies, acknowledged or not", () => {
+  const chain = buildChain(3);
+  acknowledge(chain[1]);
+  assert.equal(firstProblem(chain), null);
+});
+
+test("entryHash doesn't depend on payload key order", () => {
+  const [entry] = buildChain(1);
+  const reordered = { ...entry, payload: { lng: 77.2, lat: 28.6, cmd: "goto" } };
+  assert.equal(entryHash(reordered), entry.hash);
+});
+
+test("editing an entry breaks it", () => {
+  const chain = buildChain(3);
+  chain[1].payload.lat = 0;
+  assert.deepEqual(firstProblem(chain), { seq: 2, problem: "entry was modified" });
+});
+
+test("re-hashing an edited entry breaks the link to the next one", () => {
+  const chain = buildChain(3);
+  chain[1].issuedBy = "mallory";
+  chain[1].hash = entryHash(chain[1]);
+  assert.deepEqual(firstProblem(chain), { seq: 3, problem: "prevHash does not match the previous entry" });
+});
+
+test("deleting an entry leaves a gap", () => {
+  const chain = buildChain(3);
+  chain.splice(1, 1);
+  assert.deepEqual(firstProblem(chain), { seq: 3, problem: "missing entries before seq 3" });
+});
+
+test("editing the drone's answer breaks the ack hash", () => {
+  const chain = buildChain(2);
+  acknowledge(chain[0]);
+  chain[0].ackStatus = "rejected";
+  assert.deepEqual(firstProblem(chain), { seq: 1, problem: "ack fields were modified" });
+});
+
+test("commandFilter builds a Mongo filter and rejects bad dates", () => {
+  assert.deepEqual(commandFilter({ callsign: "ALPHA", user: "alice", from: "1000" }), {
+    callsign: "ALPHA",
+    issuedBy: "alice",
+    issuedAt: { $gte: new Date(1000) }
+  });
+  assert.throws(() => commandFilter({ to: "yesterday" }), (e) => e.status === 400 && /to is not a valid date/.test(e.message));
+});
+
+test("commandsToCsv quotes cells that need it", () => {
+  const [entry] = buildChain(1);
+  const [header, row] = commandsToCsv([entry]).split("\n");
+  assert.ok(header.startsWith("seq,issuedAt,cmdId"));
+  assert.ok(row.startsWith("1,1970-01-01T00:00:01.000Z,ALPHA_1,ALPHA,goto,alice,rest,pending,,,"));
+  assert.ok(row.includes('"{""cmd"":""goto"",""lat"":28.6,""lng"":77.2}"'));
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isPersonDetection,
+  detectionLocation,
+  groupDetections,
+  findMergeTarget,
+  mergeSighting,
+  newCluster
+} from "../Services/detectionClusters.js";
+
+test("isPersonDetection accepts either detector's field names", () => {
+  assert.equal(isPersonDetection({ class: "person", conf: 0.8 }, 0.5), true);
+  assert.equal(isPersonDetection({ cls: "person", confidence: 0.8 }, 0.5), true);
+  assert.equal(isPersonDetection({ label: "person", conf: 0.4 }, 0.5), false);
+  assert.equal(isPersonDetection({ class: "car", conf: 0.9 }, 0.5), false);
+});
+
+test("detectionLocation ignores missing, null-island and out-of-range positions", () => {
+  assert.deepEqual(detectionLocation({ location: { lat: 28.6, lng: 77.2 } }), [28.6, 77.2]);
+  assert.deepEqual(detectionLocation({ lat: 28.6, lon: 77.2 }), [28.6, 77.2]);
+  assert.equal(detectionLocation({ lat: 0, lng: 0 }), null);
+  assert.equal(detectionLocation({ lat: 128.6, lng: 77.2 }), null);
+  assert.equal(detectionLocation({}), null);
+});
+
+test("groupDetections merges nearby people into one site", () => {
+  const groups = groupDetections([
+    { lat: 28.6, lng: 77.2, conf: 0.6, uncertaintyM: 12 },
+    { lat: 28.60005, lng: 77.2, conf: 0.9, uncertaintyM: 8 },
+    { lat: 28.61, lng: 77.2, conf: 0.7 }
+  ], 20);
+  assert.equal(groups.length, 2);
+  assert.equal(groups[0].count, 2);
+  assert.equal(groups[0].maxConfidence, 0.9);
+  assert.equal(groups[0].uncertaintyM, 8);
+  assert.ok(Math.abs(groups[0].lat - 28.600025) < 1e-9);
+  assert.equal(groups[1].count, 1);
+  assert.equal(groups[1].uncertaintyM, undefined);
+});
+
+test("findMergeTarget picks the nearest mission within the radius", () => {
+  const missions = [
+    { name: "none" },
+    { name: "far", detection: { lat: 28.601, lng: 77.2 } },
+    { name: "near", detection: { lat: 28.6002, lng: 77.2 } }
+  ];
+  assert.equal(findMergeTarget(missions, { lat: 28.6, lng: 77.2 }, 200).name, "near");
+  assert.equal(findMergeTarget(missions, { lat: 28.7, lng: 77.2 }, 200), null);
+});
+
+test("mergeSighting averages the position and keeps the largest single-frame count", () => {
+  const t0 = new Date(0);
+  const t1 = new Date(1000);
+  const cluster = newCluster({ lat: 28.6, lng: 77.2, count: 3, maxConfidence: 0.7, uncertaintyM: 15 }, { source: "ALPHA", at: t0 });
+  assert.equal(cluster.observations, 1);
+
+  const merged = mergeSighting(cluster, { lat: 28.6002, lng: 77.2, count: 2, maxConfidence: 0.9, uncertaintyM: 10 }, { source: "BRAVO", at: t1 });
+  assert.ok(Math.abs(merged.lat - 28.6001) < 1e-9);
+  assert.equal(merged.observations, 2);
+  assert.equal(merged.maxCount, 3);
+  assert.equal(merged.maxConfidence, 0.9);
+  assert.equal(merged.uncertaintyM, 10);
+  assert.deepEqual(merged.sources, ["ALPHA", "BRAVO"]);
+  assert.equal(merged.firstSeenAt, t0);
+  assert.equal(merged.lastSeenAt, t1);
+
+  const again = mergeSighting(merged, { lat: 28.6, lng: 77.2, count: 1 }, { source: "ALPHA", at: t1 });
+  assert.deepEqual(again.sources, ["ALPHA", "BRAVO"]);
+  assert.equal(again.uncertaintyM, 10);
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { haversineMeters } from "../Services/geofence.js";
+import {
+  canTransitionDisaster,
+  appendUpdate,
+  transitionDisaster,
+  closingStatus,
+  surveyWaypoints
+} from "../Services/disasterLifecycle.js";
+
+test("canTransitionDisaster follows the incident lifecycle", () => {
+  assert.equal(canTransitionDisaster("detected", "responding"), true);
+  assert.equal(canTransitionDisaster("responding", "investigating"), true);
+  assert.equal(canTransitionDisaster("resolved", "investigating"), true);
+  assert.equal(canTransitionDisaster("resolved", "responding"), false);
+  assert.equal(canTransitionDisaster("investigating", "detected"), false);
+});
+
+test("appendUpdate adds to the timeline without rewriting it", () => {
+  const disaster = { updates: [{ kind: "note", text: "first" }] };
+  const before = disaster.updates;
+  appendUpdate(disaster, { text: "second", by: "alice" });
+  appendUpdate(disaster, { kind: "mission", text: "linked", data: { missionId: "m1" } });
+
+  assert.equal(before.length, 1);
+  assert.deepEqual(disaster.updates.map((u) => [u.kind, u.text, u.by, u.data]), [
+    ["note", "first", undefined, undefined],
+    ["note", "second", "alice", undefined],
+    ["mission", "linked", undefined, { missionId: "m1" }]
+  ]);
+  assert.ok(disaster.updates[1].at instanceof Date);
+});
+
+test("transitionDisaster records history and the timeline", () => {
+  const detectedAt = new Date(0);
+  const disaster = { status: "detected", detectedAt };
+  transitionDisaster(disaster, "responding", { note: "boats deployed", by: "alice" });
+
+  assert.equal(disaster.status, "responding");
+  assert.deepEqual(disaster.statusHistory.map((h) => [h.status, h.note, h.by]), [
+    ["detected", undefined, undefined],
+    ["responding", "boats deployed", "alice"]
+  ]);
+  assert.equal(disaster.statusHistory[0].at, detectedAt);
+  assert.equal(disaster.resolvedAt, null);
+  assert.deepEqual(disaster.updates.map((u) => [u.kind, u.text]), [["status", "detected -> responding: boats deployed"]]);
+
+  transitionDisaster(disaster, "resolved");
+  assert.ok(disaster.resolvedAt instanceof Date);
+  assert.equal(disaster.updates[1].text, "responding -> resolved");
+
+  // Reopening clears the resolution time
+  transitionDisaster(disaster, "investigating");
+  assert.equal(disaster.resolvedAt, null);
+  assert.equal(disaster.statusHistory.length, 4);
+});
+
+test("transitionDisaster throws a 409 on an invalid transition", () => {
+  const disaster = { status: "resolved" };
+  assert.throws(() => transitionDisaster(disaster, "responding"), (e) => e.status === 409 && e.from === "resolved" && e.to === "responding");
+  assert.equal(disaster.status, "resolved");
+  assert.equal(disaster.updates, undefined);
+});
+
+test("closingStatus aborts flying missions and cancels the rest", () => {
+  assert.equal(closingStatus({ status: "active" }), "aborted");
+  assert.equal(closingStatus({ status: "paused" }), "aborted");
+  assert.equal(closingStatus({ status: "queued" }), "cancelled");
+  assert.equal(closingStatus({ status: "scheduled" }), "cancelled");
+  assert.equal(closingStatus({ status: "completed" }), null);
+});
+
+test("surveyWaypoints gives each drone its own arc around the site", () => {
+  const center = { lat: 28.6, lng: 77.2 };
+  const routes = [0, 1, 2].map((index) => surveyWaypoints(center, { radiusM: 200, index, count: 3 }));
+
+  for (const route of routes) {
+    assert.deepEqual(route[0], [28.6, 77.2]);
+    assert.deepEqual(route[route.length - 1], [28.6, 77.2]);
+    // 12 points per circle split three ways: 4 steps, 5 arc points
+    assert.equal(route.length, 7);
+    for (const p of route.slice(1, -1)) assert.ok(Math.abs(haversineMeters(center, p) - 200) < 0.5);
+  }
+  // Consecutive arcs meet
+  const endOfFirst = routes[0][routes[0].length - 2];
+  assert.ok(haversineMeters(endOfFirst, routes[1][1]) < 0.01);
+  // The first arc starts due north
+  assert.ok(Math.abs(routes[0][1][1] - 77.2) < 1e-9);
+});
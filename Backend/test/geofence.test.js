@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  toLatLng,
+  toWaypoint,
+  haversineMeters,
+  pointInPolygon,
+  segmentsIntersect,
+  segmentIntersectsPolygon,
+  checkPathAgainstZones,
+  trackBreaches
+} from "../Services/geofence.js";
+import { createMissionBody } from "../../shared/schemas.js";
+
+// ~1.1 km square around (28.605, 77.205)
+const square = [[28.6, 77.2], [28.6, 77.21], [28.61, 77.21], [28.61, 77.2]];
+const zone = { _id: "z1", name: "Hospital", polygon: square };
+
+test("toLatLng accepts arrays and objects with lng or lon", () => {
+  assert.deepEqual(toLatLng([1, 2]), [1, 2]);
+  assert.deepEqual(toLatLng({ lat: 1, lng: 2 }), [1, 2]);
+  assert.deepEqual(toLatLng({ lat: 1, lon: 2 }), [1, 2]);
+  assert.equal(toLatLng({ lat: 1 }), null);
+  assert.equal(toLatLng(null), null);
+});
+
+test("toWaypoint stores posted object waypoints as [lat, lng] or [lat, lng, alt]", () => {
+  const body = createMissionBody.parse({
+    waypoints: [{ lat: 28.6, lng: 77.2 }, { lat: 28.61, lon: 77.21, alt: 40 }, [28.62, 77.22, 30], [28.63, 77.23]]
+  });
+  assert.deepEqual(body.waypoints.map(toWaypoint), [[28.6, 77.2], [28.61, 77.21, 40], [28.62, 77.22, 30], [28.63, 77.23]]);
+  assert.equal(toWaypoint({ lat: 1 }), null);
+});
+
+test("haversineMeters measures a degree of latitude as ~111 km", () => {
+  const d = haversineMeters([0, 0], [1, 0]);
+  assert.ok(Math.abs(d - 111195) < 100, `got ${d}`);
+  assert.equal(haversineMeters([28.6, 77.2], { lat: 28.6, lng: 77.2 }), 0);
+});
+
+test("pointInPolygon", () => {
+  assert.equal(pointInPolygon([28.605, 77.205], square), true);
+  assert.equal(pointInPolygon([28.62, 77.205], square), false);
+  assert.equal(pointInPolygon([28.605, 77.205], square.slice(0, 2)), false);
+});
+
+test("segmentsIntersect detects crossing, touching and disjoint segments", () => {
+  assert.equal(segmentsIntersect([0, 0], [2, 2], [0, 2], [2, 0]), true);
+  assert.equal(segmentsIntersect([0, 0], [1, 1], [1, 1], [2, 0]), true);
+  assert.equal(segmentsIntersect([0, 0], [1, 0], [0, 1], [1, 1]), false);
+});
+
+test("segmentIntersectsPolygon catches a leg passing straight through a zone", () => {
+  assert.equal(segmentIntersectsPolygon([28.605, 77.19], [28.605, 77.22], square), true);
+  assert.equal(segmentIntersectsPolygon([28.62, 77.19], [28.62, 77.22], square), false);
+});
+
+test("checkPathAgainstZones reports the first offending waypoint or leg per zone", () => {
+  assert.deepEqual(checkPathAgainstZones([[28.62, 77.2], [28.605, 77.205]], [zone]), [
+    { zoneId: "z1", zoneName: "Hospital", kind: "leg", index: 0 }
+  ]);
+  assert.deepEqual(checkPathAgainstZones([[28.605, 77.205]], [zone]), [
+    { zoneId: "z1", zoneName: "Hospital", kind: "waypoint", index: 0 }
+  ]);
+  assert.deepEqual(checkPathAgainstZones([[28.62, 77.19], [28.63, 77.19]], [zone]), []);
+});
+
+test("trackBreaches reports a breach and its clearing once each has held for the debounce", () => {
+  const fence = { key: "nofly:z1", kind: "nofly_zone" };
+  const opts = (now) => ({ debounceMs: 3000, now });
+
+  assert.deepEqual(trackBreaches("DEB", [fence], opts(0)), { entered: [], cleared: [] });
+  assert.deepEqual(trackBreaches("DEB", [fence], opts(2999)), { entered: [], cleared: [] });
+  assert.deepEqual(trackBreaches("DEB", [fence], opts(3000)), { entered: [fence], cleared: [] });
+  assert.deepEqual(trackBreaches("DEB", [fence], opts(9000)), { entered: [], cleared: [] });
+
+  assert.deepEqual(trackBreaches("DEB", [], opts(10000)), { entered: [], cleared: [] });
+  assert.deepEqual(trackBreaches("DEB", [], opts(13000)), { entered: [], cleared: [fence] });
+});
+
+test("trackBreaches ignores jitter shorter than the debounce", () => {
+  const fence = { key: "nofly:z1" };
+  const opts = (now) => ({ debounceMs: 3000, now });
+  trackBreaches("JIT", [fence], opts(0));
+  trackBreaches("JIT", [], opts(1000));
+  trackBreaches("JIT", [fence], opts(2000));
+  assert.deepEqual(trackBreaches("JIT", [fence], opts(4500)), { entered: [], cleared: [] });
+  assert.deepEqual(trackBreaches("JIT", [fence], opts(5000)), { entered: [fence], cleared: [] });
+});
+
+test("trackBreaches keeps drones apart", () => {
+  const fence = { key: "nofly:z1" };
+  assert.equal(trackBreaches("SEP1", [fence]).entered.length, 1);
+  assert.equal(trackBreaches("SEP2", []).cleared.length, 0);
+  assert.equal(trackBreaches("SEP1", []).cleared.length, 1);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { haversineMeters } from "../Services/geofence.js";
+import {
+  resolveIntrinsics,
+  bboxCenter,
+  offsetLatLng,
+  projectPixelToGround,
+  fuseEstimates
+} from "../Services/georeference.js";
+
+const near = (actual, expected, tolerance, label) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+
+// 90 degree field of view: fx equals half the width, so one pixel offset maps to tan(angle) easily
+const camera = resolveIntrinsics({ width: 1000, height: 1000, hfovDeg: 90 });
+const pose = { lat: 28.6, lng: 77.2, alt: 100, heading: 0, gimbalPitch: -90 };
+const centre = { u: 500, v: 500 };
+
+test("resolveIntrinsics prefers registered values and derives the rest from the field of view", () => {
+  near(camera.fx, 500, 1e-9, "fx");
+  assert.equal(camera.fy, camera.fx);
+  assert.equal(camera.cx, 500);
+  assert.deepEqual(resolveIntrinsics({ fx: 900, fy: 910, cx: 600, cy: 340 }, [1280, 720]), {
+    width: 1280, height: 720, fx: 900, fy: 910, cx: 600, cy: 340
+  });
+});
+
+test("bboxCenter reads every supported box format", () => {
+  assert.deepEqual(bboxCenter({ xmin: 10, ymin: 20, xmax: 30, ymax: 60 }), { u: 20, v: 40 });
+  assert.deepEqual(bboxCenter({ bbox: [10, 20, 30, 60] }), { u: 20, v: 40 });
+  assert.deepEqual(bboxCenter({ xywh: [20, 40, 20, 40] }), { u: 20, v: 40 });
+  assert.equal(bboxCenter({ bbox: [1, 2] }), null);
+});
+
+test("offsetLatLng moves the requested distance", () => {
+  const moved = offsetLatLng(28.6, 77.2, 300, 400);
+  near(haversineMeters([28.6, 77.2], moved), 500, 0.5, "distance");
+});
+
+test("looking straight down, the image centre is directly below the drone", () => {
+  const hit = projectPixelToGround(centre, pose, camera);
+  near(hit.lat, 28.6, 1e-9, "lat");
+  near(hit.lng, 77.2, 1e-9, "lng");
+  assert.equal(hit.groundDistanceM, 0);
+  // GPS error combined with 2 degrees of pointing error at 100 m
+  assert.equal(hit.uncertaintyM, 6.1);
+});
+
+test("pixels off-centre land to the right of and ahead of the drone", () => {
+  const right = projectPixelToGround({ u: 1000, v: 500 }, pose, camera);
+  near(right.groundDistanceM, 100, 0.1, "right distance");
+  assert.ok(right.lng > 77.2);
+  near(right.lat, 28.6, 1e-9, "right lat");
+
+  const ahead = projectPixelToGround({ u: 500, v: 0 }, pose, camera);
+  near(ahead.groundDistanceM, 100, 0.1, "ahead distance");
+  assert.ok(ahead.lat > 28.6);
+});
+
+test("gimbal pitch and heading rotate the projection", () => {
+  const east = projectPixelToGround(centre, { ...pose, gimbalPitch: -45, heading: 90 }, camera);
+  near(east.groundDistanceM, 100, 0.1, "distance");
+  near(east.lat, 28.6, 1e-7, "lat");
+  assert.ok(east.lng > 77.2);
+});
+
+test("a ray at or above the horizon needs a range to hit anything", () => {
+  const level = { ...pose, gimbalPitch: 0 };
+  assert.equal(projectPixelToGround(centre, level, camera), null);
+  const ranged = projectPixelToGround(centre, level, camera, { rangeM: 50 });
+  near(ranged.groundDistanceM, 50, 0.1, "distance");
+});
+
+test("fuseEstimates leans towards the more certain estimate", () => {
+  const fused = fuseEstimates({ lat: 28.6, lng: 77.2, uncertaintyM: 5 }, { lat: 28.601, lng: 77.2, uncertaintyM: 10 });
+  near(fused.lat, 28.6002, 1e-9, "lat");
+  assert.equal(fused.uncertaintyM, 4.5);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLinkWatchdog } from "../Services/linkWatchdog.js";
+
+const T = Date.UTC(2026, 0, 1, 12);
+
+// In-memory fleet; `raced` callsigns report telemetry between the query and the update
+function setup({ drones, raced = [], lost = [] }) {
+  const events = [];
+  const watchdog = createLinkWatchdog({
+    staleMs: 10000,
+    requeueMs: 60000,
+    lost,
+    findSilent: async (before) => drones.filter((d) => d.lastSeen < before),
+    markLost: async (drone) => !raced.includes(drone.callsign),
+    onLost: async (drone, previousMode) => events.push(["lost", drone.callsign, previousMode]),
+    onExpired: async (drone) => events.push(["expired", drone.callsign]),
+    onRestored: async (drone) => events.push(["restored", drone.callsign])
+  });
+  return { watchdog, events };
+}
+
+const drone = (callsign, silentMs, mode = "AUTO") => ({ callsign, mode, lastSeen: new Date(T - silentMs) });
+
+test("check marks drones silent past the stale limit lost once", async () => {
+  const drones = [drone("A", 15000), drone("B", 5000)];
+  const { watchdog, events } = setup({ drones });
+
+  await watchdog.check(T);
+  await watchdog.check(T);
+  assert.deepEqual(events, [["lost", "A", "AUTO"]]);
+  assert.equal(drones[0].mode, "LINK_LOST");
+  assert.equal(watchdog.isLost("A"), true);
+  assert.equal(watchdog.isLost("B"), false);
+});
+
+test("check skips drones whose telemetry raced the update", async () => {
+  const { watchdog, events } = setup({ drones: [drone("A", 90000)], raced: ["A"] });
+  await watchdog.check(T);
+  assert.deepEqual(events, []);
+  assert.equal(watchdog.isLost("A"), false);
+});
+
+test("drones silent past the requeue limit expire on every check", async () => {
+  const drones = [drone("A", 90000), drone("B", 120000, "LINK_LOST")];
+  const { watchdog, events } = setup({ drones, lost: ["B"] });
+
+  await watchdog.check(T);
+  assert.deepEqual(events, [["lost", "A", "AUTO"], ["expired", "A"], ["expired", "B"]]);
+});
+
+test("seen restores a lost drone once", async () => {
+  const { watchdog, events } = setup({ drones: [drone("A", 15000)], lost: ["B"] });
+  await watchdog.check(T);
+
+  assert.equal(await watchdog.seen({ callsign: "A" }), true);
+  assert.equal(await watchdog.seen({ callsign: "A" }), false);
+  assert.equal(await watchdog.seen({ callsign: "B" }), true);
+  assert.equal(await watchdog.seen({ callsign: "C" }), false);
+  assert.deepEqual(events.slice(1), [["restored", "A"], ["restored", "B"]]);
+  assert.equal(watchdog.isLost("A"), false);
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_COMPONENTS,
+  newComponent,
+  usageDelta,
+  componentStatus,
+  maintenanceStatus,
+  applyRecord
+} from "../Services/maintenance.js";
+
+const DAY_MS = 86400000;
+const t0 = new Date(Date.UTC(2026, 0, 1));
+const hours = (h) => h * 3600;
+
+test("usageDelta counts airborne time, take-offs and charging", () => {
+  const ground = { at: 0, alt: 0, battery: 50 };
+  const up = { at: 2000, alt: 10, battery: 49 };
+  const later = { at: 7000, alt: 15, battery: 48 };
+
+  assert.deepEqual(usageDelta(null, up), { flightSeconds: 0, flightCycles: 0, chargeCycles: 0 });
+  assert.deepEqual(usageDelta(ground, up), { flightSeconds: 0, flightCycles: 1, chargeCycles: 0 });
+  assert.deepEqual(usageDelta(up, later), { flightSeconds: 5, flightCycles: 0, chargeCycles: 0 });
+  assert.deepEqual(usageDelta(ground, { at: 60000, alt: 0, battery: 75 }), { flightSeconds: 0, flightCycles: 0, chargeCycles: 0.25 });
+});
+
+test("usageDelta doesn't count link gaps as flight time", () => {
+  const delta = usageDelta({ at: 0, alt: 20 }, { at: 60000, alt: 20 });
+  assert.equal(delta.flightSeconds, 0);
+  assert.equal(usageDelta({ at: 0, alt: 20 }, { at: 60000, alt: 20 }, { maxGapMs: 120000 }).flightSeconds, 60);
+});
+
+test("componentStatus goes ok, due, overdue on whichever interval runs out first", () => {
+  const airframe = newComponent(DEFAULT_COMPONENTS[0], {}, t0);
+  const at = (days) => new Date(t0.getTime() + days * DAY_MS);
+
+  assert.equal(componentStatus(airframe, { flightSeconds: hours(10) }, at(1)).status, "ok");
+
+  const due = componentStatus(airframe, { flightSeconds: hours(23) }, at(1));
+  assert.equal(due.status, "due");
+  assert.equal(due.limitedBy, "23/25 hours");
+
+  const overdue = componentStatus(airframe, { flightSeconds: hours(1) }, at(31));
+  assert.equal(overdue.status, "overdue");
+  assert.equal(overdue.limitedBy, "31/30 days");
+  assert.deepEqual(overdue.intervals.map((i) => i.unit), ["hours", "days"]);
+});
+
+test("batteries count charge cycles, everything else counts flights", () => {
+  const battery = newComponent({ name: "Battery", kind: "battery", intervalCycles: 10 }, {}, t0);
+  const props = newComponent({ name: "Props", kind: "propeller", intervalCycles: 10 }, {}, t0);
+  const usage = { flightCycles: 2, chargeCycles: 10 };
+
+  assert.equal(componentStatus(battery, usage, t0).status, "overdue");
+  assert.equal(componentStatus(props, usage, t0).status, "ok");
+});
+
+test("usage counts from the last service", () => {
+  const maintenance = { flightSeconds: hours(60), flightCycles: 40, chargeCycles: 20, components: [] };
+  const props = newComponent(DEFAULT_COMPONENTS.find((c) => c.kind === "propeller"), {}, t0);
+  maintenance.components.push(props);
+  assert.equal(maintenanceStatus(maintenance, t0).status, "overdue");
+
+  applyRecord(maintenance, props, { kind: "inspection", result: "fail" }, t0);
+  assert.equal(maintenanceStatus(maintenance, t0).status, "overdue");
+
+  applyRecord(maintenance, props, { kind: "service" }, t0);
+  const status = maintenanceStatus(maintenance, t0);
+  assert.equal(status.status, "ok");
+  assert.equal(status.components[0].used.hours, 0);
+  assert.equal(status.flightHours, 60);
+});
+
+test("a replacement restarts the part and records its serial", () => {
+  const maintenance = { flightSeconds: 0, components: [] };
+  const motor = newComponent({ name: "Motor 1", kind: "motor", intervalHours: 100, serial: "M-1" }, {}, t0);
+  const later = new Date(t0.getTime() + DAY_MS);
+  applyRecord(maintenance, motor, { kind: "replacement", serial: "M-2" }, later);
+  assert.equal(motor.serial, "M-2");
+  assert.equal(motor.installedAt, later);
+  assert.equal(motor.serviced.at, later);
+});
+
+test("maintenanceStatus lists overdue components with the interval that ran out", () => {
+  const components = DEFAULT_COMPONENTS.map((spec) => newComponent(spec, {}, t0));
+  const status = maintenanceStatus({ flightSeconds: hours(55), flightCycles: 30, chargeCycles: 12.5, components }, t0);
+  assert.equal(status.status, "overdue");
+  assert.deepEqual(status.overdue, ["Airframe (55/25 hours)", "Propellers (55/50 hours)"]);
+  assert.equal(status.components.find((c) => c.kind === "motor").status, "ok");
+  assert.equal(status.chargeCycles, 12.5);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  canTransition,
+  transitionMission,
+  markWaypointReached,
+  allWaypointsReached,
+  updateProgressFromPosition,
+  openDuringFilter
+} from "../Services/missionLifecycle.js";
+
+const mission = (fields = {}) => ({ status: "queued", createdAt: new Date(0), waypoints: [[28.6, 77.2], [28.61, 77.2]], ...fields });
+
+test("canTransition follows the state machine", () => {
+  assert.equal(canTransition("queued", "active"), true);
+  assert.equal(canTransition("blocked", "active"), false);
+  assert.equal(canTransition("completed", "queued"), false);
+  assert.equal(canTransition("unknown", "queued"), false);
+});
+
+test("transitionMission records history starting from the creation state", () => {
+  const m = transitionMission(mission(), "active", { reason: "assigned" });
+  assert.equal(m.status, "active");
+  assert.deepEqual(m.statusHistory.map((h) => [h.status, h.reason]), [["queued", "created"], ["active", "assigned"]]);
+
+  transitionMission(m, "paused", { reason: "operator_pause", by: "alice" });
+  assert.equal(m.statusHistory.length, 3);
+  assert.equal(m.statusHistory[2].by, "alice");
+});
+
+test("transitionMission back to queued releases the drone", () => {
+  const m = transitionMission(mission({ status: "active", assignedTo: "ALPHA" }), "queued");
+  assert.equal(m.assignedTo, null);
+});
+
+test("transitionMission throws a 409 on an invalid transition and leaves the mission alone", () => {
+  const m = mission({ status: "completed" });
+  assert.throws(() => transitionMission(m, "active"), (e) => e.status === 409 && e.from === "completed" && e.to === "active");
+  assert.equal(m.status, "completed");
+  assert.equal(m.statusHistory, undefined);
+});
+
+test("markWaypointReached counts each waypoint once and advances the cursor", () => {
+  const m = mission();
+  assert.equal(markWaypointReached(m, 0), true);
+  assert.equal(markWaypointReached(m, 0), false);
+  assert.equal(markWaypointReached(m, 5), false);
+  assert.equal(m.currentWaypoint, 1);
+  assert.equal(allWaypointsReached(m), false);
+  markWaypointReached(m, 1);
+  assert.equal(m.currentWaypoint, 2);
+  assert.equal(allWaypointsReached(m), true);
+});
+
+test("updateProgressFromPosition only reaches the current waypoint within the radius", () => {
+  const m = mission();
+  assert.deepEqual(updateProgressFromPosition(m, [28.61, 77.2], 15), []);
+  assert.deepEqual(updateProgressFromPosition(m, [28.60005, 77.2], 15), [0]);
+  assert.deepEqual(updateProgressFromPosition(m, [28.61, 77.2], 15), [1]);
+});
+
+test("openDuringFilter finds missions that were open at some point in the window", () => {
+  const from = new Date(1000);
+  const to = new Date(2000);
+  assert.deepEqual(openDuringFilter(from, to), {
+    createdAt: { $lte: to },
+    $or: [{ status: { $nin: ["completed", "failed", "cancelled", "aborted"] } }, { "statusHistory.at": { $gte: from } }]
+  });
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { remainingWaypoints, orderMissionsTsp, planChains } from "../Services/taskQueue.js";
+
+// Single-point missions along one meridian; 0.01 degrees of latitude is about 1.1 km
+const stop = (name, lat) => ({ _id: name, name, waypoints: [[lat, 77.2]] });
+const drone = (callsign, lat, fields = {}) => ({
+  callsign,
+  type: "delivery",
+  battery: 100,
+  maxPayloadKg: 5,
+  location: { lat, lng: 77.2 },
+  ...fields
+});
+const names = (missions) => missions.map((m) => m.name);
+
+test("remainingWaypoints skips the waypoints already flown", () => {
+  const mission = { waypoints: [[1, 1], [2, 2], [3, 3]], currentWaypoint: 2 };
+  assert.deepEqual(remainingWaypoints(mission), [[3, 3]]);
+  assert.deepEqual(remainingWaypoints({ waypoints: [[1, 1]] }), [[1, 1]]);
+});
+
+test("orderMissionsTsp visits small queues in the shortest order", () => {
+  const ordered = orderMissionsTsp([28.60, 77.2], [stop("C", 28.63), stop("A", 28.61), stop("B", 28.62)]);
+  assert.deepEqual(names(ordered), ["A", "B", "C"]);
+});
+
+test("orderMissionsTsp handles larger queues and keeps unrouted missions last", () => {
+  const lats = [28.68, 28.61, 28.65, 28.62, 28.67, 28.64, 28.63, 28.66];
+  const missions = [{ name: "NOWHERE", waypoints: [] }, ...lats.map((lat) => stop(String(lat), lat))];
+  const ordered = orderMissionsTsp([28.60, 77.2], missions);
+  assert.deepEqual(names(ordered), [...[...lats].sort().map(String), "NOWHERE"]);
+});
+
+test("planChains queues a mission behind the drone that ends closest to it", () => {
+  const drones = [drone("NEAR", 28.60), drone("FAR", 28.70)];
+  const actives = new Map([["NEAR", { waypoints: [[28.60, 77.2], [28.61, 77.2]], currentWaypoint: 0 }]]);
+  const chains = planChains([stop("NEXT", 28.62)], drones, { queues: new Map(), actives });
+  assert.equal(chains.length, 1);
+  assert.equal(chains[0].callsign, "NEAR");
+  assert.deepEqual(names(chains[0].queue), ["NEXT"]);
+  assert.equal(chains[0].evaluation.eligible, true);
+});
+
+test("planChains respects the chain radius and queue length", () => {
+  const drones = [drone("D1", 28.60)];
+  const queued = [stop("Q1", 28.605)];
+
+  const tooFar = planChains([stop("FAR", 28.70)], drones, { queues: new Map(), actives: new Map() });
+  assert.equal(tooFar.length, 0);
+
+  const full = planChains([stop("NEXT", 28.61)], drones, { queues: new Map([["D1", queued]]), actives: new Map(), maxQueue: 1 });
+  assert.equal(full.length, 0);
+
+  const chained = planChains([stop("NEXT", 28.61)], drones, { queues: new Map([["D1", queued]]), actives: new Map() });
+  assert.deepEqual(names(chained[0].queue), ["Q1", "NEXT"]);
+});
+
+test("planChains checks the whole chain against the battery", () => {
+  const drones = [drone("LOW", 28.60, { battery: 25 })];
+  const chains = planChains([stop("NEXT", 28.615)], drones, { queues: new Map(), actives: new Map() });
+  assert.equal(chains.length, 0);
+});
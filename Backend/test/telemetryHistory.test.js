@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Telemetry from "../Models/Telemetry.js";
+import {
+  telemetrySample,
+  recordTelemetry,
+  flushTelemetry,
+  parseResolution,
+  telemetryCallsigns,
+  telemetryPipeline
+} from "../Services/telemetryHistory.js";
+
+const from = new Date(Date.UTC(2026, 0, 1, 12));
+const hoursLater = (h) => new Date(from.getTime() + h * 3600000);
+
+test("telemetrySample normalises field names and keeps unknown fields aside", () => {
+  const ts = new Date(0);
+  const sample = telemetrySample("ALPHA", { lat: 28.6, lng: 77.2, alt: 40, battery: "80", yaw: 90, groundspeed: 7, gimbal_pitch: -45, mode: "AUTO", rssi: -70 }, ts);
+  assert.deepEqual(sample, {
+    ts,
+    callsign: "ALPHA",
+    lat: 28.6,
+    lng: 77.2,
+    alt: 40,
+    battery: undefined,
+    mode: "AUTO",
+    heading: 90,
+    speed: 7,
+    gimbalPitch: -45,
+    extra: { rssi: -70 }
+  });
+  assert.ok(!("extra" in telemetrySample("ALPHA", { lat: 1 })));
+});
+
+test("parseResolution reads units and defaults to seconds", () => {
+  assert.equal(parseResolution("500ms"), 500);
+  assert.equal(parseResolution("10"), 10000);
+  assert.equal(parseResolution("2.5s"), 2500);
+  assert.equal(parseResolution(" 5m "), 300000);
+  assert.equal(parseResolution("1h"), 3600000);
+  assert.equal(parseResolution(30), 30000);
+  assert.equal(parseResolution(undefined), null);
+  assert.equal(parseResolution(""), null);
+  assert.ok(Number.isNaN(parseResolution("10 minutes")));
+  assert.ok(Number.isNaN(parseResolution("-5s")));
+});
+
+test("telemetryPipeline buckets by the requested resolution", () => {
+  const { bucketMs, pipeline } = telemetryPipeline("ALPHA", { from, to: hoursLater(1), resolutionMs: 10000 });
+  assert.equal(bucketMs, 10000);
+  assert.deepEqual(pipeline[0], { $match: { callsign: "ALPHA", ts: { $gte: from, $lte: hoursLater(1) } } });
+
+  // Samples are sorted first so $last picks the latest position in each bucket
+  assert.deepEqual(pipeline[1], { $sort: { ts: 1 } });
+  const { $group: group } = pipeline[2];
+  assert.deepEqual(group._id, { $subtract: [{ $toLong: "$ts" }, { $mod: [{ $toLong: "$ts" }, 10000] }] });
+  assert.deepEqual(group.battery, { $avg: "$battery" });
+  assert.deepEqual(group.lat, { $last: "$lat" });
+  assert.deepEqual(group.mode, { $last: "$mode" });
+  assert.deepEqual(group.samples, { $sum: 1 });
+  assert.deepEqual(pipeline[3], { $sort: { _id: 1 } });
+  assert.deepEqual(pipeline[4].$project.ts, { $toDate: "$_id" });
+});
+
+test("telemetryPipeline widens the bucket to stay under 5000 points", () => {
+  assert.equal(telemetryPipeline("A", { from, to: hoursLater(10), resolutionMs: 1000 }).bucketMs, 7200);
+  assert.equal(telemetryPipeline("A", { from, to: hoursLater(10), resolutionMs: null }).bucketMs, 7200);
+  assert.equal(telemetryPipeline("A", { from, to: hoursLater(10), resolutionMs: 60000 }).bucketMs, 60000);
+  assert.equal(telemetryPipeline("A", { from, to: from, resolutionMs: null }).bucketMs, 1);
+});
+
+test("samples are written in batches of 500", async (t) => {
+  const batches = [];
+  t.mock.method(Telemetry, "insertMany", async (batch, options) => {
+    batches.push([batch.length, options]);
+  });
+
+  for (let i = 0; i < 499; i++) await recordTelemetry(telemetrySample("ALPHA", { battery: 50 }));
+  assert.equal(batches.length, 0);
+  await recordTelemetry(telemetrySample("ALPHA", { battery: 50 }));
+  assert.deepEqual(batches, [[500, { ordered: false }]]);
+
+  await recordTelemetry(telemetrySample("ALPHA", { battery: 50 }));
+  await flushTelemetry();
+  await flushTelemetry();
+  assert.deepEqual(batches.map(([n]) => n), [500, 1]);
+});
+
+test("a failed write keeps the batch for the next flush", async (t) => {
+  const written = [];
+  let failure = new Error("connection lost");
+  t.mock.method(Telemetry, "insertMany", async (batch) => {
+    if (failure) throw failure;
+    written.push(...batch.map((s) => s.battery));
+  });
+
+  await recordTelemetry(telemetrySample("ALPHA", { battery: 1 }));
+  await assert.rejects(flushTelemetry(), /connection lost/);
+  await recordTelemetry(telemetrySample("ALPHA", { battery: 2 }));
+  failure = null;
+  await flushTelemetry();
+  assert.deepEqual(written, [1, 2]);
+
+  // Documents the server refused are not retried
+  failure = Object.assign(new Error("bad document"), { writeErrors: [{ index: 0 }] });
+  await recordTelemetry(telemetrySample("ALPHA", { battery: 3 }));
+  await assert.rejects(flushTelemetry(), /bad document/);
+  failure = null;
+  await flushTelemetry();
+  assert.deepEqual(written, [1, 2]);
+});
+
+test("the buffer keeps the newest 10000 samples while writes fail", async (t) => {
+  let failing = true;
+  const written = [];
+  t.mock.method(Telemetry, "insertMany", async (batch) => {
+    if (failing) throw new Error("connection lost");
+    written.push(...batch);
+  });
+  t.mock.method(console, "warn", () => {});
+
+  for (let i = 0; i < 10200; i++) await recordTelemetry(telemetrySample("ALPHA", { battery: i })).catch(() => {});
+  failing = false;
+  await flushTelemetry();
+  assert.equal(written.length, 10000);
+  assert.equal(written[0].battery, 200);
+  assert.equal(written.at(-1).battery, 10199);
+});
+
+test("telemetryCallsigns lists the drones heard in the window in order", async (t) => {
+  let filter = null;
+  t.mock.method(Telemetry, "distinct", (field, query) => {
+    filter = [field, query];
+    return { exec: async () => ["BRAVO", "ALPHA"] };
+  });
+  assert.deepEqual(await telemetryCallsigns(from, hoursLater(1)), ["ALPHA", "BRAVO"]);
+  assert.deepEqual(filter, ["callsign", { ts: { $gte: from, $lte: hoursLater(1) } }]);
+});
@@ -0,0 +1,192 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { v, ValidationError, formatIssues } from "../../shared/validation.js";
+import { validateBody, validateSocket, parseMqttMessage } from "../Services/validation.js";
+
+const issuesOf = (schema, value) => schema.safeParse(value).issues;
+
+test("scalars are checked, trimmed and coerced as configured", () => {
+  assert.equal(v.string({ min: 1 }).parse("  hi "), "hi");
+  assert.equal(v.string({ trim: false }).parse(" hi "), " hi ");
+  assert.deepEqual(issuesOf(v.string({ min: 1 }), "   "), [{ path: "", message: "must not be empty" }]);
+  assert.deepEqual(issuesOf(v.string({ pattern: /^\d+$/ }), "12a"), [{ path: "", message: "has an invalid format" }]);
+
+  assert.equal(v.number({ coerce: true }).parse(" 42 "), 42);
+  assert.deepEqual(issuesOf(v.number(), "42"), [{ path: "", message: "must be a number" }]);
+  assert.deepEqual(issuesOf(v.number({ integer: true }), 1.5), [{ path: "", message: "must be a whole number" }]);
+  assert.deepEqual(issuesOf(v.number({ max: 10 }), Infinity), [{ path: "", message: "must be a number" }]);
+
+  assert.deepEqual(issuesOf(v.oneOf(["a", "b"]), "c"), [{ path: "", message: "must be one of a, b" }]);
+  assert.deepEqual(issuesOf(v.boolean(), "true"), [{ path: "", message: "must be true or false" }]);
+});
+
+test("missing values are required unless optional, nullable or defaulted", () => {
+  assert.deepEqual(issuesOf(v.number(), undefined), [{ path: "", message: "is required" }]);
+  assert.deepEqual(issuesOf(v.number(), null), [{ path: "", message: "is required" }]);
+  assert.equal(v.number().optional().parse(null), undefined);
+  assert.equal(v.number().nullable().parse(undefined), null);
+  assert.equal(v.number().default(5).parse(undefined), 5);
+  assert.equal(v.number().default(5).parse(7), 7);
+});
+
+test("default re-checks the fallback", () => {
+  const fresh = v.array(v.number()).default(() => []);
+  const a = fresh.parse(undefined);
+  a.push(1);
+  assert.deepEqual(fresh.parse(undefined), []);
+
+  // An object default still has to satisfy the shape
+  const nested = v.object({ mode: v.string() }).default({});
+  assert.deepEqual(issuesOf(nested, undefined), [{ path: "mode", message: "is required" }]);
+});
+
+test("objects strip unknown keys unless passthrough, and report nested paths", () => {
+  const shape = { name: v.string(), note: v.string().optional() };
+  assert.deepEqual(v.object(shape).parse({ name: "a", extra: 1 }), { name: "a" });
+  assert.deepEqual(v.object(shape, { passthrough: true }).parse({ name: "a", extra: 1 }), { name: "a", extra: 1 });
+  // An optional field that is left out doesn't show up as undefined
+  assert.ok(!("note" in v.object(shape).parse({ name: "a" })));
+
+  const route = v.object({ waypoints: v.array(v.object({ lat: v.number({ max: 90 }) })) });
+  assert.deepEqual(issuesOf(route, { waypoints: [{ lat: 1 }, { lat: 100 }, {}] }), [
+    { path: "waypoints.1.lat", message: "must be at most 90" },
+    { path: "waypoints.2.lat", message: "is required" }
+  ]);
+  assert.deepEqual(issuesOf(v.object({}), []), [{ path: "", message: "must be an object" }]);
+});
+
+test("arrays check their length and every item", () => {
+  assert.deepEqual(issuesOf(v.array(v.number(), { min: 1 }), []), [{ path: "", message: "must have at least 1 item" }]);
+  assert.deepEqual(issuesOf(v.array(v.number(), { max: 1 }), [1, 2]), [{ path: "", message: "must have at most 1 items" }]);
+  assert.deepEqual(issuesOf(v.array(v.number()), [1, "x"]), [{ path: "1", message: "must be a number" }]);
+});
+
+test("tuples have a fixed length unless they take a rest item", () => {
+  const pair = v.tuple([v.number(), v.number()]);
+  assert.deepEqual(pair.parse([1, 2]), [1, 2]);
+  assert.deepEqual(issuesOf(pair, [1]), [{ path: "", message: "must have 2 items" }]);
+  assert.deepEqual(issuesOf(pair, [1, 2, 3]), [{ path: "", message: "must have 2 items" }]);
+
+  const withAlt = v.tuple([v.number(), v.number()], v.number({ min: 0 }));
+  assert.deepEqual(withAlt.parse([1, 2, 3]), [1, 2, 3]);
+  assert.deepEqual(issuesOf(withAlt, [1, 2, -3]), [{ path: "2", message: "must be at least 0" }]);
+});
+
+test("union takes the first alternative that parses cleanly", () => {
+  const id = v.union([v.number({ coerce: true }), v.string()]);
+  assert.equal(id.parse("12"), 12);
+  assert.equal(id.parse("abc"), "abc");
+
+  // Without a message the first alternative's issues are reported
+  assert.deepEqual(issuesOf(v.union([v.number(), v.string()]), true), [{ path: "", message: "must be a number" }]);
+  assert.deepEqual(issuesOf(v.union([v.number(), v.string()], "must be an id"), true), [{ path: "", message: "must be an id" }]);
+});
+
+test("refine only runs on values that are otherwise valid", () => {
+  const range = v.object({ from: v.number(), to: v.number() }).refine((r) => r.from < r.to, "from must be before to");
+  assert.deepEqual(issuesOf(range, { from: 2, to: 1 }), [{ path: "", message: "from must be before to" }]);
+  assert.deepEqual(issuesOf(range, { from: 2 }), [{ path: "to", message: "is required" }]);
+  assert.equal(range.optional().parse(undefined), undefined);
+});
+
+test("discriminated picks the variant from its key", () => {
+  const command = v.discriminated("cmd", {
+    goto: v.object({ cmd: v.oneOf(["goto"]), lat: v.number() }),
+    land: v.object({ cmd: v.oneOf(["land"]) })
+  });
+  assert.deepEqual(command.parse({ cmd: "land", lat: 5 }), { cmd: "land" });
+  assert.deepEqual(issuesOf(command, { cmd: "goto" }), [{ path: "lat", message: "is required" }]);
+  assert.deepEqual(issuesOf(command, { cmd: "fly" }), [{ path: "cmd", message: "must be one of goto, land" }]);
+  assert.deepEqual(issuesOf(command, {}), [{ path: "cmd", message: "is required" }]);
+});
+
+test("dates accept ISO strings, epoch milliseconds and Date objects", () => {
+  const when = new Date(Date.UTC(2026, 0, 1));
+  assert.deepEqual(v.date().parse("2026-01-01T00:00:00Z"), when);
+  assert.deepEqual(v.date().parse(String(when.getTime())), when);
+  assert.deepEqual(v.date().parse(when.getTime()), when);
+  assert.deepEqual(issuesOf(v.date(), "soon"), [{ path: "", message: "must be a date" }]);
+  assert.deepEqual(issuesOf(v.date(), true), [{ path: "", message: "must be a date" }]);
+
+  assert.equal(v.objectId().parse("507f1f77bcf86cd799439011"), "507f1f77bcf86cd799439011");
+  assert.equal(v.objectId().safeParse("42").success, false);
+});
+
+test("parse throws a 400 ValidationError listing every issue", () => {
+  const schema = v.object({ a: v.number(), b: v.string() });
+  assert.throws(() => schema.parse({}, "Invalid query"), (e) =>
+    e instanceof ValidationError &&
+    e.status === 400 &&
+    e.message === "Invalid query: a is required; b is required" &&
+    e.issues.length === 2
+  );
+  assert.equal(formatIssues([{ path: "", message: "must be a list" }]), "must be a list");
+});
+
+// ---------------- Transports ----------------
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test("validateBody replaces the body with the parsed value", () => {
+  const middleware = validateBody(v.object({ name: v.string(), priority: v.number().default(5) }));
+  const req = { body: { name: " a ", junk: true } };
+  let called = false;
+  middleware(req, fakeRes(), () => { called = true; });
+  assert.equal(called, true);
+  assert.deepEqual(req.body, { name: "a", priority: 5 });
+});
+
+test("validateBody answers 400 with the issues", () => {
+  const middleware = validateBody(v.object({ name: v.string(), priority: v.number({ max: 10 }) }));
+  const res = fakeRes();
+  let called = false;
+  middleware({ body: { priority: 11 } }, res, () => { called = true; });
+  assert.equal(called, false);
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, {
+    error: "Invalid request body: name is required; priority must be at most 10",
+    issues: [{ path: "name", message: "is required" }, { path: "priority", message: "must be at most 10" }]
+  });
+
+  // A request without a body is checked as an empty object
+  const empty = fakeRes();
+  middleware({}, empty, () => {});
+  assert.equal(empty.statusCode, 400);
+});
+
+test("validateSocket drops invalid payloads with an error event", async () => {
+  const emitted = [];
+  const socket = { emit: (event, payload) => emitted.push([event, payload]) };
+  const seen = [];
+  const handler = validateSocket(socket, "return-home", v.string({ min: 1 }), (payload, ack) => seen.push([payload, ack]));
+
+  handler(" ALPHA ", "ack");
+  handler(42);
+  assert.deepEqual(seen, [["ALPHA", "ack"]]);
+  assert.equal(emitted.length, 1);
+  assert.equal(emitted[0][0], "error");
+  assert.equal(emitted[0][1].message, "Invalid return-home payload");
+  assert.equal(emitted[0][1].error, "return-home: must be a string");
+});
+
+test("parseMqttMessage checks routed topics and drops what fails", () => {
+  const routes = [[/^drone\/[^/]+\/telemetry$/, v.object({ battery: v.number({ min: 0, max: 100 }) })]];
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  try {
+    assert.deepEqual(parseMqttMessage(routes, "drone/A/telemetry", { battery: 50, x: 1 }), { battery: 50 });
+    assert.equal(parseMqttMessage(routes, "drone/A/telemetry", { battery: 150 }), null);
+    assert.deepEqual(parseMqttMessage(routes, "drone/A/other", { anything: true }), { anything: true });
+  } finally {
+    console.warn = warn;
+  }
+  assert.deepEqual(warnings, ["Dropped invalid MQTT message on drone/A/telemetry: battery must be at most 100"]);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { parseMetar, createMockWeather, createMetarWeather } from "../Services/weatherProviders.js";
+
+const now = new Date(Date.UTC(2026, 9, 19, 12, 0));
+const near = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 0.01, `${label}: ${actual} vs ${expected}`);
+
+test("parseMetar decodes wind, gusts, visibility and time", () => {
+  const report = parseMetar("METAR VIDP 191130Z 27015G25KT 4000 -RA BKN020 25/20 Q1008", now);
+  assert.equal(report.station, "VIDP");
+  assert.deepEqual(report.observedAt, new Date(Date.UTC(2026, 9, 19, 11, 30)));
+  assert.equal(report.windDirDeg, 270);
+  near(report.windMs, 7.72, "wind");
+  near(report.gustMs, 12.86, "gust");
+  assert.equal(report.visibilityM, 4000);
+  assert.deepEqual(report.precipitation, { type: "rain", intensity: "light", thunderstorm: false });
+});
+
+test("parseMetar handles other units and variable wind", () => {
+  const mps = parseMetar("UUEE 191100Z VRB03MPS CAVOK", now);
+  assert.equal(mps.windDirDeg, null);
+  assert.equal(mps.windMs, 3);
+  assert.equal(mps.gustMs, 3);
+  assert.equal(mps.visibilityM, 10000);
+  assert.equal(mps.precipitation, null);
+
+  assert.equal(parseMetar("KJFK 191151Z 18010KT 10SM FEW250", now).visibilityM, 16093);
+  assert.equal(parseMetar("KJFK 191151Z 18010KT 1 1/2SM BR", now).visibilityM, 2414);
+  assert.equal(parseMetar("KJFK 191151Z 18010KT 9999", now).visibilityM, 10000);
+});
+
+test("parseMetar keeps the heaviest precipitation and any thunderstorm", () => {
+  const report = parseMetar("VIDP 191130Z 27010KT 3000 -RA +TSSN BKN020CB", now);
+  assert.deepEqual(report.precipitation, { type: "snow", intensity: "heavy", thunderstorm: true });
+
+  const storm = parseMetar("VIDP 191130Z 27010KT 3000 TS", now);
+  assert.deepEqual(storm.precipitation, { type: "thunderstorm", intensity: "moderate", thunderstorm: true });
+});
+
+test("parseMetar ignores nearby weather and remarks", () => {
+  const report = parseMetar("VIDP 191130Z 27010KT 9999 VCSH NSC RMK +RA", now);
+  assert.equal(report.precipitation, null);
+});
+
+test("parseMetar puts a day later than today in the previous month", () => {
+  const report = parseMetar("VIDP 251130Z 27010KT 9999", now);
+  assert.deepEqual(report.observedAt, new Date(Date.UTC(2026, 8, 25, 11, 30)));
+});
+
+test("parseMetar rejects lines without a station", () => {
+  assert.equal(parseMetar("", now), null);
+  assert.equal(parseMetar("not a metar", now), null);
+});
+
+test("the mock provider says it is a mock", async () => {
+  const weather = await createMockWeather({ windMs: 9 }).weatherAt(28.6, 77.2);
+  assert.equal(weather.source, "mock");
+  assert.equal(weather.windMs, 9);
+});
+
+test("the METAR provider answers from the latest report of the nearest station", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "metar-"));
+  try {
+    const file = join(dir, "metar.txt");
+    const stationsFile = join(dir, "stations.json");
+    const hoursAgo = (h) => new Date(Date.now() - h * 3600000).toISOString().replace(/^.{8}(\d\d)T(\d\d):(\d\d).*/, "$1$2$3Z");
+    await writeFile(file, [
+      `VIDP ${hoursAgo(2)} 27005KT 9999`,
+      `VIDP ${hoursAgo(1)} 27020KT 9999`,
+      `VABB ${hoursAgo(1)} 09005KT 9999`
+    ].join("\r\n"));
+    await writeFile(stationsFile, JSON.stringify({ VIDP: [28.57, 77.1], VABB: [19.09, 72.87] }));
+
+    const provider = createMetarWeather({ file, stationsFile });
+    const weather = await provider.weatherAt(28.6, 77.2);
+    assert.equal(weather.station, "VIDP");
+    assert.equal(weather.source, "metar");
+    near(weather.windMs, 10.29, "wind");
+    assert.ok(weather.distanceKm > 5 && weather.distanceKm < 15);
+    assert.equal(weather.location, undefined);
+
+    assert.equal(await provider.weatherAt(13.0, 80.2), null);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
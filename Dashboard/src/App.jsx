@@ -1,10 +1,26 @@
 import React from "react";
 import CommandCenter from "./component/CommandCenter.jsx";
+import LoginPage from "./component/LoginPage.jsx";
+import { LiveDataProvider } from "./context/LiveDataContext.jsx";
+import { AuthProvider, useAuth } from "./context/AuthContext.jsx";
+
+// Live data only starts once there is a session to authenticate the socket with
+const AuthenticatedApp = () => {
+  const { token, logout } = useAuth();
+  if (!token) return <LoginPage />;
+  return (
+    <LiveDataProvider token={token} onUnauthorized={logout}>
+      <CommandCenter />
+    </LiveDataProvider>
+  );
+};
 
 function App() {
   return (
     <div style={{ height: "100vh", width: "100%" }}>
-      <CommandCenter />
+      <AuthProvider>
+        <AuthenticatedApp />
+      </AuthProvider>
     </div>
   );
 }
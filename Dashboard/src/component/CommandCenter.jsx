@@ -1,7 +1,11 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from "framer-motion";
-import { Bot, ShieldCheck, SlidersHorizontal, TriangleAlert, CheckCircle2, XCircle, CircleDashed, Home } from 'lucide-react';
+import { Bot, ShieldCheck, SlidersHorizontal, TriangleAlert, CheckCircle2, XCircle, CircleDashed, Home, LogOut } from 'lucide-react';
 import GoogleMapComponent from './GoogleMapComponent';
+import DroneQueuePanel from './DroneQueuePanel';
+import MaintenancePanel from './MaintenancePanel';
+import { useLiveData, useSocketEvent, getDroneStatus, activeMissionsByDrone } from '../context/LiveDataContext.jsx';
+import { useAuth } from '../context/AuthContext.jsx';
 
 // Notification Component  
 const Notification = ({ message, type }) => {
@@ -35,38 +39,10 @@ const DroneIcon = () => (
 // Left Sidebar component updated with Tooltips
 const LeftSidebar = ({ addNotification, onSwarmActivated, onRTLActivated }) => {
   const [isRiskAssessmentOn, setIsRiskAssessmentOn] = useState(true);
-  const [drones, setDrones] = useState([
-    {
-      id: 1,
-      name: "Alpha",
-      status: "active",
-      battery: 85,
-      altitude: 120,
-      speed: 45,
-      mission: "Search & Rescue",
-      lastUpdate: new Date().toLocaleTimeString()
-    },
-    {
-      id: 2,
-      name: "Gamma", 
-      status: "active",
-      battery: 92,
-      altitude: 95,
-      speed: 38,
-      mission: "Area Surveillance",
-      lastUpdate: new Date().toLocaleTimeString()
-    },
-    {
-      id: 3,
-      name: "Beta",
-      status: "maintenance",
-      battery: 15,
-      altitude: 0,
-      speed: 0,
-      mission: "Standby",
-      lastUpdate: new Date().toLocaleTimeString()
-    }
-  ]);
+  const { drones, missions, connected } = useLiveData();
+  const { user, logout } = useAuth();
+  const [expandedDrone, setExpandedDrone] = useState(null);
+  const activeByDrone = useMemo(() => activeMissionsByDrone(missions), [missions]);
 
   const actions = [
     { label: "Swarm Coord", icon: <Bot size={28} />, isEmergency: false, message: "Swarm Coordination Activated!", action: "swarm" },
@@ -92,31 +68,16 @@ const LeftSidebar = ({ addNotification, onSwarmActivated, onRTLActivated }) => {
     onRTLActivated();
   };
 
-  // Update drone data periodically
-  useEffect(() => {
-    const interval = setInterval(() => {
-      setDrones(prevDrones => 
-        prevDrones.map(drone => {
-          if (drone.status === 'active') {
-            return {
-              ...drone,
-              battery: Math.max(10, drone.battery - Math.random() * 2),
-              lastUpdate: new Date().toLocaleTimeString()
-            };
-          }
-          return drone;
-        })
-      );
-    }, 3000);
-
-    return () => clearInterval(interval);
-  }, []);
-
   return (
     <div className="sidebar">
       <div className="header">
         <DroneIcon />
         <h1>ResQron</h1>
+        <div className="session-info">
+          <span className="session-user">{user?.username}</span>
+          <span className="session-role">{user?.role}</span>
+          <button className="session-logout" onClick={logout} title="Sign out"><LogOut size={16} /></button>
+        </div>
       </div>
       <div className="control-panel">
         <div className="risk-assessment">
@@ -156,25 +117,51 @@ const LeftSidebar = ({ addNotification, onSwarmActivated, onRTLActivated }) => {
 
       {/* Drone Fleet Status Panel */}
       <div className="drone-fleet-panel">
-        <h4 className="panel-header">Drone Fleet Status</h4>
+        <h4 className="panel-header">
+          Drone Fleet Status
+          <span className={`link-indicator ${connected ? 'online' : 'offline'}`}>
+            {connected ? 'LIVE' : 'RECONNECTING'}
+          </span>
+        </h4>
         <div className="drone-status-list">
-          {drones.map(drone => (
-            <div key={drone.id} className="drone-status-item">
-              <div className="drone-status-header">
-                <span className="drone-name">{drone.name}</span>
-                <span className={`drone-status ${drone.status}`}>
-                  {drone.status.toUpperCase()}
-                </span>
-              </div>
-              <div className="drone-status-details">
-                <span>Battery: {drone.battery.toFixed(1)}%</span>
-                <span>Alt: {drone.altitude}m</span>
-              </div>
-              <div className="drone-mission">
-                <span>Mission: {drone.mission}</span>
+          {drones.length === 0 && (
+            <div className="drone-status-empty">No drones reporting</div>
+          )}
+          {drones.map(drone => {
+            const mission = activeByDrone[drone.callsign];
+            const status = getDroneStatus(drone, mission);
+            return (
+              <div
+                key={drone.callsign}
+                className={`drone-status-item ${expandedDrone === drone.callsign ? 'expanded' : ''}`}
+                onClick={() => setExpandedDrone(prev => prev === drone.callsign ? null : drone.callsign)}
+              >
+                <div className="drone-status-header">
+                  <span className="drone-name">{drone.callsign}</span>
+                  <span className={`drone-status ${status}`}>
+                    {status.toUpperCase()}
+                  </span>
+                </div>
+                <div className="drone-status-details">
+                  <span>Battery: {Number(drone.battery ?? 0).toFixed(1)}%</span>
+                  <span>Alt: {Math.round(drone.location?.alt ?? 0)}m</span>
+                </div>
+                <div className="drone-mission">
+                  <span>Mission: {mission ? (mission.name || mission._id) : 'Standby'}</span>
+                  {!mission && drone.dock?.status && (
+                    <span className="drone-dock">
+                      {drone.dock.status === 'charging' && drone.dock.readyAt
+                        ? `Charging, ready ${new Date(drone.dock.readyAt).toLocaleTimeString()}`
+                        : `Dock: ${drone.dock.status}`}
+                    </span>
+                  )}
+                </div>
+                {expandedDrone === drone.callsign && (
+                  <DroneQueuePanel callsign={drone.callsign} addNotification={addNotification} />
+                )}
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
       </div>
     </div>
@@ -182,15 +169,37 @@ const LeftSidebar = ({ addNotification, onSwarmActivated, onRTLActivated }) => {
 };
 
 
+const formatSeconds = (s) => {
+  if (!Number.isFinite(s)) return '—';
+  return s < 60 ? `${Math.round(s)} s` : `${Math.round(s / 60)} min`;
+};
+
 // Right Sidebar component  
-const RightSidebar = () => {
-  // Placeholder data
+const RightSidebar = ({ addNotification }) => {
+  const { health } = useLiveData();
+  const swarm = health?.swarm;
+  const metrics = health?.metrics;
+
+  // Live system-health figures; metrics cover the last hour
   const systemHealthData = [
-    { name: "Drone Connectivity", percentage: 98, status: "status-green" },
-    { name: "Sensor Calibration", percentage: 92, status: "status-green" },
-    { name: "GPS Lock Accuracy", percentage: 95, status: "status-green" },
+    { name: "Drone Connectivity", fraction: swarm ? swarm.in_link / (swarm.total || 1) : null },
+    { name: "Swarm Engagement", fraction: swarm?.coordination_score ?? null },
+    { name: "Fleet Utilization (1h)", fraction: metrics?.fleet_utilization ?? null },
+  ].map(item => ({
+    ...item,
+    percentage: item.fraction === null ? null : Math.round(item.fraction * 100),
+    status: item.fraction === null ? '' : item.fraction >= 0.8 ? 'status-green' : item.fraction >= 0.5 ? 'status-orange' : 'status-red'
+  }));
+
+  const healthFigures = [
+    { name: "Completed / hour", value: metrics?.throughput_per_hour ?? '—' },
+    { name: "Mean time to assign", value: formatSeconds(metrics?.mean_time_to_assign_s) },
+    { name: "Mean time to scene", value: formatSeconds(metrics?.mean_time_to_scene_s) },
+    { name: "Area covered (1h)", value: metrics ? `${(metrics.coverage_m2 / 10000).toFixed(1)} ha` : '—' },
+    { name: "At return point", value: health?.battery?.must_return_count ?? '—' },
   ];
 
+  // Placeholder data
   const missionStatusData = [
     { name: "Pre-flight Check", status: "completed", icon: <CheckCircle2 className="status-green"/> },
     { name: "Take-off & Ascent", status: "completed", icon: <CheckCircle2 className="status-green"/> },
@@ -206,30 +215,22 @@ const RightSidebar = () => {
           <div key={item.name}>
             <div className="status-item">
               <span>{item.name}</span>
-              <span className={item.status}>{item.percentage}%</span>
+              <span className={item.status}>{item.percentage === null ? '—' : `${item.percentage}%`}</span>
             </div>
             <div className="progress-bar-container">
-              <div className="progress-bar" style={{ width: `${item.percentage}%` }}></div>
+              <div className="progress-bar" style={{ width: `${item.percentage ?? 0}%` }}></div>
             </div>
           </div>
         ))}
+        {healthFigures.map(item => (
+          <div key={item.name} className="status-item">
+            <span>{item.name}</span>
+            <span>{item.value}</span>
+          </div>
+        ))}
       </div>
 
-      <div className="info-panel">
-        <h2 className="panel-header">Failure Prediction</h2>
-        <div className="status-item">
-          <span>Rotor Integrity</span>
-          <span className="status-green">Optimal</span>
-        </div>
-        <div className="status-item">
-          <span>Battery Optimization</span>
-          <span className="status-orange">91% (Degrading)</span>
-        </div>
-         <div className="status-item">
-          <span>Gimbal Motor Stress</span>
-          <span className="status-green">Low</span>
-        </div>
-      </div>
+      <MaintenancePanel addNotification={addNotification} />
 
       <div className="info-panel">
         <h2 className="panel-header">Mission Status</h2>
@@ -261,6 +262,38 @@ function CommandCenter() {
     }, 10000);
   }, []);
 
+  // Geofence breaches reported by the backend telemetry check
+  useSocketEvent('geofence-alert', (alert) => {
+    const breach = alert.state === 'breach';
+    const message = alert.kind === 'operating_area'
+      ? `${alert.callsign} ${breach ? 'left' : 'returned to'} its mission operating area`
+      : `${alert.callsign} ${breach ? 'entered' : 'left'} no-fly zone ${alert.zoneName || ''}`.trim();
+    addNotification(message, breach ? 'emergency' : 'success');
+  });
+
+  useSocketEvent('link-alert', (alert) => {
+    if (alert.state === 'lost') addNotification(`Lost link to ${alert.callsign}`, 'emergency');
+    else if (alert.state === 'mission_requeued') addNotification(`${alert.callsign} still silent, its mission was requeued`, 'emergency');
+    else if (alert.state === 'restored') addNotification(`${alert.callsign} link restored`, 'success');
+  });
+
+  // Only failures and deferred commands need attention; acked commands are the normal case
+  useSocketEvent('command-status', (status) => {
+    if (status.status === 'timeout') {
+      addNotification(`${status.callsign} did not acknowledge ${status.cmd} after ${status.attempts} attempts`, 'emergency');
+    } else if (status.status === 'refused') {
+      addNotification(`${status.cmd} for ${status.callsign} refused: ${(status.reasons || []).join('; ')}`, 'emergency');
+    } else if (status.status === 'rejected') {
+      addNotification(`${status.callsign} rejected ${status.cmd}`, 'emergency');
+    } else if (status.status === 'queued') {
+      addNotification(`${status.callsign} out of link, ${status.cmd} will be sent when it reconnects`, 'success');
+    } else if (status.status === 'expired') {
+      addNotification(`Queued ${status.cmd} for ${status.callsign} expired before it reconnected`, 'emergency');
+    } else if (status.status === 'error') {
+      addNotification(`${status.cmd} for ${status.callsign} failed: ${status.error}`, 'emergency');
+    }
+  });
+
   const handleSwarmActivated = useCallback(() => {
     // Trigger swarm activation
     setSwarmTrigger(prev => prev + 1);
@@ -296,7 +329,7 @@ function CommandCenter() {
         />
       </div>
 
-      <RightSidebar />
+      <RightSidebar addNotification={addNotification} />
     </>
   );
 }
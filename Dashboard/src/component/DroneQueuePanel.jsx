@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { ChevronUp, ChevronDown, X, Route } from 'lucide-react';
+import { API_URL, useSocketEvent } from '../context/LiveDataContext.jsx';
+import { useAuth, hasRole } from '../context/AuthContext.jsx';
+
+// Task queue of a single drone: active mission plus the scheduled ones it will fly next
+const DroneQueuePanel = ({ callsign, addNotification }) => {
+  const [active, setActive] = useState(null);
+  const [queue, setQueue] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const { user } = useAuth();
+  const canEdit = hasRole(user, 'operator');
+
+  const load = useCallback(async () => {
+    try {
+      const { data } = await axios.get(`${API_URL}/api/drone/${callsign}/queue`);
+      setActive(data.active);
+      setQueue(data.queue || []);
+    } catch (e) {
+      console.warn('Failed to load task queue:', e.message);
+    }
+  }, [callsign]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useSocketEvent('drone-queue-updated', (update) => {
+    if (update.callsign === callsign) setQueue(update.queue || []);
+  });
+
+  useSocketEvent('mission-updated', (mission) => {
+    if (mission.assignedTo === callsign || mission._id === active?._id) load();
+  });
+
+  const run = async (request, failMessage) => {
+    setBusy(true);
+    try {
+      await request();
+    } catch (e) {
+      addNotification?.(`${failMessage}: ${e.response?.data?.error || e.message}`, 'emergency');
+      load();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= queue.length) return;
+    const next = [...queue];
+    [next[index], next[target]] = [next[target], next[index]];
+    setQueue(next);
+    run(() => axios.put(`${API_URL}/api/drone/${callsign}/queue`, { order: next.map(m => m._id) }), 'Reorder failed');
+  };
+
+  const remove = (missionId) => {
+    setQueue(prev => prev.filter(m => m._id !== missionId));
+    run(() => axios.delete(`${API_URL}/api/drone/${callsign}/queue/${missionId}`), 'Remove failed');
+  };
+
+  const optimize = () => run(() => axios.post(`${API_URL}/api/drone/${callsign}/queue/optimize`), 'Optimize failed');
+
+  return (
+    <div className="drone-queue-panel" onClick={(e) => e.stopPropagation()}>
+      <div className="drone-queue-active">
+        Now: {active ? (active.name || active._id) : 'Idle'}
+      </div>
+      {queue.length === 0 ? (
+        <div className="drone-queue-empty">No missions queued</div>
+      ) : (
+        <ol className="drone-queue-list">
+          {queue.map((mission, index) => (
+            <li key={mission._id} className="drone-queue-item">
+              <span className="drone-queue-name">{mission.name || mission._id}</span>
+              {canEdit && <span className="drone-queue-actions">
+                <button disabled={busy || index === 0} onClick={() => move(index, -1)} title="Move up"><ChevronUp size={14} /></button>
+                <button disabled={busy || index === queue.length - 1} onClick={() => move(index, 1)} title="Move down"><ChevronDown size={14} /></button>
+                <button disabled={busy} onClick={() => remove(mission._id)} title="Remove from queue"><X size={14} /></button>
+              </span>}
+            </li>
+          ))}
+        </ol>
+      )}
+      {canEdit && queue.length > 1 && (
+        <button className="drone-queue-optimize" disabled={busy} onClick={optimize}>
+          <Route size={14} /> Optimize route
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DroneQueuePanel;
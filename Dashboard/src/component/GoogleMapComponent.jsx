@@ -1,12 +1,30 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
-import { GoogleMap, LoadScript, Marker, InfoWindow, Polyline, Autocomplete } from '@react-google-maps/api';
+import { GoogleMap, LoadScript, Marker, InfoWindow, Polyline, Polygon, Autocomplete } from '@react-google-maps/api';
+import { History } from 'lucide-react';
+import { useLiveData, getDroneStatus, activeMissionsByDrone } from '../context/LiveDataContext.jsx';
+import ReplayControls, { trackPositionAt, missionStatusAt } from './ReplayControls';
+
+// Replay: a drone with no track point for this long is drawn as offline, and
+// events stay on the map for this long after they happened
+const REPLAY_STALE_MS = 15000;
+const REPLAY_EVENT_TRAIL_MS = 60000;
+
+// Drones and the telemetry history report ground speed in m/s; the info window shows km/h
+const kmh = (metresPerSecond) => Math.round((metresPerSecond ?? 0) * 3.6);
+
+// Where an event happened: its own location if it carries one, else null
+const eventLocation = (payload = {}) => {
+  const loc = payload.location || payload;
+  if (Array.isArray(loc) && loc.length >= 2) return { lat: Number(loc[0]), lng: Number(loc[1]) };
+  const lat = Number(loc.lat);
+  const lng = Number(loc.lng ?? loc.lon);
+  return Number.isFinite(lat) && Number.isFinite(lng) && (lat || lng) ? { lat, lng } : null;
+};
 
 const GoogleMapComponent = ({ onSwarmActivated, onRTLActivated, swarmTrigger, rtlTrigger }) => {
   const mapRef = useRef(null);
   const [map, setMap] = useState(null);
-  const [selectedDrone, setSelectedDrone] = useState(null);
-  const [dronePositions, setDronePositions] = useState([]);
-  const [flightPaths, setFlightPaths] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
   const [userLocation, setUserLocation] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [locationError, setLocationError] = useState(null);
@@ -21,6 +39,9 @@ const GoogleMapComponent = ({ onSwarmActivated, onRTLActivated, swarmTrigger, rt
   const [isRTLActive, setIsRTLActive] = useState(false);
   const [swarmDrones, setSwarmDrones] = useState([]);
   const [isSwarmActive, setIsSwarmActive] = useState(false);
+  const [showReplay, setShowReplay] = useState(false);
+  const [replay, setReplay] = useState(null);
+  const [playhead, setPlayhead] = useState(0);
 
   // Default center (Delhi, India) - fallback if geolocation fails
   const defaultCenter = {
@@ -34,42 +55,123 @@ const GoogleMapComponent = ({ onSwarmActivated, onRTLActivated, swarmTrigger, rt
     lng: 85.8245
   };
 
-  // Sample drone data with realistic positions
-  const [drones, setDrones] = useState([
-    {
-      id: 1,
-      name: "Alpha",
-      position: { lat: 28.6139, lng: 77.2090 },
-      status: "active",
-      battery: 85,
-      altitude: 120,
-      speed: 45,
-      mission: "Search & Rescue",
-      lastUpdate: new Date().toLocaleTimeString()
-    },
-    {
-      id: 2,
-      name: "Gamma", 
-      position: { lat: 28.6145, lng: 77.2105 },
-      status: "active",
-      battery: 92,
-      altitude: 95,
-      speed: 38,
-      mission: "Area Surveillance",
-      lastUpdate: new Date().toLocaleTimeString()
-    },
-    {
-      id: 3,
-      name: "Beta",
-      position: { lat: 28.6125, lng: 77.2075 },
-      status: "maintenance",
-      battery: 15,
-      altitude: 0,
-      speed: 0,
-      mission: "Standby",
-      lastUpdate: new Date().toLocaleTimeString()
-    }
-  ]);
+  // Live fleet from the backend; swarm drones below are still the local demo
+  const { drones: liveDrones, missions, noFlyZones } = useLiveData();
+  const drones = useMemo(() => {
+    const activeByDrone = activeMissionsByDrone(missions);
+    return liveDrones
+      .filter(d => d.location && (d.location.lat || d.location.lng))
+      .map(d => {
+        const mission = activeByDrone[d.callsign];
+        return {
+          id: d.callsign,
+          name: d.callsign,
+          position: { lat: d.location.lat, lng: d.location.lng },
+          status: getDroneStatus(d, mission),
+          battery: Number(d.battery ?? 0),
+          altitude: Math.round(d.location.alt ?? 0),
+          speed: kmh(d.speed),
+          mission: mission ? (mission.name || mission._id) : 'Standby',
+          lastUpdate: d.lastSeen ? new Date(d.lastSeen).toLocaleTimeString() : '-'
+        };
+      });
+  }, [liveDrones, missions]);
+
+  // Recent track of each drone as reported in drone.path ([lat, lng] pairs)
+  const flightPaths = useMemo(() => liveDrones
+    .filter(d => Array.isArray(d.path) && d.path.length > 1)
+    .map(d => ({
+      id: d.callsign,
+      coordinates: d.path.map(([lat, lng]) => ({ lat, lng })),
+      color: d.mode === 'RTL' ? '#ffaa00' : '#00bfff'
+    })), [liveDrones]);
+
+  // ---------------- Replay ----------------
+
+  const onReplayLoad = (data) => {
+    setReplay(data);
+    setPlayhead(data.from);
+    setSelectedId(null);
+  };
+
+  const exitReplay = () => {
+    setShowReplay(false);
+    setReplay(null);
+    setSelectedId(null);
+  };
+
+  // Fleet as it was at the playhead. assignedTo is the mission's final drone,
+  // which is the one that flew it unless it was reassigned mid-window.
+  const replayDrones = useMemo(() => {
+    if (!replay) return [];
+    return replay.tracks.map(track => {
+      const pos = trackPositionAt(track.points, playhead, REPLAY_STALE_MS);
+      if (!pos) return null;
+      const mission = replay.missions.find(m =>
+        m.assignedTo === track.callsign && missionStatusAt(m, playhead)?.status === 'active');
+      return {
+        id: track.callsign,
+        name: track.callsign,
+        position: { lat: pos.lat, lng: pos.lng },
+        status: pos.stale || pos.mode === 'LINK_LOST' ? 'offline' : 'active',
+        battery: Number(pos.battery ?? 0),
+        altitude: Math.round(pos.alt ?? 0),
+        speed: kmh(pos.speed),
+        mission: mission ? (mission.name || mission._id) : 'Standby',
+        lastUpdate: new Date(pos.t).toLocaleTimeString()
+      };
+    }).filter(Boolean);
+  }, [replay, playhead]);
+
+  // Track flown so far, ending at the interpolated position
+  const replayPaths = useMemo(() => {
+    if (!replay) return [];
+    return replay.tracks.map(track => {
+      const flown = track.points.filter(p => p.t <= playhead).map(p => ({ lat: p.lat, lng: p.lng }));
+      const now = replayDrones.find(d => d.id === track.callsign);
+      if (now) flown.push(now.position);
+      return { id: track.callsign, coordinates: flown, color: '#00bfff' };
+    }).filter(path => path.coordinates.length > 1);
+  }, [replay, playhead, replayDrones]);
+
+  // Recent events, placed where they were reported or where their drone was at the time
+  const replayEvents = useMemo(() => {
+    if (!replay) return [];
+    return replay.events
+      .filter(ev => ev.t <= playhead && ev.t > playhead - REPLAY_EVENT_TRAIL_MS)
+      .map(ev => {
+        const track = replay.tracks.find(tr => tr.callsign === ev.source);
+        const at = track && trackPositionAt(track.points, ev.t, Infinity);
+        const position = eventLocation(ev.payload) || (at && { lat: at.lat, lng: at.lng });
+        return position && { id: ev._id, type: ev.type, source: ev.source, position };
+      })
+      .filter(Boolean);
+  }, [replay, playhead]);
+
+  // Missions open at the playhead with their route, and detection sites seen by then
+  const replayMissions = useMemo(() => {
+    if (!replay) return [];
+    return replay.missions
+      .map(m => ({ mission: m, state: missionStatusAt(m, playhead) }))
+      .filter(({ state }) => state && ['scheduled', 'active', 'paused'].includes(state.status));
+  }, [replay, playhead]);
+
+  const replayDetections = useMemo(() => {
+    if (!replay) return [];
+    return replay.missions.filter(m => m.detection && new Date(m.detection.firstSeenAt).getTime() <= playhead);
+  }, [replay, playhead]);
+
+  const shownDrones = replay ? replayDrones : drones;
+  const shownPaths = replay ? replayPaths : flightPaths;
+
+  const getEventIcon = (color) => ({
+    path: (typeof window !== 'undefined' && window.google && window.google.maps) ? window.google.maps.SymbolPath.CIRCLE : 0,
+    fillColor: color,
+    fillOpacity: 0.9,
+    strokeColor: '#ffffff',
+    strokeWeight: 1,
+    scale: 6
+  });
 
   // Map container styles
   const mapContainerStyle = {
@@ -154,34 +256,6 @@ const GoogleMapComponent = ({ onSwarmActivated, onRTLActivated, swarmTrigger, rt
     return () => clearTimeout(loadingTimeout);
   }, []);
 
-  // Update drone positions periodically
-  useEffect(() => {
-    const interval = setInterval(() => {
-      setDrones(prevDrones => 
-        prevDrones.map(drone => {
-          if (drone.status === 'active') {
-            // Simulate drone movement
-            const latOffset = (Math.random() - 0.5) * 0.001;
-            const lngOffset = (Math.random() - 0.5) * 0.001;
-            
-            return {
-              ...drone,
-              position: {
-                lat: drone.position.lat + latOffset,
-                lng: drone.position.lng + lngOffset
-              },
-              battery: Math.max(10, drone.battery - Math.random() * 2),
-              lastUpdate: new Date().toLocaleTimeString()
-            };
-          }
-          return drone;
-        })
-      );
-    }, 3000);
-
-    return () => clearInterval(interval);
-  }, []);
-
   // Handle map load
   const onMapLoad = (mapInstance) => {
     setMap(mapInstance);
@@ -191,14 +265,19 @@ const GoogleMapComponent = ({ onSwarmActivated, onRTLActivated, swarmTrigger, rt
 
   // Handle marker click
   const onMarkerClick = (drone) => {
-    setSelectedDrone(drone);
+    setSelectedId(drone.id);
   };
 
   // Close info window
   const onInfoWindowClose = () => {
-    setSelectedDrone(null);
+    setSelectedId(null);
   };
 
+  // Resolve the selection on every render so the info window follows live updates
+  const selectedDrone = selectedId
+    ? (shownDrones.find(d => d.id === selectedId) || swarmDrones.find(d => d.id === selectedId) || null)
+    : null;
+
   // Autocomplete handlers
   const onAutocompleteLoad = (acInstance) => {
     setAutocomplete(acInstance);
@@ -518,6 +597,21 @@ const GoogleMapComponent = ({ onSwarmActivated, onRTLActivated, swarmTrigger, rt
         </div>
       )}
       
+      {/* Replay */}
+      {showReplay ? (
+        <ReplayControls
+          replay={replay}
+          playhead={playhead}
+          onLoad={onReplayLoad}
+          onSeek={setPlayhead}
+          onExit={exitReplay}
+        />
+      ) : (
+        <button className="replay-toggle" onClick={() => setShowReplay(true)} title="Replay a past operation">
+          <History size={16} /> Replay
+        </button>
+      )}
+
       {/* Swarm Status Indicator */}
       {isSwarmActive && (
         <div className="swarm-status-indicator">
@@ -559,8 +653,40 @@ const GoogleMapComponent = ({ onSwarmActivated, onRTLActivated, swarmTrigger, rt
             </Autocomplete>
           </div>
 
+          {/* Replay Routes, Detections and Events */}
+          {replayMissions.map(({ mission, state }) => (
+            <Polyline
+              key={`route-${mission._id}`}
+              path={(mission.waypoints || []).map(([lat, lng]) => ({ lat, lng }))}
+              options={{
+                strokeColor: state.status === 'active' ? '#00ff7f' : '#ffaa00',
+                strokeOpacity: 0.6,
+                strokeWeight: 2,
+                geodesic: true
+              }}
+            />
+          ))}
+
+          {replayDetections.map((mission) => (
+            <Marker
+              key={`detection-${mission._id}`}
+              position={{ lat: mission.detection.lat, lng: mission.detection.lng }}
+              icon={getEventIcon('#ff4d4d')}
+              title={`${mission.name || 'Detection'} (${mission.detection.maxCount || 1} people)`}
+            />
+          ))}
+
+          {replayEvents.map((ev) => (
+            <Marker
+              key={`event-${ev.id}`}
+              position={ev.position}
+              icon={getEventIcon('#ffaa00')}
+              title={`${ev.type}${ev.source ? ` - ${ev.source}` : ''}`}
+            />
+          ))}
+
           {/* Drone Markers */}
-          {drones.map((drone) => (
+          {shownDrones.map((drone) => (
             <Marker
               key={drone.id}
               position={drone.position}
@@ -626,9 +752,9 @@ const GoogleMapComponent = ({ onSwarmActivated, onRTLActivated, swarmTrigger, rt
           )}
 
           {/* Flight Paths */}
-          {flightPaths.map((path, index) => (
+          {shownPaths.map((path) => (
             <Polyline
-              key={index}
+              key={path.id}
               path={path.coordinates}
               options={{
                 strokeColor: path.color || '#00bfff',
@@ -639,6 +765,22 @@ const GoogleMapComponent = ({ onSwarmActivated, onRTLActivated, swarmTrigger, rt
             />
           ))}
 
+          {/* No-Fly Zones */}
+          {noFlyZones.filter(zone => zone.active).map((zone) => (
+            <Polygon
+              key={zone._id}
+              paths={zone.polygon.map(([lat, lng]) => ({ lat, lng }))}
+              options={{
+                strokeColor: '#ff4d4d',
+                strokeOpacity: 0.9,
+                strokeWeight: 2,
+                fillColor: '#ff4d4d',
+                fillOpacity: 0.15,
+                clickable: false
+              }}
+            />
+          ))}
+
           {/* Swarm Route */}
           {swarmRoute && (
             <Polyline
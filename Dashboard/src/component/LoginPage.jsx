@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext.jsx';
+import { loginBody } from '../../../shared/schemas.js';
+import { formatIssues } from '../../../shared/validation.js';
+
+const LoginPage = () => {
+  const { login } = useAuth();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const checked = loginBody.safeParse({ username, password });
+    if (!checked.success) {
+      setError(formatIssues(checked.issues));
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      await login(username, password);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <form className="login-form" onSubmit={handleSubmit}>
+        <h1>ResQron</h1>
+        <input
+          type="text"
+          placeholder="Username"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoFocus
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+        {error && <div className="login-error">{error}</div>}
+        <button type="submit" disabled={busy || !username || !password}>
+          {busy ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Wrench, ShieldOff, ShieldCheck } from 'lucide-react';
+import { API_URL, useSocketEvent } from '../context/LiveDataContext.jsx';
+import { useAuth, hasRole } from '../context/AuthContext.jsx';
+
+const STATUS_CLASS = { ok: 'status-green', due: 'status-orange', overdue: 'status-red' };
+
+// Fleet service status: hours, cycles and components coming due, with service logging for operators
+const MaintenancePanel = ({ addNotification }) => {
+  const [fleet, setFleet] = useState({});
+  const [expanded, setExpanded] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const { user } = useAuth();
+  const canEdit = hasRole(user, 'operator');
+
+  const load = useCallback(async () => {
+    try {
+      const { data } = await axios.get(`${API_URL}/api/maintenance`);
+      setFleet(Object.fromEntries(data.map(d => [d.callsign, d])));
+    } catch (e) {
+      console.warn('Failed to load maintenance status:', e.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useSocketEvent('maintenance-updated', (view) => {
+    setFleet(prev => ({ ...prev, [view.callsign]: view }));
+  });
+
+  const run = async (request, failMessage) => {
+    setBusy(true);
+    try {
+      const { data } = await request();
+      const view = data.maintenance || data;
+      if (view?.callsign) setFleet(prev => ({ ...prev, [view.callsign]: view }));
+    } catch (e) {
+      addNotification?.(`${failMessage}: ${e.response?.data?.error || e.message}`, 'emergency');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const logService = (callsign, component) =>
+    run(() => axios.post(`${API_URL}/api/maintenance/${callsign}/records`, { kind: 'service', componentId: component.id }), 'Logging service failed');
+
+  const setGrounded = (callsign, grounded) =>
+    run(() => axios.put(`${API_URL}/api/maintenance/${callsign}/grounded`, { grounded }), grounded ? 'Grounding failed' : 'Clearing failed');
+
+  const drones = Object.values(fleet).sort((a, b) => a.callsign.localeCompare(b.callsign));
+
+  return (
+    <div className="info-panel maintenance-panel">
+      <h2 className="panel-header">Maintenance</h2>
+      {drones.length === 0 && <div className="maintenance-empty">No drones registered</div>}
+      {drones.map(drone => (
+        <div key={drone.callsign} className="maintenance-drone">
+          <div
+            className="status-item maintenance-drone-header"
+            onClick={() => setExpanded(prev => prev === drone.callsign ? null : drone.callsign)}
+          >
+            <span>{drone.callsign}</span>
+            <span className={drone.grounded ? 'status-red' : STATUS_CLASS[drone.status]}>
+              {drone.grounded ? 'GROUNDED' : drone.status.toUpperCase()}
+            </span>
+          </div>
+          <div className="maintenance-usage">
+            {drone.flightHours} h · {drone.flightCycles} flights · {drone.chargeCycles} charge cycles
+          </div>
+          {expanded === drone.callsign && (
+            <div className="maintenance-details">
+              {drone.grounded && <div className="maintenance-reason">{drone.groundedReason}</div>}
+              <ul className="maintenance-components">
+                {drone.components.map(component => (
+                  <li key={component.id} className="maintenance-component">
+                    <span className="maintenance-component-name">{component.name}</span>
+                    <span className={STATUS_CLASS[component.status]}>
+                      {component.limitedBy || component.intervals.map(i => `${i.used}/${i.limit} ${i.unit}`).join(', ')}
+                    </span>
+                    {canEdit && (
+                      <button disabled={busy} onClick={() => logService(drone.callsign, component)} title="Log service">
+                        <Wrench size={12} />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              {canEdit && (
+                <button className="maintenance-ground" disabled={busy} onClick={() => setGrounded(drone.callsign, !drone.grounded)}>
+                  {drone.grounded ? <><ShieldCheck size={14} /> Clear for flight</> : <><ShieldOff size={14} /> Ground</>}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default MaintenancePanel;
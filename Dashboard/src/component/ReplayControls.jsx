@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Play, Pause, X, History } from 'lucide-react';
+import { API_URL } from '../context/LiveDataContext.jsx';
+import { historyQuery } from '../../../shared/schemas.js';
+import { formatIssues } from '../../../shared/validation.js';
+
+const SPEEDS = [1, 10, 60, 300];
+const TICK_MS = 100;
+
+// ---------------- Playback helpers ----------------
+
+// Position of a drone at time t, interpolated between the two surrounding
+// track points. Null before its first point; `stale` once the track has ended
+// or has a gap longer than staleMs around t.
+export const trackPositionAt = (points, t, staleMs) => {
+  if (!points.length || t < points[0].t) return null;
+  let lo = 0;
+  let hi = points.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (points[mid].t <= t) lo = mid;
+    else hi = mid - 1;
+  }
+  const a = points[lo];
+  const b = points[lo + 1];
+  if (!b || b.t - a.t > staleMs) return { ...a, stale: t - a.t > staleMs };
+  const f = (t - a.t) / (b.t - a.t);
+  const lerp = (key) => (Number.isFinite(a[key]) && Number.isFinite(b[key]) ? a[key] + (b[key] - a[key]) * f : a[key]);
+  return { ...a, lat: lerp('lat'), lng: lerp('lng'), alt: lerp('alt'), battery: lerp('battery'), stale: false };
+};
+
+// Last status a mission had at time t, or null if it did not exist yet
+export const missionStatusAt = (mission, t) => {
+  let current = null;
+  for (const entry of mission.history) {
+    if (entry.t > t) break;
+    current = entry;
+  }
+  return current;
+};
+
+// Converts the /api/replay response to millisecond timestamps once, so the
+// per-frame lookups don't parse dates
+const prepareReplay = (data) => ({
+  from: new Date(data.from).getTime(),
+  to: new Date(data.to).getTime(),
+  tracks: data.tracks.map(track => ({
+    callsign: track.callsign,
+    points: track.points
+      .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng))
+      .map(p => ({ ...p, t: new Date(p.ts).getTime() }))
+  })),
+  events: data.events.map(ev => ({ ...ev, t: new Date(ev.createdAt).getTime() })),
+  missions: data.missions.map(m => ({
+    ...m,
+    history: (m.statusHistory || [])
+      .map(h => ({ ...h, t: new Date(h.at).getTime() }))
+      .sort((a, b) => a.t - b.t)
+  }))
+});
+
+// datetime-local inputs work in local time without a zone suffix
+const toLocalInput = (ms) => {
+  const d = new Date(ms - new Date(ms).getTimezoneOffset() * 60000);
+  return d.toISOString().slice(0, 16);
+};
+
+// ---------------- Controls ----------------
+
+// Time window picker, scrubber and transport for playing an operation back on the map
+const ReplayControls = ({ replay, playhead, onLoad, onSeek, onExit }) => {
+  const [from, setFrom] = useState(() => toLocalInput(Date.now() - 3600000));
+  const [to, setTo] = useState(() => toLocalInput(Date.now()));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(10);
+
+  useEffect(() => {
+    if (!playing || !replay) return undefined;
+    const timer = setInterval(() => {
+      onSeek(prev => Math.min(prev + TICK_MS * speed, replay.to));
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [playing, speed, replay, onSeek]);
+
+  useEffect(() => {
+    if (replay && playhead >= replay.to) setPlaying(false);
+  }, [replay, playhead]);
+
+  const load = async () => {
+    const params = { from: new Date(from).getTime(), to: new Date(to).getTime() };
+    const checked = historyQuery.safeParse(params);
+    if (!checked.success) {
+      setError(formatIssues(checked.issues));
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    setPlaying(false);
+    try {
+      const { data } = await axios.get(`${API_URL}/api/replay`, { params });
+      onLoad(prepareReplay(data));
+    } catch (e) {
+      setError(e.response?.data?.error || e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const togglePlay = () => {
+    if (!playing && playhead >= replay.to) onSeek(replay.from);
+    setPlaying(!playing);
+  };
+
+  // Tick marks on the scrubber for events and mission state changes
+  const span = replay ? replay.to - replay.from : 1;
+  const marks = replay ? [
+    ...replay.events.map(ev => ({ key: `e${ev._id}`, t: ev.t, kind: 'event' })),
+    ...replay.missions.flatMap(m => m.history
+      .filter(h => h.t >= replay.from && h.t <= replay.to)
+      .map((h, i) => ({ key: `m${m._id}-${i}`, t: h.t, kind: 'mission' })))
+  ] : [];
+
+  const missionStates = replay ? replay.missions
+    .map(m => ({ mission: m, state: missionStatusAt(m, playhead) }))
+    .filter(({ state }) => state) : [];
+
+  return (
+    <div className="replay-panel">
+      <div className="replay-header">
+        <History size={16} />
+        <span>Mission replay</span>
+        <button className="replay-close" onClick={onExit} title="Back to live view"><X size={16} /></button>
+      </div>
+
+      <div className="replay-window">
+        <input type="datetime-local" value={from} onChange={(e) => setFrom(e.target.value)} />
+        <span>to</span>
+        <input type="datetime-local" value={to} onChange={(e) => setTo(e.target.value)} />
+        <button onClick={load} disabled={loading || !from || !to}>{loading ? 'Loading...' : 'Load'}</button>
+      </div>
+      {error && <div className="replay-error">{error}</div>}
+
+      {replay && (
+        <>
+          <div className="replay-timeline">
+            <div className="replay-marks">
+              {marks.map(mark => (
+                <span
+                  key={mark.key}
+                  className={`replay-mark ${mark.kind}`}
+                  style={{ left: `${((mark.t - replay.from) / span) * 100}%` }}
+                />
+              ))}
+            </div>
+            <input
+              type="range"
+              min={replay.from}
+              max={replay.to}
+              step={1000}
+              value={playhead}
+              onChange={(e) => onSeek(Number(e.target.value))}
+            />
+          </div>
+
+          <div className="replay-transport">
+            <button onClick={togglePlay} title={playing ? 'Pause' : 'Play'}>
+              {playing ? <Pause size={16} /> : <Play size={16} />}
+            </button>
+            <span className="replay-clock">{new Date(playhead).toLocaleString()}</span>
+            <span className="replay-speeds">
+              {SPEEDS.map(s => (
+                <button key={s} className={s === speed ? 'active' : ''} onClick={() => setSpeed(s)}>{s}x</button>
+              ))}
+            </span>
+          </div>
+
+          <div className="replay-summary">
+            {replay.tracks.length} drones · {replay.events.length} events · {replay.missions.length} missions
+          </div>
+          {missionStates.length > 0 && (
+            <ul className="replay-missions">
+              {missionStates.map(({ mission, state }) => (
+                <li key={mission._id}>
+                  <span className="replay-mission-name">{mission.name || mission._id}</span>
+                  <span className={`replay-mission-status ${state.status}`}>{state.status}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReplayControls;
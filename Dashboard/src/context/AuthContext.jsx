@@ -0,0 +1,68 @@
+import React, { createContext, useCallback, useContext, useLayoutEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { API_URL } from './LiveDataContext.jsx';
+import { ROLES } from '../../../shared/schemas.js';
+
+const STORAGE_KEY = 'resqron.session';
+
+export const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+const AuthContext = createContext(null);
+
+// Holds the JWT session and attaches it to every axios request
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(loadSession);
+
+  const logout = useCallback(() => {
+    localStorage.removeItem(STORAGE_KEY);
+    setSession(null);
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const { data } = await axios.post(`${API_URL}/api/auth/login`, { username, password });
+    const next = { token: data.token, user: data.user };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    setSession(next);
+  }, []);
+
+  // Layout effect so the header is in place before children fire their first requests
+  useLayoutEffect(() => {
+    if (!session?.token) return undefined;
+    const request = axios.interceptors.request.use((config) => {
+      config.headers.Authorization = `Bearer ${session.token}`;
+      return config;
+    });
+    // An expired or revoked session sends the user back to the login screen
+    const response = axios.interceptors.response.use(undefined, (error) => {
+      if (error.response?.status === 401) logout();
+      return Promise.reject(error);
+    });
+    return () => {
+      axios.interceptors.request.eject(request);
+      axios.interceptors.response.eject(response);
+    };
+  }, [session, logout]);
+
+  const value = useMemo(() => ({
+    token: session?.token || null,
+    user: session?.user || null,
+    login,
+    logout
+  }), [session, login, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error('useAuth must be used inside <AuthProvider>');
+  return ctx;
+};
@@ -0,0 +1,174 @@
+import React, { createContext, useContext, useEffect, useMemo, useReducer, useRef, useState } from 'react';
+import axios from 'axios';
+import { io } from 'socket.io-client';
+
+// Backend base URL (REST and Socket.io are served from the same port)
+export const API_URL = import.meta.env.VITE_WS_URL || 'http://localhost:5000';
+
+// A drone that hasn't reported for this long is shown as offline
+const STALE_AFTER_MS = 30000;
+
+const initialState = {
+  connected: false,
+  drones: {},     // callsign -> drone document
+  missions: {},   // _id -> mission document
+  noFlyZones: [],
+  health: null,   // system-health sections (swarm, battery, metrics, ...)
+  lastUpdate: null
+};
+
+const byKey = (list, key) => Object.fromEntries((list || []).map(item => [item[key], item]));
+
+function reducer(state, action) {
+  switch (action.type) {
+    case 'connection':
+      return { ...state, connected: action.connected };
+    case 'snapshot':
+      return {
+        ...state,
+        drones: action.drones ? byKey(action.drones, 'callsign') : state.drones,
+        missions: action.missions ? { ...state.missions, ...byKey(action.missions, '_id') } : state.missions,
+        lastUpdate: Date.now()
+      };
+    case 'drone':
+      if (!action.drone?.callsign) return state;
+      return {
+        ...state,
+        drones: { ...state.drones, [action.drone.callsign]: action.drone },
+        lastUpdate: Date.now()
+      };
+    case 'mission':
+      if (!action.mission?._id) return state;
+      return {
+        ...state,
+        missions: { ...state.missions, [action.mission._id]: action.mission },
+        lastUpdate: Date.now()
+      };
+    case 'zones':
+      return { ...state, noFlyZones: Array.isArray(action.zones) ? action.zones : [] };
+    case 'health':
+      // The backend sends everything on connect, then only the sections that changed
+      return { ...state, health: action.update.full ? action.update : { ...state.health, ...action.update } };
+    default:
+      return state;
+  }
+}
+
+const LiveDataContext = createContext(null);
+
+// Owns the single socket connection and keeps drones/missions in sync with the backend.
+// The socket handshake carries the session token; a rejected handshake calls onUnauthorized.
+export const LiveDataProvider = ({ token, onUnauthorized, children }) => {
+  const [state, dispatch] = useReducer(reducer, initialState);
+  const [socket, setSocket] = useState(null);
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  onUnauthorizedRef.current = onUnauthorized;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSnapshot = async () => {
+      try {
+        const [drones, missions] = await Promise.all([
+          axios.get(`${API_URL}/api/drones`),
+          axios.get(`${API_URL}/api/missions`)
+        ]);
+        if (!cancelled) dispatch({ type: 'snapshot', drones: drones.data, missions: missions.data });
+      } catch (e) {
+        console.warn('Failed to load initial snapshot:', e.message);
+      }
+    };
+
+    const socket = io(API_URL, {
+      auth: { token },
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 10000
+    });
+    setSocket(socket);
+
+    // Re-sync on every (re)connect so nothing missed while offline is lost
+    socket.on('connect', () => {
+      dispatch({ type: 'connection', connected: true });
+      loadSnapshot();
+    });
+    socket.on('disconnect', () => dispatch({ type: 'connection', connected: false }));
+    socket.on('connect_error', (err) => {
+      if (err.message === 'unauthorized') onUnauthorizedRef.current?.();
+    });
+
+    socket.on('system-status', (status) => {
+      // Health replies share this event name, only the initial state carries drones
+      if (Array.isArray(status?.drones)) {
+        dispatch({ type: 'snapshot', drones: status.drones, missions: status.missions });
+      }
+    });
+    socket.on('drone-update', (drone) => dispatch({ type: 'drone', drone }));
+    socket.on('mission-updated', (mission) => dispatch({ type: 'mission', mission }));
+    socket.on('mission-created', (mission) => dispatch({ type: 'mission', mission }));
+    socket.on('mission_created', (mission) => dispatch({ type: 'mission', mission }));
+    socket.on('nofly-zones', (zones) => dispatch({ type: 'zones', zones }));
+    socket.on('system-health', (update) => dispatch({ type: 'health', update }));
+
+    loadSnapshot();
+
+    return () => {
+      cancelled = true;
+      socket.disconnect();
+      setSocket(null);
+    };
+  }, [token]);
+
+  const value = useMemo(() => ({
+    socket,
+    connected: state.connected,
+    lastUpdate: state.lastUpdate,
+    drones: Object.values(state.drones).sort((a, b) => a.callsign.localeCompare(b.callsign)),
+    missions: Object.values(state.missions).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+    noFlyZones: state.noFlyZones,
+    health: state.health
+  }), [state, socket]);
+
+  return <LiveDataContext.Provider value={value}>{children}</LiveDataContext.Provider>;
+};
+
+export const useLiveData = () => {
+  const ctx = useContext(LiveDataContext);
+  if (!ctx) throw new Error('useLiveData must be used inside <LiveDataProvider>');
+  return ctx;
+};
+
+// Subscribe a component to a raw socket event (alerts and other one-off messages)
+export const useSocketEvent = (event, handler) => {
+  const { socket } = useLiveData();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!socket) return undefined;
+    const listener = (payload) => handlerRef.current(payload);
+    socket.on(event, listener);
+    return () => socket.off(event, listener);
+  }, [socket, event]);
+};
+
+// Display status for a drone: offline, rtl, active (has a mission), maintenance (grounded),
+// charging (on or waiting for a base dock, not ready yet) or standby
+export const getDroneStatus = (drone, activeMission) => {
+  if (drone.mode === 'LINK_LOST') return 'offline';
+  if (drone.lastSeen && Date.now() - new Date(drone.lastSeen).getTime() > STALE_AFTER_MS) return 'offline';
+  if (drone.mode === 'RTL') return 'rtl';
+  if (activeMission) return 'active';
+  if (drone.mode === 'MAINTENANCE' || drone.maintenance?.grounded) return 'maintenance';
+  if (drone.dock?.status === 'charging' || drone.dock?.status === 'waiting') return 'charging';
+  return 'standby';
+};
+
+// The active (or paused) mission assigned to each callsign
+export const activeMissionsByDrone = (missions) => {
+  const map = {};
+  for (const m of missions) {
+    if ((m.status === 'active' || m.status === 'paused') && m.assignedTo) map[m.assignedTo] = m;
+  }
+  return map;
+};
@@ -0,0 +1,10 @@
+import { defineConfig, searchForWorkspaceRoot } from 'vite';
+
+// The request schemas in ../shared are imported by both the dashboard and the backend
+export default defineConfig({
+  server: {
+    fs: {
+      allow: [searchForWorkspaceRoot(process.cwd()), '../shared']
+    }
+  }
+});
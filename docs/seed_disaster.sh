@@ -1 +1,3 @@
-curl -X POST http://localhost:8080/disasters -H "Content-Type: application/json" -d '{"text":"Flash floods near demo area; roads blocked", "lat":28.603, "lng":77.202, "severity":3}'
+# Needs a mission-commander token from POST /api/auth/login
+TOKEN=${TOKEN:?set TOKEN to a session token}
+curl -X POST http://localhost:8080/disasters -H "Content-Type: application/json" -H "Authorization: Bearer $TOKEN" -d '{"type":"flood", "severity":"high", "description":"Flash floods near demo area; roads blocked", "coordinates":{"lat":28.603, "lng":77.202}}'
@@ -0,0 +1,375 @@
+import { v } from "./validation.js";
+
+// Request, socket and MQTT message schemas. Imported by Backend/server.js to
+// check everything that comes in, and by the dashboard to check forms before
+// they are sent.
+
+// ---------------- Vocabularies ----------------
+
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+export const ROLES = ["viewer", "operator", "mission-commander", "admin"];
+
+export const DISASTER_TYPES = ["flood", "fire", "earthquake", "landslide", "cyclone", "other"];
+export const DISASTER_SEVERITIES = ["low", "moderate", "high", "critical"];
+export const DISASTER_STATUSES = ["detected", "investigating", "responding", "resolved"];
+export const SEARCH_PATTERNS = ["lawnmower", "expanding_square", "sector"];
+export const COMPONENT_KINDS = ["airframe", "motor", "propeller", "battery", "gimbal", "camera", "other"];
+export const MAINTENANCE_RECORD_KINDS = ["inspection", "service", "repair", "replacement"];
+
+// ---------------- Building blocks ----------------
+
+export const latitude = v.number({ min: -90, max: 90 });
+export const longitude = v.number({ min: -180, max: 180 });
+const altitude = v.number({ min: -500, max: 10000 });
+const name = v.string({ max: 200 });
+const callsign = v.string({ min: 1, max: 64 });
+
+// [lat, lng] pair, the format stored in missions and zones
+export const latLngPair = v.tuple([latitude, longitude]);
+
+// [lat, lng], [lat, lng, alt] or { lat, lng | lon, alt }
+export const point = v.union([
+  v.tuple([latitude, longitude], altitude),
+  v.object({ lat: latitude, lng: longitude, alt: altitude.optional() }),
+  v.object({ lat: latitude, lon: longitude, alt: altitude.optional() })
+], "must be [lat, lng] or { lat, lng } within range");
+
+export const polygon = v.array(latLngPair, { min: 3 });
+
+// "water" or { name, qty, weightKg }
+const supply = v.union([
+  v.string({ min: 1, max: 64 }),
+  v.object({
+    name: v.string({ min: 1, max: 64 }),
+    qty: v.number({ min: 1, integer: true }).optional(),
+    weightKg: v.number({ min: 0, max: 100 }).optional()
+  })
+], "must be a supply name or { name, qty, weightKg }");
+
+const metadata = v.object({}, { passthrough: true }).optional();
+
+// ---------------- Drone commands ----------------
+
+// Altitudes are metres above the take-off point, speeds m/s
+const flightAltitude = v.number({ min: 1, max: 500 });
+
+// Every command a drone understands and the parameters it takes. The backend
+// checks each command against the drone's state before sending it (Backend/Services/commandRegistry.js).
+export const COMMAND_PARAMS = {
+  takeoff: v.object({ altitude: flightAltitude.optional() }),
+  land: v.object({}),
+  rtl: v.object({ lat: latitude.optional(), lng: longitude.optional() }), // landing point; the backend fills in a base dock when left out
+  hold: v.object({}),
+  resume: v.object({}),
+  goto: v.object({ lat: latitude, lng: longitude, alt: flightAltitude.optional() }),
+  set_speed: v.object({ speed: v.number({ min: 0.1, max: 30 }) }),
+  set_altitude: v.object({ altitude: flightAltitude }),
+  drop_payload: v.object({ item: v.string({ min: 1, max: 64 }).optional() }),
+  assign_zone: v.object({ zone: v.string({ min: 1, max: 64 }), priority: v.number({ min: 1, max: 10, integer: true }).optional() }),
+  autonomous_on: v.object({}),
+  autonomous_off: v.object({})
+};
+
+export const DRONE_COMMANDS = Object.keys(COMMAND_PARAMS);
+
+// { cmd, params, ...extra } with params checked against that command's schema
+const commandWith = (extra) => v.discriminated("cmd", Object.fromEntries(DRONE_COMMANDS.map((cmd) => [
+  cmd,
+  v.object({ cmd: v.oneOf([cmd]), params: COMMAND_PARAMS[cmd].default(() => ({})), ...extra })
+])));
+
+// ---------------- REST bodies ----------------
+
+export const loginBody = v.object({
+  username: v.string({ min: 1, max: 64 }),
+  password: v.string({ min: 1, max: 256, trim: false })
+});
+
+export const createUserBody = v.object({
+  username: v.string({ min: 3, max: 64, pattern: /^[\w.-]+$/ }),
+  password: v.string({ min: 8, max: 256, trim: false }),
+  role: v.oneOf(ROLES).default("viewer")
+});
+
+export const updateUserBody = v.object({
+  role: v.oneOf(ROLES).optional(),
+  active: v.boolean().optional(),
+  password: v.string({ min: 8, max: 256, trim: false }).optional()
+});
+
+export const createMissionBody = v.object({
+  name: name.default("Unnamed Mission"),
+  waypoints: v.array(point, { min: 1, max: 500 }),
+  supplies: v.array(supply, { max: 50 }).default(() => []),
+  priority: v.number({ min: 1, max: 10, integer: true }).default(5),
+  droneType: v.string({ min: 1, max: 64 }).nullable(),
+  assignedTo: callsign.nullable(),
+  operatingArea: polygon.optional(),
+  metadata
+});
+
+export const missionActionBody = v.object({
+  reason: v.string({ max: 500 }).optional()
+});
+
+// Area search over a disaster (Backend/Services/areaSearch.js): a polygon, or a
+// circle of radiusM around the disaster. droneCount defaults to the drones free right now.
+const searchFields = {
+  pattern: v.oneOf(SEARCH_PATTERNS).default("lawnmower"),
+  polygon: polygon.optional(),
+  radiusM: v.number({ min: 20, max: 5000 }).optional(),
+  droneCount: v.number({ min: 1, max: 20, integer: true }).optional(),
+  altitudeM: flightAltitude.default(40),
+  hfovDeg: v.number({ min: 10, max: 170 }).default(84),
+  overlap: v.number({ min: 0, max: 0.9 }).default(0.2),
+  priority: v.number({ min: 1, max: 10, integer: true }).default(3)
+};
+const oneArea = (o) => !(o.polygon && o.radiusM);
+
+export const areaSearchOptions = v.object(searchFields).refine(oneArea, "give either polygon or radiusM, not both");
+
+// dryRun returns the plan without creating missions
+export const areaSearchBody = v.object({ ...searchFields, dryRun: v.boolean().default(false) })
+  .refine(oneArea, "give either polygon or radiusM, not both");
+
+export const createDisasterBody = v.object({
+  type: v.oneOf(DISASTER_TYPES),
+  severity: v.oneOf(DISASTER_SEVERITIES).default("moderate"),
+  confidence: v.number({ min: 0, max: 1 }).default(0.5),
+  coordinates: v.object({ lat: latitude, lng: longitude }),
+  description: v.string({ min: 1, max: 2000 }),
+  recommendedActions: v.array(v.string({ min: 1, max: 500 }), { max: 50 }).default(() => []),
+  status: v.oneOf(DISASTER_STATUSES).default("detected"),
+  assignedDrones: v.array(callsign, { max: 100 }).default(() => []),
+  imageUrl: v.string({ max: 2000 }).default(""),
+  detectedAt: v.date().optional(),
+  search: areaSearchOptions.optional(), // generate search missions straight away
+  metadata
+});
+
+// Status changes are checked against the allowed transitions by the backend (Backend/Services/disasterLifecycle.js)
+export const updateDisasterBody = v.object({
+  status: v.oneOf(DISASTER_STATUSES).optional(),
+  severity: v.oneOf(DISASTER_SEVERITIES).optional(),
+  note: v.string({ min: 1, max: 2000 }).optional()
+}).refine((b) => b.status || b.severity, "status or severity is required");
+
+export const disasterNoteBody = v.object({
+  text: v.string({ min: 1, max: 2000 })
+});
+
+export const linkMissionBody = v.object({
+  missionId: v.objectId()
+});
+
+// Each drone gets its own survey mission over a sector of radiusM around the site
+export const assignDisasterDronesBody = v.object({
+  callsigns: v.array(callsign, { min: 1, max: 20 }),
+  radiusM: v.number({ min: 20, max: 5000 }).default(200),
+  priority: v.number({ min: 1, max: 10, integer: true }).default(2)
+});
+
+// ---------------- Maintenance ----------------
+
+const serviceIntervals = {
+  intervalHours: v.number({ min: 0.1, max: 100000 }).optional(),
+  intervalCycles: v.number({ min: 1, max: 100000, integer: true }).optional(),
+  intervalDays: v.number({ min: 1, max: 3650 }).optional()
+};
+
+export const maintenanceComponentBody = v.object({
+  name: v.string({ min: 1, max: 100 }),
+  kind: v.oneOf(COMPONENT_KINDS),
+  serial: v.string({ max: 100 }).optional(),
+  ...serviceIntervals
+}).refine((b) => b.intervalHours || b.intervalCycles || b.intervalDays, "at least one service interval is required");
+
+export const updateMaintenanceComponentBody = v.object({
+  name: v.string({ min: 1, max: 100 }).optional(),
+  serial: v.string({ max: 100 }).optional(),
+  ...serviceIntervals
+});
+
+// Service and replacement are of a component; inspections and repairs may be of the whole drone
+export const maintenanceRecordBody = v.object({
+  kind: v.oneOf(MAINTENANCE_RECORD_KINDS),
+  componentId: v.objectId().optional(),
+  result: v.oneOf(["pass", "fail"]).optional(),
+  serial: v.string({ max: 100 }).optional(),
+  note: v.string({ max: 2000 }).optional()
+})
+  .refine((b) => b.kind !== "inspection" || b.result, "inspection needs a result")
+  .refine((b) => !["service", "replacement"].includes(b.kind) || b.componentId, "componentId is required for a service or replacement");
+
+export const groundDroneBody = v.object({
+  grounded: v.boolean(),
+  reason: v.string({ min: 1, max: 500 }).optional()
+});
+
+// ---------------- Bases ----------------
+
+const chargeRate = v.number({ min: 0.1, max: 100 }); // battery % per minute on a dock
+
+export const createBaseBody = v.object({
+  name: v.string({ min: 1, max: 100 }),
+  location: v.object({ lat: latitude, lng: longitude, alt: altitude.default(0) }),
+  docks: v.number({ min: 0, max: 100, integer: true }).default(1),
+  chargeRatePctPerMin: chargeRate.default(2),
+  active: v.boolean().default(true)
+});
+
+export const updateBaseBody = v.object({
+  name: v.string({ min: 1, max: 100 }).optional(),
+  location: v.object({ lat: latitude, lng: longitude, alt: altitude.default(0) }).optional(),
+  docks: v.number({ min: 0, max: 100, integer: true }).optional(),
+  chargeRatePctPerMin: chargeRate.optional(),
+  active: v.boolean().optional()
+});
+
+// null clears it; the drone then returns to the nearest base
+export const homeBaseBody = v.object({
+  baseId: v.objectId().nullable()
+});
+
+export const droneCommandBody = commandWith({
+  meta: metadata,
+  deliverWhenConnected: v.boolean().default(false),
+  ttlMs: v.number({ min: 1, integer: true }).optional(),
+  idempotencyKey: v.string({ min: 1, max: 200 }).optional()
+});
+
+export const queueOrderBody = v.object({
+  order: v.array(v.objectId(), { max: 100 })
+});
+
+export const perceptionRequestBody = v.object({
+  cameraId: v.string({ min: 1, max: 64 }),
+  imageData: v.string({ min: 1, trim: false }),
+  requestType: v.string({ min: 1, max: 32 }).default("detection")
+});
+
+export const planMissionBody = v.object({
+  droneId: callsign,
+  start: point,
+  goal: point,
+  useDynamicObstacles: v.boolean().default(true)
+});
+
+export const cameraBody = v.object({
+  callsign: callsign.optional(),
+  width: v.number({ min: 1, integer: true }).optional(),
+  height: v.number({ min: 1, integer: true }).optional(),
+  fx: v.number({ min: 0 }).optional(),
+  fy: v.number({ min: 0 }).optional(),
+  cx: v.number({ min: 0 }).optional(),
+  cy: v.number({ min: 0 }).optional(),
+  hfovDeg: v.number({ min: 1, max: 179 }).optional(),
+  mountPitchDeg: v.number({ min: -90, max: 90 }).optional(),
+  mountYawDeg: v.number({ min: -180, max: 360 }).optional()
+});
+
+export const createNoFlyZoneBody = v.object({
+  name: name.default(""),
+  polygon,
+  active: v.boolean().default(true)
+});
+
+export const updateNoFlyZoneBody = v.object({
+  name: name.optional(),
+  polygon: polygon.optional(),
+  active: v.boolean().optional()
+});
+
+// ?from=&to=&resolution= of the history endpoints; dates are ISO strings or epoch ms
+export const historyQuery = v.object({
+  from: v.date().optional(),
+  to: v.date().optional(),
+  resolution: v.string({ pattern: /^\d+(\.\d+)?(ms|s|m|h)?$/ }).optional()
+}).refine((q) => !q.from || !q.to || q.from < q.to, "from must be before to");
+
+// ?lat=&lng= for one location; with radiusM, the area around it
+export const conditionsQuery = v.object({
+  lat: v.number({ min: -90, max: 90, coerce: true }),
+  lng: v.number({ min: -180, max: 180, coerce: true }),
+  radiusM: v.number({ min: 20, max: 5000, coerce: true }).optional()
+});
+
+// ?window=15m, counting back from now
+export const analyticsQuery = v.object({
+  window: v.string({ pattern: /^\d+(\.\d+)?(ms|s|m|h)?$/ }).default("1h")
+});
+
+// ---------------- Socket events ----------------
+
+export const socketCommand = commandWith({
+  droneId: callsign,
+  idempotencyKey: v.string({ min: 1, max: 200 }).optional(),
+  deliverWhenConnected: v.boolean().default(false),
+  ttlMs: v.number({ min: 1, integer: true }).optional()
+});
+
+// return-home, enable-autonomous and disable-autonomous send a bare callsign
+export const socketDroneId = callsign;
+
+export const socketAssignZone = v.object({
+  droneId: callsign,
+  zoneId: v.string({ min: 1, max: 64 }),
+  priority: v.number({ min: 1, max: 10, integer: true }).optional()
+});
+
+export const socketPerceptionRequest = v.object({
+  cameraId: v.string({ min: 1, max: 64 }),
+  imageData: v.string({ min: 1, trim: false })
+});
+
+export const socketDepthRequest = v.object({
+  cameraId: v.string({ min: 1, max: 64 }),
+  imageData: v.string({ min: 1, trim: false }),
+  detections: v.array(v.object({}, { passthrough: true }), { max: 500 }).default(() => [])
+});
+
+export const socketPlanMission = planMissionBody;
+
+export const socketUpdateObstacles = v.object({
+  obstacles: v.array(v.object({}, { passthrough: true }), { max: 5000 })
+});
+
+// ---------------- MQTT messages ----------------
+// Drones and AI services add their own fields, so these pass unknown keys through
+
+export const telemetryMessage = v.object({
+  lat: latitude.optional(),
+  lng: longitude.optional(),
+  alt: altitude.optional(),
+  battery: v.number({ min: 0, max: 100 }).optional(),
+  mode: v.string({ max: 32 }).optional(),
+  heading: v.number({ min: -360, max: 360 }).optional(),
+  yaw: v.number({ min: -360, max: 360 }).optional(),
+  speed: v.number({ min: 0 }).optional(),
+  gimbal_pitch: v.number({ min: -180, max: 180 }).optional(),
+  gimbalPitch: v.number({ min: -180, max: 180 }).optional()
+}, { passthrough: true });
+
+export const droneEventMessage = v.object({
+  event: v.string({ min: 1, max: 64 }),
+  location: point.optional(),
+  count: v.number({ min: 0, integer: true }).optional(),
+  confidence: v.number({ min: 0, max: 1 }).optional()
+}, { passthrough: true });
+
+export const ackMessage = v.object({
+  cmdId: v.string({ min: 1, max: 128 }),
+  status: v.string({ min: 1, max: 32 }).optional()
+}, { passthrough: true });
+
+export const detectionsMessage = v.object({
+  detections: v.array(v.object({}, { passthrough: true }), { max: 1000 }).default(() => [])
+}, { passthrough: true });
+
+export const depthMessage = v.object({
+  depth_estimates: v.array(v.object({}, { passthrough: true }), { max: 1000 }).default(() => [])
+}, { passthrough: true });
+
+export const obstaclesMessage = v.object({
+  obstacles: v.array(v.object({}, { passthrough: true }), { max: 5000 }).default(() => [])
+}, { passthrough: true });
@@ -0,0 +1,196 @@
+// Minimal zod-style schema builder, shared by the backend and the dashboard so
+// both sides check input against the same definitions. No dependencies.
+//
+//   const point = v.object({ lat: v.number({ min: -90, max: 90 }) });
+//   point.parse(input)      -> clean value, or throws ValidationError
+//   point.safeParse(input)  -> { success: true, data } | { success: false, issues }
+//
+// Objects drop keys their shape does not list unless built with { passthrough: true }.
+// Every problem is collected as { path: "waypoints.2.lat", message }.
+
+export class ValidationError extends Error {
+  constructor(issues, context = "Invalid input") {
+    super(`${context}: ${formatIssues(issues)}`);
+    this.name = "ValidationError";
+    this.status = 400;
+    this.issues = issues;
+  }
+}
+
+export function formatIssues(issues) {
+  return issues.map((i) => (i.path ? `${i.path} ${i.message}` : i.message)).join("; ");
+}
+
+// ---------------- Core ----------------
+
+const report = (ctx, message) => {
+  ctx.issues.push({ path: ctx.path.join("."), message });
+  return undefined;
+};
+const at = (ctx, key) => ({ path: [...ctx.path, key], issues: ctx.issues });
+const isMissing = (value) => value === undefined || value === null;
+
+// check(value, ctx) returns the parsed value and reports problems on ctx
+function schema(check) {
+  return {
+    check,
+    optional() {
+      return schema((value, ctx) => (isMissing(value) ? undefined : check(value, ctx)));
+    },
+    nullable() {
+      return schema((value, ctx) => (isMissing(value) ? null : check(value, ctx)));
+    },
+    // The fallback is checked like any other value, so object defaults still
+    // report their missing required fields
+    default(fallback) {
+      return schema((value, ctx) => {
+        if (!isMissing(value)) return check(value, ctx);
+        return check(typeof fallback === "function" ? fallback() : fallback, ctx);
+      });
+    },
+    // Extra rule on an otherwise valid value
+    refine(test, message) {
+      return schema((value, ctx) => {
+        const before = ctx.issues.length;
+        const out = check(value, ctx);
+        if (ctx.issues.length === before && out !== undefined && !test(out)) report(ctx, message);
+        return out;
+      });
+    },
+    safeParse(value) {
+      const ctx = { path: [], issues: [] };
+      const data = check(value, ctx);
+      return ctx.issues.length ? { success: false, issues: ctx.issues } : { success: true, data };
+    },
+    parse(value, context) {
+      const result = this.safeParse(value);
+      if (!result.success) throw new ValidationError(result.issues, context);
+      return result.data;
+    }
+  };
+}
+
+// Missing values are an error unless the schema is .optional() or has a .default()
+function required(check) {
+  return schema((value, ctx) => {
+    if (isMissing(value)) return report(ctx, "is required");
+    return check(value, ctx);
+  });
+}
+
+// ---------------- Builders ----------------
+
+function string({ min = 0, max = Infinity, pattern, trim = true } = {}) {
+  return required((value, ctx) => {
+    if (typeof value !== "string") return report(ctx, "must be a string");
+    const s = trim ? value.trim() : value;
+    if (s.length < min) return report(ctx, min === 1 ? "must not be empty" : `must be at least ${min} characters`);
+    if (s.length > max) return report(ctx, `must be at most ${max} characters`);
+    if (pattern && !pattern.test(s)) return report(ctx, "has an invalid format");
+    return s;
+  });
+}
+
+// coerce: accept numeric strings too (query parameters, form fields)
+function number({ min = -Infinity, max = Infinity, integer = false, coerce = false } = {}) {
+  return required((value, ctx) => {
+    const n = coerce && typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof n !== "number" || !Number.isFinite(n)) return report(ctx, "must be a number");
+    if (integer && !Number.isInteger(n)) return report(ctx, "must be a whole number");
+    if (n < min) return report(ctx, `must be at least ${min}`);
+    if (n > max) return report(ctx, `must be at most ${max}`);
+    return n;
+  });
+}
+
+function boolean() {
+  return required((value, ctx) => (typeof value === "boolean" ? value : report(ctx, "must be true or false")));
+}
+
+function oneOf(values) {
+  return required((value, ctx) => (values.includes(value) ? value : report(ctx, `must be one of ${values.join(", ")}`)));
+}
+
+function array(item, { min = 0, max = Infinity } = {}) {
+  return required((value, ctx) => {
+    if (!Array.isArray(value)) return report(ctx, "must be a list");
+    if (value.length < min) return report(ctx, `must have at least ${min} item${min === 1 ? "" : "s"}`);
+    if (value.length > max) return report(ctx, `must have at most ${max} items`);
+    return value.map((entry, i) => item.check(entry, at(ctx, i)));
+  });
+}
+
+// Fixed-length list such as [lat, lng]; `rest` validates any extra items
+function tuple(items, rest) {
+  return required((value, ctx) => {
+    if (!Array.isArray(value)) return report(ctx, "must be a list");
+    if (value.length < items.length || (!rest && value.length > items.length)) {
+      return report(ctx, `must have ${items.length} items`);
+    }
+    return value.map((entry, i) => (items[i] || rest).check(entry, at(ctx, i)));
+  });
+}
+
+function object(shape, { passthrough = false } = {}) {
+  return required((value, ctx) => {
+    if (typeof value !== "object" || Array.isArray(value)) return report(ctx, "must be an object");
+    const out = passthrough ? { ...value } : {};
+    for (const [key, field] of Object.entries(shape)) {
+      const parsed = field.check(value[key], at(ctx, key));
+      if (parsed === undefined) delete out[key];
+      else out[key] = parsed;
+    }
+    return out;
+  });
+}
+
+// First alternative that parses cleanly wins; otherwise report the first one's issues
+function union(options, message) {
+  return required((value, ctx) => {
+    let firstIssues = null;
+    for (const option of options) {
+      const trial = { path: ctx.path, issues: [] };
+      const out = option.check(value, trial);
+      if (!trial.issues.length) return out;
+      firstIssues = firstIssues || trial.issues;
+    }
+    if (message) return report(ctx, message);
+    ctx.issues.push(...firstIssues);
+    return undefined;
+  });
+}
+
+// Object whose shape depends on one of its fields, e.g. a command's parameters
+// on its `cmd`. `variants` maps each allowed value of `key` to an object schema.
+function discriminated(key, variants) {
+  const allowed = Object.keys(variants);
+  return required((value, ctx) => {
+    if (typeof value !== "object" || Array.isArray(value)) return report(ctx, "must be an object");
+    const variant = variants[value[key]];
+    if (!variant) return report(at(ctx, key), isMissing(value[key]) ? "is required" : `must be one of ${allowed.join(", ")}`);
+    return variant.check(value, ctx);
+  });
+}
+
+// ISO string, epoch milliseconds (number or digits) or Date -> Date
+function date() {
+  return required((value, ctx) => {
+    const d = value instanceof Date ? value
+      : new Date(typeof value === "string" && /^\d+$/.test(value) ? Number(value) : value);
+    if ((typeof value !== "string" && typeof value !== "number" && !(value instanceof Date)) || Number.isNaN(d.getTime())) {
+      return report(ctx, "must be a date");
+    }
+    return d;
+  });
+}
+
+function objectId() {
+  return string({ pattern: /^[a-f\d]{24}$/i });
+}
+
+// Anything, including nothing; use for opaque metadata
+function any() {
+  return schema((value) => value);
+}
+
+export const v = { string, number, boolean, oneOf, array, tuple, object, union, discriminated, date, objectId, any };